@@ -219,6 +219,41 @@ CREATE TABLE IF NOT EXISTS equip_slot_categories (
 );
 CREATE INDEX IF NOT EXISTS idx_equip_slot_categories_id ON equip_slot_categories(id);
 
+-- ============================================================================
+-- ITEM STATS & MATERIA MELDING TABLES
+-- ============================================================================
+
+-- Damage / defense of equipment: [{ "ID": baseParamId, "NQ": value, "HQ": value }]
+CREATE TABLE IF NOT EXISTS item_main_attributes (
+  id INTEGER PRIMARY KEY,
+  data JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_item_main_attributes_id ON item_main_attributes(id);
+
+-- Food / medicine bonuses: [{ "ID", "NQ", "HQ", "Relative", "Max", "MaxHQ" }]
+CREATE TABLE IF NOT EXISTS item_bonuses (
+  id INTEGER PRIMARY KEY,
+  data JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_item_bonuses_id ON item_bonuses(id);
+
+-- Materia slots of equipment (prop = base_params slot column used for meld caps)
+CREATE TABLE IF NOT EXISTS item_melding_data (
+  id INTEGER PRIMARY KEY,
+  modifier INTEGER,
+  prop TEXT,
+  slots INTEGER,
+  overmeld BOOLEAN
+);
+CREATE INDEX IF NOT EXISTS idx_item_melding_data_id ON item_melding_data(id);
+
+-- Stat values per item level (id = ilvl): { "CriticalHit": 2421, ... }
+CREATE TABLE IF NOT EXISTS item_level (
+  id INTEGER PRIMARY KEY,
+  data JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_item_level_id ON item_level(id);
+
 -- ============================================================================
 -- JOB DATA TABLES
 -- ============================================================================
@@ -230,6 +230,21 @@ function convertArrayOfObjectsToCSV(data, tableName) {
   return rows.join('\n');
 }
 
+/**
+ * Convert object whose values are arrays or objects kept whole (e.g., item-main-attributes.json) to CSV
+ * Each value is stored as JSON in a single "data" column (JSONB in Supabase)
+ */
+function convertObjectJsonbToCSV(data, tableName) {
+  const rows = [];
+  rows.push('id,data'); // Header
+  
+  Object.entries(data).forEach(([id, value]) => {
+    rows.push(`${escapeCSV(id)},${escapeCSV(JSON.stringify(value))}`);
+  });
+  
+  return rows.join('\n');
+}
+
 /**
  * Process a single JSON file
  */
@@ -276,6 +291,9 @@ function processJSONFile(jsonPath, tableName, structureType) {
         case 'array_of_objects':
           csvContent = convertArrayOfObjectsToCSV(data, tableName);
           break;
+        case 'object_jsonb':
+          csvContent = convertObjectJsonbToCSV(data, tableName);
+          break;
         default:
           console.error(`  ERROR: Unknown structure type: ${structureType}`);
           return false;
@@ -0,0 +1,90 @@
+// Flags missing UI messages (src/i18n/locales)
+//
+// Usage:
+//   npm run check:i18n
+//
+// Reports keys of the zh-TW catalog (the reference) that another catalog lacks, keys a catalog has that
+// zh-TW does not, and literal t('key') calls in src/ whose key is not in zh-TW. Keys built at runtime
+// (t(`prefix.${name}`)) are checked by their static prefix only. Exits with 1 when anything is missing.
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const LOCALES_DIR = join(ROOT, 'src', 'i18n', 'locales');
+const SOURCE_DIR = join(ROOT, 'src');
+const REFERENCE_LOCALE = 'zh-TW';
+const PLURAL_CATEGORIES = new Set(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+function isPluralMessage(message) {
+  return message && typeof message === 'object' && typeof message.other === 'string'
+    && Object.keys(message).every(category => PLURAL_CATEGORIES.has(category));
+}
+
+/**
+ * Flatten a catalog to dotted keys (plural messages count as one key)
+ */
+function flattenKeys(node, prefix = '', keys = new Set()) {
+  Object.entries(node).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !isPluralMessage(value)) {
+      flattenKeys(value, key, keys);
+    } else {
+      keys.add(key);
+    }
+  });
+  return keys;
+}
+
+function listSourceFiles(dir, files = []) {
+  readdirSync(dir).forEach(name => {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) {
+      listSourceFiles(path, files);
+    } else if (/\.(js|jsx)$/.test(name)) {
+      files.push(path);
+    }
+  });
+  return files;
+}
+
+const catalogs = Object.fromEntries(
+  readdirSync(LOCALES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => [name.replace(/\.json$/, ''), flattenKeys(JSON.parse(readFileSync(join(LOCALES_DIR, name), 'utf-8')))])
+);
+const referenceKeys = catalogs[REFERENCE_LOCALE];
+let problemCount = 0;
+
+Object.entries(catalogs).forEach(([locale, keys]) => {
+  if (locale === REFERENCE_LOCALE) return;
+  const missing = [...referenceKeys].filter(key => !keys.has(key));
+  const extra = [...keys].filter(key => !referenceKeys.has(key));
+  missing.forEach(key => console.log(`[${locale}] missing: ${key}`));
+  extra.forEach(key => console.log(`[${locale}] not in ${REFERENCE_LOCALE}: ${key}`));
+  problemCount += missing.length + extra.length;
+});
+
+listSourceFiles(SOURCE_DIR).forEach(file => {
+  const source = readFileSync(file, 'utf-8');
+  const literalCalls = source.matchAll(/\bt\(\s*'([\w.]+)'/g);
+  for (const [, key] of literalCalls) {
+    if (!referenceKeys.has(key)) {
+      console.log(`[source] ${relative(ROOT, file)}: unknown key ${key}`);
+      problemCount++;
+    }
+  }
+  const templateCalls = source.matchAll(/\bt\(\s*`([\w.]+)\.\$\{/g);
+  for (const [, prefix] of templateCalls) {
+    if (![...referenceKeys].some(key => key.startsWith(`${prefix}.`))) {
+      console.log(`[source] ${relative(ROOT, file)}: no keys under ${prefix}.*`);
+      problemCount++;
+    }
+  }
+});
+
+if (problemCount > 0) {
+  console.log(`\n${problemCount} problem(s) found`);
+  process.exit(1);
+}
+console.log(`All catalogs match ${REFERENCE_LOCALE} (${referenceKeys.size} keys in ${Object.keys(catalogs).length} locales)`);
@@ -0,0 +1,282 @@
+// Local mock of the Universalis WebSocket feed (listings/add, listings/remove, sales/add) for offline testing
+//
+// Usage:
+//   npm run mock:ws -- --port 8090 --items 5057,5068 --interval 3000
+//   VITE_UNIVERSALIS_WS_URL=ws://localhost:8090 npm run dev
+//
+// Clients subscribe with BSON { event: 'subscribe', channel: 'listings/add{world=4030}' } like the real API;
+// every interval the server sends a random event for one of --items on one of the subscribed worlds.
+// Listings it added are remembered per world so later listings/remove events remove real rows.
+// Dependency free: the WebSocket handshake and framing are implemented here (text/binary, ping, close).
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { encodeBson, decodeBson } from '../src/utils/bson.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const RETAINER_NAMES = ['測試雇員', '倉庫番', 'Mock Retainer', '肥肥商會'];
+const BUYER_NAMES = ['光之戰士', '測試買家', 'Mock Buyer'];
+
+function parseArgs(argv) {
+  const args = { port: 8090, items: [5057], interval: 3000 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port':
+        args.port = parseInt(value, 10) || args.port;
+        break;
+      case '--items':
+        args.items = value.split(',').map(id => parseInt(id, 10)).filter(id => id > 0);
+        break;
+      case '--interval':
+        args.interval = Math.max(parseInt(value, 10) || args.interval, 200);
+        break;
+      default:
+        break;
+    }
+  }
+  return args;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// --- WebSocket framing ---
+
+function encodeFrame(payload, opcode) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read complete frames from the buffer
+ * @returns {{ frames: Array<{ opcode: number, payload: Buffer }>, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0F;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7F;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < position + maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(position, position + 4) : null;
+    position += maskLength;
+    const payload = Buffer.from(buffer.subarray(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ opcode, payload });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// --- Mock market ---
+
+const clients = new Set();
+// `${worldId}|${itemId}` → listings currently "on the board"
+const boards = new Map();
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pick(values) {
+  return values[Math.floor(Math.random() * values.length)];
+}
+
+function createListing() {
+  const pricePerUnit = randomInt(100, 5000);
+  const quantity = randomInt(1, 99);
+  return {
+    listingID: randomBytes(8).toString('hex'),
+    pricePerUnit,
+    quantity,
+    total: pricePerUnit * quantity,
+    hq: Math.random() < 0.4,
+    retainerName: pick(RETAINER_NAMES),
+    lastReviewTime: Math.floor(Date.now() / 1000),
+  };
+}
+
+function createEvent(itemId, worldId) {
+  const boardKey = `${worldId}|${itemId}`;
+  const board = boards.get(boardKey) || [];
+  const roll = Math.random();
+
+  if (roll < 0.3 && board.length > 0) {
+    const removed = board.splice(randomInt(0, board.length - 1), 1);
+    boards.set(boardKey, board);
+    return { event: 'listings/remove', item: itemId, world: worldId, listings: removed };
+  }
+
+  if (roll < 0.6) {
+    const pricePerUnit = randomInt(100, 5000);
+    const quantity = randomInt(1, 20);
+    return {
+      event: 'sales/add',
+      item: itemId,
+      world: worldId,
+      sales: [{
+        pricePerUnit,
+        quantity,
+        total: pricePerUnit * quantity,
+        hq: Math.random() < 0.4,
+        buyerName: pick(BUYER_NAMES),
+        timestamp: Math.floor(Date.now() / 1000),
+      }],
+    };
+  }
+
+  const added = [createListing()];
+  boards.set(boardKey, [...board, ...added]);
+  return { event: 'listings/add', item: itemId, world: worldId, listings: added };
+}
+
+function parseChannel(channel) {
+  const match = /^([a-z]+\/[a-z]+)(?:\{world=(\d+)\})?$/.exec(channel || '');
+  return match ? { event: match[1], worldId: match[2] ? parseInt(match[2], 10) : null } : null;
+}
+
+function isSubscribed(client, event, worldId) {
+  return client.channels.has(`${event}{world=${worldId}}`) || client.channels.has(event);
+}
+
+function broadcastRandomEvent() {
+  const worldIds = new Set();
+  clients.forEach(client => {
+    client.channels.forEach(channel => {
+      const parsed = parseChannel(channel);
+      if (parsed?.worldId) worldIds.add(parsed.worldId);
+    });
+  });
+  if (worldIds.size === 0 || options.items.length === 0) return;
+
+  const message = createEvent(pick(options.items), pick([...worldIds]));
+  const frame = encodeFrame(Buffer.from(encodeBson(message)), 0x2);
+  let delivered = 0;
+  clients.forEach(client => {
+    if (isSubscribed(client, message.event, message.world)) {
+      client.socket.write(frame);
+      delivered++;
+    }
+  });
+  console.log(`[mock-ws] ${message.event} item=${message.item} world=${message.world} → ${delivered} client(s)`);
+}
+
+function handleClientMessage(client, payload) {
+  let message;
+  try {
+    message = decodeBson(payload);
+  } catch {
+    // The real API only accepts BSON; allow JSON for manual testing
+    try {
+      message = JSON.parse(payload.toString('utf-8'));
+    } catch (error) {
+      console.warn('[mock-ws] Ignoring unreadable message:', error.message);
+      return;
+    }
+  }
+
+  if (!parseChannel(message.channel)) return;
+  if (message.event === 'subscribe') {
+    client.channels.add(message.channel);
+  } else if (message.event === 'unsubscribe') {
+    client.channels.delete(message.channel);
+  }
+  console.log(`[mock-ws] ${message.event} ${message.channel}`);
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('Universalis WebSocket mock - connect with a WebSocket client\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+
+  const client = { socket, channels: new Set() };
+  let pending = Buffer.alloc(0);
+  clients.add(client);
+  console.log(`[mock-ws] Client connected (${clients.size} total)`);
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1 || opcode === 0x2) {
+        handleClientMessage(client, payload);
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload, 0xA));
+      }
+    });
+  });
+
+  const removeClient = () => {
+    if (clients.delete(client)) {
+      console.log(`[mock-ws] Client disconnected (${clients.size} total)`);
+    }
+  };
+  socket.on('close', removeClient);
+  socket.on('error', removeClient);
+});
+
+const timer = setInterval(broadcastRandomEvent, options.interval);
+
+server.listen(options.port, () => {
+  console.log(`[mock-ws] Listening on ws://localhost:${options.port} (items ${options.items.join(', ')}, every ${options.interval} ms)`);
+});
+
+process.on('SIGINT', () => {
+  clearInterval(timer);
+  clients.forEach(client => client.socket.destroy());
+  server.close(() => process.exit(0));
+});
@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect, useRef, Suspense, lazy } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef, Suspense, lazy } from 'react';
 import { flushSync } from 'react-dom';
 import { useNavigate, useSearchParams, useParams, useLocation } from 'react-router-dom';
 import SearchBar from './components/SearchBar';
@@ -11,15 +11,35 @@ import ServerUploadTimes from './components/ServerUploadTimes';
 import Toast from './components/Toast';
 import { formatRelativeTime, formatLocalTime } from './utils/timeFormat';
 import { searchItems, getItemById, getSimplifiedChineseName, cancelSimplifiedNameFetch } from './services/itemDatabase';
-import { getMarketData, getMarketableItems, getItemsVelocity, getTaxRates } from './services/universalis';
+import { getMarketData, getMarketableItems, getItemsVelocity, getTaxRates, fetchAggregatedData } from './services/universalis';
 // Removed containsChinese import - no longer restricting to Chinese input
 import { getAssetPath } from './utils/assetPath.js';
 import ItemImage from './components/ItemImage';
 import { cancelAllIconRequests } from './utils/itemImage';
 import HistoryButton from './components/HistoryButton';
+import CompareButton from './components/CompareButton';
 import { addItemToHistory } from './utils/itemHistory';
 import { addSearchToHistory } from './utils/searchHistory';
+import { startWatchlistScheduler } from './utils/watchlistScheduler';
+import { addToShoppingList } from './utils/shoppingList';
+import { saveMarketSnapshot, getMarketSnapshot } from './services/marketSnapshots';
+import { useOnlineStatus } from './hooks/useOnlineStatus';
 import { useHistory } from './hooks/useHistory';
+import { useLiveMarketFeed } from './hooks/useLiveMarketFeed';
+import { useDisplaySettings } from './hooks/useDisplaySettings';
+import { useSettings } from './contexts/SettingsContext';
+import { getSettings, ITEMS_PER_PAGE_OPTIONS } from './utils/userSettings';
+import { getDisplaySettings, getDataCentersForRegion } from './utils/displaySettings';
+import { RATE_LIMIT_ERROR_CODE } from './utils/requestManager';
+import { useTranslation } from './hooks/useTranslation';
+import { getCrafterProfile, subscribeToCrafterProfile, getActiveCrafterLevels } from './utils/crafterProfile';
+import {
+  CRAFTING_PLAN_PARAM,
+  encodeCraftingTreeState,
+  decodeCraftingTreeState,
+  getDefaultCraftingTreeState,
+  normalizeCraftAmount,
+} from './utils/craftingTreeState';
 import { hasRecipe, buildCraftingTree, findRelatedItems } from './services/recipeDatabase';
 import { getIlvls, getItemPatch, getPatchNames } from './services/supabaseData';
 import { initializeSupabaseConnection } from './services/supabaseClient';
@@ -32,10 +52,21 @@ const MSQPriceChecker = lazy(() => import('./components/MSQPriceChecker.jsx'));
 const AdvancedSearch = lazy(() => import('./components/AdvancedSearch.jsx'));
 const CraftingTree = lazy(() => import('./components/CraftingTree.jsx'));
 const RelatedItems = lazy(() => import('./components/RelatedItems.jsx'));
+const PriceHistoryChart = lazy(() => import('./components/PriceHistoryChart.jsx'));
 const HistorySection = lazy(() => import('./components/HistorySection.jsx'));
+const Watchlist = lazy(() => import('./components/Watchlist.jsx'));
+const ShoppingList = lazy(() => import('./components/ShoppingList.jsx'));
+const RetainerMonitor = lazy(() => import('./components/RetainerMonitor.jsx'));
+const ArbitrageFinder = lazy(() => import('./components/ArbitrageFinder.jsx'));
+const CompareItems = lazy(() => import('./components/CompareItems.jsx'));
+const GatheringInspiration = lazy(() => import('./components/GatheringInspiration.jsx'));
+const SettingsPage = lazy(() => import('./components/SettingsPage.jsx'));
 const RecentUpdatesSection = lazy(() => import('./components/RecentUpdatesSection.jsx'));
+const ItemStatsPanel = lazy(() => import('./components/ItemStatsPanel.jsx'));
+const SaleStatisticsPanel = lazy(() => import('./components/SaleStatisticsPanel.jsx'));
 
 function App() {
+  const { t, locale } = useTranslation();
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
   const params = useParams();
@@ -56,8 +87,12 @@ function App() {
   const [searchingItemsCount, setSearchingItemsCount] = useState(0); // Track items count during search
   const [isLoadingMarket, setIsLoadingMarket] = useState(false);
   const [error, setError] = useState(null);
-  const [listSize, setListSize] = useState(20);
-  const [hqOnly, setHqOnly] = useState(false);
+  // Persisted preferences (utils/userSettings, edited here or on /settings)
+  const { settings, updateSettings } = useSettings();
+  const listSize = settings.listSize;
+  const hqOnly = settings.hqOnly;
+  const setListSize = useCallback(value => updateSettings({ listSize: value }), [updateSettings]);
+  const setHqOnly = useCallback(value => updateSettings({ hqOnly: value }), [updateSettings]);
   const [datacenters, setDatacenters] = useState([]);
   const [worlds, setWorlds] = useState({});
   const [isLoadingDB, setIsLoadingDB] = useState(true);
@@ -66,6 +101,13 @@ function App() {
   const [refreshKey, setRefreshKey] = useState(0);
   const [toasts, setToasts] = useState([]);
   const [rateLimitMessage, setRateLimitMessage] = useState(null);
+  // Last saved market snapshot shown instead of live data while offline
+  const [staleSnapshot, setStaleSnapshot] = useState(null);
+  const isOnline = useOnlineStatus();
+  // Display language / home region (settings page)
+  const { language: displayLanguage, region: homeRegion } = useDisplaySettings();
+  // Live listing / sale updates from the Universalis WebSocket
+  const isLiveFeedEnabled = settings.liveFeed;
   const [currentImage, setCurrentImage] = useState(() => Math.random() < 0.5 ? getAssetPath('bear.png') : getAssetPath('sheep.png'));
   const [isManualMode, setIsManualMode] = useState(false);
   const [isShattering, setIsShattering] = useState(false);
@@ -80,11 +122,19 @@ function App() {
   const [isCraftingTreeExpanded, setIsCraftingTreeExpanded] = useState(false);
   const [isLoadingCraftingTree, setIsLoadingCraftingTree] = useState(false);
   
-  // Load excludeCrystals preference from localStorage (default: true, meaning exclude crystals)
-  const [excludeCrystals, setExcludeCrystals] = useState(() => {
-    const saved = localStorage.getItem('craftingTreeExcludeCrystals');
-    return saved !== null ? saved === 'true' : true; // Default to true (exclude crystals)
-  });
+  // Crystals left out of the crafting tree material cost (default: true)
+  const excludeCrystals = settings.excludeCrystals;
+
+  // Recipe picked per item in the crafting tree ({ itemId: recipeId }), reset when the item changes
+  const [recipeChoices, setRecipeChoices] = useState({});
+  // Crafter job levels - recipes the user cannot make are treated as "must buy"
+  const [crafterProfile, setCrafterProfile] = useState(() => getCrafterProfile());
+  const crafterLevels = useMemo(() => getActiveCrafterLevels(crafterProfile), [crafterProfile]);
+  // Rest of the crafting tree plan shared through the URL (?plan=...): crafted amount, collapsed nodes, buy / craft choices
+  const [craftAmount, setCraftAmount] = useState(1);
+  const [collapsedItemIds, setCollapsedItemIds] = useState([]);
+  const [methodOverrides, setMethodOverrides] = useState({});
+  const [craftingPlanItemId, setCraftingPlanItemId] = useState(null); // Item the plan state belongs to
   
   // Related items states
   const [hasRelatedItems, setHasRelatedItems] = useState(false);
@@ -102,7 +152,8 @@ function App() {
   const [velocityLoadingProgress, setVelocityLoadingProgress] = useState({ loaded: 0, total: 0 }); // Track loading progress: loaded = items requested, total = items to load
   const [isServerSelectorDisabled, setIsServerSelectorDisabled] = useState(true); // Start disabled until server data loads
   const [searchCurrentPage, setSearchCurrentPage] = useState(1);
-  const [searchItemsPerPage, setSearchItemsPerPage] = useState(20);
+  const searchItemsPerPage = settings.itemsPerPage;
+  const setSearchItemsPerPage = useCallback(value => updateSettings({ itemsPerPage: value }), [updateSettings]);
   const [showLoadingIndicator, setShowLoadingIndicator] = useState(false);
   const loadingIndicatorStartTimeRef = useRef(null);
   
@@ -303,6 +354,14 @@ function App() {
     setToasts(prev => prev.filter(toast => toast.id !== id));
   }, []);
 
+  // Poll watchlist rules in the background on every page
+  useEffect(() => {
+    return startWatchlistScheduler({
+      worlds,
+      onAlert: (rule, message) => addToast(`🔔 ${message}`, 'warning'),
+    });
+  }, [worlds, addToast]);
+
   // Create shatter effect
   const createShatterEffect = useCallback((imageUrl) => {
     if (!imageContainerRef.current) return;
@@ -550,11 +609,11 @@ function App() {
   // Update document title based on selected item
   useEffect(() => {
     if (selectedItem && selectedItem.name) {
-      document.title = `${selectedItem.name}-繁中市場`;
+      document.title = t('app.itemDocumentTitle', { name: selectedItem.name });
     } else {
-      document.title = 'FFXIV繁中市場小屋';
+      document.title = t('app.title');
     }
-  }, [selectedItem]);
+  }, [selectedItem, locale]);
 
   // Load data centers and worlds on mount
   useEffect(() => {
@@ -604,7 +663,7 @@ function App() {
         ) {
           serverLoadRetryCountRef.current++;
           serverLoadInProgressRef.current = false;
-          addToast(`伺服器加載超時，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+          addToast(t('app.serverLoadTimeoutRetry', { attempt: serverLoadRetryCountRef.current }), 'warning');
           loadData(true);
         }
       }, 2000);
@@ -647,7 +706,7 @@ function App() {
           if (serverLoadRetryCountRef.current < 3) {
             serverLoadRetryCountRef.current++;
             serverLoadInProgressRef.current = false;
-            addToast(`伺服器資料為空，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+            addToast(t('app.serverDataEmptyRetry', { attempt: serverLoadRetryCountRef.current }), 'warning');
             setTimeout(() => {
               if (currentRequestId === serverLoadRequestIdRef.current) {
                 loadData(true);
@@ -677,9 +736,21 @@ function App() {
           serverLoadTimeoutRef.current = null;
         }
 
-        const tradChineseDCs = dcData.filter(dc => dc.region && dc.region.startsWith('繁中服'));
-        if (tradChineseDCs.length > 0 && tradChineseDCs[0].worlds.length > 0) {
-          const firstDC = tradChineseDCs[0];
+        // Home data center / world from the settings, else the first data center of the home region
+        const { homeDataCenter, homeWorldId } = getSettings();
+        const homeDC = dcData.find(dc => dc.name === homeDataCenter && dc.worlds?.length > 0);
+        const homeRegionDCs = getDataCentersForRegion(dcData, getDisplaySettings().region);
+        if (homeDC) {
+          const homeWorldInDC = homeWorldId && homeDC.worlds.includes(homeWorldId) ? homeWorldId : null;
+          setSelectedWorld({
+            region: homeDC.region || '',
+            section: homeDC.name,
+            world: worldsMap[homeWorldInDC || homeDC.worlds[0]],
+            dcObj: homeDC,
+          });
+          setSelectedServerOption(homeWorldInDC || homeDC.name);
+        } else if (homeRegionDCs.length > 0 && homeRegionDCs[0].worlds.length > 0) {
+          const firstDC = homeRegionDCs[0];
           const firstWorld = firstDC.worlds[0];
           setSelectedWorld({
             region: firstDC.region,
@@ -703,9 +774,9 @@ function App() {
 
         setIsLoadingDB(false);
         if (isRetry && serverLoadRetryCountRef.current > 0) {
-          addToast('伺服器資料加載成功', 'success');
+          addToast(t('app.serverDataRetrySucceeded'), 'success');
         } else {
-          addToast('伺服器資料加載完成', 'success');
+          addToast(t('app.serverDataLoaded'), 'success');
         }
       } catch (err) {
         if (err.name === 'AbortError' || abortSignal.aborted || currentRequestId !== serverLoadRequestIdRef.current) {
@@ -721,7 +792,7 @@ function App() {
         
         if (serverLoadRetryCountRef.current < 3) {
           serverLoadRetryCountRef.current++;
-          addToast(`伺服器加載失敗，正在重試 (${serverLoadRetryCountRef.current}/3)...`, 'warning');
+          addToast(t('app.serverLoadFailedRetry', { attempt: serverLoadRetryCountRef.current }), 'warning');
           setTimeout(() => {
             if (currentRequestId === serverLoadRequestIdRef.current) {
               loadData(true);
@@ -729,8 +800,8 @@ function App() {
           }, 2000);
         } else {
           console.error('Failed to load data centers/worlds:', err);
-          setError('無法加載服務器列表');
-          addToast('無法加載服務器列表，請刷新頁面重試', 'error');
+          setError(t('app.serverListFailed'));
+          addToast(t('app.serverListFailedReload'), 'error');
           setIsLoadingDB(false);
         }
       }
@@ -1036,20 +1107,14 @@ function App() {
             }));
           }
           
-          const itemIdsString = batch.join(',');
-          
           try {
-            const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-              signal: abortSignal
-            });
+            const data = await fetchAggregatedData(queryTarget, batch, { signal: abortSignal });
             
             // Check again after fetch
             if (abortSignal.aborted || currentRequestId !== velocityFetchRequestIdRef.current) {
               return;
             }
             
-            const data = await response.json();
-            
             // Process batch results
             const batchVelocities = {};
             const batchAveragePrices = {};
@@ -1534,20 +1599,14 @@ function App() {
               return;
             }
           
-            const itemIdsString = batch.join(',');
-          
             try {
-              const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                signal: abortSignal
-              });
+              const data = await fetchAggregatedData(queryTarget, batch, { signal: abortSignal });
             
               // Check again after fetch
               if (abortSignal.aborted || currentRequestId !== historyFetchRequestIdRef.current) {
                 return;
               }
             
-              const data = await response.json();
-            
               // Process batch results (same logic as search page)
               const batchVelocities = {};
               const batchAveragePrices = {};
@@ -1908,7 +1967,7 @@ function App() {
     
     navigate(`/item/${item.id}`, { replace: false });
     
-    addToast(`已選擇: ${item.name}`, 'info');
+    addToast(t('search.selected', { name: item.name }), 'info');
   }, [addToast, navigate]);
 
   // Initialize from URL on mount and when URL changes
@@ -1980,6 +2039,13 @@ function App() {
       return;
     }
 
+    // Handle watchlist, shopping list, retainer monitor, arbitrage, compare, gathering and settings pages - components manage their own state
+    if (location.pathname === '/watchlist' || location.pathname === '/shopping-list' || location.pathname === '/retainers' || location.pathname === '/arbitrage' || location.pathname === '/compare' || location.pathname === '/gathering-inspiration' || location.pathname === '/settings') {
+      lastProcessedURLRef.current = currentURLKey;
+      isInitializingFromURLRef.current = false;
+      return;
+    }
+
     // Handle MSQ price checker page - let component handle state restoration from URL
     if (location.pathname === '/msq-price-checker') {
       lastProcessedURLRef.current = currentURLKey;
@@ -2019,7 +2085,7 @@ function App() {
                   setIsLoadingItemFromURL(false);
                 } else {
                   setIsLoadingItemFromURL(false);
-                  addToast('找不到該物品', 'error');
+                  addToast(t('search.itemNotFound'), 'error');
                   navigate('/');
                 }
               })
@@ -2029,7 +2095,7 @@ function App() {
                   return;
                 }
                 console.error('Failed to load item:', error);
-                addToast('載入物品失敗', 'error');
+                addToast(t('search.itemLoadFailed'), 'error');
                 navigate('/');
               });
           }
@@ -2114,10 +2180,10 @@ function App() {
               if (converted && convertedText) {
                 if (searchedSimplified) {
                   if (results.length > 0) {
-                    addToast(`「${originalText}」繁體搜尋無資料，在簡體中文資料庫找到結果！`, 'warning');
+                    addToast(t('search.foundInSimplified', { text: originalText }), 'warning');
                   }
                 } else {
-                  addToast(`「${originalText}」無搜尋結果，正在嘗試轉譯成「${convertedText}」`, 'info');
+                  addToast(t('search.tryingConverted', { text: originalText, converted: convertedText }), 'info');
                 }
               }
               
@@ -2157,7 +2223,9 @@ function App() {
               
               // STEP 5: Show toast with counts
               if (results.length > 1 && previousSearchText !== searchQuery) {
-                addToast(`找到 ${marketableItems.length} 個可交易物品${nonMarketableItems.length > 0 ? `、${nonMarketableItems.length} 個不可交易物品` : ''}`, 'success');
+                addToast(nonMarketableItems.length > 0
+                  ? t('search.foundWithUntradable', { count: marketableItems.length, untradable: nonMarketableItems.length })
+                  : t('search.found', { count: marketableItems.length }), 'success');
               }
               
               // Note: ItemTable will now render only marketableItems (from tradeableResults)
@@ -2165,7 +2233,7 @@ function App() {
               // Button will show nonMarketableItems count and be disabled until loading completes
               
               if (results.length === 0) {
-                addToast('未找到相關物品', 'warning');
+                addToast(t('search.noResults'), 'warning');
                 // No results means velocity fetch won't run, so re-enable server selector here
                 if (lastProcessedURLRef.current === currentURLKey) {
                   setIsServerSelectorDisabled(false);
@@ -2180,7 +2248,7 @@ function App() {
                   selectedItemRef.current = item;
                   addItemToHistory(item.id);
                   navigate(`/item/${item.id}`, { replace: true });
-                  addToast(`已選擇: ${item.name}`, 'info');
+                  addToast(t('search.selected', { name: item.name }), 'info');
                 }
               }
               // If there are results, velocity fetch will handle re-enabling server selector
@@ -2203,7 +2271,7 @@ function App() {
                 setUntradeableResults([]);
                 searchResultsRef.current = results;
                 if (results.length > 1 && previousSearchText !== searchQuery) {
-                  addToast(`找到 ${results.length} 個物品`, 'success');
+                  addToast(t('search.foundItems', { count: results.length }), 'success');
                 }
                 if (results.length === 1) {
                   const item = results[0];
@@ -2211,16 +2279,16 @@ function App() {
                   selectedItemRef.current = item;
                   addItemToHistory(item.id);
                   navigate(`/item/${item.id}`, { replace: true });
-                  addToast(`已選擇: ${item.name}`, 'info');
+                  addToast(t('search.selected', { name: item.name }), 'info');
                 }
               } else {
                 // No results or search failed completely
-                setError('搜索失敗，請稍後再試');
+                setError(t('search.failedRetryLater'));
                 setTradeableResults([]);
                 setUntradeableResults([]);
                 setShowUntradeable(false);
                 searchResultsRef.current = [];
-                addToast('搜索失敗', 'error');
+                addToast(t('search.failed'), 'error');
                 // On error, re-enable server selector since velocity fetch won't run
                 setIsServerSelectorDisabled(false);
               }
@@ -2322,7 +2390,7 @@ function App() {
         setError(null);
         setRateLimitMessage(null);
         // Don't navigate if we're on crafting-inspiration, msq-price-checker, advanced-search or history page
-        if (!skipNavigation && !currentItemId && location.pathname !== '/crafting-inspiration' && location.pathname !== '/msq-price-checker' && location.pathname !== '/advanced-search' && location.pathname !== '/history') {
+        if (!skipNavigation && !currentItemId && location.pathname !== '/crafting-inspiration' && location.pathname !== '/msq-price-checker' && location.pathname !== '/advanced-search' && location.pathname !== '/history' && location.pathname !== '/watchlist' && location.pathname !== '/shopping-list' && location.pathname !== '/retainers' && location.pathname !== '/arbitrage' && location.pathname !== '/compare' && location.pathname !== '/gathering-inspiration' && location.pathname !== '/settings') {
           navigate('/');
         }
       }
@@ -2330,7 +2398,7 @@ function App() {
     }
 
     if (isLoadingDB || !isServerDataLoaded) {
-      addToast('請等待伺服器資料加載完成', 'warning');
+      addToast(t('nav.serverDataLoading'), 'warning');
       return;
     }
 
@@ -2397,10 +2465,10 @@ function App() {
       if (converted && convertedText) {
         if (searchedSimplified) {
           if (results.length > 0) {
-            addToast(`「${originalText}」繁體搜尋無資料，在簡體中文資料庫找到結果！`, 'warning');
+            addToast(t('search.foundInSimplified', { text: originalText }), 'warning');
           }
         } else {
-          addToast(`「${originalText}」無搜尋結果，正在嘗試轉譯成「${convertedText}」`, 'info');
+          addToast(t('search.tryingConverted', { text: originalText, converted: convertedText }), 'info');
         }
       }
       
@@ -2441,7 +2509,9 @@ function App() {
       
       // STEP 5: Show toast with counts
       if (results.length > 1) {
-        addToast(`找到 ${marketableItems.length} 個可交易物品${nonMarketableItems.length > 0 ? `、${nonMarketableItems.length} 個不可交易物品` : ''}`, 'success');
+        addToast(nonMarketableItems.length > 0
+          ? t('search.foundWithUntradable', { count: marketableItems.length, untradable: nonMarketableItems.length })
+          : t('search.found', { count: marketableItems.length }), 'success');
       }
       
       // Note: ItemTable will now render only marketableItems (from tradeableResults)
@@ -2449,7 +2519,7 @@ function App() {
       // Button will show nonMarketableItems count and be disabled until loading completes
       
       if (results.length === 0) {
-        addToast('未找到相關物品', 'warning');
+        addToast(t('search.noResults'), 'warning');
         // No results means velocity fetch won't run, so re-enable server selector here
         setIsServerSelectorDisabled(false);
       } else {
@@ -2467,7 +2537,7 @@ function App() {
           selectedItemRef.current = item;
           addItemToHistory(item.id);
           navigate(`/item/${item.id}`, { replace: true });
-          addToast(`已選擇: ${item.name}`, 'info');
+          addToast(t('search.selected', { name: item.name }), 'info');
         }
       }
     } catch (err) {
@@ -2475,8 +2545,8 @@ function App() {
       if (err.name === 'AbortError' || searchSignal.aborted) {
         return;
       }
-      setError(err.message || '搜索失敗，請稍後再試');
-      addToast('搜索失敗', 'error');
+      setError(err.message || t('search.failedRetryLater'));
+      addToast(t('search.failed'), 'error');
       setTradeableResults([]);
       setUntradeableResults([]);
       setShowUntradeable(false);
@@ -2495,6 +2565,38 @@ function App() {
   }, [addToast, isLoadingDB, selectedServerOption, handleItemSelect, params.id, location.pathname, navigate]);
 
   // Handle server option change
+  // Home region changed: switch to its home (or first) data center unless the current one is already in it
+  useEffect(() => {
+    if (!isServerDataLoaded || !selectedWorld) return;
+    const regionDCs = getDataCentersForRegion(datacenters, homeRegion);
+    if (regionDCs.length === 0 || regionDCs.some(dc => dc.name === selectedWorld.section)) return;
+    const firstDC = regionDCs.find(dc => dc.name === settings.homeDataCenter) || regionDCs[0];
+    if (!firstDC.worlds || firstDC.worlds.length === 0) return;
+    setSelectedWorld({
+      region: firstDC.region || '',
+      section: firstDC.name,
+      world: worlds[firstDC.worlds[0]],
+      dcObj: firstDC,
+    });
+    setSelectedServerOption(firstDC.name);
+  }, [homeRegion, isServerDataLoaded]);
+
+  // Display language changed: show the viewed item's name in the new language
+  // (search results pick it up on the next search)
+  const displayLanguageRef = useRef(displayLanguage);
+  useEffect(() => {
+    if (displayLanguageRef.current === displayLanguage) return;
+    displayLanguageRef.current = displayLanguage;
+    if (!selectedItem) return;
+    const itemId = selectedItem.id;
+    getItemById(itemId, false).then(item => {
+      if (!item) return;
+      setSelectedItem(prev => (prev && prev.id === itemId
+        ? { ...prev, name: item.name, searchLanguageName: item.searchLanguageName }
+        : prev));
+    });
+  }, [displayLanguage]);
+
   const handleServerOptionChange = useCallback((option) => {
     console.log('[handleServerOptionChange] Called with option:', option, 'type:', typeof option);
     
@@ -2556,6 +2658,7 @@ function App() {
     setMarketHistory([]);
     setError(null);
     setRateLimitMessage(null);
+    setStaleSnapshot(null);
 
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -2614,7 +2717,7 @@ function App() {
         ) {
           retryCountRef.current++;
           requestInProgressRef.current = false;
-          addToast(`請求超時，正在重試 (${retryCountRef.current}/3)...`, 'warning');
+          addToast(t('itemDetail.requestTimeoutRetry', { attempt: retryCountRef.current }), 'warning');
           loadMarketData(true);
         }
       }, 1500);
@@ -2657,6 +2760,7 @@ function App() {
           
           const allListings = (data.listings || [])
             .map(listing => ({
+              listingId: listing.listingID,
               itemName: requestItemName,
               pricePerUnit: listing.pricePerUnit,
               quantity: listing.quantity,
@@ -2693,8 +2797,18 @@ function App() {
             setMarketListings(listings);
             setMarketHistory(history);
             if (isRetry && retryCountRef.current > 0) {
-              addToast('數據加載成功', 'success');
+              addToast(t('itemDetail.retrySucceeded'), 'success');
             }
+
+            saveMarketSnapshot(requestItemId, {
+              server: requestServerOption,
+              serverName: isDataCenterSearch
+                ? requestServerOption
+                : (worlds[requestServerOption] || data.worldName || String(requestServerOption)),
+              lastUploadTime: data.lastUploadTime || null,
+              listings,
+              history,
+            });
           }
         }
       } catch (err) {
@@ -2703,15 +2817,32 @@ function App() {
         if (err.name === 'AbortError' || err.code === 'ERR_CANCELED' || abortControllerRef.current?.signal.aborted) {
           return;
         }
+
+        // No connection - show the last snapshot of this item instead of retrying
+        if (!err.response && (err.code === 'ERR_NETWORK' || !navigator.onLine)) {
+          const snapshot = await getMarketSnapshot(requestItemId);
+          if (
+            snapshot &&
+            currentRequestId === requestIdRef.current &&
+            selectedItem?.id === requestItemId &&
+            selectedServerOption === requestServerOption
+          ) {
+            setMarketListings(snapshot.listings || []);
+            setMarketHistory(snapshot.history || []);
+            setStaleSnapshot(snapshot);
+            addToast(t('itemDetail.offlineSnapshotToast'), 'warning');
+            return;
+          }
+        }
         
         if (
           currentRequestId === requestIdRef.current &&
           selectedItem?.id === requestItemId &&
           selectedServerOption === requestServerOption
         ) {
-          if (err.message && err.message.includes('請求頻率過高')) {
-            setRateLimitMessage('請求頻率過高，請稍後再試');
-            addToast('請求頻率過高，請稍後再試', 'warning');
+          if (err.code === RATE_LIMIT_ERROR_CODE) {
+            setRateLimitMessage(t('errors.rateLimited'));
+            addToast(t('errors.rateLimited'), 'warning');
             setTimeout(() => {
               if (
                 currentRequestId === requestIdRef.current && 
@@ -2724,14 +2855,14 @@ function App() {
             }, 3000);
           } else {
             if (err.response?.status === 404) {
-              setError('此物品在市場數據中不存在，可能無法在市場板交易');
-              addToast('此物品在市場數據中不存在', 'warning');
+              setError(t('itemDetail.notOnMarketDetail'));
+              addToast(t('itemDetail.notOnMarket'), 'warning');
               return;
             }
             
             if (retryCountRef.current < 3) {
               retryCountRef.current++;
-              addToast(`請求失敗，正在重試 (${retryCountRef.current}/3)...`, 'warning');
+              addToast(t('itemDetail.requestFailedRetry', { attempt: retryCountRef.current }), 'warning');
               setTimeout(() => {
                 if (
                   currentRequestId === requestIdRef.current && 
@@ -2744,7 +2875,7 @@ function App() {
               }, 500);
             } else {
               setError(err.message);
-              addToast('加載市場數據失敗', 'error');
+              addToast(t('itemDetail.marketLoadFailed'), 'error');
             }
           }
         }
@@ -2768,6 +2899,14 @@ function App() {
     };
   }, [isLoadingDB, selectedItem, selectedServerOption, listSize, hqOnly, worlds, refreshKey, addToast, selectedWorld]);
 
+  // Reload live market data once the connection comes back
+  // (only reacts to isOnline: a snapshot shown while the browser reports online must not trigger a reload loop)
+  useEffect(() => {
+    if (isOnline && staleSnapshot) {
+      setRefreshKey(prev => prev + 1);
+    }
+  }, [isOnline]);
+
   // Pre-fetch Simplified Chinese name when entering item info page
   useEffect(() => {
     if (!selectedItem) {
@@ -2804,6 +2943,21 @@ function App() {
     };
   }, [selectedItem]);
 
+  // Keep the crafter profile in sync (same tab and other tabs)
+  useEffect(() => {
+    const unsubscribe = subscribeToCrafterProfile(setCrafterProfile);
+    const handleStorageChange = (e) => {
+      if (e.key === 'market_tester_crafter_profile') {
+        setCrafterProfile(getCrafterProfile());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
   // Load crafting recipe when item changes
   useEffect(() => {
     if (!selectedItem) {
@@ -2819,6 +2973,23 @@ function App() {
     setIsLoadingCraftingTree(true);
     setCraftingTree(null);
     setIsCraftingTreeExpanded(false);
+
+    // Restore the plan from a shared link, otherwise start from the defaults
+    // (read from window.location: the URL has already changed to the new item, searchParams may not have yet)
+    const sharedPlan = decodeCraftingTreeState(new URLSearchParams(window.location.search).get(CRAFTING_PLAN_PARAM));
+    const plan = sharedPlan || getDefaultCraftingTreeState();
+    const planExcludeCrystals = sharedPlan ? sharedPlan.excludeCrystals : excludeCrystals;
+    setCraftAmount(plan.amount);
+    setCollapsedItemIds(plan.collapsedItemIds);
+    setMethodOverrides(plan.methodOverrides);
+    setRecipeChoices(plan.recipeChoices);
+    setCraftingPlanItemId(selectedItem.id);
+    if (sharedPlan) {
+      // Applied for this page only - the saved preference is left untouched
+      setExcludeCrystals(sharedPlan.excludeCrystals);
+      // A shared plan is about the crafting tree - open it right away
+      setIsCraftingTreeExpanded(true);
+    }
     
     hasRecipe(selectedItem.id)
       .then(async (hasCraft) => {
@@ -2826,7 +2997,7 @@ function App() {
         
         if (hasCraft) {
           // Build the crafting tree with excludeCrystals parameter
-          const tree = await buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals);
+          const tree = await buildCraftingTree(selectedItem.id, plan.amount, new Set(), 0, planExcludeCrystals, { recipeChoices: plan.recipeChoices, crafterLevels });
           setCraftingTree(tree);
         }
         
@@ -2855,27 +3026,110 @@ function App() {
       });
   }, [selectedItem]);
 
-  // Update crafting tree when excludeCrystals changes (without collapsing)
+  // Update crafting tree when excludeCrystals, the amount, the picked recipes or the crafter levels change (without collapsing)
   useEffect(() => {
     if (!selectedItem || !hasCraftingRecipe) return;
 
+    // Only the latest build may replace the tree (settings can change while a build is running)
+    let cancelled = false;
     setIsLoadingCraftingTree(true);
     
-    buildCraftingTree(selectedItem.id, 1, new Set(), 0, excludeCrystals)
+    buildCraftingTree(selectedItem.id, craftAmount, new Set(), 0, excludeCrystals, { recipeChoices, crafterLevels })
       .then(tree => {
+        if (cancelled) return;
         setCraftingTree(tree);
         setIsLoadingCraftingTree(false);
       })
       .catch(error => {
+        if (cancelled) return;
         console.error('Failed to rebuild crafting tree:', error);
         setIsLoadingCraftingTree(false);
       });
-  }, [excludeCrystals, selectedItem, hasCraftingRecipe]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [excludeCrystals, selectedItem, hasCraftingRecipe, craftAmount, recipeChoices, crafterLevels]);
+
+  // Keep the crafting tree plan in the URL so the item page can be shared as is
+  useEffect(() => {
+    if (!selectedItem || craftingPlanItemId !== selectedItem.id || !location.pathname.startsWith('/item/')) return;
+
+    const plan = encodeCraftingTreeState({
+      amount: craftAmount,
+      excludeCrystals,
+      collapsedItemIds,
+      methodOverrides,
+      recipeChoices,
+    });
+    if (plan === (searchParams.get(CRAFTING_PLAN_PARAM) || '')) return;
+
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (plan) {
+        next.set(CRAFTING_PLAN_PARAM, plan);
+      } else {
+        next.delete(CRAFTING_PLAN_PARAM);
+      }
+      return next;
+    }, { replace: true });
+  }, [selectedItem, craftingPlanItemId, location.pathname, searchParams, setSearchParams, craftAmount, excludeCrystals, collapsedItemIds, methodOverrides, recipeChoices]);
+
+  // Patch the listings and sale history from live events while the item page shows fresh data
+  const liveWorldIds = useMemo(() => {
+    if (!selectedWorld || !selectedServerOption) return [];
+    if (selectedServerOption === selectedWorld.section) {
+      return selectedWorld.dcObj?.worlds || [];
+    }
+    const worldId = Number(selectedServerOption);
+    return Number.isInteger(worldId) ? [worldId] : [];
+  }, [selectedWorld, selectedServerOption]);
+
+  const liveFeedStatus = useLiveMarketFeed({
+    enabled: isLiveFeedEnabled && !!selectedItem && !isLoadingMarket && !staleSnapshot && isOnline,
+    itemId: selectedItem?.id,
+    itemName: selectedItem?.name,
+    worldIds: liveWorldIds,
+    worlds,
+    listSize,
+    hqOnly: !!(selectedItem?.canBeHQ && hqOnly),
+    setMarketListings,
+    setMarketHistory,
+  });
+
+  const handleLiveFeedToggle = useCallback(() => {
+    updateSettings({ liveFeed: !isLiveFeedEnabled });
+  }, [isLiveFeedEnabled, updateSettings]);
 
   // Handle excludeCrystals toggle
   const handleExcludeCrystalsChange = useCallback((newValue) => {
-    setExcludeCrystals(newValue);
-    localStorage.setItem('craftingTreeExcludeCrystals', newValue.toString());
+    updateSettings({ excludeCrystals: newValue });
+  }, [updateSettings]);
+
+  // Switch the recipe used for an item in the crafting tree
+  const handleRecipeChange = useCallback((itemId, recipeId) => {
+    setRecipeChoices(prev => ({ ...prev, [itemId]: recipeId }));
+  }, []);
+
+  const handleCraftAmountChange = useCallback((amount) => {
+    setCraftAmount(normalizeCraftAmount(amount));
+  }, []);
+
+  const handleToggleCollapse = useCallback((itemId) => {
+    setCollapsedItemIds(prev => (prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]));
+  }, []);
+
+  // Force buying or crafting an item in the crafting tree (null = decide by price)
+  const handleMethodOverrideChange = useCallback((itemId, method) => {
+    setMethodOverrides(prev => {
+      const next = { ...prev };
+      if (method) {
+        next[itemId] = method;
+      } else {
+        delete next[itemId];
+      }
+      return next;
+    });
   }, []);
 
   const serverOptions = selectedWorld
@@ -2887,16 +3141,30 @@ function App() {
   const isOnCraftingInspirationPage = location.pathname === '/crafting-inspiration';
   const isOnMSQPriceCheckerPage = location.pathname === '/msq-price-checker';
   const isOnAdvancedSearchPage = location.pathname === '/advanced-search';
+  const isOnWatchlistPage = location.pathname === '/watchlist';
+  const isOnShoppingListPage = location.pathname === '/shopping-list';
+  const isOnRetainerMonitorPage = location.pathname === '/retainers';
+  const isOnArbitragePage = location.pathname === '/arbitrage';
+  const isOnComparePage = location.pathname === '/compare';
+  const isOnGatheringInspirationPage = location.pathname === '/gathering-inspiration';
+  const isOnSettingsPage = location.pathname === '/settings';
 
   // Check if current route is valid
   const isValidRoute = () => {
     const pathname = location.pathname;
-    // Valid routes: /, /history, /crafting-inspiration, /msq-price-checker, /advanced-search, /item/:id, /search
+    // Valid routes: /, /history, /crafting-inspiration, /msq-price-checker, /advanced-search, /watchlist, /shopping-list, /retainers, /arbitrage, /compare, /gathering-inspiration, /settings, /item/:id, /search
     if (pathname === '/' || 
         pathname === '/history' || 
         pathname === '/crafting-inspiration' || 
         pathname === '/msq-price-checker' ||
         pathname === '/advanced-search' ||
+        pathname === '/watchlist' ||
+        pathname === '/shopping-list' ||
+        pathname === '/retainers' ||
+        pathname === '/arbitrage' ||
+        pathname === '/compare' ||
+        pathname === '/gathering-inspiration' ||
+        pathname === '/settings' ||
         pathname === '/search') {
       return true;
     }
@@ -2950,6 +3218,248 @@ function App() {
     );
   }
 
+  // Render watchlist if on that route
+  if (isOnWatchlistPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <Watchlist
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          serverOptions={selectedWorld && selectedWorld.dcObj ? [selectedWorld.section, ...selectedWorld.dcObj.worlds] : []}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render shopping list if on that route
+  if (isOnShoppingListPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <ShoppingList
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render retainer monitor if on that route
+  if (isOnRetainerMonitorPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <RetainerMonitor
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render arbitrage finder if on that route
+  if (isOnArbitragePage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <ArbitrageFinder
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render compare page if on that route
+  if (isOnComparePage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <CompareItems
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render gathering inspiration if on that route
+  if (isOnGatheringInspirationPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <GatheringInspiration
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
+  // Render settings page if on that route
+  if (isOnSettingsPage) {
+    return (
+      <Suspense fallback={
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-4 border-slate-700 border-t-ffxiv-gold"></div>
+        </div>
+      }>
+        <SettingsPage
+          addToast={addToast}
+          removeToast={removeToast}
+          toasts={toasts}
+          datacenters={datacenters}
+          worlds={worlds}
+          selectedWorld={selectedWorld}
+          selectedServerOption={selectedServerOption}
+          onServerOptionChange={handleServerOptionChange}
+          isServerDataLoaded={isServerDataLoaded}
+          onItemSelect={handleItemSelect}
+          onSearch={handleSearch}
+          searchText={searchText}
+          setSearchText={setSearchText}
+          isSearching={isSearching}
+          onTaxRatesClick={() => {
+            setIsTaxRatesModalOpen(true);
+          }}
+          isTaxRatesModalOpen={isTaxRatesModalOpen}
+          setIsTaxRatesModalOpen={setIsTaxRatesModalOpen}
+          taxRates={taxRates}
+          isLoadingTaxRates={isLoadingTaxRates}
+        />
+      </Suspense>
+    );
+  }
+
   // Render MSQ price checker if on that route
   if (isOnMSQPriceCheckerPage) {
     return (
@@ -3080,7 +3590,7 @@ function App() {
         <div className="fixed top-14 mid:top-4 left-1/2 transform -translate-x-1/2 z-[60]">
           <div className="bg-gradient-to-r from-purple-900/80 to-indigo-900/80 backdrop-blur-sm px-3 mid:px-4 py-2 rounded-lg border border-ffxiv-gold/30 flex items-center gap-2">
             <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
-            <span className="text-xs mid:text-sm text-gray-300">正在載入伺服器...</span>
+            <span className="text-xs mid:text-sm text-gray-300">{t('app.loadingServers')}</span>
           </div>
         </div>
       )}
@@ -3112,17 +3622,17 @@ function App() {
                         d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
                       />
                     </svg>
-                    歷史記錄
+                    {t('history.title')}
                   </h2>
                 </div>
                 <button
                   onClick={() => {
-                    if (window.confirm('確定要清空所有歷史記錄嗎？')) {
+                    if (window.confirm(t('history.clearConfirm'))) {
                       clearHistory();
                     }
                   }}
                   className="px-3 sm:px-4 py-1.5 sm:py-2 text-xs sm:text-sm font-medium bg-red-800/60 hover:bg-red-700/70 text-gray-200 hover:text-white rounded-md border border-red-500/40 hover:border-red-400/60 transition-all duration-200 flex items-center gap-2"
-                  title="清空歷史記錄"
+                  title={t('history.clear')}
                 >
                   <svg 
                     xmlns="http://www.w3.org/2000/svg" 
@@ -3138,14 +3648,14 @@ function App() {
                       d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" 
                     />
                   </svg>
-                  <span>清空歷史記錄</span>
+                  <span>{t('history.clear')}</span>
                 </button>
               </div>
               
               {isHistoryLoading ? (
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 text-center">
                   <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-ffxiv-gold mx-auto"></div>
-                  <p className="mt-4 text-sm text-gray-400">載入歷史記錄...</p>
+                  <p className="mt-4 text-sm text-gray-400">{t('history.loading')}</p>
                 </div>
               ) : historyItems.length > 0 ? (
                 <SearchResultsTable
@@ -3165,10 +3675,11 @@ function App() {
                   itemRecentPurchases={historyRecentPurchases}
                   itemTradability={historyTradability}
                   isLoadingVelocities={isLoadingHistoryVelocities}
-                  averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+                  averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('itemTable.dcAveragePrice') : t('itemTable.averagePrice')}
                   getSimplifiedChineseName={getSimplifiedChineseName}
                   addToast={addToast}
-                  title="歷史記錄"
+                  title={t('history.title')}
+                  exportFilename={t('history.title')}
                   showLoadingIndicator={false}
                   showWarningForLargeResults={false}
                   onSelect={handleItemSelect}
@@ -3176,8 +3687,8 @@ function App() {
               ) : (
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 text-center">
                   <div className="text-6xl mb-4">📜</div>
-                  <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-2">暫無歷史記錄</h2>
-                  <p className="text-sm sm:text-base text-gray-400">查看物品詳情後，會自動保存到歷史記錄</p>
+                  <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-2">{t('history.empty')}</h2>
+                  <p className="text-sm sm:text-base text-gray-400">{t('history.emptyHint')}</p>
                 </div>
               )}
             </div>
@@ -3223,10 +3734,11 @@ function App() {
                 showLoadingIndicator={showLoadingIndicator}
                 isSearching={isSearching}
                 searchingItemsCount={searchingItemsCount}
-                averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+                averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('itemTable.dcAveragePrice') : t('itemTable.averagePrice')}
                 getSimplifiedChineseName={getSimplifiedChineseName}
                 addToast={addToast}
-                title="搜索結果"
+                title={t('searchResults.title')}
+                exportFilename={t('itemTable.exportFilename')}
                 titleSuffix=""
                 showUntradeableButton={true}
                 untradeableCount={untradeableResults.length}
@@ -3246,7 +3758,7 @@ function App() {
                   const targetPageItems = itemsToDisplay.slice(targetStartIndex, targetEndIndex);
                   
                   if (targetPageItems.length === 0 && isServerSelectorDisabled) {
-                    addToast('該頁面資料正在載入中，請稍候...', 'warning');
+                    addToast(t('search.pageLoading'), 'warning');
                     return;
                   }
                   handleSearchPageChange(newPage);
@@ -3255,8 +3767,8 @@ function App() {
                   setSearchItemsPerPage(newItemsPerPage);
                   setSearchCurrentPage(1);
                 }}
-                defaultItemsPerPage={20}
-                itemsPerPageOptions={[20, 30, 50, 100, 200]}
+                defaultItemsPerPage={searchItemsPerPage}
+                itemsPerPageOptions={ITEMS_PER_PAGE_OPTIONS}
                 onSelect={handleItemSelect}
               />
             );
@@ -3306,14 +3818,14 @@ function App() {
                                 ? `${selectedItem.searchLanguageName} (${selectedItem.nameTW})`
                                 : selectedItem.name;
                               await navigator.clipboard.writeText(nameToCopy);
-                              addToast('已複製物品名稱', 'success');
+                              addToast(t('itemTable.nameCopied'), 'success');
                             } catch (err) {
                               console.error('Failed to copy:', err);
-                              addToast('複製失敗', 'error');
+                              addToast(t('itemTable.copyFailed'), 'error');
                             }
                           }}
                           className="flex-shrink-0 p-1 mid:p-1.5 text-gray-400 hover:text-ffxiv-gold hover:bg-purple-800/40 rounded-md border border-transparent hover:border-purple-500/40 transition-all duration-200"
-                          title="複製物品名稱"
+                          title={t('itemTable.copyName')}
                         >
                           <svg 
                             xmlns="http://www.w3.org/2000/svg" 
@@ -3347,7 +3859,7 @@ function App() {
                                     boxShadow: `0 1px 3px ${getVersionColor(version)}20`,
                                   }}
                                 >
-                                  版本: {version}
+                                  {t('itemDetail.version', { version })}
                                 </span>
                               )}
                               {ilvl !== null && (
@@ -3377,7 +3889,7 @@ function App() {
                 {/* Second Row: Controls (Quantity & HQ) */}
                 <div className="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-6 pt-3 border-t border-slate-700/50">
                   <div className="flex items-center gap-2 sm:gap-3">
-                    <label className="text-xs sm:text-sm text-gray-400 whitespace-nowrap">數量:</label>
+                    <label className="text-xs sm:text-sm text-gray-400 whitespace-nowrap">{t('itemDetail.quantity')}</label>
                     <input
                       type="range"
                       min="10"
@@ -3447,10 +3959,10 @@ function App() {
                     `}
                     title={
                       isLoadingCraftingTree 
-                        ? '載入配方中...' 
+                        ? t('itemDetail.loadingRecipe')
                         : hasCraftingRecipe 
-                          ? (isCraftingTreeExpanded ? '收起製作價格樹' : '展開製作價格樹')
-                          : '此物品無製作配方'
+                          ? (isCraftingTreeExpanded ? t('obtain.collapseTreeTitle') : t('obtain.expandTreeTitle'))
+                          : t('itemDetail.noRecipe')
                     }
                   >
                     {/* Shimmer effect for active button */}
@@ -3471,7 +3983,7 @@ function App() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
                       </svg>
                     )}
-                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">製作價格樹</span>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('itemDetail.craftingTree')}</span>
                   </button>
 
                   {/* Related Items Button */}
@@ -3489,10 +4001,10 @@ function App() {
                     `}
                     title={
                       isLoadingRelatedItems 
-                        ? '載入中...' 
+                        ? t('common.loading')
                         : hasRelatedItems 
-                          ? (isRelatedItemsExpanded ? '收起相關物品' : '展開相關物品')
-                          : '此物品未被用作材料'
+                          ? (isRelatedItemsExpanded ? t('itemDetail.collapseRelated') : t('itemDetail.expandRelated'))
+                          : t('itemDetail.noRelated')
                     }
                   >
                     {isLoadingRelatedItems ? (
@@ -3508,8 +4020,69 @@ function App() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
                       </svg>
                     )}
-                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">相關物品</span>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('itemDetail.relatedItems')}</span>
+                  </button>
+
+                  {/* Price Alert Button */}
+                  <button
+                    onClick={() => navigate(`/watchlist?add=${selectedItem.id}`)}
+                    className="flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-xl transition-all duration-300 bg-gradient-to-r from-purple-900/50 via-indigo-900/40 to-purple-900/50 border border-purple-400/40 text-purple-200 hover:text-ffxiv-gold hover:border-ffxiv-gold/50"
+                    title={t('itemDetail.setPriceAlert')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4 sm:h-5 sm:w-5"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                    </svg>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('nav.watchlist')}</span>
+                  </button>
+
+                  {/* Retainer Monitor Button */}
+                  <button
+                    onClick={() => navigate(`/retainers?add=${selectedItem.id}`)}
+                    className="flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-xl transition-all duration-300 bg-gradient-to-r from-purple-900/50 via-indigo-900/40 to-purple-900/50 border border-purple-400/40 text-purple-200 hover:text-ffxiv-gold hover:border-ffxiv-gold/50"
+                    title={t('itemDetail.monitorRetainersTitle')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4 sm:h-5 sm:w-5"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                    </svg>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('nav.retainerMonitor')}</span>
                   </button>
+
+                  {/* Add to Shopping List Button */}
+                  <button
+                    onClick={() => {
+                      if (addToShoppingList(selectedItem.id, selectedItem.name, 1)) {
+                        addToast(t('itemDetail.addedToShoppingList', { name: selectedItem.name }), 'success');
+                      }
+                    }}
+                    className="flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-xl transition-all duration-300 bg-gradient-to-r from-purple-900/50 via-indigo-900/40 to-purple-900/50 border border-purple-400/40 text-purple-200 hover:text-ffxiv-gold hover:border-ffxiv-gold/50"
+                    title={t('itemDetail.addToShoppingListTitle')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-4 w-4 sm:h-5 sm:w-5"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
+                    </svg>
+                    <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">{t('nav.shoppingList')}</span>
+                  </button>
+
+                  {/* Add to Compare Button */}
+                  <CompareButton variant="pill" itemId={selectedItem.id} itemName={selectedItem.name} addToast={addToast} />
                 </div>
               </div>
 
@@ -3518,7 +4091,7 @@ function App() {
                 <Suspense fallback={
                   <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                     <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                    <p className="mt-4 text-sm text-gray-400">載入製作價格樹...</p>
+                    <p className="mt-4 text-sm text-gray-400">{t('itemDetail.loadingCraftingTree')}</p>
                   </div>
                 }>
                   <CraftingTree
@@ -3529,6 +4102,14 @@ function App() {
                     onItemSelect={handleItemSelect}
                     excludeCrystals={excludeCrystals}
                     onExcludeCrystalsChange={handleExcludeCrystalsChange}
+                    onRecipeChange={handleRecipeChange}
+                    taxRates={taxRates}
+                    amount={craftAmount}
+                    onAmountChange={handleCraftAmountChange}
+                    collapsedItemIds={collapsedItemIds}
+                    onToggleCollapse={handleToggleCollapse}
+                    methodOverrides={methodOverrides}
+                    onMethodOverrideChange={handleMethodOverrideChange}
                   />
                 </Suspense>
               )}
@@ -3538,7 +4119,7 @@ function App() {
                 <Suspense fallback={
                   <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                     <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                    <p className="mt-4 text-sm text-gray-400">載入相關物品...</p>
+                    <p className="mt-4 text-sm text-gray-400">{t('itemDetail.loadingRelated')}</p>
                   </div>
                 }>
                   <RelatedItems
@@ -3557,13 +4138,32 @@ function App() {
                 />
               )}
 
+              {/* Offline snapshot banner */}
+              {staleSnapshot && !isLoadingMarket && (
+                <div className="flex items-center justify-between gap-3 flex-wrap px-3 sm:px-4 py-2 sm:py-3 rounded-lg bg-amber-900/30 border border-amber-500/40 text-xs sm:text-sm text-amber-200">
+                  <span>
+                    ⚠️ {t('itemDetail.offlineSnapshot', {
+                      age: formatRelativeTime(staleSnapshot.fetchedAt),
+                      time: formatLocalTime(staleSnapshot.fetchedAt),
+                      server: staleSnapshot.serverName,
+                    })}
+                  </span>
+                  <button
+                    onClick={() => setRefreshKey(prev => prev + 1)}
+                    className="text-xs px-2 sm:px-3 py-1 bg-amber-800/50 hover:bg-amber-700/60 rounded border border-amber-500/40 transition-colors"
+                  >
+                    {t('itemDetail.retry')}
+                  </button>
+                </div>
+              )}
+
               {/* Market Listings & History - Side by Side */}
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
                 {/* Market Listings */}
                 <div className="flex flex-col">
                   <div className="flex items-center justify-between mb-2 sm:mb-3">
                     <div className="flex items-center gap-2 flex-wrap">
-                      <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">在售列表</h3>
+                      <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">{t('itemDetail.listings')}</h3>
                       {/* Show upload time when a single server is selected */}
                       {(() => {
                         // Check if a single server (not DC) is selected
@@ -3608,12 +4208,41 @@ function App() {
                         ) : null;
                       })()}
                     </div>
-                    <button
-                      onClick={() => setRefreshKey(prev => prev + 1)}
-                      className="text-xs px-2 sm:px-3 py-1 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
-                    >
-                      刷新
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={handleLiveFeedToggle}
+                        className={`flex items-center gap-1.5 text-xs px-2 sm:px-3 py-1 rounded border transition-colors ${
+                          isLiveFeedEnabled
+                            ? 'bg-ffxiv-gold/20 border-ffxiv-gold/60 text-ffxiv-gold'
+                            : 'bg-purple-900/40 border-purple-500/40 text-gray-300 hover:text-white'
+                        }`}
+                        title={isLiveFeedEnabled
+                          ? {
+                            open: t('itemDetail.liveFeed.open'),
+                            connecting: t('itemDetail.liveFeed.connecting'),
+                            closed: t('itemDetail.liveFeed.closed'),
+                            idle: t('itemDetail.liveFeed.idle'),
+                          }[liveFeedStatus]
+                          : t('itemDetail.liveFeed.off')}
+                      >
+                        <span className={`w-2 h-2 rounded-full ${
+                          !isLiveFeedEnabled
+                            ? 'bg-gray-500'
+                            : liveFeedStatus === 'open'
+                              ? 'bg-green-400 animate-pulse'
+                              : liveFeedStatus === 'closed'
+                                ? 'bg-red-400'
+                                : 'bg-yellow-400'
+                        }`}></span>
+                        {t('itemDetail.liveFeed.label')}
+                      </button>
+                      <button
+                        onClick={() => setRefreshKey(prev => prev + 1)}
+                        className="text-xs px-2 sm:px-3 py-1 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                      >
+                        {t('itemDetail.refresh')}
+                      </button>
+                    </div>
                   </div>
                   <div className="flex-1 flex flex-col">
                     {isLoadingMarket ? (
@@ -3622,7 +4251,7 @@ function App() {
                           <>
                             <div className="text-4xl mb-4">⏳</div>
                             <p className="text-sm text-yellow-400 mb-2">{rateLimitMessage}</p>
-                            <p className="text-xs text-gray-500">將在3秒後自動重試...</p>
+                            <p className="text-xs text-gray-500">{t('itemDetail.autoRetry')}</p>
                           </>
                         ) : (
                           <>
@@ -3632,7 +4261,7 @@ function App() {
                                 <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                               </div>
                             </div>
-                            <p className="mt-4 text-sm text-gray-400 animate-pulse">正在加載市場數據...</p>
+                            <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('itemDetail.loadingMarket')}</p>
                           </>
                         )}
                       </div>
@@ -3646,7 +4275,7 @@ function App() {
 
                 {/* Market History */}
                 <div className="flex flex-col">
-                  <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">歷史交易</h3>
+                  <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('itemDetail.history')}</h3>
                   <div className="flex-1 flex flex-col">
                     {isLoadingMarket ? (
                       <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 text-center flex-1 flex items-center justify-center">
@@ -3654,7 +4283,7 @@ function App() {
                           <>
                             <div className="text-4xl mb-4">⏳</div>
                             <p className="text-sm text-yellow-400 mb-2">{rateLimitMessage}</p>
-                            <p className="text-xs text-gray-500">將在3秒後自動重試...</p>
+                            <p className="text-xs text-gray-500">{t('itemDetail.autoRetry')}</p>
                           </>
                         ) : (
                           <>
@@ -3664,7 +4293,7 @@ function App() {
                                 <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                               </div>
                             </div>
-                            <p className="mt-4 text-sm text-gray-400 animate-pulse">正在加載歷史數據...</p>
+                            <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('itemDetail.loadingHistory')}</p>
                           </>
                         )}
                       </div>
@@ -3676,6 +4305,45 @@ function App() {
                   </div>
                 </div>
               </div>
+
+              {/* Price History Chart */}
+              <div className="flex flex-col">
+                <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('itemDetail.priceTrend')}</h3>
+                <Suspense fallback={
+                  <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
+                    <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
+                    <p className="mt-4 text-sm text-gray-400">{t('itemDetail.loadingPriceTrend')}</p>
+                  </div>
+                }>
+                  <PriceHistoryChart
+                    itemId={selectedItem.id}
+                    server={selectedServerOption}
+                    isDataCenter={!!selectedWorld && selectedServerOption === selectedWorld.section}
+                    canBeHQ={!!selectedItem.canBeHQ}
+                    refreshKey={refreshKey}
+                  />
+                </Suspense>
+              </div>
+
+              {/* Sale History Statistics - fair listing price from outlier-filtered sales */}
+              <Suspense fallback={null}>
+                <SaleStatisticsPanel
+                  itemId={selectedItem.id}
+                  server={selectedServerOption}
+                  canBeHQ={!!selectedItem.canBeHQ}
+                  refreshKey={refreshKey}
+                />
+              </Suspense>
+
+              {/* Item Stats & Materia Melding - renders nothing for items without stats */}
+              <Suspense fallback={null}>
+                <ItemStatsPanel
+                  itemId={selectedItem.id}
+                  canBeHQ={!!selectedItem.canBeHQ}
+                  selectedWorld={selectedWorld}
+                  selectedServerOption={selectedServerOption}
+                />
+              </Suspense>
             </div>
           )}
 
@@ -3692,7 +4360,7 @@ function App() {
                     <div className="h-6 w-6 bg-ffxiv-gold/20 rounded-full animate-pulse"></div>
                   </div>
                 </div>
-                <p className="mt-4 text-sm text-gray-400 animate-pulse">正在載入物品...</p>
+                <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('itemDetail.loadingItem')}</p>
               </div>
             );
           })()}
@@ -3708,7 +4376,7 @@ function App() {
               {/* Welcome Section */}
               <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-8 relative z-10">
                   <div className="text-center mb-4 sm:mb-6">
-                  <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold mb-4">FFXIV繁中市場小屋</h2>
+                  <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold mb-4">{t('app.title')}</h2>
                   {/* Bear/Sheep Image */}
                   <div className="mb-4 sm:mb-6 flex justify-center items-center">
                     <div 
@@ -3752,7 +4420,7 @@ function App() {
                       value={searchText}
                       onChange={setSearchText}
                       disabled={!isServerDataLoaded}
-                      disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                      disabledTooltip={!isServerDataLoaded ? t('nav.serverDataLoading') : undefined}
                       selectedDcName={selectedWorld?.section}
                       onItemSelect={handleItemSelect}
                     />
@@ -3765,25 +4433,25 @@ function App() {
                   <div className="bg-gradient-to-br from-slate-800/40 via-purple-900/15 to-slate-800/40 rounded-lg border border-purple-500/20 p-4 sm:p-6 card-glow hover:border-purple-400/30 transition-all duration-300 flex flex-col h-full">
                     <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-3 sm:mb-4 flex items-center gap-2">
                       <span className="text-xl">💡</span>
-                      <span>使用提示</span>
+                      <span>{t('home.tips.title')}</span>
                     </h3>
                     <ul className="space-y-2.5 text-xs sm:text-sm text-gray-300">
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>支持多關鍵詞搜索，用空格分隔（例如：「陳舊的 地圖」）</span>
+                        <span>{t('home.tips.keywords')}</span>
                       </li>
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>查看物品詳情會自動保存到歷史記錄，最多保存10個物品，可在搜索欄旁的歷史記錄按鈕查看</span>
+                        <span>{t('home.tips.history')}</span>
                       </li>
                       <li className="flex items-start gap-2.5">
                         <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-bold">•</span>
-                        <span>目前新版本會需要作者手動更新後端，如有功能異常請聯繫作者DC：wuperbear</span>
+                        <span>{t('home.tips.contact')}</span>
                       </li>
                     </ul>
                     <div className="pt-5 flex-grow">
                       <p className="text-gray-300 leading-relaxed mb-0 text-xs sm:text-sm flex items-center gap-1.5">
-                        抓我玩這遊戲的人
+                        {t('home.friend')}
                         <svg 
                           xmlns="http://www.w3.org/2000/svg" 
                           className="h-4 w-4 text-purple-400" 
@@ -3798,7 +4466,7 @@ function App() {
                             d="M12 4v16m0 0l-6-6m6 6l6-6" 
                           />
                         </svg>
-                        <span className="text-purple-400/80">沒有她就沒有這個網頁</span>
+                        <span className="text-purple-400/80">{t('home.friendNote')}</span>
                       </p>
                     </div>
                     <div className="pt-2 mt-4 border-t border-purple-500/20">
@@ -3838,25 +4506,25 @@ function App() {
                           d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" 
                         />
                       </svg>
-                      <span>作者簡介</span>
+                      <span>{t('home.author.title')}</span>
                     </h3>
                     <div className="space-y-3 text-xs sm:text-sm text-gray-300 flex-grow">
                       <div className="flex items-start gap-2.5">
-                        <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-semibold">遊戲ID：</span>
+                        <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-semibold">{t('home.author.characterLabel')}</span>
                         <span className="text-gray-200 font-medium">貝肝煎熬（貝爾）</span>
                       </div>
                       <div className="flex items-start gap-2.5">
-                        <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-semibold">伺服器：</span>
-                        <span className="text-gray-200">巴哈姆特（轉服開啟後迦樓羅）</span>
+                        <span className="text-ffxiv-gold flex-shrink-0 mt-0.5 font-semibold">{t('home.author.serverLabel')}</span>
+                        <span className="text-gray-200">{t('home.author.server')}</span>
                       </div>
                       <div>
                         <p className="text-gray-300 leading-relaxed mb-2">
-                          有幫助到你的話，看到就打個招呼吧~ 
-                          <span className="text-ffxiv-gold">（賣我便宜點！）</span>
+                          {t('home.author.greeting')}{' '}
+                          <span className="text-ffxiv-gold">{t('home.author.discount')}</span>
                         </p>
                         <p className="text-gray-400 text-xs sm:text-sm italic flex items-center gap-1.5 mb-0 mt-5">
-                          或者...
-                          <span className="text-amber-400/80">鼓勵我</span>
+                          {t('home.author.or')}
+                          <span className="text-amber-400/80">{t('home.author.encourage')}</span>
                           <svg 
                             xmlns="http://www.w3.org/2000/svg" 
                             className="h-4 w-4 text-amber-400" 
@@ -3882,7 +4550,7 @@ function App() {
                         className="inline-flex items-center gap-2 px-4 py-2.5 h-[42px] bg-gradient-to-r from-amber-600/20 to-orange-600/20 hover:from-amber-600/30 hover:to-orange-600/30 rounded-lg border border-amber-500/30 hover:border-amber-400/50 transition-all duration-200 group shadow-lg hover:shadow-amber-500/20 hover:scale-105"
                       >
                         <span className="text-amber-400 group-hover:text-amber-300 transition-colors text-lg">☕</span>
-                        <span className="text-amber-300 group-hover:text-amber-200 font-medium">送我咖啡</span>
+                        <span className="text-amber-300 group-hover:text-amber-200 font-medium">{t('home.author.coffee')}</span>
                       </a>
                       <a 
                         href="https://forum.gamer.com.tw/C.php?bsn=17608&snA=28740" 
@@ -3892,10 +4560,10 @@ function App() {
                       >
                         <img 
                           src={getAssetPath('baha_icon.png')} 
-                          alt="巴哈姆特" 
+                          alt={t('home.author.bahamut')} 
                           className="h-5 w-5 transition-colors"
                         />
-                        <span className="font-medium">與巴友分享</span>
+                        <span className="font-medium">{t('home.author.share')}</span>
                       </a>
                     </div>
                   </div>
@@ -3906,7 +4574,7 @@ function App() {
               <Suspense fallback={
                 <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                   <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                  <p className="mt-4 text-sm text-gray-400">載入歷史記錄...</p>
+                  <p className="mt-4 text-sm text-gray-400">{t('history.loading')}</p>
                 </div>
               }>
                 <HistorySection onItemSelect={handleItemSelect} />
@@ -3918,7 +4586,7 @@ function App() {
                 <Suspense fallback={
                   <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center">
                     <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
-                    <p className="mt-4 text-sm text-gray-400">載入最近更新...</p>
+                    <p className="mt-4 text-sm text-gray-400">{t('home.loadingRecentUpdates')}</p>
                   </div>
                 }>
                   <RecentUpdatesSection 
@@ -3945,10 +4613,10 @@ function App() {
                       d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" 
                     />
                   </svg>
-                  致謝
+                  {t('home.credits.title')}
                 </h3>
                 <p className="text-xs sm:text-sm text-slate-400 mb-3 sm:mb-4">
-                  本專案得以實現，感謝以下優秀的服務與資料來源：
+                  {t('home.credits.intro')}
                 </p>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
                   <a 
@@ -3978,7 +4646,7 @@ function App() {
                         Universalis API
                       </div>
                       <div className="text-xs text-slate-400 mt-0.5">
-                        提供完整的市場看板數據
+                        {t('home.credits.universalis')}
                       </div>
                     </div>
                   </a>
@@ -4010,7 +4678,7 @@ function App() {
                         XIVAPI
                       </div>
                       <div className="text-xs text-slate-400 mt-0.5">
-                        提供物品圖片與遊戲數據
+                        {t('home.credits.xivapi')}
                       </div>
                     </div>
                   </a>
@@ -4042,7 +4710,7 @@ function App() {
                         FFXIV Teamcraft
                       </div>
                       <div className="text-xs text-slate-400 mt-0.5">
-                        提供製作配方數據
+                        {t('home.credits.teamcraft')}
                       </div>
                     </div>
                   </a>
@@ -4074,7 +4742,7 @@ function App() {
                         thewakingsands/ffxiv-datamining-cn
                       </div>
                       <div className="text-xs text-slate-400 mt-0.5">
-                        提供簡體中文物品數據
+                        {t('home.credits.datamining')}
                       </div>
                     </div>
                   </a>
@@ -2,16 +2,29 @@
 import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { flushSync } from 'react-dom';
 import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import { useTranslation } from '../hooks/useTranslation';
 import Toast from './Toast';
 import TopBar from './TopBar';
 import TaxRatesModal from './TaxRatesModal';
 import SearchResultsTable from './SearchResultsTable.jsx';
 import ServerSelector from './ServerSelector';
 // RunningLoader is now handled by SearchResultsTable component for centralized loading display
-import { getMarketableItems, getMarketableItemsByIds } from '../services/universalis';
-import { searchItems, getSimplifiedChineseName, getItemById } from '../services/itemDatabase';
+import { getMarketableItems, getMarketableItemsByIds, fetchAggregatedData } from '../services/universalis';
+import { searchItems, searchItemsByName, localizeItemNames, getSimplifiedChineseName, getItemById } from '../services/itemDatabase';
 import { loadRecipeDatabase, loadRecipesByJobAndLevel } from '../services/recipeDatabase';
-import { getTwJobAbbr, getTwItemUICategories, getTwItems, getIlvlsByIds, getRaritiesByIds, getEquipmentByIds, getEquipmentByJobs, getUICategoriesByIds, getTwItemById, getTwItemsByIds, getItemIdsByCategories, getItemIdsByIlvlRange } from '../services/supabaseData';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { MAX_ARBITRAGE_ITEMS } from '../utils/arbitrage';
+import { parseImportList } from '../utils/listImport';
+import BatchListEstimate from './BatchListEstimate';
+import SavedSearchesPanel from './SavedSearchesPanel';
+import { getSavedSearches, updateSavedSearch, normalizeSearchFilters, isSameSearchQuery, createRunSnapshot, searchParamsToFilters } from '../utils/savedSearches';
+import { getLocalizedJobAbbr, getLocalizedItemUICategories, getTwItems, getIlvlsByIds, getRaritiesByIds, getEquipmentByIds, getEquipmentByJobs, getUICategoriesByIds, getTwItemById, getTwItemsByIds, getItemIdsByCategories, getItemIdsByIlvlRange } from '../services/supabaseData';
+import { JOB_ABBREVIATIONS } from '../constants/jobs';
+
+// Upper bound of results added to the shopping list in one click
+const MAX_SHOPPING_LIST_ADD = 100;
+// Most items taken from an imported Teamcraft / Garland list (no name search needed)
+const MAX_IMPORTED_ITEMS = 500;
 
 export default function AdvancedSearch({
   addToast,
@@ -36,12 +49,14 @@ export default function AdvancedSearch({
   taxRates,
   isLoadingTaxRates
 }) {
+  const { t, locale } = useTranslation();
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const location = useLocation();
   const [activeTab, setActiveTab] = useState('filter'); // 'batch' or 'filter'
-  const BATCH_SEARCH_DISABLED = true; // 批量搜索功能暂时禁用
+  const BATCH_SEARCH_DISABLED = false; // 批量搜索功能开关
   const [batchInput, setBatchInput] = useState('');
+  const [batchQuantities, setBatchQuantities] = useState({}); // { itemId: quantity } from the pasted list
   const [searchResults, setSearchResults] = useState([]);
   const [untradeableResults, setUntradeableResults] = useState([]);
   const [showUntradeable, setShowUntradeable] = useState(false);
@@ -176,6 +191,38 @@ export default function AdvancedSearch({
     return result;
   }, []);
 
+  // Saved searches: the filters of the last filter search (to match it to a saved search once its prices load),
+  // a rerun waiting for its filters to be applied, and the comparison of the latest rerun with the run before it
+  const lastFilterSearchRef = useRef(null);
+  const recordedRunRequestIdRef = useRef(null);
+  const pendingSavedSearchRunRef = useRef(null);
+  const [savedSearchRunToken, setSavedSearchRunToken] = useState(0);
+  const [savedSearchComparison, setSavedSearchComparison] = useState(null);
+
+  const currentFilters = useMemo(() => normalizeSearchFilters({
+    jobs: selectedJobs,
+    categories: selectedCategories,
+    minLevel,
+    maxLevel,
+    name: itemNameFilter,
+    exact: !filterFuzzySearch,
+    rarities: selectedRarities,
+  }), [selectedJobs, selectedCategories, minLevel, maxLevel, itemNameFilter, filterFuzzySearch, selectedRarities]);
+
+  // Apply a saved / shared filter combination and run it (the search starts once the filter state has updated)
+  const runSearchFilters = useCallback((filters) => {
+    const normalized = normalizeSearchFilters(filters);
+    setActiveTab('filter');
+    setSelectedJobs(normalized.jobs);
+    setSelectedCategories(normalized.categories);
+    setMinLevel(normalized.minLevel);
+    setMaxLevel(normalized.maxLevel);
+    setItemNameFilter(normalized.name);
+    setFilterFuzzySearch(!normalized.exact);
+    pendingSavedSearchRunRef.current = { rarities: normalized.rarities };
+    setSavedSearchRunToken(prev => prev + 1);
+  }, []);
+
   // Calculate disabled categories based on selected jobs
   // All jobs (battle, crafting, gathering) should disable miscellaneous categories
   const calculateDisabledCategories = useCallback((jobs) => {
@@ -216,8 +263,8 @@ export default function AdvancedSearch({
     const loadAllData = async () => {
       try {
         const [jobAbbr, itemUICategories] = await Promise.all([
-          getTwJobAbbr(),
-          getTwItemUICategories(),
+          getLocalizedJobAbbr(),
+          getLocalizedItemUICategories(),
         ]);
         twJobAbbrDataRef.current = jobAbbr;
         twItemUICategoriesDataRef.current = itemUICategories;
@@ -383,27 +430,14 @@ export default function AdvancedSearch({
 
   // Map job ID to job abbreviation
   const getJobAbbreviation = useCallback((jobId) => {
-    const jobAbbrMap = {
-      // Base classes (lower tier)
-      1: 'GLA', 2: 'PGL', 3: 'MRD', 4: 'LNC', 5: 'ARC', 6: 'CNJ', 7: 'THM',
-      // Production jobs
-      8: 'CRP', 9: 'BSM', 10: 'ARM', 11: 'GSM', 12: 'LTW', 13: 'WVR', 14: 'ALC', 15: 'CUL',
-      // Gathering jobs
-      16: 'MIN', 17: 'BTN', 18: 'FSH',
-      // Battle jobs (higher tier)
-      19: 'PLD', 20: 'MNK', 21: 'WAR', 22: 'DRG', 23: 'BRD', 24: 'WHM', 25: 'BLM',
-      26: 'ACN', 27: 'SMN', 28: 'SCH', 29: 'ROG', 30: 'NIN',
-      31: 'MCH', 32: 'DRK', 33: 'AST', 34: 'SAM', 35: 'RDM', 36: 'BLU',
-      37: 'GNB', 38: 'DNC', 39: 'RPR', 40: 'SGE', 41: 'VPR', 42: 'PCT',
-    };
-    return jobAbbrMap[jobId];
+    return JOB_ABBREVIATIONS[jobId];
   }, []);
 
   // Handle batch search
   const handleBatchSearch = useCallback(async (inputOverride = null) => {
     // Batch search is disabled
     if (BATCH_SEARCH_DISABLED) {
-      addToast('批量搜索功能暂时不可用，敬请期待', 'info');
+      addToast(t('advancedSearch.batchDisabled'), 'info');
       return;
     }
     // Prevent multiple clicks within 1.5 seconds
@@ -434,6 +468,7 @@ export default function AdvancedSearch({
     setItemMinListings({});
     setItemRecentPurchases({});
     setItemTradability({});
+    setBatchQuantities({});
     setCurrentPage(1);
 
     // Use override input if provided (for URL parameter), otherwise use batchInput state
@@ -445,35 +480,35 @@ export default function AdvancedSearch({
       inputToUse = typeof batchInput === 'string' ? batchInput : String(batchInput || '');
     }
     
-    // Parse batch input - support both comma-separated and newline-separated item names
-    const inputLines = inputToUse.trim().split(/[,\n]/).map(line => line.trim()).filter(line => line);
+    // Parse batch input - Teamcraft / Garland Tools exports, "qty x name" lists, or plain names
+    // (newline or comma separated); duplicates are merged and their quantities added up
+    const { format, entries, duplicateCount } = parseImportList(inputToUse);
     
-    if (inputLines.length === 0) {
-      addToast('請輸入至少一個物品名稱', 'error');
+    if (entries.length === 0) {
+      addToast(t('advancedSearch.batch.emptyInput'), 'error');
       return;
     }
 
-    // Remove duplicate item names (case-insensitive)
-    const uniqueItemNames = [];
-    const seenNames = new Set();
-    for (const name of inputLines) {
-      const normalizedName = name.toLowerCase().trim();
-      if (!seenNames.has(normalizedName)) {
-        seenNames.add(normalizedName);
-        uniqueItemNames.push(name);
-      }
+    const importedEntries = entries.filter(entry => entry.itemId);
+    const nameEntries = entries.filter(entry => !entry.itemId);
+
+    // Limit to 100 searches per batch (imported item IDs need no search)
+    if (nameEntries.length > 100) {
+      addToast(t('advancedSearch.batch.tooManyNames', { max: 100 }), 'warning');
+      nameEntries.splice(100);
+    }
+    if (importedEntries.length > MAX_IMPORTED_ITEMS) {
+      addToast(t('advancedSearch.batch.importTruncated', { max: MAX_IMPORTED_ITEMS }), 'warning');
+      importedEntries.splice(MAX_IMPORTED_ITEMS);
     }
 
-    // Limit to 100 searches per batch
-    if (uniqueItemNames.length > 100) {
-      addToast('一次最多只能搜尋100個物品名稱', 'warning');
-      uniqueItemNames.splice(100);
+    if (format !== 'text') {
+      addToast(t('advancedSearch.batch.imported', { source: format === 'teamcraft' ? 'Teamcraft' : 'Garland Tools', count: importedEntries.length }), 'info');
     }
 
-    // Show message if duplicates were removed
-    if (uniqueItemNames.length < inputLines.length) {
-      const removedCount = inputLines.length - uniqueItemNames.length;
-      addToast(`已移除 ${removedCount} 個重複的物品名稱`, 'info');
+    // Show message if duplicates were merged
+    if (duplicateCount > 0) {
+      addToast(t('advancedSearch.batch.duplicatesMerged', { count: duplicateCount }), 'info');
     }
 
     // Don't update URL - display results in current page like filter search
@@ -495,13 +530,13 @@ export default function AdvancedSearch({
       }
       
       // Search for each unique item name
-      const allSearchResults = [];
-      const searchPromises = uniqueItemNames.map(async (itemName) => {
+      const searchPromises = nameEntries.map(async ({ name: itemName }) => {
         try {
           if (!batchFuzzySearch) {
             // Exact search mode: only return items with exactly matching names (case-insensitive)
             // First get potential matches using substring search (for efficiency)
-            const substringResult = await searchItems(itemName, false);
+            // Names are compared before localization - the display language may differ from the typed one
+            const substringResult = await searchItemsByName(itemName, false);
             
             // Filter to only exact matches - item name must exactly equal search text
             const trimmedName = itemName.trim().toLowerCase();
@@ -509,14 +544,13 @@ export default function AdvancedSearch({
             
             if (substringResult.results && substringResult.results.length > 0) {
               exactMatches = substringResult.results.filter(item => {
-                const itemNameLower = (item.name || '').trim().toLowerCase();
-                // Exact match: item name must exactly equal search text (case-insensitive)
-                return itemNameLower === trimmedName;
+                // Exact match: the matched-language or TW name must equal search text (case-insensitive)
+                return [item.name, item.nameTW].some(name => (name || '').trim().toLowerCase() === trimmedName);
               });
             }
             
             // Return only exact matches, or empty array if no exact match found (no fallback)
-            return exactMatches;
+            return localizeItemNames(exactMatches);
           } else {
             // Fuzzy search mode: use fuzzy matching directly
             const searchResult = await searchItems(itemName, true);
@@ -529,6 +563,11 @@ export default function AdvancedSearch({
       });
       
       const searchResultsArray = await Promise.all(searchPromises);
+
+      // Imported lists already carry item IDs
+      const importedItems = await Promise.all(
+        importedEntries.map(entry => getItemById(entry.itemId, false).catch(() => null))
+      );
       
       // Check if this request was superseded
       if (currentRequestId !== batchSearchRequestIdRef.current) {
@@ -536,20 +575,29 @@ export default function AdvancedSearch({
         return;
       }
       
-      // Flatten and deduplicate results by item ID
+      // Flatten and deduplicate results by item ID, keeping the quantity of the entry that found the item first
       const itemsMap = new Map();
-      searchResultsArray.forEach(results => {
+      const quantities = {};
+      importedItems.forEach((item, index) => {
+        if (item && !itemsMap.has(item.id)) {
+          itemsMap.set(item.id, item);
+          quantities[item.id] = importedEntries[index].quantity;
+        }
+      });
+      searchResultsArray.forEach((results, index) => {
         results.forEach(item => {
           if (!itemsMap.has(item.id)) {
             itemsMap.set(item.id, item);
+            quantities[item.id] = nameEntries[index].quantity;
           }
         });
       });
+      setBatchQuantities(quantities);
       
       const allItems = Array.from(itemsMap.values());
       
       if (allItems.length === 0) {
-        addToast('未找到任何物品', 'warning');
+        addToast(t('advancedSearch.batch.noItems'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -568,7 +616,7 @@ export default function AdvancedSearch({
       const tradeableItems = allItems.filter(item => marketableSet.has(item.id));
 
       if (tradeableItems.length === 0) {
-        addToast('沒有可交易的物品', 'warning');
+        addToast(t('advancedSearch.batch.noTradeableItems'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -616,7 +664,7 @@ export default function AdvancedSearch({
 
       // Fetch market data using progressive batch sizes (20, 50, 100)
       if (!selectedWorld || !selectedServerOption) {
-        addToast('請選擇伺服器', 'warning');
+        addToast(t('advancedSearch.selectServer'), 'warning');
         setIsBatchSearching(false);
         return;
       }
@@ -670,20 +718,14 @@ export default function AdvancedSearch({
           return;
         }
         
-        const itemIdsString = batch.join(',');
-        
         try {
-          const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-            signal: abortSignal
-          });
+          const data = await fetchAggregatedData(queryTarget, batch, { signal: abortSignal });
           
           // Check again after fetch
           if (abortSignal.aborted || marketDataRequestId !== velocityFetchRequestIdRef.current || currentRequestId !== batchSearchRequestIdRef.current) {
             return;
           }
           
-          const data = await response.json();
-          
           if (data && data.results) {
             data.results.forEach(item => {
               const itemId = item.itemId;
@@ -914,12 +956,12 @@ export default function AdvancedSearch({
       setIsLoadingVelocities(false);
       setIsBatchSearching(false);
       
-      addToast(`找到 ${tradeableItems.length} 個可交易物品`, 'success');
+      addToast(t('search.found', { count: tradeableItems.length }), 'success');
     } catch (error) {
       console.error('Search error:', error);
       // Only show error if this request wasn't cancelled
       if (currentRequestId === batchSearchRequestIdRef.current) {
-        addToast('搜索失敗，請稍後再試', 'error');
+        addToast(t('search.failedRetryLater'), 'error');
         setIsLoadingVelocities(false);
         setIsBatchSearching(false);
       }
@@ -963,13 +1005,20 @@ export default function AdvancedSearch({
         setItemMinListings({});
         setItemRecentPurchases({});
         setItemTradability({});
+        setBatchQuantities({});
         setCurrentPage(1);
       }
       hasInitializedFromURLRef.current = false;
     }
 
+    // Shared saved search link (see utils/savedSearches): apply its filters and run it
+    const sharedFilters = searchParamsToFilters(searchParams);
+    if (sharedFilters) {
+      runSearchFilters(sharedFilters);
+    }
+
     lastProcessedURLRef.current = currentURLKey;
-  }, [location.pathname, location.search, searchParams, isServerDataLoaded, batchInput, activeTab, searchResults.length, isBatchSearching, isFilterSearching, isSearching]);
+  }, [location.pathname, location.search, searchParams, isServerDataLoaded, batchInput, activeTab, searchResults.length, isBatchSearching, isFilterSearching, isSearching, runSearchFilters]);
 
   // Force switch to filter tab if batch search is disabled and user is on batch tab
   useEffect(() => {
@@ -1109,7 +1158,7 @@ export default function AdvancedSearch({
       if (jobId >= 8 && jobId <= 15) {
         const jobData = {
           id: jobId,
-          name: data.tw,
+          name: data.name,
           iconUrl: `https://garlandtools.org/files/icons/job/${abbr}.png`,
           role: 'crafting',
         };
@@ -1119,7 +1168,7 @@ export default function AdvancedSearch({
       else if (jobId >= 16 && jobId <= 18) {
         const jobData = {
           id: jobId,
-          name: data.tw,
+          name: data.name,
           iconUrl: `https://garlandtools.org/files/icons/job/${abbr}.png`,
           role: 'gathering',
         };
@@ -1131,7 +1180,7 @@ export default function AdvancedSearch({
         if (role && battleByRole[role]) {
           const jobData = {
             id: jobId,
-            name: data.tw,
+            name: data.name,
             iconUrl: `https://garlandtools.org/files/icons/job/${abbr}.png`,
             role: role,
           };
@@ -1313,7 +1362,7 @@ export default function AdvancedSearch({
     const allCategories = Object.entries(twItemUICategoriesData)
       .map(([id, data]) => ({
         id: parseInt(id, 10),
-        name: data.tw,
+        name: data.name,
       }))
       .filter(cat => !jobSpecificWeaponCategories.has(cat.id) && !jobSpecificToolCategories.has(cat.id) && !EXCLUDED_CATEGORIES.includes(cat.id)); // Exclude categories in EXCLUDED_CATEGORIES
     
@@ -1325,7 +1374,7 @@ export default function AdvancedSearch({
       .map(cat => {
         // Map category 63 (其他) to "坐騎/鳥甲"
         if (cat.id === 63 || cat.name === '其他') {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.category.mountsBarding') };
         }
         return cat;
       });
@@ -1356,8 +1405,8 @@ export default function AdvancedSearch({
     
     // Add generic categories - unified to main weapon and offhand weapon
     const genericCategories = [
-      { id: 'main_weapon', name: '主手', isGeneric: true },
-      { id: 'offhand_weapon', name: '副手', isGeneric: true },
+      { id: 'main_weapon', name: t('advancedSearch.category.mainHand'), isGeneric: true },
+      { id: 'offhand_weapon', name: t('advancedSearch.category.offHand'), isGeneric: true },
     ];
     
     // Separate equipment into groups:
@@ -1373,11 +1422,11 @@ export default function AdvancedSearch({
       .map(cat => {
         // Map category 63 (其他) to "坐騎/鳥甲"
         if (cat.id === 63 || cat.name === '其他') {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.category.mountsBarding') };
         }
         // Also map category 62 (靈魂水晶) to "坐騎/鳥甲" if it exists
         if (cat.id === 62) {
-          return { ...cat, name: '坐騎/鳥甲' };
+          return { ...cat, name: t('advancedSearch.category.mountsBarding') };
         }
         return cat;
       });
@@ -1389,7 +1438,7 @@ export default function AdvancedSearch({
       otherEquipment: otherEquipmentCategories, // 其他裝備（如坐騎/鳥甲）
       miscellaneous: miscellaneousCategories,
     };
-  }, [itemUICategoriesLoaded]); // Recompute when category data loads
+  }, [itemUICategoriesLoaded, locale]); // Recompute when category data loads or the UI language changes
 
   // Filter categories based on search term and disabled state
   const filteredItemCategories = useMemo(() => {
@@ -1524,12 +1573,12 @@ export default function AdvancedSearch({
   // skipLimitCheck: if true, skip the MAX_ITEMS_LIMIT check (for "continue search" button)
   const performFilterSearchLogic = useCallback(async (skipLimitCheck = false) => {
     if (selectedJobs.length === 0 && selectedCategories.length === 0) {
-      addToast('請至少選擇一個職業或分類', 'warning');
+      addToast(t('advancedSearch.filter.selectJobOrCategory'), 'warning');
       return null;
     }
 
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('advancedSearch.selectServer'), 'warning');
       return null;
     }
 
@@ -1880,7 +1929,7 @@ export default function AdvancedSearch({
 
     // Check if any items match the filters (after job/category/level/name filtering)
     if (itemIds.size === 0) {
-      addToast('未找到符合條件的物品', 'warning');
+      addToast(t('advancedSearch.filter.noMatches'), 'warning');
       return null;
     }
 
@@ -1902,7 +1951,7 @@ export default function AdvancedSearch({
         allItemIdsLength: allItemIds.length,
         marketableSetSize: marketableSet.size
       });
-      addToast('查詢市場資料時發生錯誤，請稍後再試', 'error');
+      addToast(t('advancedSearch.filter.marketDataFailed'), 'error');
       return null;
     }
 
@@ -1972,6 +2021,8 @@ export default function AdvancedSearch({
 
     // Cancel any ongoing search requests
     const currentRequestId = ++filterSearchRequestIdRef.current;
+    lastFilterSearchRef.current = { requestId: currentRequestId, filters: currentFilters };
+    setSavedSearchComparison(null);
     
     // Cancel all ongoing market data fetches
     if (velocityFetchAbortControllerRef.current) {
@@ -2004,6 +2055,7 @@ export default function AdvancedSearch({
     setItemMinListings({});
     setItemRecentPurchases({});
     setItemTradability({});
+    setBatchQuantities({});
     setSelectedRarities([]); // Reset rarity filter on new search
     setCurrentPage(1); // Reset to first page on new search
 
@@ -2200,7 +2252,7 @@ export default function AdvancedSearch({
 
       // Show toast with results count
       if (tradeableItems.length > 0 || untradeableItems.length > 0) {
-        addToast(`找到 ${tradeableItems.length} 個可交易物品${untradeableItems.length > 0 ? `、${untradeableItems.length} 個不可交易物品` : ''}`, 'success');
+        addToast(untradeableItems.length > 0 ? t('search.foundWithUntradable', { count: tradeableItems.length, untradable: untradeableItems.length }) : t('search.found', { count: tradeableItems.length }), 'success');
       }
 
       // Start market data fetching in background (non-blocking)
@@ -2215,11 +2267,52 @@ export default function AdvancedSearch({
         return;
       }
       console.error('Filter search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('search.failedRetryLater'), 'error');
       setIsLoadingVelocities(false);
       setIsFilterSearching(false);
     }
-  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, addToast, isFilterSearching, isSearching, itemNameFilter, minLevel, maxLevel, filterFuzzySearch, isSearchButtonDisabled]);
+  }, [selectedJobs, selectedCategories, selectedWorld, selectedServerOption, addToast, isFilterSearching, isSearching, itemNameFilter, minLevel, maxLevel, filterFuzzySearch, isSearchButtonDisabled, currentFilters]);
+
+  // Run a saved search once runSearchFilters has applied its filters
+  // During the search button cooldown handleFilterSearch would return without searching, so the run stays
+  // pending until the cooldown ends (handleFilterSearch changes with isSearchButtonDisabled and re-runs this)
+  useEffect(() => {
+    if (!pendingSavedSearchRunRef.current || !isServerDataLoaded || isFilterSearching || isSearchButtonDisabled) {
+      return;
+    }
+    const { rarities } = pendingSavedSearchRunRef.current;
+    pendingSavedSearchRunRef.current = null;
+    handleFilterSearch();
+    // handleFilterSearch resets the rarity filter synchronously, so the preset's rarities are applied after it
+    setSelectedRarities(rarities);
+  }, [savedSearchRunToken, isServerDataLoaded, isFilterSearching, isSearchButtonDisabled, handleFilterSearch]);
+
+  // When every result of a filter search has its market data, store the run on the matching saved search
+  // and compare it with that search's previous run
+  useEffect(() => {
+    const lastSearch = lastFilterSearchRef.current;
+    if (!lastSearch || isFilterSearching || velocityFetchInProgress || searchResults.length === 0) {
+      return;
+    }
+    if (lastSearch.requestId !== filterSearchRequestIdRef.current || recordedRunRequestIdRef.current === lastSearch.requestId) {
+      return;
+    }
+    if (!searchResults.every(item => itemTradability[item.id] !== undefined)) {
+      return;
+    }
+    recordedRunRequestIdRef.current = lastSearch.requestId;
+
+    const savedSearch = getSavedSearches().find(search => isSameSearchQuery(search.filters, lastSearch.filters));
+    if (!savedSearch) {
+      return;
+    }
+    const serverName = selectedServerOption === selectedWorld?.section
+      ? selectedWorld.section
+      : worlds[selectedServerOption] || t('searchResults.serverFallback', { server: String(selectedServerOption) });
+    const currentRun = createRunSnapshot(searchResults, itemMinListings, selectedServerOption, serverName);
+    updateSavedSearch(savedSearch.id, { lastRun: currentRun });
+    setSavedSearchComparison({ searchId: savedSearch.id, previousRun: savedSearch.lastRun, currentRun });
+  }, [searchResults, itemTradability, itemMinListings, isFilterSearching, velocityFetchInProgress, selectedServerOption, selectedWorld, worlds]);
 
   // Fetch velocity, average price, and tradability data for search results (like main search page)
   // This loads prices for ALL items when searchResults or selectedServerOption changes
@@ -2242,6 +2335,7 @@ export default function AdvancedSearch({
       setItemMinListings({});
       setItemRecentPurchases({});
       setItemTradability({});
+      setBatchQuantities({});
       setIsLoadingVelocities(false);
       setVelocityLoadingProgress({ loaded: 0, total: 0 });
       velocityFetchInProgressRef.current = false;
@@ -2286,6 +2380,7 @@ export default function AdvancedSearch({
         setItemMinListings({});
         setItemRecentPurchases({});
         setItemTradability({});
+        setBatchQuantities({});
         setIsLoadingVelocities(false);
         setVelocityLoadingProgress({ loaded: 0, total: 0 });
         velocityFetchInProgressRef.current = false;
@@ -2308,6 +2403,7 @@ export default function AdvancedSearch({
           setItemMinListings({});
           setItemRecentPurchases({});
           setItemTradability({});
+          setBatchQuantities({});
         }
       }
       
@@ -2368,20 +2464,14 @@ export default function AdvancedSearch({
               }));
             }
             
-            const itemIdsString = batch.join(',');
-            
             try {
-              const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                signal: abortSignal
-              });
+              const data = await fetchAggregatedData(queryTarget, batch, { signal: abortSignal });
               
               // Check again after fetch
               if (abortSignal.aborted || currentRequestId !== velocityFetchRequestIdRef.current) {
                 return;
               }
               
-              const data = await response.json();
-              
               // Process batch results (same logic as App.jsx)
               const batchVelocities = {};
               const batchAveragePrices = {};
@@ -2717,10 +2807,10 @@ export default function AdvancedSearch({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              進階搜尋
+              {t('nav.advancedSearch')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              批量搜尋多個物品的市場價格，或使用篩選條件進行搜尋。
+              {t('advancedSearch.description')}
             </p>
           </div>
 
@@ -2747,6 +2837,7 @@ export default function AdvancedSearch({
                 setItemMinListings({});
                 setItemRecentPurchases({});
                 setItemTradability({});
+                setBatchQuantities({});
                 setCurrentPage(1);
                 // Cancel any ongoing requests
                 if (velocityFetchAbortControllerRef.current) {
@@ -2760,11 +2851,11 @@ export default function AdvancedSearch({
                   : 'text-gray-400 border-transparent hover:text-gray-300'
               }`}
             >
-              篩選搜尋
+              {t('advancedSearch.tab.filter')}
             </button>
             <div 
               className="relative"
-              title={BATCH_SEARCH_DISABLED ? "敬请期待" : ""}
+              title={BATCH_SEARCH_DISABLED ? t('advancedSearch.comingSoon') : ''}
             >
               <button
                 onClick={() => {
@@ -2792,6 +2883,7 @@ export default function AdvancedSearch({
                   setItemMinListings({});
                   setItemRecentPurchases({});
                   setItemTradability({});
+                  setBatchQuantities({});
                   setCurrentPage(1);
                   // Cancel any ongoing requests
                   if (velocityFetchAbortControllerRef.current) {
@@ -2808,7 +2900,7 @@ export default function AdvancedSearch({
                       : 'text-gray-400 border-transparent hover:text-gray-300'
                 }`}
               >
-                批量搜尋（開發中）
+                {t('advancedSearch.tab.batch')}
               </button>
             </div>
           </div>
@@ -2819,22 +2911,22 @@ export default function AdvancedSearch({
               {/* Batch Input */}
               <div className="mb-6">
                 <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                  物品名稱列表（每行一個或逗號分隔）
+                  {t('advancedSearch.batch.inputLabel')}
                 </label>
                 <textarea
                   value={batchInput}
                   onChange={(e) => setBatchInput(e.target.value)}
-                  placeholder="輸入物品名稱，例如：&#10;精金錠&#10;秘銀錠&#10;山銅錠&#10;或：精金錠, 秘銀錠, 山銅錠"
+                  placeholder={t('advancedSearch.batch.placeholder')}
                   className="w-full px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white focus:outline-none focus:border-ffxiv-gold min-h-[200px] text-sm"
                 />
                 <div className="mt-2 text-xs text-gray-400">
-                  一次最多可搜尋100個物品名稱（支援繁體/簡體中文）
+                  {t('advancedSearch.batch.hint', { maxNames: 100, maxImported: MAX_IMPORTED_ITEMS })}
                 </div>
               </div>
 
               {/* Exact Search Toggle */}
               <div className="mb-6">
-                <label className="flex items-center cursor-pointer group" title={!batchFuzzySearch ? "關閉精確搜尋" : "開啟精確搜尋"}>
+                <label className="flex items-center cursor-pointer group" title={!batchFuzzySearch ? t('advancedSearch.exactSearchOff') : t('advancedSearch.exactSearchOn')}>
                   <input
                     type="checkbox"
                     checked={!batchFuzzySearch}
@@ -2862,7 +2954,7 @@ export default function AdvancedSearch({
                         ? 'text-ffxiv-gold'
                         : 'text-gray-300'
                   }`}>
-                    精確搜尋
+                    {t('advancedSearch.exactSearch')}
                   </span>
                 </label>
               </div>
@@ -2871,7 +2963,7 @@ export default function AdvancedSearch({
               {selectedWorld && (
                 <div className="mb-6">
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                    伺服器選擇
+                    {t('advancedSearch.serverSelect')}
                   </label>
                   <ServerSelector
                     datacenters={datacenters}
@@ -2896,7 +2988,7 @@ export default function AdvancedSearch({
                     : 'bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_20px_rgba(212,175,55,0.5)]'
                 }`}
               >
-                {isBatchSearching || isSearching ? '搜索中...' : '搜索'}
+                {isBatchSearching || isSearching ? t('advancedSearch.searching') : t('advancedSearch.search')}
               </button>
             </div>
           )}
@@ -2906,7 +2998,7 @@ export default function AdvancedSearch({
               {/* Bug Report Notice */}
               <div className="bg-slate-700/80 border border-slate-500/50 rounded-lg p-4 mb-6">
                 <p className="text-sm text-gray-200 leading-relaxed">
-                  這個頁面測試量過於龐大，作者個人時間有限。各位使用大大有發現bug歡迎參考主頁上的巴哈或dc方式回報，感激感激
+                  {t('advancedSearch.bugNotice')}
                 </p>
               </div>
 
@@ -2915,7 +3007,7 @@ export default function AdvancedSearch({
                 {/* Job Icons Selection - Left Side */}
                 <div>
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-4">
-                    選擇職業
+                    {t('advancedSearch.filter.selectJobs')}
                   </label>
                   
                   {/* 戰鬥職業 - 4 rows, all left-aligned */}
@@ -3101,7 +3193,7 @@ export default function AdvancedSearch({
 
                   {selectedJobs.length > 0 && (
                     <div className="mt-2 text-xs text-gray-400">
-                      已選擇 {selectedJobs.length} 個職業
+                      {t('advancedSearch.filter.selectedJobs', { count: selectedJobs.length })}
                     </div>
                   )}
                 </div>
@@ -3109,7 +3201,7 @@ export default function AdvancedSearch({
                 {/* Item Categories Selection - Right Side */}
                 <div className="flex flex-col">
                   <label className="block text-sm font-semibold text-ffxiv-gold mb-4">
-                    選擇物品分類
+                    {t('advancedSearch.filter.selectCategories')}
                   </label>
                   <div className="border border-purple-500/30 rounded-lg p-3 bg-slate-900/30 h-[290px] flex flex-col">
                     {/* Category Search Bar - Inside the box */}
@@ -3125,14 +3217,14 @@ export default function AdvancedSearch({
                           type="text"
                           value={categorySearchTerm}
                           onChange={(e) => setCategorySearchTerm(e.target.value)}
-                          placeholder="篩選搜尋分類"
+                          placeholder={t('advancedSearch.filter.categorySearch')}
                           className="w-full pl-9 pr-3 py-2 bg-slate-800/60 backdrop-blur-sm border border-purple-500/20 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:border-ffxiv-gold focus:ring-ffxiv-gold/50 transition-all text-xs"
                         />
                         {categorySearchTerm && (
                           <button
                             onClick={() => setCategorySearchTerm('')}
                             className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-white transition-colors"
-                            title="清除"
+                            title={t('advancedSearch.filter.clearCategorySearch')}
                           >
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -3149,7 +3241,7 @@ export default function AdvancedSearch({
                       {/* Equipment Categories Section */}
                       {([...filteredItemCategories.weapons, ...filteredItemCategories.armor, ...filteredItemCategories.otherEquipment, ...filteredItemCategories.accessories].length > 0) && (
                       <div>
-                        <div className="text-xs font-semibold text-ffxiv-gold mb-2 px-1">裝備類</div>
+                        <div className="text-xs font-semibold text-ffxiv-gold mb-2 px-1">{t('advancedSearch.filter.equipment')}</div>
                         
                         {/* First row: 主手、副手、其他裝備 */}
                         {([...filteredItemCategories.weapons, ...filteredItemCategories.armor, ...filteredItemCategories.otherEquipment].length > 0) && (
@@ -3222,7 +3314,7 @@ export default function AdvancedSearch({
                       {/* Miscellaneous Categories Section */}
                       {filteredItemCategories.miscellaneous.length > 0 && (
                       <div>
-                        <div className="text-xs font-semibold text-gray-400 mb-2 px-1">雜物類</div>
+                        <div className="text-xs font-semibold text-gray-400 mb-2 px-1">{t('advancedSearch.filter.miscellaneous')}</div>
                         <div className="grid grid-cols-4 gap-2">
                           {filteredItemCategories.miscellaneous.map(category => {
                             // Handle both string IDs (generic categories) and number IDs
@@ -3262,7 +3354,7 @@ export default function AdvancedSearch({
                        filteredItemCategories.miscellaneous.length === 0 && (
                         <div className="py-8 text-center">
                           <div className="text-sm text-gray-400">
-                            沒有找到匹配「{categorySearchTerm}」的分類
+                            {t('advancedSearch.filter.noCategoryMatches', { term: categorySearchTerm })}
                           </div>
                         </div>
                       )}
@@ -3271,7 +3363,7 @@ export default function AdvancedSearch({
                   </div>
                   {selectedCategories.length > 0 && (
                     <div className="mt-2 text-xs text-gray-400">
-                      已選擇 {selectedCategories.length} 個分類
+                      {t('advancedSearch.filter.selectedCategories', { count: selectedCategories.length })}
                     </div>
                   )}
                   <div className="mt-2 text-xs text-yellow-400">
@@ -3286,18 +3378,17 @@ export default function AdvancedSearch({
                     <div className="text-2xl">⚠️</div>
                     <div className="flex-1">
                       <h3 className="text-yellow-400 font-semibold mb-2">
-                        找到的物品過多
+                        {t('advancedSearch.tooMany.title')}
                       </h3>
                       <p className="text-sm text-gray-300 mb-3">
-                        找到 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.total}</span> 個可交易物品，
-                        超過建議上限 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.limit}</span> 個。
-                        處理過多物品可能會導致搜索時間過長或性能問題。
+                        {t('advancedSearch.tooMany.message', { total: tooManyItemsWarning.total, limit: tooManyItemsWarning.limit })}
                       </p>
                       <div className="flex gap-2 flex-wrap">
                         <button
                           onClick={async () => {
                             // Cancel any ongoing search requests
                             const continueSearchRequestId = ++filterSearchRequestIdRef.current;
+                            lastFilterSearchRef.current = { requestId: continueSearchRequestId, filters: currentFilters };
                             
                             // Cancel all ongoing market data fetches
                             if (velocityFetchAbortControllerRef.current) {
@@ -3322,6 +3413,7 @@ export default function AdvancedSearch({
                             setItemMinListings({});
                             setItemRecentPurchases({});
                             setItemTradability({});
+                            setBatchQuantities({});
                             setSelectedRarities([]); // Reset rarity filter on continue search
 
                             // Disable search button for 1.5 seconds
@@ -3365,7 +3457,7 @@ export default function AdvancedSearch({
                               // Limit to MAX_ITEMS_LIMIT (this is the "continue search" path)
                               // Use verifiedTradeableItemIds instead of tradeableItemIds
                               const limitedTradeableItemIds = verifiedTradeableItemIds.slice(0, MAX_ITEMS_LIMIT);
-                              addToast(`已限制為前 ${limitedTradeableItemIds.length} 個物品，正在獲取市場數據...`, 'warning');
+                              addToast(t('advancedSearch.tooMany.limited', { count: limitedTradeableItemIds.length }), 'warning');
 
                               // Load ilvls data for sorting - use targeted query for these specific items
                               const allItemIdsForSortContinue = [...limitedTradeableItemIds, ...untradeableItemIds];
@@ -3565,19 +3657,13 @@ export default function AdvancedSearch({
                                         return;
                                       }
                                       
-                                      const itemIdsString = batch.join(',');
-                                      
                                       try {
-                                        const response = await fetch(`https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`, {
-                                          signal: abortSignal
-                                        });
+                                        const data = await fetchAggregatedData(queryTarget, batch, { signal: abortSignal });
                                         
                                         if (abortSignal.aborted || marketDataRequestId !== velocityFetchRequestIdRef.current || continueSearchRequestId !== filterSearchRequestIdRef.current) {
                                           return;
                                         }
                                         
-                                        const data = await response.json();
-                                        
                                         if (data && data.results) {
                                           const batchVelocities = {};
                                           const batchAveragePrices = {};
@@ -3897,7 +3983,7 @@ export default function AdvancedSearch({
 
                               // Show toast with results count
                               if (limitedTradeableItemIds.length > 0 || untradeableItemIds.length > 0) {
-                                addToast(`找到 ${limitedTradeableItemIds.length} 個可交易物品${untradeableItemIds.length > 0 ? `、${untradeableItemIds.length} 個不可交易物品` : ''}`, 'success');
+                                addToast(untradeableItemIds.length > 0 ? t('search.foundWithUntradable', { count: limitedTradeableItemIds.length, untradable: untradeableItemIds.length }) : t('search.found', { count: limitedTradeableItemIds.length }), 'success');
                               }
 
                               setIsFilterSearching(false);
@@ -3907,7 +3993,7 @@ export default function AdvancedSearch({
                                 return;
                               }
                               console.error('Continue search error:', error);
-                              addToast('搜索失敗，請稍後再試', 'error');
+                              addToast(t('search.failedRetryLater'), 'error');
                               setIsLoadingVelocities(false);
                               setIsFilterSearching(false);
                               setVelocityLoadingProgress({ loaded: 0, total: 0 });
@@ -3916,15 +4002,15 @@ export default function AdvancedSearch({
                           className="confirm-button-attention py-3"
                         >
                           <span className="flex items-center gap-2">
-                            <span>確認</span>
-                            <span>繼續搜索（限制為前 {MAX_ITEMS_LIMIT} 個）</span>
+                            <span>{t('advancedSearch.tooMany.confirm')}</span>
+                            <span>{t('advancedSearch.tooMany.continue', { limit: MAX_ITEMS_LIMIT })}</span>
                           </span>
                         </button>
                         <button
                           onClick={() => setTooManyItemsWarning(null)}
                           className="px-4 py-2 bg-slate-700/50 border border-gray-500/50 rounded-lg text-gray-300 hover:bg-slate-700/70 transition-all text-sm font-medium"
                         >
-                          取消
+                          {t('advancedSearch.tooMany.cancel')}
                         </button>
                       </div>
                     </div>
@@ -3950,7 +4036,7 @@ export default function AdvancedSearch({
                         handleFilterSearch();
                       }
                     }}
-                    placeholder="物品名篩選（多關鍵詞用空格分隔）"
+                    placeholder={t('advancedSearch.filter.nameFilter')}
                     disabled={isFilterSearching || isSearching}
                     className={`w-full py-3 pl-10 pr-20 rounded-lg bg-slate-900/90 backdrop-blur-sm border text-white placeholder-gray-400 focus:outline-none focus:ring-1 transition-all text-sm shadow-lg ${
                       isFilterSearching || isSearching
@@ -3960,7 +4046,7 @@ export default function AdvancedSearch({
                   />
                   {/* Exact Search Toggle Button - positioned on the right side of input */}
                   <div className="absolute right-2 top-1/2 transform -translate-y-1/2 z-10 flex items-center gap-1.5">
-                    <label className="flex items-center cursor-pointer group" title={!filterFuzzySearch ? "關閉精準搜尋" : "開啟精準搜尋"}>
+                    <label className="flex items-center cursor-pointer group" title={!filterFuzzySearch ? t('advancedSearch.exactSearchOff') : t('advancedSearch.exactSearchOn')}>
                       <input
                         type="checkbox"
                         checked={!filterFuzzySearch}
@@ -3989,7 +4075,7 @@ export default function AdvancedSearch({
                           ? 'text-ffxiv-gold'
                           : 'text-gray-400'
                     }`}>
-                      精準
+                      {t('advancedSearch.exactShort')}
                     </span>
                   </div>
                 </div>
@@ -4010,10 +4096,10 @@ export default function AdvancedSearch({
                           <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                           <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                         </svg>
-                        <span>載入中...</span>
+                        <span>{t('common.loading')}</span>
                       </span>
                     ) : (
-                      '搜索'
+                      t('advancedSearch.search')
                     )}
                     {(isFilterSearching || isSearching) && (
                       <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full animate-[shimmer_2s_ease-in-out_infinite] pointer-events-none"></div>
@@ -4050,8 +4136,10 @@ export default function AdvancedSearch({
                       setItemMinListings({});
                       setItemRecentPurchases({});
                       setItemTradability({});
+                      setBatchQuantities({});
                       setCurrentPage(1);
                       setTooManyItemsWarning(null);
+                      setSavedSearchComparison(null);
                     }}
                     className={`flex-1 py-3 rounded-lg font-semibold transition-all ${
                       isFilterSearching || isSearching
@@ -4059,7 +4147,7 @@ export default function AdvancedSearch({
                         : 'bg-red-600/60 text-white border border-red-500/50 hover:bg-red-600/80 hover:border-red-400/70 hover:shadow-[0_0_20px_rgba(220,38,38,0.5)]'
                     }`}
                   >
-                    {isFilterSearching || isSearching ? '停止搜尋' : '清空篩選'}
+                    {isFilterSearching || isSearching ? t('advancedSearch.filter.stop') : t('advancedSearch.filter.clear')}
                   </button>
               </div>
 
@@ -4157,6 +4245,23 @@ export default function AdvancedSearch({
                   </div>
                 </div>
               )}
+
+              {/* Saved Searches */}
+              <SavedSearchesPanel
+                currentFilters={currentFilters}
+                onRun={(search) => runSearchFilters(search.filters)}
+                runComparison={savedSearchComparison}
+                onItemClick={(itemId) => {
+                  const params = new URLSearchParams();
+                  if (selectedServerOption) {
+                    params.set('server', selectedServerOption);
+                  }
+                  const queryString = params.toString();
+                  window.open(`/item/${itemId}${queryString ? '?' + queryString : ''}`, '_blank');
+                }}
+                disabled={!isServerDataLoaded || isFilterSearching || isSearching}
+                addToast={addToast}
+              />
             </div>
           )}
 
@@ -4250,6 +4355,48 @@ export default function AdvancedSearch({
             
             return (
               <div ref={resultsTableRef}>
+              {activeTab === 'batch' && !isBatchSearching && (
+                <BatchListEstimate
+                  items={filteredResults}
+                  quantities={batchQuantities}
+                  itemMinListings={itemMinListings}
+                  isLoading={isLoadingVelocities}
+                />
+              )}
+              {/* Result actions: add all to the shopping list (batch lists are usually things to buy), or scan them for cross-world price gaps */}
+              {filteredResults.length > 0 && !isBatchSearching && !isFilterSearching && (
+                <div className="flex justify-end gap-2 mb-2">
+                  <button
+                    onClick={() => {
+                      const toAdd = filteredResults.slice(0, MAX_SHOPPING_LIST_ADD);
+                      const added = addItemsToShoppingList(toAdd.map(item => ({ itemId: item.id, itemName: item.name, quantity: batchQuantities[item.id] || 1 })));
+                      if (added > 0) {
+                        addToast(t('advancedSearch.results.addedToShoppingList', { count: added }), 'success');
+                      }
+                      if (filteredResults.length > MAX_SHOPPING_LIST_ADD) {
+                        addToast(t('advancedSearch.results.shoppingListLimit', { max: MAX_SHOPPING_LIST_ADD }), 'warning');
+                      }
+                    }}
+                    className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                  >
+                    {t('advancedSearch.results.addAllToShoppingList')}
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (filteredResults.length > MAX_ARBITRAGE_ITEMS) {
+                        addToast(t('advancedSearch.results.arbitrageLimit', { max: MAX_ARBITRAGE_ITEMS }), 'warning');
+                      }
+                      navigate('/arbitrage', {
+                        state: { itemIds: filteredResults.slice(0, MAX_ARBITRAGE_ITEMS).map(item => item.id) },
+                      });
+                    }}
+                    className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                    title={t('advancedSearch.results.arbitrageTitle')}
+                  >
+                    {t('advancedSearch.results.arbitrage')}
+                  </button>
+                </div>
+              )}
               <SearchResultsTable
                 items={currentResults}
                 filteredItems={filteredResults}
@@ -4272,11 +4419,10 @@ export default function AdvancedSearch({
                 showLoadingIndicator={showLoadingIndicator}
                 isSearching={isFilterSearching || isBatchSearching}
                 searchingItemsCount={searchResults.length + untradeableResults.length}
-                averagePriceHeader="平均價格"
                 getSimplifiedChineseName={getSimplifiedChineseName}
                 addToast={addToast}
-                title="搜索結果"
-                titleSuffix={filteredResults.length !== currentResults.length ? `，顯示 ${filteredResults.length} 個` : ''}
+                exportFilename={t('nav.advancedSearch')}
+                titleSuffix={filteredResults.length !== currentResults.length ? t('advancedSearch.results.showing', { count: filteredResults.length }) : ''}
                 showUntradeableButton={activeTab === 'filter' && untradeableResults.length > 0 && searchResults.length > 0}
                 untradeableCount={untradeableResults.length}
                 tradeableCount={searchResults.length}
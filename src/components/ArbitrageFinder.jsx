@@ -0,0 +1,417 @@
+// Arbitrage finder page - scans items for price gaps between worlds of a DC or DCs of a region
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import RunningLoader from './RunningLoader';
+import { getItemById } from '../services/itemDatabase';
+import { fetchAggregatedData, getTaxRates } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import { findArbitrageOpportunities, MAX_ARBITRAGE_ITEMS } from '../utils/arbitrage';
+import { useTranslation } from '../hooks/useTranslation';
+
+const SORT_OPTIONS = ['profit', 'spreadPercent', 'dailyProfit'];
+
+export default function ArbitrageFinder({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t, locale } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Item IDs handed over from the advanced search filters
+  const [itemIds, setItemIds] = useState(() => (location.state?.itemIds || []).slice(0, MAX_ARBITRAGE_ITEMS));
+  const [itemIdsInput, setItemIdsInput] = useState('');
+  const [itemNames, setItemNames] = useState({});
+  const [mode, setMode] = useState('world'); // 'world' = worlds of the selected DC, 'dc' = DCs of the region
+  const [quality, setQuality] = useState('nq');
+  const [sortBy, setSortBy] = useState('profit');
+  const [minVelocity, setMinVelocity] = useState('1');
+  const [minProfit, setMinProfit] = useState('1000');
+  const [markets, setMarkets] = useState(null);
+  const [taxRatesByWorld, setTaxRatesByWorld] = useState({});
+  const [isScanning, setIsScanning] = useState(false);
+  const [scanProgress, setScanProgress] = useState({ loaded: 0, total: 0 });
+  const abortControllerRef = useRef(null);
+
+  const dcName = selectedWorld?.section || null;
+  const regionName = selectedWorld?.region || null;
+
+  // Markets compared in the current mode
+  const marketTargets = useMemo(() => {
+    if (mode === 'dc') {
+      return (datacenters || [])
+        .filter(dc => regionName && dc.region === regionName)
+        .map(dc => ({ key: dc.name, name: dc.name, scope: 'dc', worldIds: dc.worlds || [] }));
+    }
+    return (selectedWorld?.dcObj?.worlds || []).map(worldId => ({
+      key: worldId,
+      name: worlds[worldId] || t('arbitrage.worldFallback', { id: String(worldId) }),
+      scope: 'world',
+      worldIds: [worldId],
+    }));
+  }, [mode, datacenters, regionName, selectedWorld, worlds, locale]);
+
+  // Results belong to one set of markets - start over when it changes
+  useEffect(() => {
+    setMarkets(null);
+  }, [marketTargets]);
+
+  useEffect(() => {
+    if (itemIds.length === 0) return;
+    let cancelled = false;
+    getTwItemsByIds(itemIds)
+      .then(names => {
+        if (!cancelled) setItemNames(names || {});
+      })
+      .catch(err => console.error('Failed to load item names:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [itemIds]);
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleApplyItemIds = () => {
+    const ids = [...new Set(
+      itemIdsInput
+        .split(/[\s,，;]+/)
+        .map(value => parseInt(value, 10))
+        .filter(id => id > 0)
+    )];
+    if (ids.length === 0) {
+      addToast(t('arbitrage.invalidItemIds'), 'warning');
+      return;
+    }
+    if (ids.length > MAX_ARBITRAGE_ITEMS) {
+      addToast(t('arbitrage.tooManyItems', { max: MAX_ARBITRAGE_ITEMS }), 'warning');
+    }
+    setItemIds(ids.slice(0, MAX_ARBITRAGE_ITEMS));
+    setMarkets(null);
+  };
+
+  const handleScan = async () => {
+    if (itemIds.length === 0 || marketTargets.length < 2) {
+      addToast(mode === 'dc' ? t('arbitrage.singleDataCenter') : t('arbitrage.selectDataCenter'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsScanning(true);
+    setScanProgress({ loaded: 0, total: marketTargets.length });
+    try {
+      const scanned = [];
+      for (const target of marketTargets) {
+        const data = await fetchAggregatedData(target.key, itemIds, { signal: abortController.signal });
+        const itemsById = {};
+        data.results.forEach(item => {
+          itemsById[item.itemId] = item;
+        });
+        scanned.push({ key: target.key, name: target.name, scope: target.scope, itemsById });
+        setScanProgress(prev => ({ ...prev, loaded: prev.loaded + 1 }));
+      }
+
+      // Buyer tax rates for every world we might buy on
+      const worldIds = [...new Set(marketTargets.flatMap(target => target.worldIds))];
+      const rates = await Promise.all(worldIds.map(async (worldId) => ({ worldId, rates: await getTaxRates(worldId) })));
+      if (abortController.signal.aborted) return;
+      const ratesMap = {};
+      rates.forEach(({ worldId, rates: worldRates }) => {
+        if (worldRates) {
+          ratesMap[worldId] = worldRates;
+        }
+      });
+
+      setTaxRatesByWorld(ratesMap);
+      setMarkets(scanned);
+    } catch (error) {
+      if (error.name === 'AbortError' || abortController.signal.aborted) return;
+      console.error('Arbitrage scan failed:', error);
+      addToast(t('arbitrage.scanFailed'), 'error');
+    } finally {
+      if (!abortController.signal.aborted) {
+        setIsScanning(false);
+      }
+    }
+  };
+
+  const rows = useMemo(() => {
+    if (!markets) return [];
+    const velocityLimit = Number(minVelocity) || 0;
+    const profitLimit = Number(minProfit) || 0;
+    return findArbitrageOpportunities(markets, { quality, taxRatesByWorld, worlds })
+      .filter(row => row.sell.velocity >= velocityLimit && row.profit >= profitLimit)
+      .sort((a, b) => b[sortBy] - a[sortBy]);
+  }, [markets, quality, taxRatesByWorld, worlds, minVelocity, minProfit, sortBy]);
+
+  const handleItemClick = async (itemId) => {
+    const item = await getItemById(itemId);
+    if (item) {
+      onItemSelect(item);
+    }
+  };
+
+  const formatMarket = (side) => (
+    side.worldName && side.worldName !== side.marketName
+      ? t('arbitrage.marketWithWorld', { market: side.marketName, world: side.worldName })
+      : side.marketName
+  );
+
+  const inputClass = 'px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white text-sm focus:outline-none focus:border-ffxiv-gold';
+  const cardClass = 'bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="arbitrage"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('arbitrage.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {mode === 'dc'
+                ? t('arbitrage.descriptionDataCenters', { region: regionName || t('arbitrage.regionFallback') })
+                : t('arbitrage.descriptionWorlds', { dcName: dcName || t('arbitrage.dataCenterFallback') })}
+            </p>
+          </div>
+
+          {/* Controls */}
+          <div className={`${cardClass} p-4 mb-6 space-y-4`}>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="text-sm text-gray-300">
+                {t('arbitrage.scanItemsLabel')}<span className="text-ffxiv-gold font-semibold">{itemIds.length}</span>{t('arbitrage.scanItemsUnit')}
+              </div>
+              <button
+                onClick={() => navigate('/advanced-search')}
+                className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                title={t('arbitrage.pickFromSearchHint')}
+              >
+                {t('arbitrage.pickFromSearch')}
+              </button>
+              <div className="flex gap-2 flex-1 min-w-[240px]">
+                <input
+                  type="text"
+                  value={itemIdsInput}
+                  onChange={(e) => setItemIdsInput(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleApplyItemIds()}
+                  placeholder={t('arbitrage.itemIdsPlaceholder')}
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button
+                  onClick={handleApplyItemIds}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                >
+                  {t('arbitrage.apply')}
+                </button>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('arbitrage.mode')}</label>
+                <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+                  <option value="world">{t('arbitrage.modeWorlds')}</option>
+                  <option value="dc">{t('arbitrage.modeDataCenters')}</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('arbitrage.quality')}</label>
+                <select value={quality} onChange={(e) => setQuality(e.target.value)} className={inputClass}>
+                  <option value="nq">NQ</option>
+                  <option value="hq">HQ</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('arbitrage.minVelocity')}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  className={`${inputClass} w-28`}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('arbitrage.minProfit')}</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={minProfit}
+                  onChange={(e) => setMinProfit(e.target.value)}
+                  className={`${inputClass} w-32`}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('arbitrage.sortBy')}</label>
+                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={inputClass}>
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option} value={option}>{t(`arbitrage.sort.${option}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={handleScan}
+                disabled={isScanning || itemIds.length === 0 || !isServerDataLoaded}
+                className="px-4 py-2 bg-gradient-to-r from-ffxiv-gold/80 to-yellow-500/80 hover:from-ffxiv-gold hover:to-yellow-500 text-slate-900 font-semibold rounded-lg text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isScanning ? t('arbitrage.scanning') : t('arbitrage.scan')}
+              </button>
+            </div>
+          </div>
+
+          {/* Results */}
+          {isScanning ? (
+            <div className={`${cardClass} p-8`}>
+              <RunningLoader message={t('arbitrage.scanProgress', { loaded: scanProgress.loaded, total: scanProgress.total })} />
+            </div>
+          ) : !markets ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400`}>
+              <div className="text-4xl mb-4">⚖️</div>
+              <p className="text-sm">
+                {itemIds.length === 0 ? t('arbitrage.noItems') : t('arbitrage.readyToScan')}
+              </p>
+            </div>
+          ) : rows.length === 0 ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400 text-sm`}>
+              {t('arbitrage.noResults')}
+            </div>
+          ) : (
+            <>
+              <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">
+                {t('arbitrage.resultCount', { count: rows.length })}
+              </h3>
+              <div className={`overflow-x-auto ${cardClass}`}>
+                <table className="w-full border-collapse text-sm min-w-[860px]">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.item')}</th>
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.buy')}</th>
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.sell')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.spread')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.velocity')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.tax')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.profit')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('arbitrage.column.dailyProfit')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors">
+                        <td className="px-3 py-2">
+                          <button
+                            onClick={() => handleItemClick(row.itemId)}
+                            className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                          >
+                            <ItemImage itemId={row.itemId} alt={itemNames[row.itemId]} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                            <span className="text-xs">{itemNames[row.itemId] || row.itemId}</span>
+                          </button>
+                        </td>
+                        <td className="px-3 py-2 text-xs whitespace-nowrap">
+                          <div className="text-gray-300">{formatMarket(row.buy)}</div>
+                          <div className="text-green-400">{row.buy.price.toLocaleString()}</div>
+                        </td>
+                        <td className="px-3 py-2 text-xs whitespace-nowrap">
+                          <div className="text-gray-300">{formatMarket(row.sell)}</div>
+                          <div className="text-yellow-400">{Math.round(row.sell.price).toLocaleString()}</div>
+                        </td>
+                        <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                          <div className="text-white">{Math.round(row.spread).toLocaleString()}</div>
+                          <div className="text-gray-500">{row.spreadPercent.toFixed(0)}%</div>
+                        </td>
+                        <td className="px-3 py-2 text-right text-xs text-cyan-300">{row.sell.velocity.toFixed(1)}</td>
+                        <td className="px-3 py-2 text-right text-xs text-gray-400">{row.tax.toLocaleString()}</td>
+                        <td className="px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{Math.round(row.profit).toLocaleString()}</td>
+                        <td className="px-3 py-2 text-right text-xs text-emerald-300">{Math.round(row.dailyProfit).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
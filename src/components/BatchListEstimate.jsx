@@ -0,0 +1,91 @@
+// Batch List Estimate Component - Prices an imported list (quantity × lowest listing) for the batch search
+import { useState } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Rows shown before "show all"
+const COLLAPSED_ROW_COUNT = 10;
+
+/**
+ * Lowest listing price of an item: a number for DC queries, { price, region } for a world
+ */
+function getUnitPrice(minListing) {
+  if (minListing === null || minListing === undefined) return null;
+  const price = typeof minListing === 'object' ? minListing.price : minListing;
+  return typeof price === 'number' && price > 0 ? price : null;
+}
+
+export default function BatchListEstimate({ items, quantities, itemMinListings, isLoading }) {
+  const { t, formatNumber } = useTranslation();
+  const [showAll, setShowAll] = useState(false);
+
+  const rows = items
+    .filter(item => quantities[item.id])
+    .map(item => {
+      const quantity = quantities[item.id];
+      const unitPrice = getUnitPrice(itemMinListings?.[item.id]);
+      return {
+        item,
+        quantity,
+        unitPrice,
+        subtotal: unitPrice !== null ? unitPrice * quantity : null,
+      };
+    });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const total = rows.reduce((sum, row) => sum + (row.subtotal || 0), 0);
+  const unpricedCount = rows.filter(row => row.subtotal === null).length;
+  const visibleRows = showAll ? rows : rows.slice(0, COLLAPSED_ROW_COUNT);
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-ffxiv-gold">{t('batchEstimate.title')}</h3>
+        <div className="text-sm text-gray-300">
+          {t('batchEstimate.total')}<span className="text-yellow-400 font-semibold">{formatNumber(total)}</span> Gil
+          {unpricedCount > 0 && (
+            <span className="ml-2 text-xs text-gray-500">
+              （{isLoading ? t('batchEstimate.loadingPrices') : t('batchEstimate.unpriced', { count: unpricedCount })}）
+            </span>
+          )}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40">
+              <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('batchEstimate.columns.item')}</th>
+              <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('batchEstimate.columns.quantity')}</th>
+              <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('batchEstimate.columns.unitPrice')}</th>
+              <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('batchEstimate.columns.subtotal')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={row.item.id} className="border-b border-purple-500/10">
+                <td className="px-3 py-1.5 text-gray-200">{row.item.name}</td>
+                <td className="px-3 py-1.5 text-right text-gray-300">{formatNumber(row.quantity)}</td>
+                <td className="px-3 py-1.5 text-right text-green-400">
+                  {row.unitPrice !== null ? formatNumber(row.unitPrice) : '-'}
+                </td>
+                <td className="px-3 py-1.5 text-right text-yellow-400">
+                  {row.subtotal !== null ? formatNumber(row.subtotal) : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > COLLAPSED_ROW_COUNT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-2 text-xs text-gray-400 hover:text-ffxiv-gold transition-colors"
+        >
+          {showAll ? t('batchEstimate.collapse') : t('batchEstimate.showAll', { count: rows.length })}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+// Compare Button Component - Adds an item to (or removes it from) the /compare list
+import { useState, useEffect } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { getCompareList, subscribeToCompareList, addToCompareList, removeFromCompareList, MAX_COMPARE_ITEMS } from '../utils/compareList';
+
+/**
+ * @param {Object} props
+ * @param {number} props.itemId
+ * @param {string} props.itemName
+ * @param {Function} props.addToast - Optional
+ * @param {'icon'|'pill'} props.variant - 'icon' for table rows and cards, 'pill' for the item page action row
+ * @param {string} props.className - Extra classes (e.g. positioning)
+ */
+export default function CompareButton({ itemId, itemName, addToast, variant = 'icon', className = '' }) {
+  const { t } = useTranslation();
+  const [isCompared, setIsCompared] = useState(() => getCompareList().some(entry => entry.itemId === itemId));
+
+  useEffect(() => {
+    setIsCompared(getCompareList().some(entry => entry.itemId === itemId));
+    return subscribeToCompareList(entries => {
+      setIsCompared(entries.some(entry => entry.itemId === itemId));
+    });
+  }, [itemId]);
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (isCompared) {
+      removeFromCompareList(itemId);
+      addToast?.(t('compare.removed', { name: itemName || `#${itemId}` }), 'info');
+      return;
+    }
+    const result = addToCompareList(itemId, itemName);
+    if (result === 'added') {
+      addToast?.(t('compare.added', { name: itemName || `#${itemId}` }), 'success');
+    } else if (result === 'full') {
+      addToast?.(t('compare.full', { max: MAX_COMPARE_ITEMS }), 'warning');
+    }
+  };
+
+  const title = isCompared ? t('compare.removeFromCompare') : t('compare.addToCompare');
+  const icon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      className={variant === 'pill' ? 'h-4 w-4 sm:h-5 sm:w-5' : 'h-3.5 w-3.5'}
+      fill="none"
+      viewBox="0 0 24 24"
+      stroke="currentColor"
+    >
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
+    </svg>
+  );
+
+  if (variant === 'pill') {
+    return (
+      <button
+        onClick={handleClick}
+        className={`flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-xl transition-all duration-300 border ${
+          isCompared
+            ? 'bg-gradient-to-r from-ffxiv-gold/20 via-yellow-900/30 to-ffxiv-gold/20 border-ffxiv-gold/60 text-ffxiv-gold'
+            : 'bg-gradient-to-r from-purple-900/50 via-indigo-900/40 to-purple-900/50 border-purple-400/40 text-purple-200 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+        } ${className}`}
+        title={title}
+      >
+        {icon}
+        <span className="text-xs sm:text-sm font-semibold whitespace-nowrap tracking-wide">
+          {isCompared ? t('compare.inCompare') : t('compare.compare')}
+        </span>
+      </button>
+    );
+  }
+
+  return (
+    <button
+      onClick={handleClick}
+      className={`flex-shrink-0 p-1 rounded-md border transition-all duration-200 ${
+        isCompared
+          ? 'text-ffxiv-gold bg-ffxiv-gold/10 border-ffxiv-gold/40'
+          : 'text-gray-400 border-transparent hover:text-ffxiv-gold hover:bg-purple-800/40 hover:border-purple-500/40'
+      } ${className}`}
+      title={title}
+      aria-label={title}
+      aria-pressed={isCompared}
+    >
+      {icon}
+    </button>
+  );
+}
@@ -0,0 +1,383 @@
+// Compare items page - side-by-side pricing of up to MAX_COMPARE_ITEMS items on every world of the current DC
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import RunningLoader from './RunningLoader';
+import { useTranslation } from '../hooks/useTranslation';
+import { getItemById } from '../services/itemDatabase';
+import { fetchAggregatedData, getWorldUploadTimes } from '../services/universalis';
+import { getLocalizedItemNamesByIds } from '../services/supabaseData';
+import { RATE_LIMIT_ERROR_CODE } from '../utils/requestManager';
+import { formatRelativeTime } from '../utils/timeFormat';
+import { buildComparisonMatrix } from '../utils/itemComparison';
+import {
+  getCompareList,
+  subscribeToCompareList,
+  removeFromCompareList,
+  setCompareList,
+  clearCompareList,
+  compareParamsToItemIds,
+  getCompareUrl,
+  MAX_COMPARE_ITEMS,
+} from '../utils/compareList';
+
+export default function CompareItems({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t, formatNumber } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [, setSearchParams] = useSearchParams();
+  // Items of a shared /compare?ids= link replace the stored list
+  const [sharedItemIds] = useState(() => compareParamsToItemIds(new URLSearchParams(location.search)));
+  const [entries, setEntries] = useState(() => {
+    if (!sharedItemIds) return getCompareList();
+    const names = new Map(getCompareList().map(entry => [entry.itemId, entry.itemName]));
+    return sharedItemIds.map(itemId => ({ itemId, itemName: names.get(itemId) || '' }));
+  });
+  const [itemNames, setItemNames] = useState({});
+  const [quality, setQuality] = useState('all');
+  const [resultsByWorld, setResultsByWorld] = useState({});
+  const [uploadTimes, setUploadTimes] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState({ loaded: 0, total: 0 });
+  const [refreshNonce, setRefreshNonce] = useState(0);
+  const forceRefreshRef = useRef(false);
+
+  const dcName = selectedWorld?.section || null;
+  const worldIds = useMemo(() => selectedWorld?.dcObj?.worlds || [], [selectedWorld]);
+  const itemIds = useMemo(() => entries.map(entry => entry.itemId), [entries]);
+  const itemIdsKey = itemIds.join(',');
+
+  useEffect(() => {
+    if (sharedItemIds) {
+      setCompareList(sharedItemIds);
+    }
+    return subscribeToCompareList(setEntries);
+  }, [sharedItemIds]);
+
+  // Keep the URL shareable: it always lists the items on the page
+  useEffect(() => {
+    const currentIds = new URLSearchParams(location.search).get('ids') || '';
+    if (currentIds === itemIdsKey) return;
+    setSearchParams(itemIdsKey ? { ids: itemIdsKey } : {}, { replace: true });
+  }, [itemIdsKey, location.search, setSearchParams]);
+
+  useEffect(() => {
+    if (itemIds.length === 0) return;
+    let cancelled = false;
+    getLocalizedItemNamesByIds(itemIds)
+      .then(names => {
+        if (!cancelled) setItemNames(names || {});
+      })
+      .catch(err => console.error('Failed to load item names:', err));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [itemIdsKey]);
+
+  // One aggregated request per world (world scope), plus one DC request for the upload times
+  useEffect(() => {
+    if (itemIds.length === 0 || worldIds.length === 0 || !dcName) {
+      setResultsByWorld({});
+      setUploadTimes({});
+      setIsLoading(false);
+      return;
+    }
+
+    const abortController = new AbortController();
+    const forceRefresh = forceRefreshRef.current;
+    forceRefreshRef.current = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      setLoadProgress({ loaded: 0, total: worldIds.length });
+      try {
+        const loaded = {};
+        for (const worldId of worldIds) {
+          const data = await fetchAggregatedData(worldId, itemIds, { signal: abortController.signal, forceRefresh });
+          const itemsById = {};
+          data.results.forEach(item => {
+            itemsById[item.itemId] = item;
+          });
+          loaded[worldId] = itemsById;
+          setLoadProgress(prev => ({ ...prev, loaded: prev.loaded + 1 }));
+        }
+        const times = await getWorldUploadTimes(dcName, itemIds, { signal: abortController.signal });
+        if (abortController.signal.aborted || times === null) return;
+        setResultsByWorld(loaded);
+        setUploadTimes(times);
+      } catch (error) {
+        if (error.name === 'AbortError' || abortController.signal.aborted) return;
+        console.error('Failed to load compare data:', error);
+        addToast(error.code === RATE_LIMIT_ERROR_CODE ? t('errors.rateLimited') : t('compare.loadFailed'), error.code === RATE_LIMIT_ERROR_CODE ? 'warning' : 'error');
+      } finally {
+        if (!abortController.signal.aborted) {
+          setIsLoading(false);
+        }
+      }
+    };
+    load();
+
+    return () => {
+      abortController.abort();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [itemIdsKey, worldIds, dcName, refreshNonce]);
+
+  const rows = useMemo(
+    () => buildComparisonMatrix(itemIds, worldIds, resultsByWorld, uploadTimes, quality),
+    [itemIds, worldIds, resultsByWorld, uploadTimes, quality]
+  );
+
+  const getItemName = (entry) => itemNames[entry.itemId] || entry.itemName || `#${entry.itemId}`;
+
+  const handleItemClick = async (itemId) => {
+    const item = await getItemById(itemId);
+    if (item) {
+      onItemSelect(item);
+    }
+  };
+
+  const handleRefresh = () => {
+    forceRefreshRef.current = true;
+    setRefreshNonce(nonce => nonce + 1);
+  };
+
+  const handleClear = () => {
+    if (window.confirm(t('compare.clearConfirm'))) {
+      clearCompareList();
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getCompareUrl(itemIds));
+      addToast(t('compare.linkCopied'), 'success');
+    } catch (error) {
+      console.error('Failed to copy compare link:', error);
+      addToast(t('compare.copyFailed'), 'error');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white text-sm focus:outline-none focus:border-ffxiv-gold';
+  const cardClass = 'bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20';
+  const buttonClass = 'text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="compare"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('compare.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('compare.subtitle', { dc: dcName || t('compare.noDc'), max: MAX_COMPARE_ITEMS })}
+            </p>
+          </div>
+
+          {/* Controls */}
+          <div className={`${cardClass} p-4 mb-6 space-y-4`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-300 mr-1">
+                {t('compare.itemCount', { count: entries.length, max: MAX_COMPARE_ITEMS })}
+              </span>
+              {entries.map(entry => (
+                <span
+                  key={entry.itemId}
+                  className="flex items-center gap-1.5 pl-1 pr-2 py-1 rounded-full bg-slate-900/50 border border-purple-500/30 text-xs"
+                >
+                  <ItemImage itemId={entry.itemId} alt={getItemName(entry)} className="w-5 h-5 object-contain rounded" />
+                  <span className="max-w-[10rem] truncate" title={getItemName(entry)}>{getItemName(entry)}</span>
+                  <button
+                    onClick={() => removeFromCompareList(entry.itemId)}
+                    className="text-gray-400 hover:text-red-400 transition-colors"
+                    title={t('compare.removeFromCompare')}
+                    aria-label={t('compare.removeFromCompare')}
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('compare.quality')}</label>
+                <select value={quality} onChange={(e) => setQuality(e.target.value)} className={inputClass}>
+                  <option value="all">{t('compare.qualityAll')}</option>
+                  <option value="nq">NQ</option>
+                  <option value="hq">HQ</option>
+                </select>
+              </div>
+              <button onClick={handleRefresh} disabled={isLoading || entries.length === 0 || !isServerDataLoaded} className={buttonClass}>
+                {t('compare.refresh')}
+              </button>
+              <button onClick={handleCopyLink} disabled={entries.length === 0} className={buttonClass}>
+                {t('compare.copyLink')}
+              </button>
+              <button
+                onClick={handleClear}
+                disabled={entries.length === 0}
+                className="text-xs px-3 py-1.5 bg-red-800/60 hover:bg-red-700/70 rounded border border-red-500/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('compare.clear')}
+              </button>
+            </div>
+          </div>
+
+          {/* Matrix */}
+          {entries.length === 0 ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400`}>
+              <div className="text-4xl mb-4">📊</div>
+              <p className="text-sm">{t('compare.empty')}</p>
+            </div>
+          ) : isLoading ? (
+            <div className={`${cardClass} p-8`}>
+              <RunningLoader message={t('compare.loading', { loaded: loadProgress.loaded, total: loadProgress.total })} />
+            </div>
+          ) : worldIds.length === 0 ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400 text-sm`}>
+              {t('compare.selectDc')}
+            </div>
+          ) : (
+            <>
+              <div className={`overflow-x-auto ${cardClass}`}>
+                <table className="w-full border-collapse text-sm">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs sticky left-0 bg-slate-900/95 z-10 min-w-[10rem]">
+                        {t('compare.item')}
+                      </th>
+                      {worldIds.map(worldId => (
+                        <th key={worldId} className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs whitespace-nowrap">
+                          {worlds[worldId] || `#${worldId}`}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row, index) => (
+                      <tr key={row.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors">
+                        <td className="px-3 py-2 sticky left-0 bg-slate-900/95 z-10">
+                          <button
+                            onClick={() => handleItemClick(row.itemId)}
+                            className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                          >
+                            <ItemImage itemId={row.itemId} alt={getItemName(entries[index])} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                            <span className="text-xs">{getItemName(entries[index])}</span>
+                          </button>
+                        </td>
+                        {worldIds.map(worldId => {
+                          const cell = row.cells[worldId];
+                          const isCheapest = row.cheapestWorldId === worldId;
+                          return (
+                            <td
+                              key={worldId}
+                              className={`px-3 py-2 text-right text-xs whitespace-nowrap align-top ${isCheapest ? 'bg-green-900/20' : ''}`}
+                            >
+                              {cell.minPrice ? (
+                                <div className={`font-semibold ${isCheapest ? 'text-green-400' : 'text-white'}`} title={t('compare.minListing')}>
+                                  {formatNumber(cell.minPrice)}
+                                  {cell.minIsHQ && <span className="ml-1 text-[10px] text-ffxiv-gold">HQ</span>}
+                                </div>
+                              ) : (
+                                <div className="text-gray-500" title={t('compare.minListing')}>{t('compare.noListing')}</div>
+                              )}
+                              <div className="text-yellow-400/80" title={t('compare.averageSale')}>
+                                {cell.averagePrice ? t('compare.averageValue', { price: cell.averagePrice }) : '—'}
+                              </div>
+                              <div className="text-cyan-300/80" title={t('compare.velocity')}>
+                                {t('compare.velocityValue', { velocity: formatNumber(cell.velocity, { maximumFractionDigits: 1 }) })}
+                              </div>
+                              <div className="text-gray-500" title={t('compare.lastUpload')}>
+                                {cell.uploadTime ? formatRelativeTime(cell.uploadTime) : t('compare.neverUploaded')}
+                              </div>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">{t('compare.legend')}</p>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
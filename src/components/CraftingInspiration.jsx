@@ -10,12 +10,22 @@ import TaxRatesModal from './TaxRatesModal';
 import SearchResultsTable from './SearchResultsTable.jsx';
 import ServerSelector from './ServerSelector';
 import RunningLoader from './RunningLoader';
+import ItemImage from './ItemImage';
+import TableExportButtons from './TableExportButtons';
 import { loadRecipeDatabase, loadRecipesByJobAndLevel } from '../services/recipeDatabase';
-import { getMarketableItems, getMarketableItemsByIds } from '../services/universalis';
+import { getMarketableItems, getMarketableItemsByIds, fetchAggregatedData } from '../services/universalis';
 import { getItemById, getSimplifiedChineseName } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
-import axios from 'axios';
-import { getTwJobAbbr, getIlvlsByIds } from '../services/supabaseData';
+import { getLocalizedJobAbbr, getIlvlsByIds } from '../services/supabaseData';
+import { getSettings } from '../utils/userSettings';
+import { buildCraftingProfitReport } from '../services/craftingProfitReport';
+import { DEFAULT_TAX_RATE } from '../constants/marketTax';
+import { getActiveCrafterLevels } from '../utils/crafterProfile';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Sort options of the deep mode profit table (labels are craftingInspiration.profit.<value>)
+const PROFIT_SORT_OPTIONS = ['profitPerUnit', 'profitPerDay', 'roi'];
+const PROFIT_ROWS_STEP = 50;
 
 export default function CraftingJobPriceChecker({ 
   addToast, 
@@ -40,6 +50,7 @@ export default function CraftingJobPriceChecker({
   taxRates,
   isLoadingTaxRates
 }) {
+  const { t, locale } = useTranslation();
   const navigate = useNavigate();
   const [ilvlMin, setIlvlMin] = useState(1);
   const [ilvlMax, setIlvlMax] = useState(11);
@@ -60,6 +71,15 @@ export default function CraftingJobPriceChecker({
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(50);
   const MAX_ITEMS_LIMIT = 500; // Maximum number of items to process
+
+  // Deep mode: build a crafting tree per result and rank by profit
+  const [isDeepMode, setIsDeepMode] = useState(false);
+  const [profitRows, setProfitRows] = useState({});
+  const [analyzedReportKey, setAnalyzedReportKey] = useState(null);
+  const [isAnalyzingProfit, setIsAnalyzingProfit] = useState(false);
+  const [profitProgress, setProfitProgress] = useState({ done: 0, total: 0 });
+  const [profitSort, setProfitSort] = useState('profitPerDay');
+  const [visibleProfitRows, setVisibleProfitRows] = useState(PROFIT_ROWS_STEP);
   
   // Loading indicator state (same as AdvancedSearch page)
   const [showLoadingIndicator, setShowLoadingIndicator] = useState(false);
@@ -79,7 +99,7 @@ export default function CraftingJobPriceChecker({
   
   // Load job abbreviations on mount
   useEffect(() => {
-    getTwJobAbbr().then(data => {
+    getLocalizedJobAbbr().then(data => {
       twJobAbbrDataRef.current = data;
     });
   }, []);
@@ -238,7 +258,7 @@ export default function CraftingJobPriceChecker({
         if (prev.length >= 4) {
           // Show toast after state update completes to avoid render warnings
           Promise.resolve().then(() => {
-            addToast('最多只能選擇4個職業', 'warning');
+            addToast(t('craftingInspiration.maxJobs'), 'warning');
           });
           return prev; // Don't add the job
         }
@@ -250,7 +270,7 @@ export default function CraftingJobPriceChecker({
   // Helper function to fetch market data for items with progressive batching
   const fetchMarketData = useCallback(async (tradeableItemIds, limitItems = false) => {
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('craftingInspiration.selectServer'), 'warning');
       return null;
     }
 
@@ -260,7 +280,7 @@ export default function CraftingJobPriceChecker({
       : tradeableItemIds;
 
     if (limitItems && tradeableItemIds.length > MAX_ITEMS_LIMIT) {
-      addToast(`已限制為前 ${itemsToProcess.length} 個物品，正在獲取市場數據...`, 'warning');
+      addToast(t('craftingInspiration.limitedFetching', { count: itemsToProcess.length }), 'warning');
     }
 
     setIsLoadingVelocities(true);
@@ -287,14 +307,8 @@ export default function CraftingJobPriceChecker({
         return;
       }
       
-      const itemIdsString = batch.join(',');
-      
       try {
-        const response = await axios.get(
-          `https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`
-        );
-        
-        const data = response.data;
+        const data = await fetchAggregatedData(queryTarget, batch);
         
         // Process batch results
         const batchVelocities = {};
@@ -494,7 +508,7 @@ export default function CraftingJobPriceChecker({
     if (isRecipeSearching) return;
 
     if (!isRangeValid) {
-      addToast(`範圍過大！最多只能搜索 ${getMaxRange(selectedJobs.length)} 個等級範圍`, 'error');
+      addToast(t('craftingInspiration.rangeTooLargeToast', { max: getMaxRange(selectedJobs.length) }), 'error');
       return;
     }
 
@@ -524,19 +538,19 @@ export default function CraftingJobPriceChecker({
       const itemIds = [...new Set(filteredRecipes.map(recipe => recipe.result))];
       
       if (itemIds.length === 0) {
-        addToast('未找到符合條件的配方', 'warning');
+        addToast(t('craftingInspiration.noRecipes'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
 
-      addToast(`找到 ${itemIds.length} 個物品，正在過濾可交易物品...`, 'info');
+      addToast(t('craftingInspiration.filteringTradable', { count: itemIds.length }), 'info');
 
       // Filter out non-tradeable items using targeted marketable API (optimized)
       const marketableSet = await getMarketableItemsByIds(itemIds);
       let tradeableItemIds = itemIds.filter(id => marketableSet.has(id));
 
       if (tradeableItemIds.length === 0) {
-        addToast('沒有可交易的物品', 'warning');
+        addToast(t('craftingInspiration.noTradable'), 'warning');
         setIsRecipeSearching(false);
         return;
       }
@@ -570,14 +584,14 @@ export default function CraftingJobPriceChecker({
       }
 
       setTooManyItemsWarning(null);
-      addToast(`找到 ${tradeableItemIds.length} 個可交易物品，正在獲取市場數據...`, 'info');
+      addToast(t('craftingInspiration.fetchingMarket', { count: tradeableItemIds.length }), 'info');
 
       // Fetch item details for display
       const itemPromises = tradeableItemIds.map(id => getItemById(id));
       const items = (await Promise.all(itemPromises)).filter(item => item !== null);
 
       if (items.length === 0) {
-        addToast('無法獲取物品信息', 'error');
+        addToast(t('craftingInspiration.itemInfoFailed'), 'error');
         setIsRecipeSearching(false);
         return;
       }
@@ -593,10 +607,10 @@ export default function CraftingJobPriceChecker({
       }
 
       // State is already updated progressively by fetchMarketData
-      addToast(`搜索完成！找到 ${items.length} 個可交易物品`, 'success');
+      addToast(t('craftingInspiration.searchDone', { count: items.length }), 'success');
     } catch (error) {
       console.error('Search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('search.failedRetryLater'), 'error');
       setIsLoadingVelocities(false);
     } finally {
       setIsRecipeSearching(false);
@@ -627,7 +641,7 @@ export default function CraftingJobPriceChecker({
       const iconName = jobIconUrls[jobId];
       return {
         id: jobId,
-        name: data.tw,
+        name: data.name,
         iconUrl: iconName ? `https://xivapi.com/cj/companion/${iconName}.png` : null
       };
     });
@@ -637,32 +651,37 @@ export default function CraftingJobPriceChecker({
   // Get disabled reason and button text
   const getButtonState = useMemo(() => {
     if (isRecipeSearching) {
-      return { disabled: true, text: '搜索中...', tooltip: null };
+      return { disabled: true, text: t('craftingInspiration.button.searching'), tooltip: null };
     }
     if (tooManyItemsWarning !== null) {
       return { 
         disabled: true, 
-        text: `搜索（找到 ${tooManyItemsWarning.total} 個物品，超過上限 ${tooManyItemsWarning.limit}）`, 
-        tooltip: `找到 ${tooManyItemsWarning.total} 個可交易物品，超過建議上限 ${tooManyItemsWarning.limit} 個。請縮小等級範圍或選擇更少的職業。`
+        text: t('craftingInspiration.button.tooManyItems', { total: tooManyItemsWarning.total, limit: tooManyItemsWarning.limit }), 
+        tooltip: t('craftingInspiration.button.tooManyItemsTooltip', { total: tooManyItemsWarning.total, limit: tooManyItemsWarning.limit })
       };
     }
     if (!isRangeValid) {
       const currentRange = ilvlMax - ilvlMin;
       return { 
         disabled: true, 
-        text: `搜索（範圍過大：${currentRange} 個等級，最多 ${maxRange}）`, 
-        tooltip: `當前範圍為 ${currentRange} 個等級，超過最大允許範圍 ${maxRange} 個等級。建議調整為 ${suggestedRange.suggestedMin}-${suggestedRange.suggestedMax}。`
+        text: t('craftingInspiration.button.rangeTooLarge', { range: currentRange, max: maxRange }), 
+        tooltip: t('craftingInspiration.button.rangeTooLargeTooltip', {
+          range: currentRange,
+          max: maxRange,
+          suggestedMin: suggestedRange.suggestedMin,
+          suggestedMax: suggestedRange.suggestedMax,
+        })
       };
     }
     if (selectedJobs.length === 0) {
       return { 
         disabled: true, 
-        text: '搜索（請先選擇至少一個職業）', 
-        tooltip: '請至少選擇一個製造職業才能進行搜索。'
+        text: t('craftingInspiration.button.noJobs'), 
+        tooltip: t('craftingInspiration.button.noJobsTooltip')
       };
     }
-    return { disabled: false, text: '搜索', tooltip: null };
-  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length]);
+    return { disabled: false, text: t('craftingInspiration.button.search'), tooltip: null };
+  }, [isRecipeSearching, tooManyItemsWarning, isRangeValid, ilvlMin, ilvlMax, maxRange, suggestedRange, selectedJobs.length, locale]);
 
   // Auto-refetch prices when server changes (if there are already search results)
   useEffect(() => {
@@ -755,6 +774,76 @@ export default function CraftingJobPriceChecker({
     }
   }, [isRecipeSearching, isLoadingVelocities, searchResults.length]);
 
+  // Deep mode: analyse the results once searching is done (again when the results or server change)
+  const profitReportKey = useMemo(() => {
+    if (searchResults.length === 0 || !selectedServerOption) return null;
+    return `${selectedServerOption}:${searchResults.map(item => item.id).join(',')}`;
+  }, [searchResults, selectedServerOption]);
+
+  useEffect(() => {
+    if (!isDeepMode || isRecipeSearching || !profitReportKey || !selectedWorld) return;
+    if (analyzedReportKey === profitReportKey) return;
+
+    const abortController = new AbortController();
+    const itemIds = searchResults.map(item => item.id);
+    const isDCQuery = selectedServerOption === selectedWorld.section;
+    const { excludeCrystals } = getSettings();
+
+    setIsAnalyzingProfit(true);
+    setProfitRows({});
+    setVisibleProfitRows(PROFIT_ROWS_STEP);
+    setProfitProgress({ done: 0, total: itemIds.length });
+
+    buildCraftingProfitReport(itemIds, selectedServerOption, worlds, {
+      isDcQuery: isDCQuery,
+      excludeCrystals,
+      crafterLevels: getActiveCrafterLevels(),
+      signal: abortController.signal,
+      onProgress: (done, total, rows) => {
+        if (abortController.signal.aborted) return;
+        setProfitProgress({ done, total });
+        setProfitRows(rows);
+      },
+    })
+      .then(rows => {
+        if (abortController.signal.aborted) return;
+        setProfitRows(rows);
+        setAnalyzedReportKey(profitReportKey);
+      })
+      .catch(error => {
+        console.error('Profit report error:', error);
+        if (!abortController.signal.aborted) {
+          addToast(t('craftingInspiration.profitFailed'), 'error');
+        }
+      })
+      .finally(() => {
+        if (!abortController.signal.aborted) {
+          setIsAnalyzingProfit(false);
+        }
+      });
+
+    return () => {
+      abortController.abort();
+      setIsAnalyzingProfit(false);
+    };
+  }, [isDeepMode, isRecipeSearching, profitReportKey, analyzedReportKey, searchResults, selectedServerOption, selectedWorld, worlds, addToast]);
+
+  const itemNamesById = useMemo(() => {
+    const names = {};
+    searchResults.forEach(item => {
+      names[item.id] = item.name;
+    });
+    return names;
+  }, [searchResults]);
+
+  const sortedProfitRows = useMemo(() => {
+    return Object.values(profitRows)
+      .filter(row => row.profitPerUnit !== null)
+      .sort((a, b) => (b[profitSort] ?? -Infinity) - (a[profitSort] ?? -Infinity));
+  }, [profitRows, profitSort]);
+
+  const unpricedProfitCount = Object.keys(profitRows).length - sortedProfitRows.length;
+
   // Pagination calculations
   const totalPages = Math.ceil(searchResults.length / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
@@ -811,10 +900,10 @@ export default function CraftingJobPriceChecker({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              製造職找價
+              {t('nav.craftingInspirationTitle')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              用來根據製作職業查找物價肥美的物品，掌控市場雷電。
+              {t('craftingInspiration.description')}
             </p>
           </div>
 
@@ -823,7 +912,7 @@ export default function CraftingJobPriceChecker({
           {/* Job Selector */}
           <div className="mb-6">
             <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-              職業選擇 (最多4個)
+              {t('craftingInspiration.jobSelect')}
             </label>
             <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto p-2 bg-slate-900/30 rounded-lg border border-purple-500/20">
               {allJobs.map(job => {
@@ -861,9 +950,9 @@ export default function CraftingJobPriceChecker({
               })}
             </div>
             <div className="mt-2 text-xs text-gray-400">
-              已選擇: {selectedJobs.length}/4
+              {t('craftingInspiration.selectedJobs', { count: selectedJobs.length })}
               {selectedJobs.length === 0 && (
-                <span className="ml-2 text-yellow-400">未選擇職業時，範圍限制為10個等級</span>
+                <span className="ml-2 text-yellow-400">{t('craftingInspiration.noJobsRangeHint')}</span>
               )}
             </div>
           </div>
@@ -872,33 +961,33 @@ export default function CraftingJobPriceChecker({
           <div className="mb-6">
             <div className="flex items-center gap-2 flex-wrap mb-2">
               <label className="text-sm font-semibold text-ffxiv-gold">
-                物品等級範圍
+                {t('craftingInspiration.levelRange')}
               </label>
               {/* Tags for current range and job count */}
               <div className="flex items-center gap-2 flex-wrap">
                 <span className="px-2 py-1 bg-slate-700/60 border border-purple-500/40 rounded-md text-xs text-gray-300">
-                  當前範圍: <span className="text-ffxiv-gold font-semibold">{ilvlMax - ilvlMin + 1}</span> 個等級
+                  {t('craftingInspiration.currentRange', { count: ilvlMax - ilvlMin + 1 })}
                 </span>
                 {selectedJobs.length > 0 && (
                   <span className="px-2 py-1 bg-slate-700/60 border border-purple-500/40 rounded-md text-xs text-gray-300">
-                    已選擇 <span className="text-ffxiv-gold font-semibold">{selectedJobs.length}</span> 個職業
+                    {t('craftingInspiration.jobCountTag', { count: selectedJobs.length })}
                   </span>
                 )}
                 {selectedJobs.length > 0 && (
                   <span className="px-2 py-1 bg-yellow-900/40 border border-yellow-500/50 rounded-md text-xs text-yellow-300">
-                    最大範圍: <span className="font-bold">{maxRange}</span> 個等級
+                    {t('craftingInspiration.maxRange', { count: maxRange })}
                   </span>
                 )}
                 {selectedJobs.length === 0 && (
                   <span className="px-2 py-1 bg-amber-900/40 border border-amber-500/50 rounded-md text-xs text-amber-300">
-                    ⚠️ 請先選擇職業
+                    ⚠️ {t('craftingInspiration.selectJobFirst')}
                   </span>
                 )}
               </div>
             </div>
             <div className="flex items-center gap-4">
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最小等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.minLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -910,7 +999,7 @@ export default function CraftingJobPriceChecker({
               </div>
               <div className="pt-6 text-gray-400">-</div>
               <div className="flex-1">
-                <label className="block text-xs text-gray-400 mb-1">最大等級</label>
+                <label className="block text-xs text-gray-400 mb-1">{t('craftingInspiration.maxLevel')}</label>
                 <input
                   type="text"
                   inputMode="numeric"
@@ -925,12 +1014,12 @@ export default function CraftingJobPriceChecker({
             <div className="mt-3 mb-3 p-2.5 bg-gradient-to-r from-yellow-900/40 via-amber-900/30 to-yellow-900/40 border border-yellow-500/50 rounded-lg">
               <div className="flex items-center gap-2">
                 <span className="text-sm">💡</span>
-                <span className="text-xs text-yellow-300 font-semibold">職業越多等級范圍限制越多：</span>
+                <span className="text-xs text-yellow-300 font-semibold">{t('craftingInspiration.rangeRule')}</span>
                 <span className="text-xs text-yellow-200/90">
-                  1職<span className="text-yellow-300 font-bold">50</span> | 
-                  2職<span className="text-yellow-300 font-bold">30</span> | 
-                  3職<span className="text-yellow-300 font-bold">20</span> | 
-                  4職<span className="text-yellow-300 font-bold">10</span>
+                  {t('craftingInspiration.jobs', { count: 1 })}<span className="text-yellow-300 font-bold">50</span> | 
+                  {t('craftingInspiration.jobs', { count: 2 })}<span className="text-yellow-300 font-bold">30</span> | 
+                  {t('craftingInspiration.jobs', { count: 3 })}<span className="text-yellow-300 font-bold">20</span> | 
+                  {t('craftingInspiration.jobs', { count: 4 })}<span className="text-yellow-300 font-bold">10</span>
                 </span>
               </div>
             </div>
@@ -940,11 +1029,11 @@ export default function CraftingJobPriceChecker({
                   <span className="text-lg">⚠️</span>
                   <div className="flex-1">
                     <div className="text-sm font-bold text-red-300 mb-1">
-                      範圍過大！
+                      {t('craftingInspiration.rangeTooLarge')}
                     </div>
                     <div className="flex items-center gap-2 flex-wrap">
                       <span className="text-sm text-red-200">
-                        建議調整為: <span className="font-bold text-yellow-300">{suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}</span>
+                        {t('craftingInspiration.suggestedRange')} <span className="font-bold text-yellow-300">{suggestedRange.suggestedMin}-{suggestedRange.suggestedMax}</span>
                       </span>
                       <button
                         onClick={() => {
@@ -952,11 +1041,11 @@ export default function CraftingJobPriceChecker({
                           setIlvlMaxInput(suggestedRange.suggestedMax.toString());
                           setIlvlMin(suggestedRange.suggestedMin);
                           setIlvlMax(suggestedRange.suggestedMax);
-                          addToast(`已自動調整為 ${suggestedRange.suggestedMin}-${suggestedRange.suggestedMax}`, 'success');
+                          addToast(t('craftingInspiration.rangeAdjusted', { min: suggestedRange.suggestedMin, max: suggestedRange.suggestedMax }), 'success');
                         }}
                         className="px-3 py-1 bg-yellow-600 hover:bg-yellow-500 text-white rounded-md text-xs font-semibold transition-colors shadow-md hover:shadow-lg"
                       >
-                        套用建議
+                        {t('craftingInspiration.applySuggestion')}
                       </button>
                     </div>
                   </div>
@@ -969,7 +1058,7 @@ export default function CraftingJobPriceChecker({
           {selectedWorld && (
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                伺服器選擇
+                {t('craftingInspiration.serverSelect')}
               </label>
               <ServerSelector
                 datacenters={datacenters}
@@ -990,12 +1079,10 @@ export default function CraftingJobPriceChecker({
                 <div className="text-2xl">⚠️</div>
                 <div className="flex-1">
                   <h3 className="text-yellow-400 font-semibold mb-2">
-                    找到的物品過多
+                    {t('craftingInspiration.tooManyItems')}
                   </h3>
                   <p className="text-sm text-gray-300 mb-3">
-                    找到 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.total}</span> 個可交易物品，
-                    超過建議上限 <span className="text-yellow-400 font-bold">{tooManyItemsWarning.limit}</span> 個。
-                    處理過多物品可能會導致搜索時間過長或性能問題。
+                    {t('craftingInspiration.tooManyItemsDetail', { total: tooManyItemsWarning.total, limit: tooManyItemsWarning.limit })}
                   </p>
                   <div className="flex gap-2 flex-wrap">
                     <button
@@ -1057,10 +1144,10 @@ export default function CraftingJobPriceChecker({
                           }
 
                           // State is already updated progressively by fetchMarketData
-                          addToast(`搜索完成！找到 ${items.length} 個可交易物品（已限制）`, 'success');
+                          addToast(t('craftingInspiration.searchDoneLimited', { count: items.length }), 'success');
                         } catch (error) {
                           console.error('Search error:', error);
-                          addToast('搜索失敗，請稍後再試', 'error');
+                          addToast(t('search.failedRetryLater'), 'error');
                           setIsLoadingVelocities(false);
                         } finally {
                           setIsRecipeSearching(false);
@@ -1068,26 +1155,42 @@ export default function CraftingJobPriceChecker({
                       }}
                       className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      繼續搜索（限制為前 {MAX_ITEMS_LIMIT} 個）
+                      {t('craftingInspiration.continueLimited', { limit: MAX_ITEMS_LIMIT })}
                     </button>
                     <button
                       onClick={() => {
                         setTooManyItemsWarning(null);
-                        addToast('已取消搜索', 'info');
+                        addToast(t('craftingInspiration.searchCancelled'), 'info');
                       }}
                       className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg font-semibold text-sm transition-colors"
                     >
-                      取消
+                      {t('craftingInspiration.cancel')}
                     </button>
                   </div>
                   <p className="text-xs text-gray-400 mt-3">
-                    💡 提示：嘗試縮小等級範圍或選擇更少的職業來減少結果數量
+                    💡 {t('craftingInspiration.tooManyItemsTip')}
                   </p>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Deep mode toggle */}
+          <label className="flex items-start gap-2 mb-4 text-sm text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isDeepMode}
+              onChange={(e) => setIsDeepMode(e.target.checked)}
+              className="mt-0.5 accent-ffxiv-gold"
+            />
+            <span>
+              {t('craftingInspiration.deepMode')}
+              <span className="block text-xs text-gray-500">
+                {t('craftingInspiration.deepModeHint')}
+              </span>
+            </span>
+          </label>
+
           {/* Search Button */}
           <button
             onClick={handleSearch}
@@ -1110,6 +1213,141 @@ export default function CraftingJobPriceChecker({
           </div>
         )}
 
+        {/* Deep mode profit report */}
+        {isDeepMode && searchResults.length > 0 && !isRecipeSearching && (
+          <div className="mt-6">
+            {isAnalyzingProfit && (
+              <div className="flex flex-col justify-center items-center min-h-[200px]">
+                <RunningLoader message={t('craftingInspiration.analyzing', { done: profitProgress.done, total: profitProgress.total })} />
+              </div>
+            )}
+
+            {sortedProfitRows.length > 0 && (
+              <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">
+                    {t('craftingInspiration.profitRanking', { count: sortedProfitRows.length })}
+                  </h3>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <TableExportButtons
+                      filename={t('craftingInspiration.profitRankingFilename')}
+                      getData={() => ({
+                        headers: [
+                          t('craftingInspiration.column.item'),
+                          t('craftingInspiration.column.materialCost'),
+                          t('craftingInspiration.column.yields'),
+                          t('craftingInspiration.column.salePrice'),
+                          'HQ',
+                          t('craftingInspiration.profit.profitPerUnit'),
+                          t('itemTable.column.velocity'),
+                          t('craftingInspiration.profit.profitPerDay'),
+                          t('craftingInspiration.column.roiPercent'),
+                        ],
+                        rows: sortedProfitRows.map(row => [
+                          itemNamesById[row.itemId] || row.itemId,
+                          Math.round(row.costPerUnit),
+                          row.yields,
+                          row.salePrice,
+                          row.isHQ ? 'HQ' : '',
+                          Math.round(row.profitPerUnit),
+                          Math.round(row.velocity * 10) / 10,
+                          Math.round(row.profitPerDay),
+                          row.roi !== null ? Math.round(row.roi * 1000) / 10 : '',
+                        ]),
+                      })}
+                    />
+                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                      {t('craftingInspiration.sortBy')}
+                      <select
+                        value={profitSort}
+                        onChange={(e) => setProfitSort(e.target.value)}
+                        className="px-2 py-1 bg-slate-900/70 border border-purple-500/30 rounded text-gray-200 focus:outline-none focus:border-ffxiv-gold"
+                      >
+                        {PROFIT_SORT_OPTIONS.map(option => (
+                          <option key={option} value={option}>{t(`craftingInspiration.profit.${option}`)}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse text-sm min-w-[760px]">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                        <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.column.item')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.column.materialCost')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.column.salePrice')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.profit.profitPerUnit')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('itemTable.column.velocity')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.profit.profitPerDay')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('craftingInspiration.profit.roi')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sortedProfitRows.slice(0, visibleProfitRows).map(row => {
+                        const profitClass = row.profitPerUnit > 0 ? 'text-green-400' : 'text-red-400';
+                        return (
+                          <tr key={row.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors">
+                            <td className="px-3 py-2">
+                              <a
+                                href={getInternalUrl(`/item/${row.itemId}`)}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="flex items-center gap-2 text-white hover:text-ffxiv-gold transition-colors"
+                              >
+                                <ItemImage itemId={row.itemId} alt={itemNamesById[row.itemId]} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                                <span className="text-xs">{itemNamesById[row.itemId] || row.itemId}</span>
+                              </a>
+                            </td>
+                            <td className="px-3 py-2 text-right text-xs text-gray-300">
+                              {Math.round(row.costPerUnit).toLocaleString()}
+                              {row.yields > 1 && <div className="text-gray-500">{t('craftingInspiration.yieldsPerCraft', { count: row.yields })}</div>}
+                            </td>
+                            <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                              {row.isHQ && (
+                                <span className="mr-1 px-1 py-0.5 text-[10px] font-bold text-ffxiv-gold border border-ffxiv-gold/50 rounded bg-ffxiv-gold/10">HQ</span>
+                              )}
+                              <span className="text-yellow-400">{row.salePrice.toLocaleString()}</span>
+                            </td>
+                            <td className={`px-3 py-2 text-right text-xs font-semibold ${profitClass}`}>
+                              {Math.round(row.profitPerUnit).toLocaleString()}
+                            </td>
+                            <td className="px-3 py-2 text-right text-xs text-cyan-300">{row.velocity.toFixed(1)}</td>
+                            <td className={`px-3 py-2 text-right text-xs font-semibold ${profitClass}`}>
+                              {Math.round(row.profitPerDay).toLocaleString()}
+                            </td>
+                            <td className={`px-3 py-2 text-right text-xs ${profitClass}`}>
+                              {row.roi !== null ? `${(row.roi * 100).toFixed(1)}%` : '-'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                {sortedProfitRows.length > visibleProfitRows && (
+                  <button
+                    onClick={() => setVisibleProfitRows(prev => prev + PROFIT_ROWS_STEP)}
+                    className="mt-3 w-full py-2 rounded-lg bg-purple-900/40 border border-purple-500/30 text-sm text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors"
+                  >
+                    {t('craftingInspiration.showMore', { count: sortedProfitRows.length - visibleProfitRows })}
+                  </button>
+                )}
+                <p className="mt-2 text-xs text-gray-500">
+                  {t('craftingInspiration.profitNote', { tax: DEFAULT_TAX_RATE })}
+                  {unpricedProfitCount > 0 && ` ${t('craftingInspiration.unpricedNote', { count: unpricedProfitCount })}`}
+                </p>
+              </div>
+            )}
+
+            {!isAnalyzingProfit && analyzedReportKey === profitReportKey && sortedProfitRows.length === 0 && (
+              <div className="p-6 text-center text-sm text-gray-400 bg-slate-800/60 rounded-lg border border-purple-500/20">
+                {t('craftingInspiration.noProfitRows')}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Results */}
         {searchResults.length > 0 && (
           <div ref={resultsTableRef}>
@@ -1131,10 +1369,11 @@ export default function CraftingJobPriceChecker({
             itemTradability={itemTradability}
             isLoadingVelocities={isLoadingVelocities}
             showLoadingIndicator={showLoadingIndicator}
-            averagePriceHeader="平均價格"
+            averagePriceHeader={t('itemTable.averagePrice')}
             getSimplifiedChineseName={getSimplifiedChineseName}
             addToast={addToast}
-            title="搜索結果"
+            title={t('searchResults.title')}
+            exportFilename={t('nav.craftingInspiration')}
             defaultItemsPerPage={50}
             itemsPerPageOptions={[50, 100, 200]}
             onSelect={(item) => {
@@ -3,7 +3,29 @@ import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import ItemImage from './ItemImage';
 import { getItemById } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
-import { getAggregatedMarketData } from '../services/universalis';
+import { getAggregatedMarketData, fetchAggregatedData } from '../services/universalis';
+import { getGatherableItemIds } from '../services/gatheringData';
+import { addItemsToShoppingList } from '../utils/shoppingList';
+import { downloadCsv } from '../utils/csvExport';
+import { getCheapestCost, calculateCraftingCost, calculateCraftingCostPerUnit, applyMethodOverrides } from '../utils/craftingCost';
+import { MAX_CRAFT_AMOUNT, normalizeCraftAmount } from '../utils/craftingTreeState';
+import { getLocalizedJobAbbr } from '../services/supabaseData';
+import { useSettings } from '../contexts/SettingsContext';
+import { useTranslation } from '../hooks/useTranslation';
+import {
+  CRAFTER_JOB_IDS,
+  MAX_CRAFTER_LEVEL,
+  getCrafterProfile,
+  subscribeToCrafterProfile,
+  setCrafterProfileEnabled,
+  setCrafterLevel,
+} from '../utils/crafterProfile';
+import { DEFAULT_TAX_RATE, TAX_CITIES } from '../constants/marketTax';
+import {
+  getExpectedSale,
+  getTaxRate,
+  calculateCraftingProfit,
+} from '../utils/craftingProfit';
 
 /**
  * Format number with rounding to integer and locale string
@@ -17,6 +39,7 @@ function formatPrice(value) {
  * Copy button component
  */
 function CopyButton({ text, onCopy }) {
+  const { t } = useTranslation();
   const [copied, setCopied] = useState(false);
 
   const handleCopy = async (e) => {
@@ -41,7 +64,7 @@ function CopyButton({ text, onCopy }) {
           : 'text-gray-500 hover:text-ffxiv-gold hover:bg-purple-800/40'
         }
       `}
-      title={copied ? '已複製' : '複製名稱'}
+      title={copied ? t('craftingTree.copied') : t('craftingTree.copyName')}
     >
       {copied ? (
         <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -60,6 +83,7 @@ function CopyButton({ text, onCopy }) {
  * Calculation breakdown modal component
  */
 function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, parentPrice, childrenTotalPrice, yields, isRoot = false, amount = 1, parentUnitPrice = null }) {
+  const { t } = useTranslation();
   if (!isOpen) return null;
   
   // Calculate unit price if not provided
@@ -82,7 +106,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
       >
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b border-purple-500/30">
-          <h3 className="text-lg font-semibold text-ffxiv-gold">計算公式詳情</h3>
+          <h3 className="text-lg font-semibold text-ffxiv-gold">{t('craftingTree.calculation.title')}</h3>
           <button
             onClick={onClose}
             className="text-gray-400 hover:text-white transition-colors"
@@ -98,17 +122,17 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
           {/* Materials breakdown */}
           {breakdown && breakdown.length > 0 ? (
             <div>
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">材料成本明細：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.calculation.materialBreakdown')}</h4>
               <div className="space-y-2">
                 {breakdown.map((item, index) => {
-                  const itemName = itemNames[item.itemId] || `物品 ${item.itemId}`;
+                  const itemName = itemNames[item.itemId] || t('craftingTree.itemFallback', { id: String(item.itemId) });
                   return (
                     <div key={index} className="flex items-center justify-between p-2 bg-slate-700/50 rounded">
                       <div className="flex-1">
                         <div className="text-sm text-gray-300">{itemName}</div>
                         <div className="text-xs text-gray-500">
-                          {item.amount} 個 × {formatPrice(item.unitCost)} = {formatPrice(item.totalCost)}
-                          {item.method === 'craft' && ' (製作)'}
+                          {t('craftingTree.calculation.line', { amount: item.amount, unitCost: formatPrice(item.unitCost), totalCost: formatPrice(item.totalCost) })}
+                          {item.method === 'craft' && ` ${t('craftingTree.calculation.crafted')}`}
                         </div>
                       </div>
                       <div className="text-sm font-semibold text-green-400">
@@ -120,7 +144,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
               </div>
               <div className="mt-3 pt-3 border-t border-purple-500/30">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-400">材料總成本：</span>
+                  <span className="text-sm text-gray-400">{t('craftingTree.calculation.materialTotal')}</span>
                   <span className="text-base font-bold text-green-400">
                     {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0))}
                   </span>
@@ -129,11 +153,11 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                   <div className="mt-2 pt-2 border-t border-purple-500/20">
                     <div className="flex items-center justify-between">
                       <span className="text-sm text-gray-400">
-                        製作產出數量：<span className="text-blue-300 font-semibold">{yields}</span>
+                        {t('craftingTree.calculation.yields')}<span className="text-blue-300 font-semibold">{yields}</span>
                       </span>
                     </div>
                     <div className="flex items-center justify-between mt-1">
-                      <span className="text-sm text-gray-300">單個成本 = 總成本 ÷ 產出數量：</span>
+                      <span className="text-sm text-gray-300">{t('craftingTree.calculation.unitCostFormula')}</span>
                       <span className="text-base font-bold text-blue-400">
                         {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0))} ÷ {yields} ≈ {formatPrice(breakdown.reduce((sum, item) => sum + item.totalCost, 0) / yields)}
                       </span>
@@ -144,10 +168,10 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
             </div>
           ) : childrenTotalPrice !== null && typeof childrenTotalPrice === 'number' ? (
             <div>
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">材料成本：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.calculation.materialCost')}</h4>
               <div className="p-2 bg-slate-700/50 rounded">
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-400">材料總成本：</span>
+                  <span className="text-sm text-gray-400">{t('craftingTree.calculation.materialTotal')}</span>
                   <span className="text-base font-bold text-green-400">
                     {yields && yields > 1 
                       ? `${formatPrice(childrenTotalPrice * yields)} ÷ ${yields} ≈ ${formatPrice(childrenTotalPrice)}`
@@ -158,7 +182,7 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                 {yields && yields > 1 && (
                   <div className="mt-2 pt-2 border-t border-purple-500/20">
                     <div className="text-xs text-gray-500">
-                      製作產出數量：<span className="text-blue-300 font-semibold">{yields}</span>，已納入成本考量
+                      {t('craftingTree.calculation.yields')}<span className="text-blue-300 font-semibold">{yields}</span>{t('craftingTree.calculation.yieldsIncluded')}
                     </div>
                   </div>
                 )}
@@ -169,10 +193,10 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
           {/* Comparison */}
           {parentPrice !== null && childrenTotalPrice !== null && typeof childrenTotalPrice === 'number' && (
             <div className="pt-4 border-t border-purple-500/30">
-              <h4 className="text-sm font-semibold text-gray-300 mb-2">價格比較：</h4>
+              <h4 className="text-sm font-semibold text-gray-300 mb-2">{t('craftingTree.calculation.comparison')}</h4>
               <div className="space-y-2">
                 <div className="flex items-center justify-between p-2 bg-slate-700/50 rounded">
-                  <span className="text-sm text-gray-300">製作成本{isRoot && yields && yields > 1 ? ` (已考慮產出數量=${yields})` : ''}：</span>
+                  <span className="text-sm text-gray-300">{isRoot && yields && yields > 1 ? t('craftingTree.calculation.craftCostWithYields', { yields }) : t('craftingTree.calculation.craftCost')}</span>
                   <span className="text-sm font-semibold text-green-400">
                     {yields && yields > 1 
                       ? `${formatPrice(childrenTotalPrice * yields)} ÷ ${yields} ≈ ${formatPrice(childrenTotalPrice)}`
@@ -182,19 +206,19 @@ function CalculationModal({ isOpen, onClose, breakdown, itemNames, itemPrices, p
                 </div>
                 <div className="p-2 bg-slate-700/50 rounded">
                   <div className="flex items-center justify-between mb-1">
-                    <span className="text-sm text-gray-300">購買成本：</span>
+                    <span className="text-sm text-gray-300">{t('craftingTree.calculation.buyCost')}</span>
                   <span className="text-sm font-semibold text-yellow-400">
                     {formatPrice(parentPrice)}
                   </span>
                 </div>
                 {amount > 1 && unitPrice !== null && (
                   <div className="text-xs text-gray-500 mt-1">
-                    單價：{formatPrice(unitPrice)} × {amount} 個 = {formatPrice(parentPrice)}
+                    {t('craftingTree.calculation.unitPriceLine', { unitPrice: formatPrice(unitPrice), amount, total: formatPrice(parentPrice) })}
                   </div>
                 )}
                 </div>
                 <div className="flex items-center justify-between p-2 bg-slate-700/50 rounded mt-2">
-                  <span className="text-sm font-semibold text-gray-200">差額：</span>
+                  <span className="text-sm font-semibold text-gray-200">{t('craftingTree.calculation.difference')}</span>
                   <span className={`text-sm font-bold ${parentPrice - childrenTotalPrice > 0 ? 'text-green-400' : 'text-red-400'}`}>
                     {parentPrice > childrenTotalPrice ? '+' : ''}{formatPrice(parentPrice - childrenTotalPrice)}
                   </span>
@@ -224,6 +248,7 @@ function ItemCard({
   highlightMethod = null, // 'craft' or 'buy'
   isDcQuery = false, // Whether this is a DC query (not specific server)
 }) {
+  const { t } = useTranslation();
   return (
     <div 
       ref={nodeRef}
@@ -239,7 +264,7 @@ function ItemCard({
         }
       `}
       onClick={() => onItemClick(node.itemId)}
-      title={`查看 ${itemName}`}
+      title={t('craftingTree.viewItem', { name: itemName })}
     >
       {/* Item Image */}
       <div className="relative">
@@ -271,7 +296,7 @@ function ItemCard({
       {/* Price info - fixed height to prevent layout shift */}
       <div className={`mt-1 text-center ${priceInfo?.worldName ? 'h-[32px]' : 'h-[20px]'} flex flex-col justify-center`}>
         {isLoading ? (
-          <div className="text-xs text-gray-500 animate-pulse">載入中...</div>
+          <div className="text-xs text-gray-500 animate-pulse">{t('common.loading')}</div>
         ) : priceInfo && priceInfo.price !== null && priceInfo.price !== undefined && priceInfo.price > 0 ? (
           <div className="flex flex-col items-center gap-0.5">
             <div className="flex items-center gap-1">
@@ -288,7 +313,7 @@ function ItemCard({
               {!isDcQuery && priceInfo.priceType === 'minListing' && (
                 <span 
                   className="text-[8px] text-blue-400 cursor-help" 
-                  title="最近四天無銷售發生，改為用最低價格"
+                  title={t('craftingTree.noRecentSalesFallback')}
                 >
                   ⚠
                 </span>
@@ -301,9 +326,9 @@ function ItemCard({
             )}
           </div>
         ) : isPriceQueried ? (
-          <span className="text-xs text-gray-500">無販售</span>
+          <span className="text-xs text-gray-500">{t('craftingTree.noListings')}</span>
         ) : (
-          <div className="text-xs text-gray-500 animate-pulse">查詢中...</div>
+          <div className="text-xs text-gray-500 animate-pulse">{t('craftingTree.querying')}</div>
         )}
       </div>
     </div>
@@ -311,146 +336,88 @@ function ItemCard({
 }
 
 /**
- * Recursively calculate the cheapest cost to obtain an item
- * For each node: min(market price, sum of children's cheapest costs × amounts)
- * Returns cost as: number (price), 'N/A' (missing materials), or null (not queried)
+ * Build a consolidated material list for the whole tree
+ * Every item is decided once (buy or craft, following getCheapestCost; the root is crafted unless it must be bought),
+ * then demand is pushed top-down so duplicates from different branches are merged before
+ * crafts are rounded up by recipe yields.
+ * @param {Object} tree - Crafting tree root
+ * @param {Object} itemPrices - Prices by item ID
+ * @param {Set<number>} queriedItemIds - Item IDs whose prices were queried
+ * @param {Set<number>} gatherableItemIds - Item IDs that can be gathered
+ * @returns {{ buy: Array, craft: Array, gather: Array }}
+ *   buy/gather: [{ itemId, amount, unitPrice }]
+ *   craft: [{ itemId, amount, crafts, yields, surplus, recipeId, job, level }]
  */
-function getCheapestCost(node, itemPrices, queriedItemIds) {
-  const priceInfo = itemPrices[node.itemId];
-  const marketPrice = priceInfo?.price ?? null;
-  const hasChildren = node.children && node.children.length > 0;
-  const isQueried = queriedItemIds.has(node.itemId);
-  
-  // Leaf node - only option is market price
-  if (!hasChildren) {
-    // If queried but no price, return 'N/A'
-    if (isQueried && marketPrice === null) {
-      return { cost: 'N/A', method: 'buy', breakdown: null };
-    }
-    return { cost: marketPrice, method: 'buy', breakdown: null };
-  }
-  
-  // Check if all children have been queried
-  let allChildrenQueried = true;
-  for (const child of node.children) {
-    if (!queriedItemIds.has(child.itemId)) {
-      allChildrenQueried = false;
-      break;
-    }
-  }
-  
-  // If not all children are queried, can't calculate crafting cost
-  if (!allChildrenQueried) {
-    // If market price is available, use it; otherwise return null (still loading)
-    if (isQueried && marketPrice === null) {
-      return { cost: 'N/A', method: 'buy', breakdown: null };
+function buildMaterialList(tree, itemPrices, queriedItemIds, gatherableItemIds = new Set()) {
+  const groups = { buy: [], craft: [], gather: [] };
+  if (!tree) return groups;
+
+  // First node with a recipe for every item, and the deepest level the item appears at
+  const nodesById = new Map();
+  const depthById = new Map();
+  const visit = (node, depth) => {
+    const existing = nodesById.get(node.itemId);
+    if (!existing || (!existing.children?.length && node.children?.length)) {
+      nodesById.set(node.itemId, node);
     }
-    return { cost: marketPrice, method: 'buy', breakdown: null };
-  }
-  
-  // Calculate crafting cost (sum of children's cheapest costs × amounts)
-  let craftingCost = 0;
-  let hasNAChild = false;
-  const childBreakdown = [];
-  
-  for (const child of node.children) {
-    const childResult = getCheapestCost(child, itemPrices, queriedItemIds);
-    if (childResult.cost === 'N/A') {
-      hasNAChild = true;
-      break;
-    } else if (childResult.cost !== null && typeof childResult.cost === 'number') {
-      const childTotal = childResult.cost * child.amount;
-      craftingCost += childTotal;
-      childBreakdown.push({
-        itemId: child.itemId,
-        amount: child.amount,
-        unitCost: childResult.cost,
-        totalCost: childTotal,
-        method: childResult.method,
+    depthById.set(node.itemId, Math.max(depthById.get(node.itemId) ?? 0, depth));
+    (node.children || []).forEach(child => visit(child, depth + 1));
+  };
+  visit(tree, 0);
+
+  // A parent always sits at least one level above its ingredients,
+  // so processing by deepest level settles an item's demand before it is expanded
+  const order = Array.from(depthById.keys()).sort((a, b) => depthById.get(a) - depthById.get(b));
+  const demand = new Map([[tree.itemId, tree.amount]]);
+
+  order.forEach(itemId => {
+    const amount = demand.get(itemId) || 0;
+    if (amount <= 0) return;
+
+    const node = nodesById.get(itemId);
+    const hasChildren = node.children && node.children.length > 0;
+    const method = itemId === tree.itemId && !tree.mustBuy
+      ? 'craft'
+      : getCheapestCost(node, itemPrices, queriedItemIds).method;
+
+    if (hasChildren && method === 'craft') {
+      const yields = node.yields || 1;
+      const crafts = Math.ceil(amount / yields);
+      node.children.forEach(child => {
+        // Children amounts in the tree are for node.craftsNeeded crafts
+        const perCraft = child.amount / (node.craftsNeeded || 1);
+        demand.set(child.itemId, (demand.get(child.itemId) || 0) + perCraft * crafts);
       });
-    } else {
-      // Child not queried yet (shouldn't happen if allChildrenQueried is true, but handle it)
-      hasNAChild = true;
-      break;
-    }
-  }
-  
-  // If any child has N/A, crafting cost is N/A
-  if (hasNAChild) {
-    // If market price is available, use it; otherwise return N/A
-    if (marketPrice !== null) {
-      return { cost: marketPrice, method: 'buy', breakdown: null };
-    } else if (isQueried) {
-      return { cost: 'N/A', method: 'buy', breakdown: null };
-    } else {
-      return { cost: null, method: 'buy', breakdown: null };
-    }
-  }
-  
-  // Adjust crafting cost by yields: if yields > 1, divide by yields to get cost per unit
-  // This is because one craft produces multiple items
-  const yields = node.yields || 1;
-  const craftingCostPerUnit = yields > 1 ? craftingCost / yields : craftingCost;
-  
-  // Return the cheaper option
-  if (marketPrice === null) {
-    if (isQueried) {
-      // Market price is N/A, use crafting cost per unit
-      return { cost: craftingCostPerUnit, method: 'craft', breakdown: childBreakdown, yields };
-    } else {
-      // Not queried yet, return null
-      return { cost: null, method: 'buy', breakdown: null };
+      groups.craft.push({
+        itemId,
+        amount,
+        crafts,
+        yields,
+        surplus: crafts * yields - amount,
+        recipeId: node.recipeId,
+        job: node.job,
+        level: node.level,
+      });
+      return;
     }
-  }
-  
-  if (craftingCostPerUnit < marketPrice) {
-    return { cost: craftingCostPerUnit, method: 'craft', breakdown: childBreakdown, yields };
-  } else {
-    return { cost: marketPrice, method: 'buy', breakdown: null };
-  }
+
+    const unitPrice = itemPrices[itemId]?.price ?? null;
+    const group = gatherableItemIds.has(itemId) ? groups.gather : groups.buy;
+    group.push({ itemId, amount, unitPrice });
+  });
+
+  return groups;
 }
 
 /**
- * Calculate the crafting cost for a node (sum of children's cheapest costs × amounts)
- * This always returns the crafting cost, regardless of whether buying is cheaper
- * Returns: number (crafting cost), 'N/A' (missing materials), or null (not queried)
+ * Teamcraft import link for the crafting tree root (its recipe ID and amount)
+ * Only the root is exported: Teamcraft expands the recipe itself, so listing the intermediates
+ * and materials as well would add them to the list a second time
+ * (format: base64 of "itemId,recipeId,amount")
  */
-function calculateCraftingCost(node, itemPrices, queriedItemIds) {
-  if (!node.children || node.children.length === 0) {
-    return null; // No recipe, can't craft
-  }
-  
-  // Check if all children have been queried
-  let allChildrenQueried = true;
-  for (const child of node.children) {
-    if (!queriedItemIds.has(child.itemId)) {
-      allChildrenQueried = false;
-      break;
-    }
-  }
-  
-  if (!allChildrenQueried) {
-    return null; // Still loading
-  }
-  
-  // Calculate crafting cost (sum of children's cheapest costs × amounts)
-  let craftingCost = 0;
-  
-  for (const child of node.children) {
-    const childResult = getCheapestCost(child, itemPrices, queriedItemIds);
-    if (childResult.cost === 'N/A') {
-      return 'N/A'; // Missing material
-    } else if (childResult.cost !== null && typeof childResult.cost === 'number') {
-      const childTotal = childResult.cost * child.amount;
-      craftingCost += childTotal;
-    } else {
-      return null; // Still loading
-    }
-  }
-  
-  // Adjust crafting cost by yields: if yields > 1, divide by yields to get cost per unit
-  const yields = node.yields || 1;
-  return yields > 1 ? craftingCost / yields : craftingCost;
+function getTeamcraftImportUrl(tree) {
+  const entry = `${tree.itemId},${tree.recipeId ?? 'null'},${tree.amount || 1}`;
+  return `https://ffxivteamcraft.com/import/${btoa(entry)}`;
 }
 
 /**
@@ -460,11 +427,11 @@ function calculateCraftingCost(node, itemPrices, queriedItemIds) {
  * and 'buy' if they should be bought (leaf nodes or can't be crafted)
  */
 function buildCraftingPathMap(node, itemPrices, queriedItemIds, pathMap = new Map()) {
-  // Check if this node can be crafted (has children)
-  const hasChildren = node.children && node.children.length > 0;
+  // Check if this node can be crafted (has children, a recipe the user can make and is not forced to buy)
+  const hasChildren = node.children && node.children.length > 0 && !node.mustBuy && node.methodOverride !== 'buy';
   
   if (!hasChildren) {
-    // Leaf node - must buy
+    // Leaf node or recipe out of reach - must buy
     pathMap.set(node.itemId, 'buy');
     return pathMap;
   }
@@ -497,8 +464,8 @@ function buildCraftingPathMap(node, itemPrices, queriedItemIds, pathMap = new Ma
   // Get market price
   const marketPrice = itemPrices[node.itemId]?.price ?? null;
   
-  // If we can craft and (no market price OR crafting is cheaper), mark as craft
-  if (typeof craftingCost === 'number' && (marketPrice === null || craftingCost < marketPrice)) {
+  // If we can craft and (no market price OR crafting is cheaper OR crafting is forced), mark as craft
+  if (typeof craftingCost === 'number' && (marketPrice === null || craftingCost < marketPrice || node.methodOverride === 'craft')) {
     pathMap.set(node.itemId, 'craft');
     // Recurse into children to mark them as well
     for (const child of node.children) {
@@ -517,6 +484,7 @@ function buildCraftingPathMap(node, itemPrices, queriedItemIds, pathMap = new Ma
  * Compares: main item market price vs optimal crafting route (cheapest for each sub-item)
  */
 function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames }) {
+  const { t } = useTranslation();
   const [showModal, setShowModal] = useState(false);
   
   // Get root unit price and amount
@@ -526,6 +494,11 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
   // Calculate cheapest route for the root's children
   const result = useMemo(() => {
     if (!tree || !tree.children || tree.children.length === 0) return null;
+
+    // No recipe the user can make - crafting is not an option
+    if (tree.mustBuy) {
+      return { mustBuy: true };
+    }
     
     // Wait for all children to be queried
     let allChildrenQueried = true;
@@ -547,15 +520,16 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
     
     // Get cheapest cost with breakdown
     const cheapestResult = getCheapestCost(tree, itemPrices, queriedItemIds);
-    const craftingCost = calculateCraftingCost(tree, itemPrices, queriedItemIds);
+    const craftingCost = calculateCraftingCostPerUnit(tree, itemPrices, queriedItemIds);
     
     // If we can't calculate crafting cost (still loading), don't show badge yet
     if (craftingCost === null) {
       return null;
     }
     
-    const rootPrice = itemPrices[tree.itemId]?.price ?? null;
-    const cheapestRouteCost = craftingCost; // Use crafting cost, not getCheapestCost result
+    // Both sides cover the full craft amount: market unit price × amount vs crafting cost per unit × amount
+    const rootPrice = rootUnitPrice !== null ? rootUnitPrice * rootAmount : null;
+    const cheapestRouteCost = typeof craftingCost === 'number' ? craftingCost * rootAmount : craftingCost; // Use crafting cost, not getCheapestCost result
     const rootIsNA = rootPrice === null;
     const materialsIsNA = cheapestRouteCost === 'N/A';
     const materialsHasPrice = typeof cheapestRouteCost === 'number';
@@ -611,9 +585,22 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
     }
     
     return { canCraft: false };
-  }, [tree, itemPrices, queriedItemIds]);
+  }, [tree, itemPrices, queriedItemIds, rootUnitPrice, rootAmount]);
   
   if (!result) return null;
+
+  if (result.mustBuy) {
+    return (
+      <div className="px-4 py-2.5 rounded-lg text-sm font-medium bg-orange-900/50 border border-orange-500/40 text-orange-300 w-max min-w-max">
+        <div className="flex items-center gap-1.5 whitespace-nowrap">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+          </svg>
+          <span className="font-bold flex-shrink-0">{t('craftingTree.badge.mustBuy')}</span>
+        </div>
+      </div>
+    );
+  }
   
   // 材料 N/A vs 成品 N/A，顯示缺乏關鍵素材且無成品購買
   if (result.isInsufficientInfo) {
@@ -624,7 +611,7 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
             </svg>
-            <span className="font-bold flex-shrink-0">該服缺乏關鍵素材且無成品購買</span>
+            <span className="font-bold flex-shrink-0">{t('craftingTree.badge.insufficientInfoRoot')}</span>
           </div>
         </div>
       </div>
@@ -640,25 +627,25 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg text-sm font-medium bg-blue-900/50 border border-blue-500/40 text-blue-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.badge.cheapestRouteNote')}
             </div>
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-              <span className="flex-shrink-0">最優製作: N/A</span>
+              <span className="flex-shrink-0">{t('craftingTree.badge.bestCraft', { price: 'N/A' })}</span>
               <span className="opacity-60 flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">直購成品: {formatPrice(result.rootPrice)}</span>
+              <span className="flex-shrink-0">{rootAmount > 1 ? t('craftingTree.badge.buyProductAmount', { amount: rootAmount, price: formatPrice(result.rootPrice) }) : t('craftingTree.badge.buyProduct', { price: formatPrice(result.rootPrice) })}</span>
             </div>
             {/* Recommendation */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議直購</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.recommendBuy')}</span>
             </div>
           </div>
         </div>
@@ -686,19 +673,19 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg text-sm font-medium bg-green-900/50 border border-green-500/40 text-green-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.badge.cheapestRouteNote')}
             </div>
             {/* Price display */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">自製最佳: {formatPrice(result.cheapestRouteCost)}</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.craftBest', { price: formatPrice(result.cheapestRouteCost) })}</span>
             </div>
           </div>
         </div>
@@ -732,25 +719,25 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         <div 
           className="px-4 py-2.5 rounded-lg bg-gray-700/50 border border-gray-500/30 text-sm text-gray-400 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-1 whitespace-nowrap">
             {/* Explanation */}
             <div className="text-xs opacity-70 text-center whitespace-nowrap">
-              以最優路線計算（每項材料取買/製的較低價）
+              {t('craftingTree.badge.cheapestRouteNote')}
             </div>
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-              <span className="flex-shrink-0">最優製作: {formatPrice(cheapestRouteCost)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.badge.bestCraft', { price: formatPrice(cheapestRouteCost) })}</span>
               <span className="opacity-60 flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">直購成品: {formatPrice(rootPrice)}</span>
+              <span className="flex-shrink-0">{rootAmount > 1 ? t('craftingTree.badge.buyProductAmount', { amount: rootAmount, price: formatPrice(rootPrice) }) : t('craftingTree.badge.buyProduct', { price: formatPrice(rootPrice) })}</span>
             </div>
             {/* Status */}
             <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">價格相同</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.samePrice')}</span>
             </div>
           </div>
         </div>
@@ -782,18 +769,18 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
           }
         `}
         onClick={() => setShowModal(true)}
-        title="點擊查看計算公式"
+        title={t('craftingTree.badge.showCalculation')}
       >
         <div className="flex flex-col items-center gap-1 whitespace-nowrap">
           {/* Explanation */}
           <div className="text-xs opacity-70 text-center whitespace-nowrap">
-            以最優路線計算（每項材料取買/製的較低價）
+            {t('craftingTree.badge.cheapestRouteNote')}
           </div>
           {/* Price breakdown */}
           <div className="flex items-center gap-2 text-sm whitespace-nowrap">
-            <span className="flex-shrink-0">最優製作: {formatPrice(cheapestRouteCost)}</span>
+            <span className="flex-shrink-0">{t('craftingTree.badge.bestCraft', { price: formatPrice(cheapestRouteCost) })}</span>
             <span className="opacity-60 flex-shrink-0">vs</span>
-            <span className="flex-shrink-0">直購成品: {formatPrice(rootPrice)}</span>
+            <span className="flex-shrink-0">{rootAmount > 1 ? t('craftingTree.badge.buyProductAmount', { amount: rootAmount, price: formatPrice(rootPrice) }) : t('craftingTree.badge.buyProduct', { price: formatPrice(rootPrice) })}</span>
           </div>
           {/* Recommendation */}
           <div className="flex items-center gap-1.5 mt-0.5 whitespace-nowrap">
@@ -802,14 +789,14 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">建議自製，省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.badge.recommendCraftSaving', { amount: formatPrice(absSavings) })}</span>
               </>
             ) : (
               <>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">建議直購，省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.badge.recommendBuySaving', { amount: formatPrice(absSavings) })}</span>
               </>
             )}
           </div>
@@ -825,6 +812,8 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
         childrenTotalPrice={cheapestRouteCost}
         yields={result.yields}
         isRoot={true}
+        amount={rootAmount}
+        parentUnitPrice={rootUnitPrice}
       />
     </>
   );
@@ -841,6 +830,7 @@ function RootPriceComparisonBadge({ tree, itemPrices, queriedItemIds, itemNames
  * - 材料有價格 vs 成品 N/A，用材料
  */
 function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount = 1, breakdown = null, itemNames = {}, itemPrices = {}, yields = 1, parentUnitPrice = null }) {
+  const { t } = useTranslation();
   const [showModal, setShowModal] = useState(false);
   
   if (!isReady) {
@@ -859,7 +849,7 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
   if (childrenIsNA && parentIsNA) {
     return (
       <div className="px-2 py-1 rounded-lg bg-gray-700/50 border border-gray-500/30 text-xs text-gray-400">
-        資訊不足
+        {t('craftingTree.badge.insufficientInfo')}
       </div>
     );
   }
@@ -871,19 +861,19 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-900/50 border border-blue-500/40 text-blue-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: N/A</span>
+              <span className="flex-shrink-0">{t('craftingTree.badge.materials', { price: 'N/A' })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+              <span className="flex-shrink-0">{amount > 1 ? t('craftingTree.badge.productAmount', { amount, price: formatPrice(parentPrice) }) : t('craftingTree.badge.product', { price: formatPrice(parentPrice) })}</span>
             </div>
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議直購</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.recommendBuy')}</span>
             </div>
           </div>
         </div>
@@ -911,19 +901,19 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-900/50 border border-green-500/40 text-green-300 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.badge.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: N/A</span>
+              <span className="flex-shrink-0">{amount > 1 ? t('craftingTree.badge.productAmount', { amount, price: 'N/A' }) : t('craftingTree.badge.product', { price: 'N/A' })}</span>
             </div>
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">建議自製</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.recommendCraft')}</span>
             </div>
           </div>
         </div>
@@ -963,21 +953,21 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
         <div 
           className="px-3 py-1.5 rounded-lg bg-gray-700/50 border border-gray-500/30 text-xs text-gray-400 w-max min-w-max cursor-pointer hover:opacity-80 transition-opacity"
           onClick={() => setShowModal(true)}
-          title="點擊查看計算公式"
+          title={t('craftingTree.badge.showCalculation')}
         >
           <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
             {/* Price breakdown */}
             <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-              <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+              <span className="flex-shrink-0">{t('craftingTree.badge.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-              <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+              <span className="flex-shrink-0">{amount > 1 ? t('craftingTree.badge.productAmount', { amount, price: formatPrice(parentPrice) }) : t('craftingTree.badge.product', { price: formatPrice(parentPrice) })}</span>
             </div>
             {/* Status */}
             <div className="flex items-center gap-1.5 whitespace-nowrap">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="font-bold flex-shrink-0">價格相同</span>
+              <span className="font-bold flex-shrink-0">{t('craftingTree.badge.samePrice')}</span>
             </div>
           </div>
         </div>
@@ -1007,14 +997,14 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
           }
         `}
         onClick={() => setShowModal(true)}
-        title="點擊查看計算公式"
+        title={t('craftingTree.badge.showCalculation')}
       >
         <div className="flex flex-col items-center gap-0.5 whitespace-nowrap">
           {/* Price breakdown */}
           <div className="flex items-center gap-2 text-xs opacity-80 whitespace-nowrap">
-            <span className="flex-shrink-0">材料: {formatPrice(childrenTotalPrice)}</span>
+            <span className="flex-shrink-0">{t('craftingTree.badge.materials', { price: formatPrice(childrenTotalPrice) })}</span>
               <span className="flex-shrink-0">vs</span>
-            <span className="flex-shrink-0">{amount > 1 ? `${amount}個` : ''}成品: {formatPrice(parentPrice)}</span>
+            <span className="flex-shrink-0">{amount > 1 ? t('craftingTree.badge.productAmount', { amount, price: formatPrice(parentPrice) }) : t('craftingTree.badge.product', { price: formatPrice(parentPrice) })}</span>
           </div>
           {/* Recommendation */}
           <div className="flex items-center gap-1.5 whitespace-nowrap">
@@ -1023,14 +1013,14 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">自製省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.badge.craftSaves', { amount: formatPrice(absSavings) })}</span>
               </>
             ) : (
               <>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
                 </svg>
-                <span className="font-bold flex-shrink-0">直購省 {formatPrice(absSavings)}</span>
+                <span className="font-bold flex-shrink-0">{t('craftingTree.badge.buySaves', { amount: formatPrice(absSavings) })}</span>
               </>
             )}
           </div>
@@ -1053,6 +1043,337 @@ function PriceComparisonBadge({ parentPrice, childrenTotalPrice, isReady, amount
   );
 }
 
+/**
+ * Display name of a recipe's job (recipes outside the crafter jobs are company workshop projects)
+ */
+function getRecipeJobName(job, jobNames, t) {
+  if (!CRAFTER_JOB_IDS.includes(job)) {
+    return t('craftingTree.recipe.companyWorkshop');
+  }
+  return jobNames[job]?.name || t('craftingTree.recipe.jobFallback', { id: String(job) });
+}
+
+/**
+ * Recipe switcher shown under items with several recipes, plus the "must buy" mark
+ */
+function RecipeSelector({ node, jobNames, onRecipeChange }) {
+  const { t } = useTranslation();
+  const getLabel = (recipe) => (
+    `${getRecipeJobName(recipe.job, jobNames, t)} Lv.${recipe.level}${recipe.canCraft ? '' : t('craftingTree.recipe.cannotCraft')}`
+  );
+
+  return (
+    <div className="mt-1 flex flex-col items-center gap-0.5" onClick={(e) => e.stopPropagation()}>
+      {node.recipes.length > 1 && onRecipeChange ? (
+        <select
+          value={node.recipeId}
+          onChange={(e) => onRecipeChange(node.itemId, Number(e.target.value))}
+          className="max-w-[150px] px-1 py-0.5 bg-slate-900/70 border border-purple-500/30 rounded text-[10px] text-gray-300 focus:outline-none focus:border-ffxiv-gold"
+          title={t('craftingTree.recipe.switch')}
+        >
+          {node.recipes.map(recipe => (
+            <option key={recipe.id} value={recipe.id}>{getLabel(recipe)}</option>
+          ))}
+        </select>
+      ) : (
+        <span className="text-[10px] text-gray-500">{getLabel(node.recipes[0])}</span>
+      )}
+      {node.mustBuy && (
+        <span
+          className="px-1.5 py-0.5 rounded bg-orange-900/50 border border-orange-500/40 text-[10px] text-orange-300"
+          title={t('craftingTree.recipe.mustBuyTitle')}
+        >
+          {t('craftingTree.recipe.mustBuy')}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Crafter job levels editor - recipes above these levels are treated as "must buy"
+ */
+function CrafterProfilePanel({ jobNames }) {
+  const { t } = useTranslation();
+  const [profile, setProfile] = useState(() => getCrafterProfile());
+  const [levelInputs, setLevelInputs] = useState({});
+
+  useEffect(() => {
+    const unsubscribe = subscribeToCrafterProfile(setProfile);
+
+    // Cross-tab sync
+    const handleStorageChange = (e) => {
+      if (e.key === 'market_tester_crafter_profile') {
+        setProfile(getCrafterProfile());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  // Levels are saved on blur / Enter so the tree is not rebuilt on every keystroke
+  const commitLevel = (jobId) => {
+    const value = levelInputs[jobId];
+    if (value === undefined) return;
+    setCrafterLevel(jobId, value);
+    setLevelInputs(prev => {
+      const next = { ...prev };
+      delete next[jobId];
+      return next;
+    });
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <label className="flex items-center gap-2 mb-3 text-sm text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={profile.enabled}
+          onChange={(e) => setCrafterProfileEnabled(e.target.checked)}
+          className="accent-ffxiv-gold"
+        />
+        {t('craftingTree.profile.enable')}
+      </label>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {CRAFTER_JOB_IDS.map(jobId => (
+          <label
+            key={jobId}
+            className="flex items-center justify-between gap-2 px-2 py-1 rounded bg-slate-800/60 border border-slate-700/50 text-xs"
+          >
+            <span className="text-gray-300">{getRecipeJobName(jobId, jobNames, t)}</span>
+            <input
+              type="number"
+              min="0"
+              max={MAX_CRAFTER_LEVEL}
+              value={levelInputs[jobId] ?? profile.levels[jobId] ?? 0}
+              disabled={!profile.enabled}
+              onChange={(e) => setLevelInputs(prev => ({ ...prev, [jobId]: e.target.value }))}
+              onBlur={() => commitLevel(jobId)}
+              onKeyDown={(e) => e.key === 'Enter' && commitLevel(jobId)}
+              className="w-14 px-1 py-0.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold disabled:opacity-50"
+            />
+          </label>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">{t('craftingTree.profile.note')}</p>
+    </div>
+  );
+}
+
+/**
+ * Profit of crafting the root item and selling it: expected HQ/NQ sale price, city tax,
+ * profit per craft / per hour and return on the gil spent on materials
+ */
+function CraftingProfitPanel({ tree, costPerUnit, selectedServerOption, isDcQuery, worlds, taxRates }) {
+  const { t } = useTranslation();
+  const [rootMarketData, setRootMarketData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [preferHQ, setPreferHQ] = useState(true);
+  const { settings, updateSettings } = useSettings();
+  const taxCity = settings.taxCity;
+
+  const rootItemId = tree?.itemId;
+
+  // Raw aggregated data of the root item (HQ / NQ split) - served from the aggregated cache
+  useEffect(() => {
+    if (!rootItemId || !selectedServerOption) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetchAggregatedData(selectedServerOption, [rootItemId])
+      .then(data => {
+        if (!cancelled) setRootMarketData(data?.results?.[0] || null);
+      })
+      .catch(err => {
+        console.error('Failed to load sale data:', err);
+        if (!cancelled) setRootMarketData(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rootItemId, selectedServerOption]);
+
+  const handleTaxCityChange = (city) => {
+    updateSettings({ taxCity: city });
+  };
+
+  const sale = useMemo(
+    () => getExpectedSale(rootMarketData, isDcQuery ? 'dc' : 'world', preferHQ),
+    [rootMarketData, isDcQuery, preferHQ]
+  );
+
+  // Tax is paid in the city of the retainer, on the world the item is listed on
+  const saleWorldId = isDcQuery ? sale?.worldId : Number(selectedServerOption);
+  const cityTaxRate = getTaxRate(taxRates, saleWorldId, taxCity);
+  const taxRate = cityTaxRate ?? DEFAULT_TAX_RATE;
+
+  const profit = useMemo(() => {
+    if (!sale || typeof costPerUnit !== 'number') return null;
+    return calculateCraftingProfit({
+      costPerUnit,
+      yields: tree.yields || 1,
+      salePrice: sale.price,
+      taxRate,
+      velocity: sale.velocity,
+    });
+  }, [sale, costPerUnit, taxRate, tree.yields]);
+
+  const profitClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-300');
+
+  let statusMessage = null;
+  if (tree.mustBuy) {
+    statusMessage = t('craftingTree.profit.mustBuy');
+  } else if (isLoading || costPerUnit === null) {
+    statusMessage = t('craftingTree.profit.calculating');
+  } else if (!sale) {
+    statusMessage = t('craftingTree.profit.noSaleData');
+  } else if (costPerUnit === 'N/A') {
+    statusMessage = t('craftingTree.profit.missingMaterialPrices');
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h4 className="text-sm font-semibold text-ffxiv-gold">{t('craftingTree.profit.title')}</h4>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <div className="flex rounded-md overflow-hidden border border-purple-500/30">
+            {[true, false].map(hq => (
+              <button
+                key={hq ? 'hq' : 'nq'}
+                onClick={() => setPreferHQ(hq)}
+                className={`px-2 py-1 transition-colors ${
+                  preferHQ === hq ? 'bg-ffxiv-gold/20 text-ffxiv-gold' : 'bg-slate-800/60 text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {hq ? t('craftingTree.profit.sellHq') : t('craftingTree.profit.sellNq')}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-1.5 text-gray-400">
+            {t('craftingTree.profit.retainerCity')}
+            <select
+              value={taxCity}
+              onChange={(e) => handleTaxCityChange(e.target.value)}
+              className="px-1.5 py-1 bg-slate-900/70 border border-purple-500/30 rounded text-gray-200 focus:outline-none focus:border-ffxiv-gold"
+            >
+              {TAX_CITIES.map(city => {
+                const rate = getTaxRate(taxRates, saleWorldId, city.key);
+                return (
+                  <option key={city.key} value={city.key}>
+                    {t(`taxCities.${city.key}`)}{rate !== null ? t('craftingTree.profit.cityRate', { rate }) : ''}
+                  </option>
+                );
+              })}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {statusMessage ? (
+        <p className="text-xs text-gray-400">{statusMessage}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2 text-xs">
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">{sale.isHQ ? t('craftingTree.profit.salePriceHq') : t('craftingTree.profit.salePriceNq')}</div>
+              <div className="text-white font-semibold">{formatPrice(sale.price)}</div>
+              {isDcQuery && sale.worldId && worlds[sale.worldId] && (
+                <div className="text-gray-500">{worlds[sale.worldId]}</div>
+              )}
+            </div>
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">{t('craftingTree.profit.tax', { rate: taxRate })}</div>
+              <div className="text-orange-300 font-semibold">-{formatPrice(profit.taxPerUnit)}</div>
+              {cityTaxRate === null && <div className="text-gray-500">{t('craftingTree.profit.defaultTax', { rate: DEFAULT_TAX_RATE })}</div>}
+            </div>
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">{t('craftingTree.profit.costPerUnit')}</div>
+              <div className="text-white font-semibold">{formatPrice(costPerUnit)}</div>
+            </div>
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">
+                {(tree.yields || 1) > 1
+                  ? t('craftingTree.profit.perCraftYields', { count: tree.yields })
+                  : t('craftingTree.profit.perCraft')}
+              </div>
+              <div className={`font-semibold ${profitClass(profit.profitPerCraft)}`}>{formatPrice(profit.profitPerCraft)}</div>
+            </div>
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">{t('craftingTree.profit.perHour')}</div>
+              <div className={`font-semibold ${profitClass(profit.profitPerHour)}`}>{formatPrice(profit.profitPerHour)}</div>
+              <div className="text-gray-500">{t('craftingTree.profit.velocity', { velocity: sale.velocity.toFixed(1) })}</div>
+            </div>
+            <div className="px-2 py-1.5 rounded bg-slate-800/60 border border-slate-700/50">
+              <div className="text-gray-500">{t('craftingTree.profit.roi')}</div>
+              <div className={`font-semibold ${profitClass(profit.roi)}`}>
+                {profit.roi !== null ? `${(profit.roi * 100).toFixed(1)}%` : '-'}
+              </div>
+            </div>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            {isDcQuery ? t('craftingTree.profit.noteDc') : t('craftingTree.profit.noteWorld')}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Buy / craft choices for a node (null = decide by price)
+const METHOD_OPTIONS = [
+  { value: null, key: 'auto' },
+  { value: 'buy', key: 'buy' },
+  { value: 'craft', key: 'craft' },
+];
+
+/**
+ * Per-node plan controls: buy / craft override and collapsing the node's materials
+ */
+function NodeControls({ node, isCollapsed, onToggleCollapse, onMethodOverrideChange }) {
+  const { t } = useTranslation();
+  const currentMethod = node.methodOverride || null;
+
+  return (
+    <div className="mt-1 flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+      {onMethodOverrideChange && !node.mustBuy && (
+        <div className="flex rounded overflow-hidden border border-purple-500/30 text-[10px]">
+          {METHOD_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => onMethodOverrideChange(node.itemId, option.value)}
+              className={`px-1.5 py-0.5 transition-colors ${
+                currentMethod === option.value
+                  ? 'bg-ffxiv-gold/20 text-ffxiv-gold'
+                  : 'bg-slate-800/60 text-gray-400 hover:text-gray-200'
+              }`}
+              title={t(`craftingTree.method.${option.key}.title`)}
+            >
+              {t(`craftingTree.method.${option.key}.label`)}
+            </button>
+          ))}
+        </div>
+      )}
+      {onToggleCollapse && (
+        <button
+          onClick={() => onToggleCollapse(node.itemId)}
+          className="px-1.5 py-0.5 rounded border border-purple-500/30 bg-slate-800/60 text-[10px] text-gray-400 hover:text-ffxiv-gold transition-colors"
+          title={isCollapsed ? t('craftingTree.node.expandTitle') : t('craftingTree.node.collapseTitle')}
+        >
+          {isCollapsed ? t('craftingTree.node.expand', { count: node.children.length }) : t('craftingTree.node.collapse')}
+        </button>
+      )}
+    </div>
+  );
+}
+
 /**
  * Recursive tree node with vertical layout
  */
@@ -1067,11 +1388,18 @@ function TreeNodeVertical({
   optimalPathMap = null,
   isCraftingCheaper = false,
   isDcQuery = false,
+  jobNames = {},
+  onRecipeChange = null,
+  collapsedItemIds = null,
+  onToggleCollapse = null,
+  onMethodOverrideChange = null,
 }) {
+  const { t } = useTranslation();
   const childrenRef = useRef(null);
   const [lineStyle, setLineStyle] = useState({ left: 0, width: 0 });
   const hasChildren = node.children && node.children.length > 0;
-  const itemName = itemNames[node.itemId] || `物品 ${node.itemId}`;
+  const isCollapsed = !isRoot && hasChildren && !!collapsedItemIds?.has(node.itemId);
+  const itemName = itemNames[node.itemId] || t('craftingTree.itemFallback', { id: String(node.itemId) });
   const priceInfo = itemPrices[node.itemId];
   const isPriceQueried = queriedItemIds.has(node.itemId);
   
@@ -1241,9 +1569,24 @@ function TreeNodeVertical({
         highlightMethod={optimalMethod}
         isDcQuery={isDcQuery}
       />
+
+      {/* Alternative recipes / must buy mark */}
+      {node.recipes && (node.recipes.length > 1 || node.mustBuy) && (
+        <RecipeSelector node={node} jobNames={jobNames} onRecipeChange={onRecipeChange} />
+      )}
+
+      {/* Buy / craft override and collapse */}
+      {!isRoot && hasChildren && (onToggleCollapse || onMethodOverrideChange) && (
+        <NodeControls
+          node={node}
+          isCollapsed={isCollapsed}
+          onToggleCollapse={onToggleCollapse}
+          onMethodOverrideChange={onMethodOverrideChange}
+        />
+      )}
       
       {/* Children */}
-      {hasChildren && (
+      {hasChildren && !isCollapsed && (
         <div className="flex flex-col items-center">
           {/* Vertical line down from parent */}
           <div className={`${lineWidth} ${node.yields && node.yields > 1 ? 'h-2' : 'h-4'} ${lineColor} ${lineGlow}`}></div>
@@ -1252,7 +1595,7 @@ function TreeNodeVertical({
           {node.yields && node.yields > 1 && (
             <div className="flex flex-col items-center">
               <div className="px-2 py-0.5 rounded-md bg-yellow-900/40 border border-yellow-600/50 text-[10px] text-yellow-300 whitespace-nowrap">
-                單次製作產出 {node.yields} 個
+                {t('craftingTree.node.yields', { count: node.yields })}
               </div>
               {/* Vertical line connecting yields indicator to price comparison badge */}
               <div className={`${lineWidth} h-2 ${lineColor} ${lineGlow}`}></div>
@@ -1267,6 +1610,10 @@ function TreeNodeVertical({
               queriedItemIds={queriedItemIds}
               itemNames={itemNames}
             />
+          ) : node.mustBuy ? (
+            <div className="px-2 py-1 rounded-lg bg-orange-900/50 border border-orange-500/40 text-xs text-orange-300 whitespace-nowrap">
+              {t('craftingTree.node.mustBuy')}
+            </div>
           ) : (
             <PriceComparisonBadge 
               parentPrice={priceInfo?.price ? priceInfo.price * node.amount : null}
@@ -1315,6 +1662,11 @@ function TreeNodeVertical({
                     optimalPathMap={optimalPathMap}
                     isCraftingCheaper={isCraftingCheaper && shouldHighlightChildren}
                     isDcQuery={isDcQuery}
+                    jobNames={jobNames}
+                    onRecipeChange={onRecipeChange}
+                    collapsedItemIds={collapsedItemIds}
+                    onToggleCollapse={onToggleCollapse}
+                    onMethodOverrideChange={onMethodOverrideChange}
                   />
                 </div>
               ))}
@@ -1326,6 +1678,195 @@ function TreeNodeVertical({
   );
 }
 
+const MATERIAL_GROUPS = [
+  { key: 'buy', className: 'text-blue-300' },
+  { key: 'craft', className: 'text-green-300' },
+  { key: 'gather', className: 'text-amber-300' },
+];
+
+/**
+ * Consolidated material list panel with clipboard / CSV / Teamcraft export
+ */
+function MaterialListPanel({ tree, itemNames, itemPrices, queriedItemIds, isLoadingPrices, onItemClick }) {
+  const { t } = useTranslation();
+  const [gatherableItemIds, setGatherableItemIds] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [shoppingListAdded, setShoppingListAdded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getGatherableItemIds()
+      .then(ids => {
+        if (!cancelled) setGatherableItemIds(ids);
+      })
+      .catch(err => {
+        console.error('Failed to load gathering data:', err);
+        if (!cancelled) setGatherableItemIds(new Set());
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const groups = useMemo(() => {
+    if (isLoadingPrices || !gatherableItemIds) return null;
+    return buildMaterialList(tree, itemPrices, queriedItemIds, gatherableItemIds);
+  }, [tree, itemPrices, queriedItemIds, isLoadingPrices, gatherableItemIds]);
+
+  const getName = (itemId) => itemNames[itemId] || t('craftingTree.itemFallback', { id: String(itemId) });
+
+  const buyTotal = useMemo(() => {
+    if (!groups) return 0;
+    return groups.buy.reduce((sum, entry) => sum + (entry.unitPrice ?? 0) * entry.amount, 0);
+  }, [groups]);
+
+  const handleCopy = async () => {
+    if (!groups) return;
+    const lines = [];
+    MATERIAL_GROUPS.forEach(({ key }) => {
+      if (groups[key].length === 0) return;
+      lines.push(`【${t(`craftingTree.materials.group.${key}`)}】`);
+      groups[key].forEach(entry => {
+        lines.push(key === 'craft'
+          ? `${getName(entry.itemId)} x${entry.amount}${t('craftingTree.materials.craftsSuffix', { count: entry.crafts })}`
+          : `${getName(entry.itemId)} x${entry.amount}`);
+      });
+    });
+    try {
+      await navigator.clipboard.writeText(lines.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const handleExportCsv = () => {
+    if (!groups) return;
+    const rows = [];
+    MATERIAL_GROUPS.forEach(({ key }) => {
+      groups[key].forEach(entry => {
+        rows.push([
+          t(`craftingTree.materials.group.${key}`),
+          entry.itemId,
+          getName(entry.itemId),
+          entry.amount,
+          entry.crafts ?? '',
+          entry.unitPrice ?? '',
+          entry.unitPrice != null ? Math.round(entry.unitPrice * entry.amount) : '',
+        ]);
+      });
+    });
+    downloadCsv(
+      t('craftingTree.materials.csvFilename', { name: getName(tree.itemId) }),
+      ['group', 'itemId', 'itemName', 'amount', 'crafts', 'unitPrice', 'totalPrice'].map(column => t(`craftingTree.materials.csv.${column}`)),
+      rows
+    );
+  };
+
+  const handleAddToShoppingList = () => {
+    if (!groups) return;
+    const added = addItemsToShoppingList(groups.buy.map(({ itemId, amount }) => ({
+      itemId,
+      itemName: itemNames[itemId] || '',
+      quantity: amount,
+    })));
+    if (added > 0) {
+      setShoppingListAdded(true);
+      setTimeout(() => setShoppingListAdded(false), 1500);
+    }
+  };
+
+  const buttonClassName = 'px-2 py-1 rounded-md bg-purple-900/40 border border-purple-500/30 text-xs text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="text-sm text-gray-300">
+          {t('craftingTree.materials.title')}
+          {groups && groups.buy.length > 0 && (
+            <span className="ml-2 text-xs text-gray-400">
+              {t('craftingTree.materials.buyTotalPrefix')}<span className="text-green-400">{formatPrice(buyTotal)}</span>{t('craftingTree.materials.buyTotalSuffix')}
+            </span>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={handleCopy} disabled={!groups} className={buttonClassName}>
+            {copied ? `✓ ${t('craftingTree.copied')}` : t('craftingTree.materials.copy')}
+          </button>
+          <button onClick={handleExportCsv} disabled={!groups} className={buttonClassName}>
+            {t('craftingTree.materials.exportCsv')}
+          </button>
+          <a
+            href={groups ? getTeamcraftImportUrl(tree) : undefined}
+            target="_blank"
+            rel="noopener noreferrer"
+            aria-disabled={!groups}
+            className={`${buttonClassName} ${groups ? '' : 'opacity-50 pointer-events-none'}`}
+            title={t('craftingTree.materials.teamcraftTitle')}
+          >
+            {t('craftingTree.materials.teamcraft')}
+          </a>
+          <button
+            onClick={handleAddToShoppingList}
+            disabled={!groups || groups.buy.length === 0}
+            className={buttonClassName}
+            title={t('craftingTree.materials.shoppingListTitle')}
+          >
+            {shoppingListAdded ? `✓ ${t('craftingTree.materials.shoppingListAdded')}` : t('craftingTree.materials.shoppingList')}
+          </button>
+        </div>
+      </div>
+
+      {!groups ? (
+        <div className="flex items-center gap-2 text-xs text-gray-400">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
+          {t('craftingTree.materials.calculating')}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {MATERIAL_GROUPS.map(({ key, className }) => (
+            <div key={key}>
+              <div className={`text-xs font-semibold mb-1.5 ${className}`}>
+                {t('craftingTree.materials.groupCount', { group: t(`craftingTree.materials.group.${key}`), count: groups[key].length })}
+              </div>
+              {groups[key].length === 0 ? (
+                <div className="text-xs text-gray-500">{t('craftingTree.materials.none')}</div>
+              ) : (
+                <ul className="space-y-1">
+                  {groups[key].map(entry => (
+                    <li key={entry.itemId} className="flex items-center gap-2 text-xs">
+                      <ItemImage
+                        itemId={entry.itemId}
+                        alt={getName(entry.itemId)}
+                        className="w-5 h-5 object-contain rounded flex-shrink-0"
+                      />
+                      <button
+                        onClick={() => onItemClick(entry.itemId)}
+                        className="text-gray-200 hover:text-ffxiv-gold truncate text-left"
+                      >
+                        {getName(entry.itemId)}
+                      </button>
+                      <span className="text-gray-400 flex-shrink-0">x{entry.amount}</span>
+                      <span className="ml-auto text-gray-500 flex-shrink-0">
+                        {key === 'craft'
+                          ? `${t('craftingTree.materials.crafts', { count: entry.crafts })}${entry.surplus > 0 ? t('craftingTree.materials.surplus', { count: entry.surplus }) : ''}`
+                          : entry.unitPrice != null
+                            ? `${formatPrice(entry.unitPrice * entry.amount)}`
+                            : t('craftingTree.materials.noPrice')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * Main CraftingTree component
  */
@@ -1337,7 +1878,16 @@ export default function CraftingTree({
   onItemSelect,
   excludeCrystals = true,
   onExcludeCrystalsChange,
+  onRecipeChange,
+  taxRates = {},
+  amount = 1,
+  onAmountChange,
+  collapsedItemIds = [],
+  onToggleCollapse,
+  methodOverrides = {},
+  onMethodOverrideChange,
 }) {
+  const { t, locale } = useTranslation();
   const [itemNames, setItemNames] = useState({});
   const [itemPrices, setItemPrices] = useState({});
   const [queriedItemIds, setQueriedItemIds] = useState(new Set());
@@ -1347,6 +1897,13 @@ export default function CraftingTree({
   const scrollContainerRef = useRef(null);
   const [hasHorizontalScroll, setHasHorizontalScroll] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const [showMaterialList, setShowMaterialList] = useState(false);
+  const [showCrafterProfile, setShowCrafterProfile] = useState(false);
+  const [showProfit, setShowProfit] = useState(false);
+  const [amountInput, setAmountInput] = useState(String(amount));
+  const [isShareLinkCopied, setIsShareLinkCopied] = useState(false);
+  const [isCrafterProfileEnabled, setIsCrafterProfileEnabled] = useState(() => getCrafterProfile().enabled);
+  const [jobNames, setJobNames] = useState({});
   const [dragStartX, setDragStartX] = useState(0);
   const [dragStartScrollLeft, setDragStartScrollLeft] = useState(0);
 
@@ -1364,17 +1921,55 @@ export default function CraftingTree({
     // Check if it's a DC (string matching DC name) or a specific world (number)
     const dcName = selectedWorld?.section;
     if (selectedServerOption === dcName) {
-      // It's the DC, show with "全服搜尋"
-      return `${dcName}（全服搜尋）`;
+      // It's the DC, show with "DC-wide search"
+      return t('craftingTree.server.dcSearch', { dc: dcName });
     } else if (typeof selectedServerOption === 'number' || !isNaN(Number(selectedServerOption))) {
       // It's a world ID, look up the name
       const worldId = typeof selectedServerOption === 'number' ? selectedServerOption : Number(selectedServerOption);
-      return worlds[worldId] || `伺服器 ${selectedServerOption}`;
+      return worlds[worldId] || t('craftingTree.server.worldFallback', { id: String(selectedServerOption) });
     } else {
       // It's a string but not the DC name - could be a world name
       return selectedServerOption;
     }
-  }, [selectedServerOption, selectedWorld, worlds]);
+  }, [selectedServerOption, selectedWorld, worlds, locale]);
+
+  // Tree with the user's buy / craft choices applied (prices are still fetched for the whole tree)
+  const plannedTree = useMemo(() => applyMethodOverrides(tree, methodOverrides), [tree, methodOverrides]);
+  const collapsedItemIdSet = useMemo(() => new Set(collapsedItemIds), [collapsedItemIds]);
+
+  useEffect(() => {
+    setAmountInput(String(amount));
+  }, [amount]);
+
+  const commitAmount = () => {
+    const value = normalizeCraftAmount(amountInput);
+    setAmountInput(String(value));
+    if (value !== amount && onAmountChange) {
+      onAmountChange(value);
+    }
+  };
+
+  // The plan lives in the page URL, so sharing the plan is sharing the URL
+  const handleCopyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setIsShareLinkCopied(true);
+      setTimeout(() => setIsShareLinkCopied(false), 1500);
+    } catch (err) {
+      console.error('Failed to copy share link:', err);
+    }
+  };
+
+  // Job names for the recipe selector
+  useEffect(() => {
+    getLocalizedJobAbbr()
+      .then(data => setJobNames(data || {}))
+      .catch(err => console.error('Failed to load job names:', err));
+  }, []);
+
+  useEffect(() => {
+    return subscribeToCrafterProfile(profile => setIsCrafterProfileEnabled(profile.enabled));
+  }, []);
 
   // Get all unique item IDs from tree
   const getAllItemIds = useCallback((node, ids = new Set()) => {
@@ -1396,7 +1991,7 @@ export default function CraftingTree({
     Promise.all(
       itemIds.map(async (id) => {
         const item = await getItemById(id);
-        return { id, name: item?.name || `物品 ${id}` };
+        return { id, name: item?.name || t('craftingTree.itemFallback', { id: String(id) }) };
       })
     )
       .then((results) => {
@@ -1409,7 +2004,7 @@ export default function CraftingTree({
       })
       .catch((err) => {
         console.error('Failed to load item names:', err);
-        setError('載入物品名稱失敗');
+        setError(t('craftingTree.loadNamesFailed'));
         setIsLoadingNames(false);
       });
   }, [tree, getAllItemIds]);
@@ -1577,25 +2172,25 @@ export default function CraftingTree({
 
   // Calculate optimal path for highlighting
   const { optimalPathMap, isCraftingCheaper } = useMemo(() => {
-    if (!tree || isLoadingPrices || Object.keys(itemPrices).length === 0) {
+    if (!plannedTree || isLoadingPrices || Object.keys(itemPrices).length === 0) {
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
-    // If no children, can't craft
-    if (!tree.children || tree.children.length === 0) {
+    // If no children (or no recipe the user can make), can't craft
+    if (!plannedTree.children || plannedTree.children.length === 0 || plannedTree.mustBuy) {
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
     // Wait for all children to be queried
-    for (const child of tree.children) {
+    for (const child of plannedTree.children) {
       if (!queriedItemIds.has(child.itemId)) {
         // Still loading
         return { optimalPathMap: null, isCraftingCheaper: false };
       }
     }
     
-    // Calculate crafting cost separately (always returns crafting cost, not market price)
-    const craftingCost = calculateCraftingCost(tree, itemPrices, queriedItemIds);
+    // Calculate crafting cost per unit separately (always returns crafting cost, not market price)
+    const craftingCost = calculateCraftingCostPerUnit(plannedTree, itemPrices, queriedItemIds);
     
     // If we can't calculate crafting cost (null), it means the path is incomplete (still loading)
     if (craftingCost === null) {
@@ -1607,13 +2202,13 @@ export default function CraftingTree({
       return { optimalPathMap: null, isCraftingCheaper: false };
     }
     
-    const rootPrice = itemPrices[tree.itemId]?.price ?? null;
+    const rootPrice = itemPrices[plannedTree.itemId]?.price ?? null;
     
     // If root has no price, but we can craft it (cost is a number), show the crafting path
     if (rootPrice === null) {
       // If we can calculate crafting cost, show the crafting path
       if (typeof craftingCost === 'number') {
-        const pathMap = buildCraftingPathMap(tree, itemPrices, queriedItemIds);
+        const pathMap = buildCraftingPathMap(plannedTree, itemPrices, queriedItemIds);
         return { optimalPathMap: pathMap, isCraftingCheaper: true };
       }
       return { optimalPathMap: null, isCraftingCheaper: false };
@@ -1634,15 +2229,21 @@ export default function CraftingTree({
     
     // Build the crafting path map for highlighting
     // Use buildCraftingPathMap instead of buildOptimalPathMap to correctly mark all crafting nodes
-    const pathMap = buildCraftingPathMap(tree, itemPrices, queriedItemIds);
+    const pathMap = buildCraftingPathMap(plannedTree, itemPrices, queriedItemIds);
     
     return { optimalPathMap: pathMap, isCraftingCheaper: true };
-  }, [tree, itemPrices, queriedItemIds, isLoadingPrices]);
+  }, [plannedTree, itemPrices, queriedItemIds, isLoadingPrices]);
+
+  // Material cost per unit of the root item for the profit model
+  const rootCraftingCost = useMemo(() => {
+    if (!plannedTree || isLoadingPrices) return null;
+    return calculateCraftingCostPerUnit(plannedTree, itemPrices, queriedItemIds);
+  }, [plannedTree, itemPrices, queriedItemIds, isLoadingPrices]);
 
   if (!tree) {
     return (
       <div className="p-4 text-center text-gray-400">
-        無製作配方
+        {t('craftingTree.noRecipe')}
       </div>
     );
   }
@@ -1651,12 +2252,12 @@ export default function CraftingTree({
     <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4">
       {/* Header */}
       <div className="flex items-center justify-between mb-4">
-        <div className="flex items-center gap-3">
+        <div className="flex flex-wrap items-center gap-3">
           <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold flex items-center gap-2">
             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
             </svg>
-            製作價格樹
+            {t('craftingTree.title')}
           </h3>
           {/* Server/DC info badge */}
           {selectedServerOption && (
@@ -1667,6 +2268,22 @@ export default function CraftingTree({
               <span className="text-purple-300">{serverDisplayName}</span>
             </div>
           )}
+          {/* Crafted amount */}
+          {onAmountChange && (
+            <label className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-slate-800/60 border border-slate-600/40 text-xs text-gray-400">
+              {t('craftingTree.amount')}
+              <input
+                type="number"
+                min="1"
+                max={MAX_CRAFT_AMOUNT}
+                value={amountInput}
+                onChange={(e) => setAmountInput(e.target.value)}
+                onBlur={commitAmount}
+                onKeyDown={(e) => e.key === 'Enter' && commitAmount()}
+                className="w-16 px-1 py-0.5 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+              />
+            </label>
+          )}
           {/* Crystal toggle switch */}
           {onExcludeCrystalsChange && (
             <div 
@@ -1685,7 +2302,7 @@ export default function CraftingTree({
               )}
               
               <span className="text-gray-400 cursor-help relative z-10">
-                顯示水晶
+                {t('craftingTree.showCrystals')}
               </span>
               <button
                 onClick={(e) => {
@@ -1702,7 +2319,7 @@ export default function CraftingTree({
                 `}
                 role="switch"
                 aria-checked={!excludeCrystals}
-                aria-label={excludeCrystals ? '顯示水晶物品' : '隱藏水晶物品'}
+                aria-label={excludeCrystals ? t('craftingTree.showCrystalItems') : t('craftingTree.hideCrystalItems')}
               >
                 <span
                   className={`
@@ -1714,13 +2331,65 @@ export default function CraftingTree({
               </button>
               {/* Custom tooltip with high z-index */}
               <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-2 py-1 bg-slate-900/95 text-white text-xs rounded shadow-lg border border-purple-500/50 whitespace-nowrap opacity-0 group-hover:opacity-100 pointer-events-none transition-opacity duration-200 z-[9999]">
-                提供給大量製作的匠人更精確定位價格
+                {t('craftingTree.showCrystalsHint')}
                 {/* Tooltip arrow */}
                 <div className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-purple-500/50"></div>
               </div>
             </div>
           )}
           
+          {/* Consolidated material list toggle */}
+          <button
+            onClick={() => setShowMaterialList(prev => !prev)}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded-md border text-xs transition-colors ${
+              showMaterialList
+                ? 'bg-ffxiv-gold/20 border-ffxiv-gold/50 text-ffxiv-gold'
+                : 'bg-purple-900/40 border-purple-500/30 text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+            }`}
+            title={t('craftingTree.toggle.materialListTitle')}
+          >
+            {t('craftingTree.toggle.materialList')}
+          </button>
+
+          {/* Crafter job levels toggle */}
+          <button
+            onClick={() => setShowCrafterProfile(prev => !prev)}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded-md border text-xs transition-colors ${
+              showCrafterProfile || isCrafterProfileEnabled
+                ? 'bg-ffxiv-gold/20 border-ffxiv-gold/50 text-ffxiv-gold'
+                : 'bg-purple-900/40 border-purple-500/30 text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+            }`}
+            title={t('craftingTree.toggle.crafterLevelsTitle')}
+          >
+            {t('craftingTree.toggle.crafterLevels')}
+          </button>
+
+          {/* Profit model toggle */}
+          <button
+            onClick={() => setShowProfit(prev => !prev)}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded-md border text-xs transition-colors ${
+              showProfit
+                ? 'bg-ffxiv-gold/20 border-ffxiv-gold/50 text-ffxiv-gold'
+                : 'bg-purple-900/40 border-purple-500/30 text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+            }`}
+            title={t('craftingTree.toggle.profitTitle')}
+          >
+            {t('craftingTree.toggle.profit')}
+          </button>
+
+          {/* Share the current plan (amount, crystals, collapsed nodes, buy / craft choices, recipes) */}
+          <button
+            onClick={handleCopyShareLink}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded-md border text-xs transition-colors ${
+              isShareLinkCopied
+                ? 'bg-green-900/40 border-green-500/40 text-green-300'
+                : 'bg-purple-900/40 border-purple-500/30 text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50'
+            }`}
+            title={t('craftingTree.toggle.shareTitle')}
+          >
+            {isShareLinkCopied ? t('craftingTree.toggle.shareCopied') : t('craftingTree.toggle.share')}
+          </button>
+
           {/* Add CSS animation for crystal shimmer */}
           <style>{`
             @keyframes crystalShimmer {
@@ -1756,14 +2425,14 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-blue-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span className="whitespace-nowrap">價格為全服最低在售價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceNote.dcMinListing')}</span>
                   </div>
                 ) : noPriceAtAll ? (
                   <div className="flex items-center gap-1 px-2 py-1 rounded-md bg-red-900/50 border border-red-500/40 text-xs text-red-300">
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-red-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                     </svg>
-                    <span className="whitespace-nowrap">該服無平均價格且無最低價格，無法顯示價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceNote.noPrice')}</span>
                   </div>
                 ) : isFallback ? (
                   <div className="flex items-center gap-1 px-2 py-1 rounded-md bg-orange-900/50 border border-orange-500/40 text-xs text-orange-300">
@@ -1772,8 +2441,8 @@ export default function CraftingTree({
                     </svg>
                     <span className="whitespace-nowrap">
                       {hasVelocityWorld || hasVelocityDc 
-                        ? '部分物品4天內無銷售記錄，無平均值改用該服最低價格' 
-                        : '最近四天沒有成功銷售記錄，無平均值和日均銷售，部分價格會使用該服最低價格'}
+                        ? t('craftingTree.priceNote.partialFallback')
+                        : t('craftingTree.priceNote.noRecentSales')}
                     </span>
                   </div>
                 ) : (
@@ -1781,7 +2450,7 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-blue-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span className="whitespace-nowrap">價格為4天內該服賣出平均價格</span>
+                    <span className="whitespace-nowrap">{t('craftingTree.priceNote.worldAverage')}</span>
                   </div>
                 )}
                 
@@ -1794,15 +2463,15 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-cyan-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
                     </svg>
-                    <span className="text-gray-400">日均銷量:</span>
-                    <span className="text-cyan-300" title="單服日均銷量">
-                      單服 {hasVelocityWorld ? velocityWorldValue.toFixed(1) : '0.0'}
+                    <span className="text-gray-400">{t('craftingTree.velocity.label')}</span>
+                    <span className="text-cyan-300" title={t('craftingTree.velocity.worldTitle')}>
+                      {t('craftingTree.velocity.world', { velocity: hasVelocityWorld ? velocityWorldValue.toFixed(1) : '0.0' })}
                     </span>
                     {hasVelocityDc && (
                       <>
                         <span className="text-gray-500">/</span>
-                        <span className="text-emerald-300" title="全服日均銷量">
-                          全服 {velocityDcValue.toFixed(1)}
+                        <span className="text-emerald-300" title={t('craftingTree.velocity.dcTitle')}>
+                          {t('craftingTree.velocity.dc', { velocity: velocityDcValue.toFixed(1) })}
                         </span>
                       </>
                     )}
@@ -1813,9 +2482,9 @@ export default function CraftingTree({
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5 text-cyan-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
                     </svg>
-                    <span className="text-gray-400">日均銷量:</span>
-                    <span className="text-emerald-300" title="全服日均銷量">
-                      全服 {velocityDcValue.toFixed(1)}
+                    <span className="text-gray-400">{t('craftingTree.velocity.label')}</span>
+                    <span className="text-emerald-300" title={t('craftingTree.velocity.dcTitle')}>
+                      {t('craftingTree.velocity.dc', { velocity: velocityDcValue.toFixed(1) })}
                     </span>
                   </div>
                 ) : null}
@@ -1825,7 +2494,7 @@ export default function CraftingTree({
           {isLoadingPrices && (
             <div className="flex items-center gap-2 text-xs text-gray-400">
               <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
-              載入價格中...
+              {t('craftingTree.loadingPrices')}
             </div>
           )}
         </div>
@@ -1837,6 +2506,30 @@ export default function CraftingTree({
         </div>
       )}
 
+      {showCrafterProfile && <CrafterProfilePanel jobNames={jobNames} />}
+
+      {showProfit && (
+        <CraftingProfitPanel
+          tree={plannedTree}
+          costPerUnit={rootCraftingCost}
+          selectedServerOption={selectedServerOption}
+          isDcQuery={isDcQuery}
+          worlds={worlds}
+          taxRates={taxRates}
+        />
+      )}
+
+      {showMaterialList && (
+        <MaterialListPanel
+          tree={plannedTree}
+          itemNames={itemNames}
+          itemPrices={itemPrices}
+          queriedItemIds={queriedItemIds}
+          isLoadingPrices={isLoadingPrices}
+          onItemClick={handleItemClick}
+        />
+      )}
+
       {/* Tree display - vertical with horizontal scroll */}
       <div 
         ref={scrollContainerRef}
@@ -1851,7 +2544,7 @@ export default function CraftingTree({
       >
         <div className="flex justify-center min-w-min py-2">
           <TreeNodeVertical
-            node={tree}
+            node={plannedTree}
             itemNames={itemNames}
             itemPrices={itemPrices}
             queriedItemIds={queriedItemIds}
@@ -1861,6 +2554,11 @@ export default function CraftingTree({
             optimalPathMap={optimalPathMap}
             isCraftingCheaper={isCraftingCheaper}
             isDcQuery={isDcQuery}
+            jobNames={jobNames}
+            onRecipeChange={onRecipeChange}
+            collapsedItemIds={collapsedItemIdSet}
+            onToggleCollapse={onToggleCollapse}
+            onMethodOverrideChange={onMethodOverrideChange}
           />
         </div>
       </div>
@@ -1869,38 +2567,38 @@ export default function CraftingTree({
       <div className="mt-4 pt-3 border-t border-purple-500/20 flex flex-wrap gap-4 text-xs text-gray-400">
         <div className="flex items-center gap-1.5">
           <div className="w-3 h-3 rounded bg-gradient-to-br from-ffxiv-gold/20 to-yellow-500/10 border border-ffxiv-gold/50"></div>
-          <span>成品</span>
+          <span>{t('craftingTree.legend.product')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <div className="w-3 h-3 rounded bg-slate-800/60 border border-purple-500/30"></div>
-          <span>材料</span>
+          <span>{t('craftingTree.legend.material')}</span>
         </div>
         {isCraftingCheaper && (
           <>
             <div className="flex items-center gap-1.5">
               <div className="w-3 h-3 rounded bg-gradient-to-br from-green-900/40 to-emerald-900/30 border-2 border-green-500/60"></div>
-              <span className="text-green-400">最優路線(製作)</span>
+              <span className="text-green-400">{t('craftingTree.legend.optimalCraft')}</span>
             </div>
             <div className="flex items-center gap-1.5">
               <div className="w-3 h-3 rounded bg-gradient-to-br from-blue-900/40 to-cyan-900/30 border-2 border-blue-500/60"></div>
-              <span className="text-blue-400">最優路線(購買)</span>
+              <span className="text-blue-400">{t('craftingTree.legend.optimalBuy')}</span>
             </div>
           </>
         )}
         <div className="flex items-center gap-1.5">
-          <span className="text-green-400 font-semibold">價格</span>
-          <span>= NQ{isDcQuery ? '最低價' : '平均價'}</span>
+          <span className="text-green-400 font-semibold">{t('craftingTree.legend.price')}</span>
+          <span>= {isDcQuery ? t('craftingTree.legend.nqMin') : t('craftingTree.legend.nqAverage')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <span className="px-1 py-0.5 text-[10px] font-bold text-ffxiv-gold border border-ffxiv-gold/50 rounded bg-ffxiv-gold/10 cursor-default">HQ</span>
-          <span className="text-yellow-400 font-semibold">價格</span>
-          <span>= HQ{isDcQuery ? '最低價' : '平均價'}</span>
+          <span className="text-yellow-400 font-semibold">{t('craftingTree.legend.price')}</span>
+          <span>= {isDcQuery ? t('craftingTree.legend.hqMin') : t('craftingTree.legend.hqAverage')}</span>
         </div>
         <div className="flex items-center gap-1.5">
           <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
           </svg>
-          <span>= 複製名稱</span>
+          <span>= {t('craftingTree.copyName')}</span>
         </div>
       </div>
     </div>
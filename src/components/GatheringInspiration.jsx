@@ -0,0 +1,454 @@
+// Gathering Inspiration (採集職找價) - Find profitable items for miners, botanists and fishers
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import RunningLoader from './RunningLoader';
+import { getItemById } from '../services/itemDatabase';
+import { getMarketableItemsByIds, fetchAggregatedData } from '../services/universalis';
+import { getTwItemsByIds } from '../services/supabaseData';
+import { getGatheringSources } from '../services/gatheringData';
+import { rankGatheringItems } from '../utils/gatheringProfit';
+import { NODE_TYPE_ICONS, NODE_TYPE_NAME_KEYS, DEFAULT_NODE_TYPE_NAME_KEY } from '../constants/gatheringNodes';
+import { useTranslation } from '../hooks/useTranslation';
+
+const GATHERING_JOBS = [
+  { id: 'MIN', iconUrl: 'https://xivapi.com/cj/companion/miner.png', nodeTypes: [0, 1] },
+  { id: 'BTN', iconUrl: 'https://xivapi.com/cj/companion/botanist.png', nodeTypes: [2, 3] },
+  { id: 'FSH', iconUrl: 'https://xivapi.com/cj/companion/fisher.png', nodeTypes: [4, 5] },
+];
+
+const SORT_OPTIONS = ['dailyValue', 'price', 'velocity'];
+
+// Maximum number of items priced in one search (one request per 100 items)
+const MAX_ITEMS_LIMIT = 500;
+const MARKET_BATCH_SIZE = 100;
+
+/**
+ * Garland Tools page of a gathering node or fishing spot (shows the map position)
+ */
+function getLocationUrl(location) {
+  return location.kind === 'fishing'
+    ? `https://www.garlandtools.org/db/#fishing/${location.id}`
+    : `https://www.garlandtools.org/db/#node/${location.id}`;
+}
+
+export default function GatheringInspiration({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [selectedJobs, setSelectedJobs] = useState(['MIN', 'BTN']);
+  const [levelMin, setLevelMin] = useState('1');
+  const [levelMax, setLevelMax] = useState('100');
+  const [sortBy, setSortBy] = useState('dailyValue');
+  const [minVelocity, setMinVelocity] = useState('1');
+  const [results, setResults] = useState(null); // { dcName, sources, itemsById }
+  const [itemNames, setItemNames] = useState({});
+  const [expandedItemId, setExpandedItemId] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [scanProgress, setScanProgress] = useState({ loaded: 0, total: 0 });
+  const abortControllerRef = useRef(null);
+
+  const dcName = selectedWorld?.section || null;
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleJobToggle = (jobId) => {
+    setSelectedJobs(prev => (prev.includes(jobId) ? prev.filter(id => id !== jobId) : [...prev, jobId]));
+  };
+
+  const handleSearch = async () => {
+    const min = parseInt(levelMin, 10) || 1;
+    const max = parseInt(levelMax, 10) || 100;
+    if (selectedJobs.length === 0) {
+      addToast(t('gatheringInspiration.selectJob'), 'warning');
+      return;
+    }
+    if (min > max) {
+      addToast(t('gatheringInspiration.invalidLevelRange'), 'warning');
+      return;
+    }
+    if (!dcName) {
+      addToast(t('gatheringInspiration.selectServer'), 'warning');
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsScanning(true);
+    setExpandedItemId(null);
+    setScanProgress({ loaded: 0, total: 0 });
+    try {
+      const allSources = await getGatheringSources();
+      const matchingSources = [...allSources.values()].filter(source =>
+        source.level >= min &&
+        source.level <= max &&
+        source.jobs.some(job => selectedJobs.includes(job))
+      );
+
+      const marketableSet = await getMarketableItemsByIds(matchingSources.map(source => source.itemId), abortController.signal);
+      // Highest level first, so the limit drops the cheap low level materials
+      let sources = matchingSources
+        .filter(source => marketableSet.has(source.itemId))
+        .sort((a, b) => b.level - a.level || b.itemId - a.itemId);
+
+      if (sources.length === 0) {
+        setResults({ dcName, sources: [], itemsById: {} });
+        return;
+      }
+      if (sources.length > MAX_ITEMS_LIMIT) {
+        addToast(t('gatheringInspiration.limited', { found: sources.length, max: MAX_ITEMS_LIMIT }), 'warning');
+        sources = sources.slice(0, MAX_ITEMS_LIMIT);
+      }
+
+      const itemIds = sources.map(source => source.itemId);
+      getTwItemsByIds(itemIds)
+        .then(names => {
+          if (!abortController.signal.aborted) setItemNames(prev => ({ ...prev, ...(names || {}) }));
+        })
+        .catch(err => console.error('Failed to load item names:', err));
+
+      const batches = [];
+      for (let i = 0; i < itemIds.length; i += MARKET_BATCH_SIZE) {
+        batches.push(itemIds.slice(i, i + MARKET_BATCH_SIZE));
+      }
+      setScanProgress({ loaded: 0, total: batches.length });
+
+      const itemsById = {};
+      for (const batch of batches) {
+        const data = await fetchAggregatedData(dcName, batch, { signal: abortController.signal });
+        data.results.forEach(item => {
+          itemsById[item.itemId] = item;
+        });
+        setScanProgress(prev => ({ ...prev, loaded: prev.loaded + 1 }));
+      }
+
+      setResults({ dcName, sources, itemsById });
+    } catch (error) {
+      if (error.name === 'AbortError' || abortController.signal.aborted) return;
+      console.error('Gathering search failed:', error);
+      addToast(t('gatheringInspiration.searchFailed'), 'error');
+    } finally {
+      if (!abortController.signal.aborted) {
+        setIsScanning(false);
+      }
+    }
+  };
+
+  const rows = useMemo(() => {
+    if (!results) return [];
+    const velocityLimit = Number(minVelocity) || 0;
+    return rankGatheringItems(results.sources, results.itemsById)
+      .filter(row => row.velocity >= velocityLimit)
+      .sort((a, b) => b[sortBy] - a[sortBy]);
+  }, [results, minVelocity, sortBy]);
+
+  // Only the locations of the selected jobs are listed
+  const selectedNodeTypes = useMemo(
+    () => GATHERING_JOBS.filter(job => selectedJobs.includes(job.id)).flatMap(job => job.nodeTypes),
+    [selectedJobs]
+  );
+  const getLocations = (source) => {
+    const locations = source.locations.filter(location => selectedNodeTypes.includes(location.type));
+    return locations.length > 0 ? locations : source.locations;
+  };
+
+  const handleItemClick = async (itemId) => {
+    const item = await getItemById(itemId);
+    if (item) {
+      onItemSelect(item);
+    }
+  };
+
+  const formatLocationName = (location) => {
+    const zoneName = location.zoneName || t('gatheringInspiration.unknownZone');
+    return location.spotName ? `${zoneName}・${location.spotName}` : zoneName;
+  };
+
+  const renderLocation = (location) => (
+    <a
+      key={`${location.kind}-${location.id}`}
+      href={getLocationUrl(location)}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="flex items-center gap-2 px-2 py-1 rounded bg-slate-900/50 border border-slate-700/50 hover:border-ffxiv-gold/60 transition-colors"
+      title={t('gatheringInspiration.locationLink')}
+    >
+      <img src={NODE_TYPE_ICONS[location.type] || NODE_TYPE_ICONS[0]} alt={t(NODE_TYPE_NAME_KEYS[location.type] || DEFAULT_NODE_TYPE_NAME_KEY)} className="w-5 h-5 object-contain" />
+      <span className="text-xs text-white">{formatLocationName(location)}</span>
+      {location.x !== null && location.y !== null && (
+        <span className="text-xs text-blue-400">X: {location.x.toFixed(1)} - Y: {location.y.toFixed(1)}</span>
+      )}
+      <span className="text-xs text-gray-400">
+        Lv.{location.level} {t(NODE_TYPE_NAME_KEYS[location.type] || DEFAULT_NODE_TYPE_NAME_KEY)}
+      </span>
+      {location.limited && <span className="text-xs text-yellow-400">{t('gatheringInspiration.timed')}</span>}
+    </a>
+  );
+
+  const inputClass = 'px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white text-sm focus:outline-none focus:border-ffxiv-gold';
+  const cardClass = 'bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="gathering-inspiration"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+              {t('gatheringInspiration.title')}
+            </h1>
+            <p className="text-gray-400 text-sm sm:text-base">
+              {t('gatheringInspiration.description', { dcName: dcName || t('gatheringInspiration.dataCenterFallback') })}
+            </p>
+          </div>
+
+          {/* Controls */}
+          <div className={`${cardClass} p-4 mb-6 space-y-4`}>
+            <div>
+              <label className="block text-sm font-semibold text-ffxiv-gold mb-2">{t('gatheringInspiration.jobs')}</label>
+              <div className="flex flex-wrap gap-2">
+                {GATHERING_JOBS.map(job => {
+                  const isSelected = selectedJobs.includes(job.id);
+                  return (
+                    <button
+                      key={job.id}
+                      onClick={() => handleJobToggle(job.id)}
+                      className={`px-3.5 py-2 rounded-lg text-xs sm:text-sm font-medium transition-all flex items-center gap-1.5 ${
+                        isSelected
+                          ? 'bg-ffxiv-gold text-slate-900 border-2 border-ffxiv-gold'
+                          : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
+                      }`}
+                    >
+                      <img src={job.iconUrl} alt={t(`gatheringInspiration.job.${job.id}`)} className="w-6 h-6 object-contain" />
+                      <span>{t(`gatheringInspiration.job.${job.id}`)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('gatheringInspiration.minLevel')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={levelMin}
+                  onChange={(e) => setLevelMin(e.target.value)}
+                  className={`${inputClass} w-24`}
+                />
+              </div>
+              <div className="pb-2 text-gray-400">-</div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('gatheringInspiration.maxLevel')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={levelMax}
+                  onChange={(e) => setLevelMax(e.target.value)}
+                  className={`${inputClass} w-24`}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('gatheringInspiration.minVelocity')}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={minVelocity}
+                  onChange={(e) => setMinVelocity(e.target.value)}
+                  className={`${inputClass} w-28`}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">{t('gatheringInspiration.sortBy')}</label>
+                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={inputClass}>
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option} value={option}>{t(`gatheringInspiration.sort.${option}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={handleSearch}
+                disabled={isScanning || selectedJobs.length === 0 || !isServerDataLoaded}
+                className="px-4 py-2 bg-gradient-to-r from-ffxiv-gold/80 to-yellow-500/80 hover:from-ffxiv-gold hover:to-yellow-500 text-slate-900 font-semibold rounded-lg text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isScanning ? t('gatheringInspiration.searching') : t('gatheringInspiration.search')}
+              </button>
+            </div>
+          </div>
+
+          {/* Results */}
+          {isScanning ? (
+            <div className={`${cardClass} p-8`}>
+              <RunningLoader
+                message={scanProgress.total > 0
+                  ? t('gatheringInspiration.loadingMarket', { loaded: scanProgress.loaded, total: scanProgress.total })
+                  : t('gatheringInspiration.loadingSources')}
+              />
+            </div>
+          ) : !results ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400`}>
+              <div className="text-4xl mb-4">⛏️</div>
+              <p className="text-sm">{t('gatheringInspiration.idle')}</p>
+            </div>
+          ) : rows.length === 0 ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400 text-sm`}>
+              {t('gatheringInspiration.noResults')}
+            </div>
+          ) : (
+            <>
+              <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">
+                {t('gatheringInspiration.resultCount', { count: rows.length, dcName: results.dcName })}
+              </h3>
+              <div className={`overflow-x-auto ${cardClass}`}>
+                <table className="w-full border-collapse text-sm min-w-[760px]">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.item')}</th>
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.level')}</th>
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.locations')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.price')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.velocity')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('gatheringInspiration.column.dailyValue')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => {
+                      const locations = getLocations(row.source);
+                      const isExpanded = expandedItemId === row.itemId;
+                      return (
+                        <tr key={row.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors align-top">
+                          <td className="px-3 py-2">
+                            <button
+                              onClick={() => handleItemClick(row.itemId)}
+                              className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                            >
+                              <ItemImage itemId={row.itemId} alt={itemNames[row.itemId]} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                              <span className="text-xs">{itemNames[row.itemId] || row.itemId}</span>
+                            </button>
+                          </td>
+                          <td className="px-3 py-2 text-xs whitespace-nowrap text-gray-300">
+                            Lv.{row.source.level}
+                            {row.source.stars > 0 && <span className="ml-1 text-yellow-400">{'★'.repeat(row.source.stars)}</span>}
+                          </td>
+                          <td className="px-3 py-2">
+                            {locations.length === 0 ? (
+                              <span className="text-xs text-gray-500">{t('gatheringInspiration.noLocations')}</span>
+                            ) : (
+                              <div className="flex flex-col gap-1 items-start">
+                                {(isExpanded ? locations : locations.slice(0, 1)).map(renderLocation)}
+                                {locations.length > 1 && (
+                                  <button
+                                    onClick={() => setExpandedItemId(isExpanded ? null : row.itemId)}
+                                    className="text-xs text-purple-300 hover:text-ffxiv-gold transition-colors"
+                                  >
+                                    {isExpanded ? t('gatheringInspiration.collapse') : t('gatheringInspiration.moreLocations', { count: locations.length - 1 })}
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                            <div className="text-yellow-400">{Math.round(row.price).toLocaleString()}</div>
+                            {row.minListing && row.averageSale && (
+                              <div className="text-gray-500">{t('gatheringInspiration.averagePrice', { price: Math.round(row.averageSale) })}</div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right text-xs text-cyan-300">{row.velocity.toFixed(1)}</td>
+                          <td className="px-3 py-2 text-right text-xs text-ffxiv-gold font-semibold">{Math.round(row.dailyValue).toLocaleString()}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
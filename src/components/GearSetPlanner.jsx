@@ -0,0 +1,318 @@
+// Gear Set Planner Component - Cheapest full set for a job and ilvl range (MSQ equipment checker "whole set" mode)
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { getMarketableItemsByIds, fetchAggregatedData } from '../services/universalis';
+import { getEquipSlotCategories, getEquipmentByJobs, getItemIdsByIlvlRange, getIlvlsByIds, getLocalizedItemNamesByIds, getLocalizedJobAbbr } from '../services/supabaseData';
+import { JOB_ABBREVIATIONS } from '../constants/jobs';
+import {
+  GEAR_SET_SLOTS,
+  MAX_ILVL_RANGE,
+  getCategorySlots,
+  getCheapestListing,
+  groupCandidatesBySlot,
+  planGearSet,
+} from '../utils/gearSetPlanner';
+
+// Jobs that wear a set: crafters, gatherers and the battle jobs (base classes share their job's gear)
+const PLANNER_JOB_IDS = [
+  19, 21, 32, 37, 24, 28, 33, 40, 20, 22, 30, 34, 39, 41, 23, 31, 38, 25, 27, 35, 42, 36,
+  8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+];
+
+// Items per market data request
+const PRICE_BATCH_SIZE = 100;
+
+const inputClassName = 'w-full px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white focus:outline-none focus:border-ffxiv-gold';
+const smallButtonClassName = 'px-2 py-0.5 rounded bg-purple-900/40 border border-purple-500/30 text-xs text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+export default function GearSetPlanner({ addToast, worlds, selectedWorld, selectedServerOption, onItemClick }) {
+  const { t, formatNumber } = useTranslation();
+  const [jobId, setJobId] = useState('');
+  const [minIlvl, setMinIlvl] = useState('');
+  const [maxIlvl, setMaxIlvl] = useState('');
+  const [jobNames, setJobNames] = useState({});
+  const [candidatesBySlot, setCandidatesBySlot] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [plannedServer, setPlannedServer] = useState(null);
+  const planRequestIdRef = useRef(0);
+
+  useEffect(() => {
+    getLocalizedJobAbbr().then(setJobNames).catch(error => {
+      console.error('Failed to load job names:', error);
+    });
+  }, []);
+
+  const plan = useMemo(
+    () => (candidatesBySlot ? planGearSet(candidatesBySlot, choices) : null),
+    [candidatesBySlot, choices]
+  );
+
+  const getWorldName = useCallback((worldId) => {
+    if (!worldId) return '-';
+    return worlds?.[worldId] || `${worldId}`;
+  }, [worlds]);
+
+  const handlePlan = useCallback(async () => {
+    const min = parseInt(minIlvl, 10);
+    const max = parseInt(maxIlvl || minIlvl, 10);
+    if (!jobId) {
+      addToast(t('msq.gearSet.selectJob'), 'warning');
+      return;
+    }
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > 999 || max < min) {
+      addToast(t('msq.gearSet.invalidRange'), 'warning');
+      return;
+    }
+    if (max - min > MAX_ILVL_RANGE) {
+      addToast(t('msq.gearSet.rangeTooWide', { max: MAX_ILVL_RANGE }), 'warning');
+      return;
+    }
+    if (!selectedWorld || !selectedServerOption) {
+      addToast(t('msq.gearSet.selectServer'), 'warning');
+      return;
+    }
+
+    const requestId = ++planRequestIdRef.current;
+    const isDCQuery = selectedServerOption === selectedWorld.section;
+    const queryTarget = isDCQuery ? selectedWorld.section : selectedServerOption;
+    const scope = isDCQuery ? 'dc' : 'world';
+    setIsPlanning(true);
+    setCandidatesBySlot(null);
+    setChoices({});
+
+    try {
+      const [ilvlItemIds, jobEquipment, equipSlotCategories] = await Promise.all([
+        getItemIdsByIlvlRange(min, max),
+        getEquipmentByJobs([JOB_ABBREVIATIONS[jobId]]),
+        getEquipSlotCategories(),
+      ]);
+      const itemIds = ilvlItemIds.filter(id => jobEquipment[id]);
+      const marketableSet = await getMarketableItemsByIds(itemIds);
+      const tradeableItemIds = itemIds.filter(id => marketableSet.has(id));
+      if (requestId !== planRequestIdRef.current) return;
+
+      if (tradeableItemIds.length === 0) {
+        addToast(t('msq.gearSet.noItems'), 'warning');
+        setCandidatesBySlot({});
+        return;
+      }
+
+      const listings = {};
+      for (let i = 0; i < tradeableItemIds.length; i += PRICE_BATCH_SIZE) {
+        const batch = tradeableItemIds.slice(i, i + PRICE_BATCH_SIZE);
+        const data = await fetchAggregatedData(queryTarget, batch);
+        if (requestId !== planRequestIdRef.current) return;
+        (data?.results || []).forEach(item => {
+          const listing = getCheapestListing(item, scope);
+          if (listing) {
+            listings[item.itemId] = isDCQuery ? listing : { ...listing, worldId: selectedServerOption };
+          }
+        });
+      }
+
+      const pricedItemIds = tradeableItemIds.filter(id => listings[id]);
+      if (pricedItemIds.length === 0) {
+        addToast(t('msq.gearSet.noItems'), 'warning');
+        setCandidatesBySlot({});
+        return;
+      }
+      const [names, ilvls] = await Promise.all([
+        getLocalizedItemNamesByIds(pricedItemIds),
+        getIlvlsByIds(pricedItemIds),
+      ]);
+      if (requestId !== planRequestIdRef.current) return;
+
+      const candidates = pricedItemIds.map(id => {
+        const equipment = jobEquipment[id];
+        const { slot, blockedSlots } = getCategorySlots(equipSlotCategories[equipment.equipSlotCategory]);
+        return {
+          itemId: id,
+          name: names[id] || `#${id}`,
+          ilvl: ilvls[id] ?? null,
+          level: equipment.level || null,
+          slot,
+          blockedSlots,
+          unique: Boolean(equipment.unique),
+          ...listings[id],
+        };
+      });
+      setCandidatesBySlot(groupCandidatesBySlot(candidates));
+      setPlannedServer(isDCQuery ? selectedWorld.section : getWorldName(selectedServerOption));
+    } catch (error) {
+      if (requestId !== planRequestIdRef.current) return;
+      console.error('Gear set planning error:', error);
+      addToast(t('msq.gearSet.failed'), 'error');
+    } finally {
+      if (requestId === planRequestIdRef.current) {
+        setIsPlanning(false);
+      }
+    }
+  }, [jobId, minIlvl, maxIlvl, selectedWorld, selectedServerOption, addToast, t, getWorldName]);
+
+  const changeChoice = (slot, delta) => {
+    setChoices(prev => {
+      const next = { ...prev, [slot]: Math.max((prev[slot] || 0) + delta, 0) };
+      // The second ring's options depend on the first ring
+      if (slot === 'Ring1') {
+        next.Ring2 = 0;
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-semibold text-ffxiv-gold mb-2" htmlFor="gear-set-job">
+            {t('msq.gearSet.job')}
+          </label>
+          <select id="gear-set-job" value={jobId} onChange={(e) => setJobId(e.target.value)} className={inputClassName}>
+            <option value="">{t('msq.gearSet.selectJob')}</option>
+            {PLANNER_JOB_IDS.map(id => (
+              <option key={id} value={id}>
+                {jobNames[id]?.name && jobNames[id].name !== JOB_ABBREVIATIONS[id]
+                  ? `${jobNames[id].name} (${JOB_ABBREVIATIONS[id]})`
+                  : JOB_ABBREVIATIONS[id]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-ffxiv-gold mb-2" htmlFor="gear-set-min-ilvl">
+            {t('msq.gearSet.ilvlRange')}
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              id="gear-set-min-ilvl"
+              type="number"
+              inputMode="numeric"
+              min="1"
+              max="999"
+              value={minIlvl}
+              onChange={(e) => setMinIlvl(e.target.value)}
+              placeholder={t('msq.gearSet.minIlvl')}
+              className={inputClassName}
+            />
+            <span className="text-gray-400">-</span>
+            <input
+              type="number"
+              inputMode="numeric"
+              min="1"
+              max="999"
+              value={maxIlvl}
+              onChange={(e) => setMaxIlvl(e.target.value)}
+              placeholder={t('msq.gearSet.maxIlvl')}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={handlePlan}
+            disabled={isPlanning || !jobId || !minIlvl}
+            className={`w-full py-2 rounded-lg font-semibold transition-all ${
+              isPlanning || !jobId || !minIlvl
+                ? 'bg-slate-700/50 text-gray-500 cursor-not-allowed opacity-50'
+                : 'bg-gradient-to-r from-ffxiv-gold to-yellow-500 text-slate-900 hover:shadow-[0_0_20px_rgba(212,175,55,0.5)]'
+            }`}
+          >
+            {isPlanning ? t('msq.gearSet.planning') : t('msq.gearSet.plan')}
+          </button>
+        </div>
+      </div>
+
+      {plan && Object.keys(candidatesBySlot).length > 0 && (
+        <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+            <h3 className="text-sm font-semibold text-ffxiv-gold">{t('msq.gearSet.title', { server: plannedServer })}</h3>
+            <div className="text-sm text-gray-300">
+              {t('msq.gearSet.total')}<span className="text-yellow-400 font-semibold">{formatNumber(plan.total)}</span> Gil
+              {plan.missingSlots.length > 0 && (
+                <span className="ml-2 text-xs text-gray-500">
+                  （{t('msq.gearSet.missing', { count: plan.missingSlots.length })}）
+                </span>
+              )}
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40">
+                  <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.slot')}</th>
+                  <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.item')}</th>
+                  <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.ilvl')}</th>
+                  <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.price')}</th>
+                  <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.world')}</th>
+                  <th className="px-3 py-2 text-center text-ffxiv-gold font-semibold text-xs">{t('msq.gearSet.columns.option')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {GEAR_SET_SLOTS.map(slot => {
+                  const entry = plan.slots[slot];
+                  const piece = entry?.piece;
+                  return (
+                    <tr key={slot} className="border-b border-purple-500/10">
+                      <td className="px-3 py-1.5 text-gray-400 whitespace-nowrap">{t(`msq.slot.${slot}`)}</td>
+                      {entry?.blockedBy ? (
+                        <td colSpan={5} className="px-3 py-1.5 text-gray-500 text-xs">
+                          {t('msq.gearSet.coveredBy', { slot: t(`msq.slot.${entry.blockedBy}`) })}
+                        </td>
+                      ) : !piece ? (
+                        <td colSpan={5} className="px-3 py-1.5 text-gray-500 text-xs">{t('msq.gearSet.noListing')}</td>
+                      ) : (
+                        <>
+                          <td className="px-3 py-1.5">
+                            <button
+                              type="button"
+                              onClick={() => onItemClick?.(piece.itemId)}
+                              className="text-left text-gray-200 hover:text-ffxiv-gold transition-colors"
+                            >
+                              {piece.name}
+                            </button>
+                            {piece.level && <span className="ml-2 text-xs text-gray-500">Lv.{piece.level}</span>}
+                          </td>
+                          <td className="px-3 py-1.5 text-right text-gray-300">{piece.ilvl ?? '-'}</td>
+                          <td className="px-3 py-1.5 text-right text-green-400 whitespace-nowrap">
+                            {formatNumber(piece.price)}
+                            {piece.isHQ && <span className="ml-1 text-xs text-ffxiv-gold">HQ</span>}
+                          </td>
+                          <td className="px-3 py-1.5 text-gray-300 whitespace-nowrap">{getWorldName(piece.worldId)}</td>
+                          <td className="px-3 py-1.5 text-center whitespace-nowrap">
+                            <button
+                              type="button"
+                              onClick={() => changeChoice(slot, -1)}
+                              disabled={entry.index === 0}
+                              className={smallButtonClassName}
+                              title={t('msq.gearSet.cheaper')}
+                            >
+                              ‹
+                            </button>
+                            <span className="mx-2 text-xs text-gray-400">
+                              {t('msq.gearSet.optionPosition', { index: entry.index + 1, count: entry.optionCount })}
+                            </span>
+                            <button
+                              type="button"
+                              onClick={() => changeChoice(slot, 1)}
+                              disabled={entry.index >= entry.optionCount - 1}
+                              className={smallButtonClassName}
+                              title={t('msq.gearSet.nextCheapest')}
+                            >
+                              ›
+                            </button>
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">{t('msq.gearSet.hint')}</p>
+        </div>
+      )}
+    </div>
+  );
+}
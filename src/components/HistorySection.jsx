@@ -1,12 +1,33 @@
+import { useState, useEffect } from 'react';
 import { useHistory } from '../hooks/useHistory';
+import { useTranslation } from '../hooks/useTranslation';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { getMarketSnapshots, getSnapshotMinPrice } from '../services/marketSnapshots';
+import { formatRelativeTime } from '../utils/timeFormat';
 import ItemImage from './ItemImage';
+import CompareButton from './CompareButton';
 
 export default function HistorySection({ onItemSelect }) {
+  const { t } = useTranslation();
   // Use the centralized history hook
   const { historyItems, isLoading, clearHistory } = useHistory();
+  const isOnline = useOnlineStatus();
+  // Last market data fetched for each item (kept for offline use)
+  const [snapshots, setSnapshots] = useState({});
+
+  useEffect(() => {
+    if (historyItems.length === 0) return;
+    let cancelled = false;
+    getMarketSnapshots(historyItems.map(item => item.id)).then(result => {
+      if (!cancelled) setSnapshots(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [historyItems]);
 
   const handleClearHistory = () => {
-    if (window.confirm('確定要清空所有歷史記錄嗎？')) {
+    if (window.confirm(t('history.clearConfirm'))) {
       clearHistory();
     }
   };
@@ -16,7 +37,7 @@ export default function HistorySection({ onItemSelect }) {
       <div className="mb-6 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6">
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-          <span className="ml-3 text-sm text-gray-400">載入歷史記錄...</span>
+          <span className="ml-3 text-sm text-gray-400">{t('history.loading')}</span>
         </div>
       </div>
     );
@@ -44,14 +65,14 @@ export default function HistorySection({ onItemSelect }) {
               d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
             />
           </svg>
-          最近查看的物品
+          {t('history.recentItems')}
         </h3>
         <div className="flex items-center gap-3">
           <span className="text-xs sm:text-sm text-gray-400">({historyItems.length}/10)</span>
           <button
             onClick={handleClearHistory}
             className="px-2 sm:px-3 py-1 sm:py-1.5 text-xs sm:text-sm font-medium bg-red-800/60 hover:bg-red-700/70 text-gray-200 hover:text-white rounded-md border border-red-500/40 hover:border-red-400/60 transition-all duration-200 flex items-center gap-1.5"
-            title="清空歷史記錄"
+            title={t('history.clear')}
           >
             <svg 
               xmlns="http://www.w3.org/2000/svg" 
@@ -67,28 +88,42 @@ export default function HistorySection({ onItemSelect }) {
                 d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" 
               />
             </svg>
-            <span>清空</span>
+            <span>{t('history.clearShort')}</span>
           </button>
         </div>
       </div>
+      {!isOnline && (
+        <div className="mb-4 px-3 py-2 rounded-lg bg-amber-900/30 border border-amber-500/40 text-xs sm:text-sm text-amber-200">
+          ⚠️ {t('history.offlineNotice')}
+        </div>
+      )}
       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3 sm:gap-4">
         {historyItems.map((item) => (
-          <button
-            key={item.id}
-            onClick={() => onItemSelect && onItemSelect(item)}
-            className="bg-gradient-to-br from-purple-900/30 via-pink-900/20 to-indigo-900/30 rounded-lg p-3 sm:p-4 border border-purple-500/30 hover:border-ffxiv-gold/50 transition-all hover:scale-105 group"
-          >
-            <div className="flex flex-col items-center gap-2">
-              <ItemImage
-                itemId={item.id}
-                alt={item.name}
-                className="w-12 h-12 sm:w-16 sm:h-16 object-contain rounded border border-purple-500/30 bg-slate-900/50 group-hover:border-ffxiv-gold/50 transition-colors"
-              />
-              <p className="text-xs sm:text-sm text-white font-medium text-center line-clamp-2 group-hover:text-ffxiv-gold transition-colors" title={item.name}>
-                {item.name}
-              </p>
-            </div>
-          </button>
+          <div key={item.id} className="relative">
+            <button
+              onClick={() => onItemSelect && onItemSelect(item)}
+              className="w-full h-full bg-gradient-to-br from-purple-900/30 via-pink-900/20 to-indigo-900/30 rounded-lg p-3 sm:p-4 border border-purple-500/30 hover:border-ffxiv-gold/50 transition-all hover:scale-105 group"
+            >
+              <div className="flex flex-col items-center gap-2">
+                <ItemImage
+                  itemId={item.id}
+                  alt={item.name}
+                  className="w-12 h-12 sm:w-16 sm:h-16 object-contain rounded border border-purple-500/30 bg-slate-900/50 group-hover:border-ffxiv-gold/50 transition-colors"
+                />
+                <p className="text-xs sm:text-sm text-white font-medium text-center line-clamp-2 group-hover:text-ffxiv-gold transition-colors" title={item.name}>
+                  {item.name}
+                </p>
+                {snapshots[item.id] && getSnapshotMinPrice(snapshots[item.id]) !== null && (
+                  <p className="text-[10px] sm:text-xs text-gray-400 text-center" title={t('history.snapshotMinPrice', { server: snapshots[item.id].serverName })}>
+                    <span className="text-green-400">{getSnapshotMinPrice(snapshots[item.id]).toLocaleString()}</span>
+                    <span className="ml-1">· {formatRelativeTime(snapshots[item.id].fetchedAt)}</span>
+                  </p>
+                )}
+              </div>
+            </button>
+            {/* Sibling of the card button - buttons cannot be nested */}
+            <CompareButton itemId={item.id} itemName={item.name} className="absolute top-1.5 right-1.5 bg-slate-900/60" />
+          </div>
         ))}
       </div>
     </div>
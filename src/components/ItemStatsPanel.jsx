@@ -0,0 +1,396 @@
+// Item Stats Panel Component - Damage / defense, food bonuses and materia slots of the item page item,
+// with a melding calculator pricing a materia plan (including overmeld failures) from Universalis
+import { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { useDisplaySettings } from '../hooks/useDisplaySettings';
+import {
+  getIlvlsByIds,
+  getItemMainAttributesByIds,
+  getItemBonusesByIds,
+  getItemMeldingDataByIds,
+  getItemLevelStatsByIlvls,
+} from '../services/supabaseData';
+import { fetchAggregatedData } from '../services/universalis';
+import {
+  getBaseParamName,
+  getMateriaTierLabel,
+  getMateriaGroups,
+  getMeldableSlotCount,
+  getMeldCap,
+  getMeldHeadroom,
+  getItemBaseStats,
+  getMeldSuccessRate,
+  calculateMeldPlan,
+} from '../utils/materiaMelding';
+
+const selectClassName = 'w-full px-2 py-1.5 rounded-md bg-slate-900/70 border border-purple-500/30 text-sm text-white focus:outline-none focus:border-ffxiv-gold';
+
+/**
+ * Cheapest listing price in the queried scope
+ * @param {Object} item - Aggregated result (fetchAggregatedData)
+ * @param {'nq'|'hq'} quality
+ * @param {'world'|'dc'} scope
+ * @returns {number|null}
+ */
+function getMinPrice(item, quality, scope) {
+  const price = item?.[quality]?.minListing?.[scope]?.price;
+  return price > 0 ? price : null;
+}
+
+/**
+ * @param {Object} props
+ * @param {number} props.itemId - Item shown on the item page
+ * @param {boolean} props.canBeHQ - Whether the item has an HQ version
+ * @param {Object} props.selectedWorld - Selected data center ({ section, ... })
+ * @param {string|number} props.selectedServerOption - DC name or world ID to price from
+ */
+export default function ItemStatsPanel({ itemId, canBeHQ, selectedWorld, selectedServerOption }) {
+  const { t, formatNumber } = useTranslation();
+  const { language } = useDisplaySettings();
+  const [itemData, setItemData] = useState(null);
+  const [isHQ, setIsHQ] = useState(!!canBeHQ);
+  const [materiaItemIds, setMateriaItemIds] = useState([]);
+  const [prices, setPrices] = useState({ materia: {}, piece: null });
+  const [isLoadingPrices, setIsLoadingPrices] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setItemData(null);
+    setMateriaItemIds([]);
+    setIsHQ(!!canBeHQ);
+
+    (async () => {
+      try {
+        const [ilvls, mainAttributes, bonuses, meldingData] = await Promise.all([
+          getIlvlsByIds([itemId]),
+          getItemMainAttributesByIds([itemId]),
+          getItemBonusesByIds([itemId]),
+          getItemMeldingDataByIds([itemId]),
+        ]);
+        const ilvl = ilvls[itemId] ?? null;
+        const itemMeldingData = meldingData[itemId] || null;
+        const itemLevelStats = itemMeldingData && ilvl ? (await getItemLevelStatsByIlvls([ilvl]))[ilvl] || null : null;
+        if (cancelled) return;
+        setItemData({
+          ilvl,
+          mainAttributes: mainAttributes[itemId] || [],
+          bonuses: bonuses[itemId] || [],
+          meldingData: itemMeldingData,
+          itemLevelStats,
+        });
+      } catch (error) {
+        console.error('Failed to load item stats:', error);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [itemId, canBeHQ]);
+
+  const meldingData = itemData?.meldingData || null;
+  const slotCount = getMeldableSlotCount(meldingData);
+  const materiaGroups = useMemo(() => getMateriaGroups(), []);
+  const chosenIds = useMemo(
+    () => materiaItemIds.slice(0, slotCount).map(id => id || null),
+    [materiaItemIds, slotCount]
+  );
+
+  const isDCQuery = !!selectedWorld && selectedServerOption === selectedWorld.section;
+  const queryTarget = isDCQuery ? selectedWorld.section : selectedServerOption;
+  const scope = isDCQuery ? 'dc' : 'world';
+  const pricedMateriaKey = [...new Set(chosenIds.filter(Boolean))].sort((a, b) => a - b).join(',');
+
+  // Price the piece and the chosen materia (fetchAggregatedData caches, so reselecting is cheap)
+  useEffect(() => {
+    if (slotCount === 0 || !queryTarget) return;
+    let cancelled = false;
+    const materiaIds = pricedMateriaKey ? pricedMateriaKey.split(',').map(Number) : [];
+    setIsLoadingPrices(true);
+
+    fetchAggregatedData(queryTarget, [itemId, ...materiaIds])
+      .then(data => {
+        if (cancelled) return;
+        const byId = {};
+        (data?.results || []).forEach(item => {
+          byId[item.itemId] = item;
+        });
+        const materia = {};
+        materiaIds.forEach(id => {
+          const price = getMinPrice(byId[id], 'nq', scope);
+          if (price !== null) materia[id] = price;
+        });
+        setPrices({
+          materia,
+          piece: { nq: getMinPrice(byId[itemId], 'nq', scope), hq: getMinPrice(byId[itemId], 'hq', scope) },
+        });
+      })
+      .catch(error => {
+        console.error('Failed to load melding prices:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingPrices(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [itemId, queryTarget, scope, slotCount, pricedMateriaKey]);
+
+  // The piece's own values of the NQ or HQ version count toward each meld cap
+  const baseStats = useMemo(() => getItemBaseStats(itemData?.bonuses, isHQ), [itemData, isHQ]);
+
+  const plan = useMemo(() => {
+    if (!meldingData || slotCount === 0) return null;
+    return calculateMeldPlan({
+      materiaItemIds: chosenIds,
+      meldingData,
+      itemLevelStats: itemData?.itemLevelStats,
+      isHQ,
+      baseStats,
+      prices: prices.materia,
+    });
+  }, [meldingData, slotCount, chosenIds, itemData, isHQ, baseStats, prices.materia]);
+
+  if (!itemData) return null;
+  const hasStats = itemData.mainAttributes.length > 0 || itemData.bonuses.length > 0;
+  if (!hasStats && !meldingData) return null;
+
+  const piecePrice = prices.piece ? prices.piece[isHQ ? 'hq' : 'nq'] : null;
+  const hasChosenMateria = chosenIds.some(Boolean);
+  const totalCost = plan && piecePrice !== null ? piecePrice + plan.materiaCost : null;
+
+  const handleMateriaChange = (slotIndex, value) => {
+    setMateriaItemIds(prev => {
+      const next = [...prev];
+      next[slotIndex] = value ? Number(value) : null;
+      return next;
+    });
+  };
+
+  const renderMateriaLabel = (materia) => t('itemStats.calculator.materiaLabel', {
+    stat: getBaseParamName(materia.baseParamId, language),
+    tier: getMateriaTierLabel(materia.tier),
+    value: materia.value,
+  });
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-3 sm:p-4">
+      <div className="flex flex-wrap items-baseline gap-2 mb-3">
+        <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">{t('itemStats.title')}</h3>
+        {itemData.ilvl && (
+          <span className="text-xs text-gray-400">{t('itemStats.ilvl', { ilvl: String(itemData.ilvl) })}</span>
+        )}
+      </div>
+
+      {hasStats && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+          {itemData.mainAttributes.length > 0 && (
+            <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+              <div className="text-xs font-semibold text-gray-400 mb-1">{t('itemStats.attributes')}</div>
+              <ul className="space-y-0.5 text-sm">
+                {itemData.mainAttributes.map(attribute => (
+                  <li key={attribute.ID} className="flex justify-between gap-2">
+                    <span className="text-gray-300">{getBaseParamName(attribute.ID, language)}</span>
+                    <span className="text-white">
+                      {formatNumber(attribute.NQ)}
+                      {canBeHQ && attribute.HQ !== attribute.NQ && (
+                        <span className="ml-2 text-ffxiv-gold">HQ {formatNumber(attribute.HQ)}</span>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {itemData.bonuses.length > 0 && (
+            <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+              <div className="text-xs font-semibold text-gray-400 mb-1">{t('itemStats.bonuses')}</div>
+              <ul className="space-y-0.5 text-sm">
+                {itemData.bonuses.map(bonus => {
+                  const describe = (value, max) => (bonus.Relative
+                    ? t('itemStats.bonusRelative', { value, max })
+                    : t('itemStats.bonusFlat', { value }));
+                  return (
+                    <li key={bonus.ID} className="flex justify-between gap-2">
+                      <span className="text-gray-300">{getBaseParamName(bonus.ID, language)}</span>
+                      <span className="text-white">
+                        {describe(bonus.NQ, bonus.Max)}
+                        {canBeHQ && (
+                          <span className="ml-2 text-ffxiv-gold">HQ {describe(bonus.HQ, bonus.MaxHQ)}</span>
+                        )}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {meldingData && (
+        <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+            <span className="text-gray-300">{t('itemStats.slots', { count: meldingData.slots })}</span>
+            {slotCount > 0 && (
+              <span className={meldingData.overmeld ? 'text-green-400' : 'text-gray-500'}>
+                {meldingData.overmeld
+                  ? t('itemStats.overmeldAllowed', { max: slotCount })
+                  : t('itemStats.overmeldNotAllowed')}
+              </span>
+            )}
+          </div>
+
+          {slotCount === 0 ? (
+            <p className="mt-1 text-xs text-gray-500">{t('itemStats.noSlots')}</p>
+          ) : (
+            <div className="mt-3 pt-3 border-t border-purple-500/20">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <h4 className="text-sm font-semibold text-ffxiv-gold">{t('itemStats.calculator.title')}</h4>
+                {canBeHQ && (
+                  <label className="flex items-center gap-1.5 text-xs text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={isHQ}
+                      onChange={(e) => setIsHQ(e.target.checked)}
+                      className="accent-ffxiv-gold"
+                    />
+                    {t('itemStats.calculator.hq')}
+                  </label>
+                )}
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 text-xs text-gray-300">
+                      <th className="px-2 py-1.5 text-left whitespace-nowrap">{t('itemStats.calculator.columns.slot')}</th>
+                      <th className="px-2 py-1.5 text-left">{t('itemStats.calculator.columns.materia')}</th>
+                      <th className="px-2 py-1.5 text-right whitespace-nowrap">{t('itemStats.calculator.columns.rate')}</th>
+                      <th className="px-2 py-1.5 text-right whitespace-nowrap">{t('itemStats.calculator.columns.expected')}</th>
+                      <th className="px-2 py-1.5 text-right whitespace-nowrap">{t('itemStats.calculator.columns.unitPrice')}</th>
+                      <th className="px-2 py-1.5 text-right whitespace-nowrap">{t('itemStats.calculator.columns.cost')}</th>
+                      <th className="px-2 py-1.5 text-right whitespace-nowrap">{t('itemStats.calculator.columns.gain')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.slots.map(slot => {
+                      const unitPrice = slot.materia ? prices.materia[slot.materia.itemId] : undefined;
+                      return (
+                        <tr key={slot.slotIndex} className="border-b border-purple-500/10">
+                          <td className={`px-2 py-1.5 whitespace-nowrap ${slot.isOvermeld ? 'text-pink-300' : 'text-gray-300'}`}>
+                            {t(slot.isOvermeld ? 'itemStats.calculator.overmeldSlot' : 'itemStats.calculator.slot', { index: slot.slotIndex + 1 })}
+                          </td>
+                          <td className="px-2 py-1.5 min-w-[12rem]">
+                            <select
+                              value={chosenIds[slot.slotIndex] || ''}
+                              onChange={(e) => handleMateriaChange(slot.slotIndex, e.target.value)}
+                              className={selectClassName}
+                            >
+                              <option value="">{t('itemStats.calculator.empty')}</option>
+                              {materiaGroups.map(group => {
+                                const cap = getMeldHeadroom(
+                                  getMeldCap(meldingData, itemData.itemLevelStats, group.baseParamId),
+                                  baseStats[group.baseParamId] || 0
+                                );
+                                const statName = getBaseParamName(group.baseParamId, language);
+                                return (
+                                  <optgroup
+                                    key={group.baseParamId}
+                                    label={cap !== null ? t('itemStats.calculator.groupWithCap', { stat: statName, cap }) : statName}
+                                  >
+                                    {group.materias.map(materia => (
+                                      <option
+                                        key={materia.itemId}
+                                        value={materia.itemId}
+                                        disabled={getMeldSuccessRate(materia, slot.slotIndex, meldingData, isHQ) <= 0}
+                                      >
+                                        {renderMateriaLabel(materia)}
+                                      </option>
+                                    ))}
+                                  </optgroup>
+                                );
+                              })}
+                            </select>
+                          </td>
+                          <td className="px-2 py-1.5 text-right whitespace-nowrap">
+                            {slot.materia ? (
+                              slot.rate > 0
+                                ? <span className={slot.rate < 100 ? 'text-yellow-400' : 'text-gray-300'}>{slot.rate}%</span>
+                                : <span className="text-red-400">{t('itemStats.calculator.cannotMeld')}</span>
+                            ) : '-'}
+                          </td>
+                          <td className="px-2 py-1.5 text-right whitespace-nowrap text-gray-300">
+                            {slot.expectedCount ? formatNumber(slot.expectedCount, { maximumFractionDigits: 1 }) : '-'}
+                          </td>
+                          <td className="px-2 py-1.5 text-right whitespace-nowrap text-gray-300">
+                            {slot.materia && slot.rate > 0
+                              ? (unitPrice !== undefined ? formatNumber(unitPrice) : (isLoadingPrices ? '...' : t('itemStats.calculator.noListing')))
+                              : '-'}
+                          </td>
+                          <td className="px-2 py-1.5 text-right whitespace-nowrap text-white">
+                            {slot.expectedCost !== null && slot.expectedCost !== undefined ? formatNumber(Math.round(slot.expectedCost)) : '-'}
+                          </td>
+                          <td className="px-2 py-1.5 text-right whitespace-nowrap">
+                            {slot.materia && slot.rate > 0 ? (
+                              <span
+                                className={slot.isWasted ? 'text-orange-400' : 'text-green-400'}
+                                title={slot.isWasted ? t('itemStats.calculator.wasted', { amount: slot.materia.value - slot.gain }) : undefined}
+                              >
+                                +{formatNumber(slot.gain)}
+                              </span>
+                            ) : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {plan.stats.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-300">
+                  {plan.stats.map(stat => (
+                    <span key={stat.baseParamId}>
+                      {stat.headroom !== null
+                        ? t('itemStats.calculator.statWithCap', { stat: getBaseParamName(stat.baseParamId, language), total: stat.materiaTotal, cap: stat.headroom })
+                        : t('itemStats.calculator.stat', { stat: getBaseParamName(stat.baseParamId, language), total: stat.materiaTotal })}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+                <div className="flex justify-between gap-2 sm:block">
+                  <div className="text-xs text-gray-400">{t(isHQ ? 'itemStats.calculator.piecePriceHQ' : 'itemStats.calculator.piecePrice')}</div>
+                  <div className="text-white">
+                    {!queryTarget
+                      ? '-'
+                      : piecePrice !== null ? formatNumber(piecePrice) : (isLoadingPrices ? '...' : t('itemStats.calculator.noListing'))}
+                  </div>
+                </div>
+                <div className="flex justify-between gap-2 sm:block">
+                  <div className="text-xs text-gray-400">{t('itemStats.calculator.materiaCost')}</div>
+                  <div className="text-white">{hasChosenMateria ? formatNumber(plan.materiaCost) : '-'}</div>
+                </div>
+                <div className="flex justify-between gap-2 sm:block">
+                  <div className="text-xs text-gray-400">{t('itemStats.calculator.total')}</div>
+                  <div className="font-semibold text-ffxiv-gold">{totalCost !== null ? formatNumber(totalCost) : '-'}</div>
+                </div>
+              </div>
+
+              {!queryTarget && (
+                <p className="mt-2 text-xs text-yellow-400">{t('itemStats.calculator.selectServer')}</p>
+              )}
+              {plan.hasUnknownPrice && !isLoadingPrices && (
+                <p className="mt-2 text-xs text-yellow-400">{t('itemStats.calculator.unknownPrice')}</p>
+              )}
+              <p className="mt-2 text-xs text-gray-500">{t('itemStats.calculator.hint')}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
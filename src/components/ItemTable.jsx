@@ -1,6 +1,9 @@
 // Item table component - replicates ObservableHQ's item selection table
 import { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import ItemImage from './ItemImage';
+import TableExportButtons from './TableExportButtons';
+import CompareButton from './CompareButton';
+import { useTranslation } from '../hooks/useTranslation';
 
 import { getIlvlsByIds, getRaritiesByIds, getItemPatchByIds, getPatchNames } from '../services/supabaseData';
 import { getItemImageUrlSync } from '../utils/itemImage';
@@ -66,17 +69,18 @@ const getVersionColor = (versionString) => {
   return '#9CA3AF';
 };
 
-// Item name cell with copy button
-const ItemNameCell = ({ itemName, addToast }) => {
+// Item name cell with copy and compare buttons
+const ItemNameCell = ({ itemId, itemName, addToast }) => {
+  const { t } = useTranslation();
   const handleCopyClick = (e) => {
     e.stopPropagation();
     navigator.clipboard.writeText(itemName).then(() => {
       if (addToast) {
-        addToast('已複製物品名稱', 'success');
+        addToast(t('itemTable.nameCopied'), 'success');
       }
     }).catch(() => {
       if (addToast) {
-        addToast('複製失敗', 'error');
+        addToast(t('itemTable.copyFailed'), 'error');
       }
     });
   };
@@ -96,8 +100,8 @@ const ItemNameCell = ({ itemName, addToast }) => {
         <button
           onClick={handleCopyClick}
           className="flex-shrink-0 p-1 text-gray-400 hover:text-ffxiv-gold hover:bg-purple-800/40 rounded-md border border-transparent hover:border-purple-500/40 transition-all duration-200"
-          title="複製物品名稱"
-          aria-label="複製物品名稱"
+          title={t('itemTable.copyName')}
+          aria-label={t('itemTable.copyName')}
         >
           <svg 
             xmlns="http://www.w3.org/2000/svg" 
@@ -114,12 +118,14 @@ const ItemNameCell = ({ itemName, addToast }) => {
             />
           </svg>
         </button>
+        {itemId && <CompareButton itemId={itemId} itemName={itemName} addToast={addToast} />}
       </div>
     </td>
   );
 };
 
-export default function ItemTable({ items, onSelect, selectedItem, marketableItems, itemVelocities, itemAveragePrices, itemMinListings, itemRecentPurchases, itemTradability, isLoadingVelocities, getSimplifiedChineseName, addToast, currentPage = 1, itemsPerPage = null, selectedRarities: externalSelectedRarities, setSelectedRarities: externalSetSelectedRarities, raritiesData: externalRaritiesData, externalRarityFilter = false, externalRarityCounts = null, isServerDataLoaded = true, isRaritySelectorDisabled = false }) {
+export default function ItemTable({ items, onSelect, selectedItem, marketableItems, itemVelocities, itemAveragePrices, itemMinListings, itemRecentPurchases, itemTradability, isLoadingVelocities, getSimplifiedChineseName, addToast, currentPage = 1, itemsPerPage = null, selectedRarities: externalSelectedRarities, setSelectedRarities: externalSetSelectedRarities, raritiesData: externalRaritiesData, externalRarityFilter = false, externalRarityCounts = null, isServerDataLoaded = true, isRaritySelectorDisabled = false, exportFilename = null }) {
+  const { t } = useTranslation();
   const [sortColumn, setSortColumn] = useState('id');
   const [sortDirection, setSortDirection] = useState('desc'); // 'asc' or 'desc' - default to desc for highest ilvl first
   const [ilvlsData, setIlvlsData] = useState(null);
@@ -441,7 +447,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
           color: color,
           boxShadow: `0 1px 3px ${color}20`,
         }}
-        title={`版本 ${versionText}`}
+        title={t('itemTable.version', { version: versionText })}
       >
         <span className="text-xs font-bold whitespace-nowrap tracking-tight">{versionText}</span>
       </div>
@@ -1070,23 +1076,57 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
     return counts;
   }, [items, itemPatchData, patchNamesData, selectedRarities, raritiesDataToUse]);
 
+  // Export rows: the data columns of the table (image and link columns left out) for every
+  // item that passes the current filters, in the current sort order - not just the visible page
+  const getExportData = () => {
+    const headers = ['ilvl', t('itemTable.column.version'), t('itemTable.column.name'), t('itemTable.column.velocity'), t('itemTable.dcAveragePrice'), t('itemTable.column.minListing'), t('itemTable.column.recentPurchase'), t('itemTable.column.tradable')];
+    const getPrice = (value) => (value !== undefined && value !== null
+      ? (typeof value === 'object' ? value.price : value)
+      : '');
+    const rows = sortedItems.map(item => {
+      const ilvl = getIlvl(item.id);
+      const tradable = itemTradability ? itemTradability[item.id] : undefined;
+      const velocity = itemVelocities ? itemVelocities[item.id] : undefined;
+      return [
+        typeof ilvl === 'number' && ilvl !== item.id ? ilvl : '',
+        getVersion(item.id) || '',
+        item.name,
+        tradable === true && velocity !== undefined && velocity !== null ? Math.round(velocity * 10) / 10 : '',
+        getPrice(itemAveragePrices ? itemAveragePrices[item.id] : undefined),
+        getPrice(itemMinListings ? itemMinListings[item.id] : undefined),
+        getPrice(itemRecentPurchases ? itemRecentPurchases[item.id] : undefined),
+        tradable === undefined ? '' : (tradable ? t('itemTable.tradable') : t('itemTable.untradable')),
+      ];
+    });
+    return { headers, rows };
+  };
+
   const rarityOptions = [
-    { value: 1, label: '普通', color: '#f3f3f3' },
-    { value: 2, label: '精良', color: '#c0ffc0' },
-    { value: 3, label: '稀有', color: '#5990ff' },
-    { value: 4, label: '史诗', color: '#b38cff' }
+    { value: 1, label: t('itemTable.rarity.1'), color: '#f3f3f3' },
+    { value: 2, label: t('itemTable.rarity.2'), color: '#c0ffc0' },
+    { value: 3, label: t('itemTable.rarity.3'), color: '#5990ff' },
+    { value: 4, label: t('itemTable.rarity.4'), color: '#b38cff' }
   ];
 
   return (
     <div className="overflow-x-auto bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20">
-      {/* Rarity Legend Filter and Version Filter */}
-      {(raritiesDataToUse || (availableVersions.length > 0 && itemPatchData && patchNamesData)) && (
+      {/* Rarity Legend Filter, Version Filter and Export */}
+      {(raritiesDataToUse || (availableVersions.length > 0 && itemPatchData && patchNamesData) || sortedItems.length > 0) && (
         <div className="px-4 py-2 bg-purple-900/20 border-b border-purple-500/20">
           <div className="flex items-center gap-3 flex-wrap">
+            {sortedItems.length > 0 && (
+              <div className="order-last ml-auto">
+                <TableExportButtons
+                  getData={getExportData}
+                  filename={exportFilename || t('itemTable.exportFilename')}
+                  disabled={isLoadingVelocities}
+                />
+              </div>
+            )}
             {/* Rarity Selector */}
             {raritiesDataToUse && (
               <>
-                <span className="text-xs font-semibold text-ffxiv-gold">稀有度選擇:</span>
+                <span className="text-xs font-semibold text-ffxiv-gold">{t('itemTable.rarityFilter')}</span>
                 {rarityOptions.map(rarity => {
                   // Multi-select mode: multiple rarities can be selected at a time
                   const isSelected = selectedRarities.includes(rarity.value);
@@ -1128,7 +1168,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         borderColor: isDisabled ? undefined : (isSelected ? undefined : rarity.color),
                         color: isDisabled ? undefined : (isSelected ? undefined : rarity.color)
                       }}
-                      title={isDisabled ? (isRaritySelectorDisabled ? '請耐心等待物品加載完成' : `${rarity.label} (無物品)`) : rarity.label}
+                      title={isDisabled ? (isRaritySelectorDisabled ? t('itemTable.waitForItems') : t('itemTable.noItemsOption', { option: rarity.label })) : rarity.label}
                     >
                       <span className="inline-flex items-center gap-1.5">
                         <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: rarity.color }}></span>
@@ -1143,7 +1183,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
             {/* Version Selector - only show when items are loaded and versions are available */}
             {availableVersions.length > 0 && itemPatchData && patchNamesData && (
               <>
-                <span className="text-xs font-semibold text-ffxiv-gold ml-2">版本號選擇:</span>
+                <span className="text-xs font-semibold text-ffxiv-gold ml-2">{t('itemTable.versionFilter')}</span>
                 {availableVersions.map(version => {
                   // Multi-select mode: multiple versions can be selected at a time
                   const isSelected = selectedVersions.includes(version);
@@ -1186,7 +1226,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         borderColor: isDisabled ? undefined : (isSelected ? undefined : `${versionColor}50`),
                         color: isDisabled ? undefined : (isSelected ? undefined : versionColor)
                       }}
-                      title={isDisabled ? (isRaritySelectorDisabled ? '請耐心等待物品加載完成' : `版本 ${version} (無物品)`) : `版本 ${version}`}
+                      title={isDisabled ? (isRaritySelectorDisabled ? t('itemTable.waitForItems') : t('itemTable.noItemsOption', { option: t('itemTable.version', { version }) })) : t('itemTable.version', { version })}
                     >
                       <span className="inline-flex items-center gap-1.5">
                         <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: versionColor }}></span>
@@ -1203,13 +1243,13 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
       {isLoadingVelocities && (
         <div className="px-4 py-2 bg-purple-900/30 border-b border-purple-500/20 flex items-center gap-2 text-xs text-ffxiv-gold">
           <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-ffxiv-gold"></div>
-          <span>載入市場數據中...</span>
+          <span>{t('itemTable.loadingMarket')}</span>
         </div>
       )}
       <table className="w-full border-collapse min-w-[720px]">
         <thead>
           <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
-            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-12 sm:w-16">圖片</th>
+            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-12 sm:w-16">{t('itemTable.column.image')}</th>
             <th 
               className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-16 sm:w-20 cursor-pointer hover:bg-purple-800/40 transition-colors select-none"
               onClick={() => handleSort('id')}
@@ -1221,7 +1261,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
             </th>
             <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">
               <div className="flex items-center gap-1">
-                版本
+                {t('itemTable.column.version')}
               </div>
             </th>
             <th 
@@ -1229,8 +1269,8 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('name')}
             >
               <div className="flex items-center gap-1">
-                物品名
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-ffxiv-gold opacity-70" fill="none" viewBox="0 0 24 24" stroke="currentColor" title="點擊複製按鈕可複製物品名稱">
+                {t('itemTable.column.name')}
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3 text-ffxiv-gold opacity-70" fill="none" viewBox="0 0 24 24" stroke="currentColor" title={t('itemTable.copyHint')}>
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
                 </svg>
                 <SortIcon column="name" />
@@ -1241,7 +1281,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('velocity')}
             >
               <div className="flex items-center gap-1">
-                日均銷量
+                {t('itemTable.column.velocity')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -1256,7 +1296,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('averagePrice')}
             >
               <div className="flex items-center gap-1">
-                全服平均價格
+                {t('itemTable.dcAveragePrice')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -1269,7 +1309,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('minListing')}
             >
               <div className="flex items-center gap-1">
-                最低在售價
+                {t('itemTable.column.minListing')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -1282,7 +1322,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('recentPurchase')}
             >
               <div className="flex items-center gap-1">
-                最近成交價
+                {t('itemTable.column.recentPurchase')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -1297,7 +1337,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
               onClick={() => handleSort('tradable')}
             >
               <div className="flex items-center gap-1">
-                可交易
+                {t('itemTable.column.tradable')}
                 {isLoadingVelocities ? (
                   <div className="animate-spin rounded-full h-2.5 w-2.5 border-b border-ffxiv-gold"></div>
                 ) : (
@@ -1305,7 +1345,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                 )}
               </div>
             </th>
-            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-40 sm:w-48">鏈接</th>
+            <th className="px-2 sm:px-4 py-2 text-left text-ffxiv-gold font-semibold text-xs w-40 sm:w-48">{t('itemTable.column.links')}</th>
           </tr>
         </thead>
         <tbody>
@@ -1422,7 +1462,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                     } else if (ilvl === item.id) {
                       // If ilvl equals id, it means the database columns are swapped - show warning
                       console.error(`[ItemTable] ERROR: Item ${item.id} has ilvl value equal to its id. Database columns may be swapped.`);
-                      return <span className="text-red-400 font-semibold" title="資料錯誤：ilvl 值等於物品 ID">-</span>;
+                      return <span className="text-red-400 font-semibold" title={t('itemTable.ilvlDataError')}>-</span>;
                     } else {
                       // No ilvl data available - show dash instead of item id
                       return <span className="text-gray-400">-</span>;
@@ -1432,7 +1472,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                 <td className="px-2 sm:px-4 py-2 text-center">
                   <VersionIcon version={getVersion(item.id)} />
                 </td>
-                <ItemNameCell itemName={item.name} addToast={addToast} />
+                <ItemNameCell itemId={item.id} itemName={item.name} addToast={addToast} />
                 <td className="px-2 sm:px-4 py-2 text-left text-xs">
                   {isLoadingVelocities ? (
                     <div className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded bg-slate-800/60 border border-slate-600/40">
@@ -1485,7 +1525,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                           : minListing.toLocaleString()}
                       </span>
                       {typeof minListing === 'object' && minListing.region && (
-                        <span className="text-xs text-gray-400 ml-1" title={`區域: ${minListing.region}`}>
+                        <span className="text-xs text-gray-400 ml-1" title={t('itemTable.region', { region: minListing.region })}>
                           ({minListing.region})
                         </span>
                       )}
@@ -1510,7 +1550,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                           : recentPurchase.toLocaleString()}
                       </span>
                       {typeof recentPurchase === 'object' && recentPurchase.region && (
-                        <span className="text-xs text-gray-400 ml-1" title={`區域: ${recentPurchase.region}`}>
+                        <span className="text-xs text-gray-400 ml-1" title={t('itemTable.region', { region: recentPurchase.region })}>
                           ({recentPurchase.region})
                         </span>
                       )}
@@ -1523,11 +1563,11 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                   {isTradableFromAPI !== undefined ? (
                     isTradableFromAPI ? (
                       <span className="inline-block px-1.5 py-0.5 text-[10px] bg-green-900/50 text-green-400 border border-green-500/30 rounded">
-                        可交易
+                        {t('itemTable.tradable')}
                       </span>
                     ) : (
                       <span className="inline-block px-1.5 py-0.5 text-[10px] bg-red-900/50 text-red-400 border border-red-500/30 rounded">
-                        不可交易
+                        {t('itemTable.untradable')}
                       </span>
                     )
                   ) : (
@@ -1568,7 +1608,7 @@ export default function ItemTable({ items, onSelect, selectedItem, marketableIte
                         } catch (error) {
                           console.error('Failed to open Wiki link:', error);
                           if (addToast) {
-                            addToast('無法打開Wiki連結', 'error');
+                            addToast(t('nav.wikiOpenFailed'), 'error');
                           }
                         } finally {
                           // Remove from processing set after a short delay to allow window.open to complete
@@ -7,29 +7,17 @@ import TopBar from './TopBar';
 import TaxRatesModal from './TaxRatesModal';
 import SearchResultsTable from './SearchResultsTable.jsx';
 import RunningLoader from './RunningLoader';
-import { getMarketableItemsByIds } from '../services/universalis';
+import GearSetPlanner from './GearSetPlanner';
+import { useTranslation } from '../hooks/useTranslation';
+import { getMarketableItemsByIds, fetchAggregatedData } from '../services/universalis';
 import { getItemById, getSimplifiedChineseName } from '../services/itemDatabase';
-import axios from 'axios';
 import { getEquipSlotCategories, getEquipmentByIds, getItemIdsByIlvl } from '../services/supabaseData';
 // Lazy load large data files:
 // - ilvlsData (748KB) - loaded when user inputs ilvl
 // - equipmentData (6.2MB) - loaded when searching
 
-// Equipment slot category translations to Traditional Chinese
-const SLOT_TRANSLATIONS = {
-  'MainHand': '主手武器',
-  'OffHand': '副手',
-  'Head': '頭部',
-  'Body': '身體',
-  'Gloves': '手套',
-  'Waist': '腰部',
-  'Legs': '腿部',
-  'Feet': '腳部',
-  'Ears': '耳環',
-  'Neck': '項鍊',
-  'Wrists': '手環',
-  'Rings': '戒指'
-};
+// Equipment slots with a translated name (msq.slot.* in src/i18n/locales)
+const TRANSLATED_SLOTS = ['MainHand', 'OffHand', 'Head', 'Body', 'Gloves', 'Waist', 'Legs', 'Feet', 'Ears', 'Neck', 'Wrists', 'Rings'];
 
 export default function MSQPriceChecker({
   addToast,
@@ -55,6 +43,7 @@ export default function MSQPriceChecker({
   isLoadingTaxRates
 }) {
   const navigate = useNavigate();
+  const { t, locale } = useTranslation();
   const [searchParams, setSearchParams] = useSearchParams();
   const location = useLocation();
   const [ilvlInput, setIlvlInput] = useState('');
@@ -66,6 +55,7 @@ export default function MSQPriceChecker({
   const lastProcessedURLRef = useRef('');
   const previousServerOptionRef = useRef(null);
   
+  const [mode, setMode] = useState('single'); // 'single' (one slot at one ilvl) or 'set' (gear set planner)
   const [selectedEquipCategory, setSelectedEquipCategory] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [itemVelocities, setItemVelocities] = useState({});
@@ -131,7 +121,7 @@ export default function MSQPriceChecker({
         // The actual search will only happen when user clicks search button
         setIlvlInputValidation({
           valid: true,
-          message: `物品等級: ${numValue}`
+          message: t('msq.ilvlValid', { ilvl: numValue })
         });
         
         // Restore category if present
@@ -175,7 +165,7 @@ export default function MSQPriceChecker({
           if (!categories.has(displayName)) {
             categories.set(displayName, {
               name: displayName,
-              translatedName: SLOT_TRANSLATIONS[displayName] || displayName
+              translatedName: TRANSLATED_SLOTS.includes(displayName) ? t(`msq.slot.${displayName}`) : displayName
             });
           }
         }
@@ -193,7 +183,7 @@ export default function MSQPriceChecker({
       if (indexB === -1) return -1;
       return indexA - indexB;
     });
-  }, [equipSlotCategoriesLoaded]); // Recompute when data loads
+  }, [equipSlotCategoriesLoaded, locale]); // Recompute when data loads or the UI locale changes
 
   // Helper function to check if an item's equip slot matches the selected category
   const itemMatchesEquipCategory = useCallback((itemId, selectedCategory, equipmentData) => {
@@ -273,7 +263,7 @@ export default function MSQPriceChecker({
       if (isNaN(numValue) || numValue < 1 || numValue > 999) {
         setIlvlInputValidation({
           valid: false,
-          message: '請輸入1-999之間的數字'
+          message: t('msq.ilvlOutOfRange')
         });
         setIlvlInfoMessage(null); // Clear info message when validation fails
         return;
@@ -284,7 +274,7 @@ export default function MSQPriceChecker({
       // This avoids loading 50,900 ilvls just to validate user input
       setIlvlInputValidation({
         valid: true,
-        message: `物品等級: ${numValue}`
+        message: t('msq.ilvlValid', { ilvl: numValue })
       });
       setIlvlInfoMessage(null); // Clear info message when user changes input
     }, 1000);
@@ -302,7 +292,7 @@ export default function MSQPriceChecker({
   // Extract price fetching logic into a separate function that can be reused
   const fetchPricesForItems = useCallback(async (itemIdsToQuery, finalItemIds) => {
     if (!selectedWorld || !selectedServerOption) {
-      addToast('請選擇伺服器', 'warning');
+      addToast(t('msq.selectServer'), 'warning');
       setIsLoadingVelocities(false);
       return;
     }
@@ -325,14 +315,8 @@ export default function MSQPriceChecker({
     // Only query API for tradeable items to avoid 400 errors
     for (let i = 0; i < itemIdsToQuery.length; i += batchSize) {
       const batch = itemIdsToQuery.slice(i, i + batchSize);
-      const itemIdsString = batch.join(',');
-
       try {
-        const response = await axios.get(
-          `https://universalis.app/api/v2/aggregated/${encodeURIComponent(queryTarget)}/${itemIdsString}`
-        );
-
-        const data = response.data;
+        const data = await fetchAggregatedData(queryTarget, batch);
         if (data && data.results) {
           data.results.forEach(item => {
             const itemId = item.itemId;
@@ -548,7 +532,7 @@ export default function MSQPriceChecker({
 
     const numValue = parseInt(ilvlInput, 10);
     if (isNaN(numValue) || numValue < 1 || numValue > 999) {
-      addToast('請輸入有效的物品等級', 'error');
+      addToast(t('msq.invalidIlvl'), 'error');
       return;
     }
 
@@ -598,7 +582,7 @@ export default function MSQPriceChecker({
       console.log(`[MSQPriceChecker] Found ${itemIds.length} items with ilvl ${numValue}`);
 
       if (itemIds.length === 0) {
-        setIlvlInfoMessage('未找到該物品等級的物品');
+        setIlvlInfoMessage(t('msq.noItemsForIlvl'));
         setSearchResults([]);
         setIsLoadingVelocities(false);
         setIsSearchingLocal(false);
@@ -629,7 +613,7 @@ export default function MSQPriceChecker({
       console.log(`[MSQPriceChecker] After category filter: ${itemIds.length} items`);
       
       if (itemIds.length === 0) {
-        addToast('該裝備分類中沒有相符的物品', 'warning');
+        addToast(t('msq.noItemsInCategory'), 'warning');
         setSearchResults([]);
         setIsLoadingVelocities(false);
         setIsSearchingLocal(false);
@@ -654,7 +638,7 @@ export default function MSQPriceChecker({
       const items = (await Promise.all(itemPromises)).filter(item => item !== null);
 
       if (items.length === 0) {
-        addToast('無法獲取物品信息', 'error');
+        addToast(t('msq.itemDetailsFailed'), 'error');
         setSearchResults([]);
         setIsLoadingVelocities(false);
         setIsSearchingLocal(false);
@@ -690,7 +674,7 @@ export default function MSQPriceChecker({
       setIsSearchingLocal(false);
     } catch (error) {
       console.error('Search error:', error);
-      addToast('搜索失敗，請稍後再試', 'error');
+      addToast(t('msq.searchFailed'), 'error');
       setIsLoadingVelocities(false);
       setIsSearchingLocal(false);
     }
@@ -742,19 +726,59 @@ export default function MSQPriceChecker({
           {/* Header */}
           <div className="mb-6">
             <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
-              主線裝備查價
+              {t('msq.title')}
             </h1>
             <p className="text-gray-400 text-sm sm:text-base">
-              主線拿到的箱子可以快速查看市場價格。
+              {t('msq.description')}
             </p>
           </div>
 
+          {/* Mode Tabs */}
+          <div className="mb-6 flex gap-2 border-b border-purple-500/30">
+            {[
+              { key: 'single', label: t('msq.mode.single') },
+              { key: 'set', label: t('msq.mode.set') },
+            ].map(tab => (
+              <button
+                key={tab.key}
+                onClick={() => setMode(tab.key)}
+                className={`px-4 py-2 font-semibold transition-all border-b-2 ${
+                  mode === tab.key
+                    ? 'text-ffxiv-gold border-ffxiv-gold'
+                    : 'text-gray-400 border-transparent hover:text-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'set' && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
+              <GearSetPlanner
+                addToast={addToast}
+                worlds={worlds}
+                selectedWorld={selectedWorld}
+                selectedServerOption={selectedServerOption}
+                onItemClick={(itemId) => {
+                  const params = new URLSearchParams();
+                  if (selectedServerOption) {
+                    params.set('server', selectedServerOption);
+                  }
+                  const queryString = params.toString();
+                  window.open(`/item/${itemId}${queryString ? '?' + queryString : ''}`, '_blank');
+                }}
+              />
+            </div>
+          )}
+
+          {mode === 'single' && (<>
           {/* Search Controls */}
           <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 sm:p-6 mb-6">
             {/* ILVL Input */}
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                物品等級 (ilvl品級)
+                {t('msq.ilvlLabel')}
               </label>
               <div className="flex items-end gap-3">
                 <div className="flex-1">
@@ -763,7 +787,7 @@ export default function MSQPriceChecker({
                     inputMode="numeric"
                     value={ilvlInput}
                     onChange={(e) => handleIlvlInputChange(e.target.value)}
-                    placeholder="輸入物品等級..."
+                    placeholder={t('msq.ilvlPlaceholder')}
                     className="w-full px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white focus:outline-none focus:border-ffxiv-gold"
                     min="1"
                     max="999"
@@ -785,7 +809,7 @@ export default function MSQPriceChecker({
             {/* Equipment Category Filter */}
             <div className="mb-6">
               <label className="block text-sm font-semibold text-ffxiv-gold mb-2">
-                裝備分類 (可選)
+                {t('msq.categoryLabel')}
               </label>
               <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto p-2 bg-slate-900/30 rounded-lg border border-purple-500/20">
                 <button
@@ -796,7 +820,7 @@ export default function MSQPriceChecker({
                       : 'bg-slate-800/50 text-gray-300 border border-purple-500/30 hover:bg-purple-800/40 hover:border-purple-400/50'
                   }`}
                 >
-                  全部分類
+                  {t('msq.allCategories')}
                 </button>
                 {equipmentCategories.map(category => {
                   const isSelected = selectedEquipCategory === category.name;
@@ -833,7 +857,7 @@ export default function MSQPriceChecker({
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
               )}
-              {isSearchingLocal ? '搜索中...' : '搜索'}
+              {isSearchingLocal ? t('msq.searching') : t('msq.search')}
             </button>
           </div>
 
@@ -864,10 +888,11 @@ export default function MSQPriceChecker({
               itemTradability={itemTradability}
               isLoadingVelocities={isLoadingVelocities}
               showLoadingIndicator={isLoadingVelocities}
-              averagePriceHeader={selectedServerOption === selectedWorld?.section ? '全服平均價格' : '平均價格'}
+              averagePriceHeader={selectedServerOption === selectedWorld?.section ? t('itemTable.dcAveragePrice') : t('itemTable.averagePrice')}
               getSimplifiedChineseName={getSimplifiedChineseName}
               addToast={addToast}
-              title="搜索結果"
+              title={t('msq.results')}
+              exportFilename={t('msq.exportFilename')}
               onSelect={(item) => {
                 if (onItemSelect) {
                   // Prepare navigation URL with server param
@@ -892,6 +917,7 @@ export default function MSQPriceChecker({
               }}
             />
           )}
+          </>)}
 
         </div>
       </div>
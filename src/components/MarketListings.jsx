@@ -1,9 +1,13 @@
 // Market listings component - replicates ObservableHQ's market listings table
+import { useTranslation } from '../hooks/useTranslation';
+
 export default function MarketListings({ listings, onRefresh }) {
+  const { t } = useTranslation();
+
   if (!listings || listings.length === 0) {
     return (
       <div className="flex-1 flex items-center justify-center text-center py-8 text-gray-400 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20">
-        <p>暫無在售列表</p>
+        <p>{t('marketListings.empty')}</p>
       </div>
     );
   }
@@ -16,19 +20,19 @@ export default function MarketListings({ listings, onRefresh }) {
       <table className="w-full border-collapse text-sm min-w-[600px]">
         <thead>
           <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[140px] sm:min-w-[180px]">物品名</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">單價</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">數量</th>
-            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">總計</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">雇員</th>
-            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">服務器</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[140px] sm:min-w-[180px]">{t('marketTable.column.itemName')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('marketTable.column.unitPrice')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-16 sm:w-20">{t('marketTable.column.quantity')}</th>
+            <th className="px-2 sm:px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-20 sm:w-24">{t('marketTable.column.total')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs hidden sm:table-cell min-w-[80px]">{t('marketTable.column.retainer')}</th>
+            <th className="px-2 sm:px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs min-w-[80px] sm:min-w-[100px]">{t('marketTable.column.world')}</th>
           </tr>
         </thead>
         <tbody>
           {sortedListings.map((listing, index) => (
             <tr
-              key={index}
-              className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors"
+              key={listing.listingId || listing.liveKey || index}
+              className={`border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors ${listing.liveAt ? 'animate-live-flash' : ''}`}
             >
               <td className="px-2 sm:px-3 py-2 text-white text-xs break-words" style={{ minWidth: '140px', maxWidth: '240px' }}>
                 <div className="flex items-start gap-1 flex-wrap">
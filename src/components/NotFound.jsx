@@ -1,7 +1,9 @@
 import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useTranslation } from '../hooks/useTranslation';
 
 function NotFound() {
+  const { t } = useTranslation();
   const navigate = useNavigate();
   const [countdown, setCountdown] = useState(2);
 
@@ -44,18 +46,20 @@ function NotFound() {
         <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-8 sm:p-12 mb-8 card-glow">
           <div className="text-6xl mb-6">🔍</div>
           <h2 className="text-2xl sm:text-3xl font-bold text-ffxiv-gold mb-4">
-            頁面未找到
+            {t('notFound.title')}
           </h2>
           <p className="text-base sm:text-lg text-gray-300 mb-6">
-            抱歉，您訪問的頁面不存在或已被移除。
+            {t('notFound.message')}
           </p>
           <p className="text-sm sm:text-base text-gray-400">
             {countdown > 0 ? (
               <span>
-                將在 <span className="text-ffxiv-gold font-bold">{countdown}</span> 秒後自動返回首頁...
+                {t('notFound.redirectPrefix')}
+                <span className="text-ffxiv-gold font-bold">{countdown}</span>
+                {t('notFound.redirectSuffix', { count: countdown })}
               </span>
             ) : (
-              <span className="text-ffxiv-gold">正在跳轉...</span>
+              <span className="text-ffxiv-gold">{t('notFound.redirecting')}</span>
             )}
           </p>
         </div>
@@ -65,7 +69,7 @@ function NotFound() {
           onClick={() => navigate('/', { replace: true })}
           className="px-6 py-3 bg-gradient-to-r from-purple-900/60 via-indigo-900/50 to-purple-900/60 border border-ffxiv-gold/40 text-ffxiv-gold font-semibold rounded-lg hover:border-ffxiv-gold/60 hover:shadow-[0_0_20px_rgba(251,191,36,0.4)] transition-all duration-300"
         >
-          立即返回首頁
+          {t('notFound.goHome')}
         </button>
       </div>
     </div>
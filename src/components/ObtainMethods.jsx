@@ -205,7 +205,18 @@ const loadQuestsData = async () => {
 
 import MapModal from './MapModal';
 import ItemImage from './ItemImage';
+import { NODE_TYPE_ICONS, NODE_TYPE_NAME_KEYS, DEFAULT_NODE_TYPE_NAME_KEY } from '../constants/gatheringNodes';
+import { useTranslation } from '../hooks/useTranslation';
+
+// DataType value → DataType name, for the obtain.method.* messages
+const DATA_TYPE_NAMES = Object.fromEntries(
+  Object.entries(DataType)
+    .filter(([name]) => !['DEPRECATED', 'ISLAND_PASTURE'].includes(name))
+    .map(([name, value]) => [value, name])
+);
+
 export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTree, isCraftingTreeExpanded = false }) {
+  const { t } = useTranslation();
   
   const navigate = useNavigate();
   const [sources, setSources] = useState([]);
@@ -648,7 +659,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
     return (
       <div className="text-center py-8">
         <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-        <p className="mt-4 text-gray-400">載入取得方式...</p>
+        <p className="mt-4 text-gray-400">{t('obtain.loading')}</p>
       </div>
     );
   }
@@ -663,7 +674,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       <div className="text-center py-4 text-gray-400 text-sm">
         {isTreasureMap ? (
           <div className="flex flex-col items-center gap-3">
-            <div>暫無取得方式資料</div>
+            <div>{t('obtain.noData')}</div>
             <a
               href="https://cycleapple.github.io/xiv-tc-treasure-finder/"
               target="_blank"
@@ -673,40 +684,20 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
               </svg>
-              前往藏寶圖查詢器
+              {t('obtain.treasureFinder')}
             </a>
           </div>
         ) : (
-          <div>暫無取得方式資料</div>
+          <div>{t('obtain.noData')}</div>
         )}
       </div>
     );
   }
 
-  // Get method type display name
+  // Get method type display name (obtain.method.<DataType name> in src/i18n/locales)
   const getMethodTypeName = (type) => {
-    const methodTypeNames = {
-      [DataType.CRAFTED_BY]: '製作',
-      [DataType.TRADE_SOURCES]: '兌換',
-      [DataType.VENDORS]: 'NPC商店',
-      [DataType.TREASURES]: '寶箱/容器',
-      [DataType.INSTANCES]: '副本掉落',
-      [DataType.DESYNTHS]: '精製獲得',
-      [DataType.QUESTS]: '任務獎勵',
-      [DataType.FATES]: '危命任務',
-      [DataType.GATHERED_BY]: '採集獲得',
-      [DataType.REDUCED_FROM]: '分解獲得',
-      [DataType.VENTURES]: '遠征獲得',
-      [DataType.GARDENING]: '園藝獲得',
-      [DataType.MOGSTATION]: '商城購買',
-      [DataType.ISLAND_CROP]: '島嶼作物',
-      [DataType.VOYAGES]: '遠征',
-      [DataType.REQUIREMENTS]: '需求',
-      [DataType.MASTERBOOKS]: '製作書',
-      [DataType.ALARMS]: '鬧鐘提醒',
-      [DataType.ACHIEVEMENTS]: '成就獎勵',
-    };
-    return methodTypeNames[type] || '未知';
+    const typeName = DATA_TYPE_NAMES[type];
+    return typeName ? t(`obtain.method.${typeName}`) : t('obtain.method.unknown');
   };
 
   const getNpcName = (npcId) => {
@@ -777,7 +768,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
 
   const getCurrencyName = (currencyItemId) => {
     // Get currency name directly from tw-items.json (synchronous lookup)
-    if (!currencyItemId) return '貨幣';
+    if (!currencyItemId) return t('obtain.currency');
     
     const currencyItem = twItemsData[currencyItemId];
     if (currencyItem?.tw) {
@@ -863,7 +854,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
     if (instance?.en) {
       return instance.en;
     }
-    return `副本 ${instanceId}`;
+    return t('obtain.instanceFallback', { id: String(instanceId) });
   };
 
   const getInstanceCNName = (instanceId) => {
@@ -940,7 +931,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
   // Get job name from tw-job-abbr.json
   const getJobName = (jobId) => {
     const jobData = twJobAbbrData[jobId];
-    return jobData?.tw || `職業 ${jobId}`;
+    return jobData?.tw || t('obtain.jobFallback', { id: String(jobId) });
   };
 
   // Get job icon URL from garlandtools
@@ -972,7 +963,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`crafted-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/000000/000501.png" alt="Craft" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">製作</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
             {onExpandCraftingTree && (
               <button
                 onClick={(e) => {
@@ -985,12 +976,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     ? 'bg-amber-900/50 hover:bg-amber-800/70 border-ffxiv-gold/60 hover:border-ffxiv-gold text-ffxiv-gold'
                     : 'bg-purple-900/50 hover:bg-purple-800/70 border-purple-500/40 hover:border-purple-400/60 text-purple-200 hover:text-ffxiv-gold'
                 }`}
-                title={isCraftingTreeExpanded ? '收起製作價格樹' : '展開製作價格樹'}
+                title={isCraftingTreeExpanded ? t('obtain.collapseTreeTitle') : t('obtain.expandTreeTitle')}
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
                 </svg>
-                {isCraftingTreeExpanded ? '收起樹' : '展開樹'}
+                {isCraftingTreeExpanded ? t('obtain.collapseTree') : t('obtain.expandTree')}
               </button>
             )}
           </div>
@@ -1003,7 +994,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               const stars = craft.stars_tooltip || '';
               
               // Skip if no valid job data
-              if (!jobName || jobName === `職業 ${jobId}`) {
+              if (!jobName || jobName === t('obtain.jobFallback', { id: String(jobId) })) {
                 return null;
               }
 
@@ -1022,7 +1013,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       ? 'bg-amber-900/30 hover:bg-amber-800/40 border border-ffxiv-gold/40'
                       : 'bg-slate-900/50 hover:bg-slate-800/70'
                   }`}
-                  title={isCraftingTreeExpanded ? '點擊收起製作價格樹' : '點擊展開製作價格樹'}
+                  title={isCraftingTreeExpanded ? t('obtain.clickToCollapseTree') : t('obtain.clickToExpandTree')}
                 >
                   <div className="flex items-center gap-2">
                     {jobIconUrl && (
@@ -1045,11 +1036,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         const masterbookName = masterbookId 
                           ? getMasterbookName(masterbookId) 
                           : (craft.masterbook.name?.tw || craft.masterbook.name?.en);
-                        const displayName = masterbookName || '專用配方書';
+                        const displayName = masterbookName || t('obtain.masterbook');
                         
                         return (
                           <div className="text-xs text-gray-400 mt-1">
-                            專用配方書:{' '}
+                            {t('obtain.masterbookLabel')}{' '}
                             {masterbookId ? (
                               <button
                                 onClick={(e) => {
@@ -1169,7 +1160,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
       return (
         <div key={`trade-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
-            <span className="text-ffxiv-gold font-medium">兌換</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validTradeEntries.map((entry, entryIndex) => {
@@ -1218,7 +1209,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         {entry.requiresHQ && (
                           <span 
                             className="inline-flex items-center justify-center px-1.5 py-0.5 bg-yellow-500/20 border border-yellow-500/50 rounded text-[10px] font-bold text-yellow-400"
-                            title="需要高品質版本"
+                            title={t('obtain.requiresHQ')}
                           >
                             HQ
                           </span>
@@ -1230,7 +1221,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         {entry.requiresHQ && (
                           <span 
                             className="inline-flex items-center justify-center px-1.5 py-0.5 bg-yellow-500/20 border border-yellow-500/50 rounded text-[10px] font-bold text-yellow-400"
-                            title="需要高品質版本"
+                            title={t('obtain.requiresHQ')}
                           >
                             HQ
                           </span>
@@ -1245,7 +1236,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   )}
                   {requiredQuestId && questName && (
                     <div className="text-xs text-pink-400/90 mt-1 flex items-center gap-1">
-                      <span>需要完成任務：</span>
+                      <span>{t('obtain.requiresQuest')}</span>
                       <button
                         onClick={(e) => {
                           e.preventDefault();
@@ -1317,7 +1308,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`vendor-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/065000/065002.png" alt="Gil" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">NPC商店</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {npcGroups.map((npcGroup, npcGroupIndex) => {
@@ -1424,7 +1415,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                         onMouseMove={handleAchievementMouseMove}
                         onMouseLeave={handleAchievementMouseLeave}
                       >
-                        <span className="text-pink-400/90">需要完成成就：</span>
+                        <span className="text-pink-400/90">{t('obtain.requiresAchievement')}</span>
                         <span className="font-medium text-yellow-400/90 cursor-help underline decoration-dotted decoration-yellow-400/50 hover:decoration-yellow-400 transition-colors">
                           {achievementInfo.name}
                         </span>
@@ -1482,7 +1473,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`treasure-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Treasure" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">寶箱/容器</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((treasureId, treasureIndex) => {
@@ -1534,14 +1525,14 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`instance-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061801.png" alt="Instance" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">副本掉落</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((instanceId, instanceIndex) => {
               const instanceName = getInstanceName(instanceId);
               
               // Skip if no lookup available (fallback name means no data)
-              if (instanceName === `副本 ${instanceId}`) {
+              if (instanceName === t('obtain.instanceFallback', { id: String(instanceId) })) {
                 return null;
               }
               
@@ -1614,7 +1605,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`desynth-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/000000/000120.png" alt="Desynth" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">精製獲得</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="grid grid-cols-3 gap-2 mt-2">
             {validDesynthItems.map((desynthItemId, desynthIndex) => {
@@ -1674,7 +1665,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`quest-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Quest" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">任務獎勵</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validQuests.map((questId, questIndex) => {
@@ -1704,7 +1695,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               // Format job category: 1 = all jobs (所有職業)
               let jobCategoryText = '';
               if (jobCategory === 1) {
-                jobCategoryText = '所有職業';
+                jobCategoryText = t('obtain.allJobs');
               } else if (jobCategory && twJobAbbrData[jobCategory]) {
                 jobCategoryText = twJobAbbrData[jobCategory].tw || '';
               }
@@ -1807,7 +1798,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     {(questLevel || jobCategoryText) && (
                       <div className="flex items-center gap-2">
                         {jobCategoryText && <span>{jobCategoryText}</span>}
-                        {questLevel && <span>{questLevel}級</span>}
+                        {questLevel && <span>{t('obtain.level', { level: questLevel })}</span>}
                       </div>
                     )}
                     
@@ -1891,7 +1882,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`fate-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060502.png" alt="FATE" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">危命任務</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validFates.map((fate, fateIndex) => {
@@ -1958,8 +1949,8 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                       </a>
                       {fateLevel && (
                         <div className="text-xs text-gray-400 mt-0.5">
-                          {zoneName ? `${zoneName} ` : ''}{fateLevel}級危命任務
-                          {isNotoriousMonster && <span className="ml-1 text-yellow-400">惡名精英</span>}
+                          {zoneName ? `${zoneName} ` : ''}{t('obtain.fateLevel', { level: fateLevel })}
+                          {isNotoriousMonster && <span className="ml-1 text-yellow-400">{t('obtain.notoriousMonster')}</span>}
                         </div>
                       )}
                     </div>
@@ -1968,20 +1959,20 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   {/* Reward Items with Ratings */}
                   {(goldRewardItems.length > 0 || rareRewardItems.length > 0) && (
                     <div className="mt-2 pt-2 border-t border-slate-700/50 w-full">
-                      <div className="text-xs text-gray-400 mb-2 font-medium">獎勵物品</div>
+                      <div className="text-xs text-gray-400 mb-2 font-medium">{t('obtain.rewardItems')}</div>
                       <div className="w-full border border-slate-700/50 rounded-lg overflow-hidden bg-slate-900/30">
                         <table className="w-full text-xs border-collapse">
                           <thead>
                             <tr className="bg-slate-800/50 border-b border-slate-700/50">
-                              <th className="text-left text-gray-400 font-normal py-2 px-3 w-20">評價</th>
-                              <th className="text-left text-gray-400 font-normal py-2 px-3">獎勵物品</th>
+                              <th className="text-left text-gray-400 font-normal py-2 px-3 w-20">{t('obtain.rating')}</th>
+                              <th className="text-left text-gray-400 font-normal py-2 px-3">{t('obtain.rewardItems')}</th>
                             </tr>
                           </thead>
                             <tbody>
                               {/* Silver Rating - only show if there are items for silver */}
                               {goldRewardItems.length > 0 && (
                                 <tr className="border-b border-slate-700/30 bg-slate-900/30">
-                                  <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">銀牌</td>
+                                  <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.medal.silver')}</td>
                                   <td className="py-2.5 px-3 w-auto">
                                     <div className="flex flex-wrap gap-2">
                                     {goldRewardItems.map((rewardItemId) => {
@@ -2025,7 +2016,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                             {/* Gold Rating */}
                             {goldRewardItems.length > 0 && (
                               <tr className="bg-slate-900/30">
-                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">金牌</td>
+                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.medal.gold')}</td>
                                 <td className="py-2.5 px-3 w-auto">
                                   <div className="flex flex-wrap gap-2">
                                     {goldRewardItems.map((rewardItemId) => {
@@ -2072,7 +2063,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                             {/* Rare Rating - only for FATE 1362 when viewing item 6155 */}
                             {rareRewardItems.length > 0 && (
                               <tr className="bg-slate-900/30">
-                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">稀有</td>
+                                <td className="py-2.5 px-3 text-gray-300 align-top font-medium whitespace-nowrap">{t('obtain.medal.rare')}</td>
                                 <td className="py-2.5 px-3 w-auto">
                                   <div className="flex flex-wrap gap-2">
                                     {rareRewardItems.map((rewardItemId) => {
@@ -2166,39 +2157,19 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         return null;
       }
 
-      // Node type icons mapping (based on NodeTypeIconPipe)
-      const nodeTypeIcons = {
-        0: 'https://xivapi.com/i/060000/060438.png', // Mining
-        1: 'https://xivapi.com/i/060000/060437.png', // Quarrying
-        2: 'https://xivapi.com/i/060000/060433.png', // Logging
-        3: 'https://xivapi.com/i/060000/060432.png', // Harvesting
-        4: 'https://xivapi.com/i/060000/060445.png', // Fishing
-        5: 'https://xivapi.com/i/060000/060465.png', // Spearfishing
-      };
-
-      // Node type names
-      const nodeTypeNames = {
-        0: '採礦',
-        1: '採石',
-        2: '採伐',
-        3: '割取',
-        4: '釣魚',
-        5: '潛水',
-      };
-
       const gatheringLevel = data.level || 0;
       const starsTooltip = data.stars_tooltip || '';
       const rawNodeType = data.type !== undefined ? data.type : (data.nodes[0]?.type !== undefined ? data.nodes[0].type : 0);
       // Handle negative types (timed nodes) by using absolute value
       const nodeType = Math.abs(rawNodeType);
-      const nodeIcon = nodeTypeIcons[nodeType] || nodeTypeIcons[0];
-      const nodeTypeName = nodeTypeNames[nodeType] || '採集';
+      const nodeIcon = NODE_TYPE_ICONS[nodeType] || NODE_TYPE_ICONS[0];
+      const nodeTypeName = t(NODE_TYPE_NAME_KEYS[nodeType] || DEFAULT_NODE_TYPE_NAME_KEY);
 
       return (
         <div key={`gathered-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src={nodeIcon} alt={nodeTypeName} className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">採集獲得</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             <div className="w-full text-sm text-gray-300 mb-2">
@@ -2226,17 +2197,17 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     <img src={nodeIcon} alt={nodeTypeName} className="w-7 h-7 object-contain" />
                     <div className="flex-1">
                       <div className="text-sm font-medium text-white">
-                        {zoneName || `區域 ${zoneId}`}
+                        {zoneName || t('obtain.zoneFallback', { id: String(zoneId) })}
                       </div>
                       {!isIslandNode && nodeLevel > 0 && (
                         <div className="text-xs text-gray-400 mt-0.5">
                           Lv.{nodeLevel} {nodeTypeName}
-                          {isLimited && <span className="ml-1 text-yellow-400">限時</span>}
+                          {isLimited && <span className="ml-1 text-yellow-400">{t('obtain.limited')}</span>}
                         </div>
                       )}
                       {isIslandNode && (
                         <div className="text-xs text-gray-400 mt-0.5">
-                          島嶼採集點
+                          {t('obtain.islandNode')}
                         </div>
                       )}
                     </div>
@@ -2252,7 +2223,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                           zoneName,
                           x: coords.x,
                           y: coords.y,
-                          npcName: `${nodeTypeName}採集點`,
+                          npcName: t('obtain.gatheringPoint', { nodeType: nodeTypeName }),
                           mapId: mapId,
                         });
                       }}
@@ -2296,7 +2267,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`reduced-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Reduction" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">分解獲得</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className={validReductionItems.length === 1 ? "flex justify-center gap-2 mt-2" : "grid grid-cols-3 gap-2 mt-2"}>
             {validReductionItems.map((reductionItemId, reductionIndex) => {
@@ -2360,7 +2331,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`venture-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/021000/021267.png" alt="Venture" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">遠征獲得</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validVentureItems.map((ventureItemId, ventureIndex) => {
@@ -2423,7 +2394,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`gardening-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/061000/061808.png" alt="Gardening" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">園藝獲得</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validSeeds.map((seed, seedIndex) => {
@@ -2477,12 +2448,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`mogstation-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/065000/065002.png" alt="Mogstation" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">商城購買</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             <div className="w-[280px] flex-grow-0 bg-slate-900/50 rounded p-2 min-h-[70px] flex flex-col justify-center">
               <div className="text-sm text-gray-300 text-center">
-                可在 Mog Station 商城購買
+                {t('obtain.mogStation')}
               </div>
             </div>
           </div>
@@ -2509,7 +2480,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`island-crop-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/063000/063950_hr1.png" alt="Island Crop" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">島嶼作物</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validCrops.map((cropId, cropIndex) => {
@@ -2562,12 +2533,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`voyage-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/021000/021267.png" alt="Voyage" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">遠征</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             <div className="w-[280px] flex-grow-0 bg-slate-900/50 rounded p-2 min-h-[70px] flex flex-col justify-center">
               <div className="text-sm text-gray-300 text-center">
-                可通過遠征獲得
+                {t('obtain.voyages')}
               </div>
             </div>
           </div>
@@ -2597,7 +2568,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`requirement-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Requirement" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">需求</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validRequirements.map((reqId, reqIndex) => {
@@ -2659,7 +2630,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`masterbook-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/065000/065002.png" alt="Masterbook" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">製作書</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validMasterbooks.map((bookId, bookIndex) => {
@@ -2708,30 +2679,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         return null;
       }
 
-      // Node type icons mapping
-      const nodeTypeIcons = {
-        0: 'https://xivapi.com/i/060000/060438.png', // Mining
-        1: 'https://xivapi.com/i/060000/060437.png', // Quarrying
-        2: 'https://xivapi.com/i/060000/060433.png', // Logging
-        3: 'https://xivapi.com/i/060000/060432.png', // Harvesting
-        4: 'https://xivapi.com/i/060000/060445.png', // Fishing
-        5: 'https://xivapi.com/i/060000/060465.png', // Spearfishing
-      };
-
-      const nodeTypeNames = {
-        0: '採礦',
-        1: '採石',
-        2: '採伐',
-        3: '割取',
-        4: '釣魚',
-        5: '潛水',
-      };
-
       return (
         <div key={`alarm-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060502.png" alt="Alarm" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">鬧鐘提醒</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {data.map((alarm, alarmIndex) => {
@@ -2742,8 +2694,8 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               const mapId = alarm.mapId;
               const coords = alarm.coords;
               const nodeType = alarm.type !== undefined ? Math.abs(alarm.type) : 0;
-              const nodeIcon = nodeTypeIcons[nodeType] || nodeTypeIcons[0];
-              const nodeTypeName = nodeTypeNames[nodeType] || '採集';
+              const nodeIcon = NODE_TYPE_ICONS[nodeType] || NODE_TYPE_ICONS[0];
+              const nodeTypeName = t(NODE_TYPE_NAME_KEYS[nodeType] || DEFAULT_NODE_TYPE_NAME_KEY);
               const duration = alarm.duration || 0;
               const spawns = alarm.spawns || [];
               const isEphemeral = alarm.ephemeral === true;
@@ -2755,13 +2707,13 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                     <img src={nodeIcon} alt={nodeTypeName} className="w-7 h-7 object-contain" />
                     <div className="flex-1">
                       <div className="text-sm font-medium text-white">
-                        {zoneName || `區域 ${zoneId}`}
+                        {zoneName || t('obtain.zoneFallback', { id: String(zoneId) })}
                       </div>
                       <div className="text-xs text-gray-400 mt-0.5">
                         {nodeTypeName}
-                        {duration > 0 && <span className="ml-1">持續 {duration} 分鐘</span>}
-                        {isEphemeral && <span className="ml-1 text-yellow-400">限時</span>}
-                        {spawns.length > 0 && <span className="ml-1">出現時間: {spawns.join(', ')}</span>}
+                        {duration > 0 && <span className="ml-1">{t('obtain.duration', { minutes: duration })}</span>}
+                        {isEphemeral && <span className="ml-1 text-yellow-400">{t('obtain.limited')}</span>}
+                        {spawns.length > 0 && <span className="ml-1">{t('obtain.spawns', { times: spawns.join(', ') })}</span>}
                       </div>
                     </div>
                   </div>
@@ -2776,7 +2728,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                           zoneName,
                           x: coords.x,
                           y: coords.y,
-                          npcName: `${nodeTypeName}採集點`,
+                          npcName: t('obtain.gatheringPoint', { nodeType: nodeTypeName }),
                           mapId: mapId,
                         });
                       }}
@@ -2820,7 +2772,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
         <div key={`achievement-${index}`} className={`bg-slate-800/50 rounded-lg border border-slate-700/50 p-3 ${flexClass} min-w-[280px]`}>
           <div className="flex items-center gap-2 mb-2">
             <img src="https://xivapi.com/i/060000/060453.png" alt="Achievement" className="w-6 h-6" />
-            <span className="text-ffxiv-gold font-medium">成就獎勵</span>
+            <span className="text-ffxiv-gold font-medium">{getMethodTypeName(type)}</span>
           </div>
           <div className="flex flex-wrap gap-2 mt-2">
             {validAchievements.map((achievementId, achievementIndex) => {
@@ -2960,11 +2912,11 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
           >
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
           </svg>
-          取得方式
+          {t('obtain.title')}
         </h3>
         {sortedSources.length > 0 && (
           <span className="text-xs text-gray-400 bg-amber-900/40 px-2 py-1 rounded border border-ffxiv-gold/30">
-            {sortedSources.length} 種
+            {t('obtain.methodCount', { count: sortedSources.length })}
           </span>
         )}
         
@@ -2979,7 +2931,7 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
                   : 'border-gray-600 bg-slate-800/50 text-gray-400 hover:border-gray-500 hover:bg-slate-700/50'
               }`}
             >
-              全部
+              {t('obtain.all')}
             </button>
             {uniqueMethodTypes.map((methodType) => {
               const methodName = getMethodTypeName(methodType);
@@ -3043,12 +2995,12 @@ export default function ObtainMethods({ itemId, onItemClick, onExpandCraftingTre
               <div className="flex flex-col gap-1 mt-2 pt-2 border-t border-slate-700">
                 {achievementTooltipInfo.id && (
                   <div className="text-xs text-gray-400">
-                    <span className="text-gray-500">成就ID:</span> {achievementTooltipInfo.id}
+                    <span className="text-gray-500">{t('obtain.achievementId')}</span> {achievementTooltipInfo.id}
                   </div>
                 )}
                 {achievementTooltipInfo.itemReward && (
                   <div className="text-xs text-gray-400">
-                    <span className="text-gray-500">獎勵物品:</span> 
+                    <span className="text-gray-500">{t('obtain.rewardItemLabel')}</span> 
                     <button
                       onClick={(e) => {
                         e.preventDefault();
@@ -0,0 +1,380 @@
+// Price history chart - daily average sale price and sale volume from the Universalis /history endpoint
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getMarketHistory } from '../services/universalis';
+import { useTranslation } from '../hooks/useTranslation';
+
+const DAY_RANGES = [7, 30, 90];
+
+// Chart geometry in viewBox units (the SVG scales to the container width)
+const WIDTH = 800;
+const PADDING_LEFT = 64;
+const PADDING_RIGHT = 16;
+const PRICE_TOP = 12;
+const PRICE_HEIGHT = 220;
+const VOLUME_TOP = PRICE_TOP + PRICE_HEIGHT + 28;
+const VOLUME_HEIGHT = 80;
+const HEIGHT = VOLUME_TOP + VOLUME_HEIGHT + 24;
+const PLOT_WIDTH = WIDTH - PADDING_LEFT - PADDING_RIGHT;
+
+// One colour per world when overlaying; HQ lines reuse the world colour with a dashed stroke
+const SERIES_COLORS = ['#d4af37', '#60a5fa', '#f472b6', '#34d399', '#a78bfa', '#fb923c', '#22d3ee', '#f87171', '#a3e635', '#e879f9'];
+const NQ_VOLUME_COLOR = '#6366f1';
+const HQ_VOLUME_COLOR = '#d4af37';
+
+function formatDayLabel(time) {
+  const date = new Date(time);
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatAxisPrice(value) {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(value >= 10000000 ? 0 : 1)}M`;
+  if (value >= 10000) return `${Math.round(value / 1000)}K`;
+  return Math.round(value).toLocaleString();
+}
+
+/**
+ * Build an SVG path for a series, leaving gaps on days without sales
+ */
+function buildLinePath(points, getX, getY) {
+  let path = '';
+  let drawing = false;
+  points.forEach((point, index) => {
+    if (!point) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${getX(index).toFixed(1)},${getY(point.avgPrice).toFixed(1)} `;
+    drawing = true;
+  });
+  return path.trim();
+}
+
+/**
+ * Interactive price/volume chart for the item page
+ * @param {Object} props
+ * @param {number} props.itemId - Item ID
+ * @param {string|number} props.server - World ID or DC name (same as selectedServerOption)
+ * @param {boolean} props.isDataCenter - True when server is a DC (enables per-world overlay)
+ * @param {boolean} props.canBeHQ - Whether the item has an HQ version
+ * @param {number} props.refreshKey - Bumped by the page's refresh button to refetch
+ */
+export default function PriceHistoryChart({ itemId, server, isDataCenter, canBeHQ, refreshKey = 0 }) {
+  const { t, formatNumber, locale } = useTranslation();
+  const [days, setDays] = useState(7);
+  const [quality, setQuality] = useState('both'); // 'both' | 'nq' | 'hq'
+  const [splitByWorld, setSplitByWorld] = useState(false);
+  const [hiddenWorlds, setHiddenWorlds] = useState(() => new Set());
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const svgRef = useRef(null);
+  const lastRefreshKeyRef = useRef(refreshKey);
+
+  useEffect(() => {
+    if (!itemId || !server) {
+      return;
+    }
+
+    const abortController = new AbortController();
+    const forceRefresh = lastRefreshKeyRef.current !== refreshKey;
+    lastRefreshKeyRef.current = refreshKey;
+
+    setIsLoading(true);
+    setError(null);
+
+    getMarketHistory(server, itemId, { days, signal: abortController.signal, forceRefresh })
+      .then(data => {
+        if (abortController.signal.aborted || !data) return;
+        setHistory(data);
+      })
+      .catch(err => {
+        if (abortController.signal.aborted) return;
+        setError(err.message || t('priceHistory.loadFailed'));
+      })
+      .finally(() => {
+        if (!abortController.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => abortController.abort();
+  }, [itemId, server, days, refreshKey]);
+
+  // Reset world selection when switching item or server
+  useEffect(() => {
+    setHiddenWorlds(new Set());
+    setHoverIndex(null);
+  }, [itemId, server]);
+
+  const effectiveQuality = canBeHQ ? quality : 'nq';
+  const showWorlds = isDataCenter && splitByWorld;
+
+  const chart = useMemo(() => {
+    const entries = history?.entries || [];
+
+    // Local-time day buckets, oldest first, ending today
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const dayStarts = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(today);
+      date.setDate(today.getDate() - i);
+      dayStarts.push(date.getTime());
+    }
+    const dayIndexByStart = new Map(dayStarts.map((time, index) => [time, index]));
+
+    const worldNames = [...new Set(entries.map(entry => entry.worldName))].sort();
+    const qualities = effectiveQuality === 'both' ? [false, true] : [effectiveQuality === 'hq'];
+
+    // seriesKey -> per-day { total, quantity }
+    const buckets = new Map();
+    const volumes = dayStarts.map(() => ({ nq: 0, hq: 0 }));
+    let saleCount = 0;
+
+    entries.forEach(entry => {
+      if (!qualities.includes(entry.hq)) return;
+      if (showWorlds && hiddenWorlds.has(entry.worldName)) return;
+
+      const date = new Date(entry.timestamp * 1000);
+      date.setHours(0, 0, 0, 0);
+      const dayIndex = dayIndexByStart.get(date.getTime());
+      if (dayIndex === undefined) return;
+
+      const seriesKey = `${showWorlds ? entry.worldName : 'all'}|${entry.hq ? 'hq' : 'nq'}`;
+      if (!buckets.has(seriesKey)) {
+        buckets.set(seriesKey, dayStarts.map(() => ({ total: 0, quantity: 0 })));
+      }
+      const bucket = buckets.get(seriesKey)[dayIndex];
+      bucket.total += entry.pricePerUnit * entry.quantity;
+      bucket.quantity += entry.quantity;
+      volumes[dayIndex][entry.hq ? 'hq' : 'nq'] += entry.quantity;
+      saleCount++;
+    });
+
+    const seriesGroups = showWorlds ? worldNames.filter(name => !hiddenWorlds.has(name)) : ['all'];
+    const series = [];
+    seriesGroups.forEach(group => {
+      const colorIndex = showWorlds ? worldNames.indexOf(group) : 0;
+      qualities.forEach(isHQ => {
+        const dayBuckets = buckets.get(`${group}|${isHQ ? 'hq' : 'nq'}`);
+        if (!dayBuckets) return;
+        series.push({
+          key: `${group}|${isHQ ? 'hq' : 'nq'}`,
+          label: `${showWorlds ? group : t('priceHistory.allWorlds')}${canBeHQ ? (isHQ ? ' HQ' : ' NQ') : ''}`,
+          color: SERIES_COLORS[colorIndex % SERIES_COLORS.length],
+          dashed: isHQ && effectiveQuality === 'both',
+          points: dayBuckets.map(day => (day.quantity > 0 ? { avgPrice: day.total / day.quantity, quantity: day.quantity } : null)),
+        });
+      });
+    });
+
+    const prices = series.flatMap(s => s.points.filter(Boolean).map(point => point.avgPrice));
+    let minPrice = prices.length > 0 ? Math.min(...prices) : 0;
+    let maxPrice = prices.length > 0 ? Math.max(...prices) : 1;
+    const pricePadding = (maxPrice - minPrice) * 0.1 || maxPrice * 0.1 || 1;
+    minPrice = Math.max(0, minPrice - pricePadding);
+    maxPrice = maxPrice + pricePadding;
+
+    const maxVolume = Math.max(1, ...volumes.map(volume => volume.nq + volume.hq));
+
+    return { dayStarts, worldNames, series, volumes, minPrice, maxPrice, maxVolume, saleCount };
+  }, [history, days, effectiveQuality, showWorlds, hiddenWorlds, canBeHQ, locale]);
+
+  const step = chart.dayStarts.length > 1 ? PLOT_WIDTH / (chart.dayStarts.length - 1) : 0;
+  const getX = (index) => PADDING_LEFT + (chart.dayStarts.length > 1 ? index * step : PLOT_WIDTH / 2);
+  const getPriceY = (price) => PRICE_TOP + PRICE_HEIGHT - ((price - chart.minPrice) / (chart.maxPrice - chart.minPrice)) * PRICE_HEIGHT;
+  const barWidth = Math.max(2, Math.min(24, (PLOT_WIDTH / chart.dayStarts.length) * 0.7));
+  const labelEvery = Math.ceil(chart.dayStarts.length / 8);
+  const priceTicks = [0, 0.25, 0.5, 0.75, 1].map(ratio => chart.minPrice + (chart.maxPrice - chart.minPrice) * ratio);
+
+  const handleMouseMove = (e) => {
+    if (!svgRef.current || chart.dayStarts.length === 0) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const index = step > 0 ? Math.round((x - PADDING_LEFT) / step) : 0;
+    setHoverIndex(Math.max(0, Math.min(chart.dayStarts.length - 1, index)));
+  };
+
+  const toggleWorld = (worldName) => {
+    setHiddenWorlds(prev => {
+      const next = new Set(prev);
+      if (next.has(worldName)) {
+        next.delete(worldName);
+      } else {
+        next.add(worldName);
+      }
+      return next;
+    });
+  };
+
+  const buttonClass = (active) => `px-2 py-1 text-xs rounded border transition-colors ${
+    active
+      ? 'bg-ffxiv-gold/20 border-ffxiv-gold/60 text-ffxiv-gold'
+      : 'bg-slate-800/60 border-purple-500/30 text-gray-300 hover:border-ffxiv-gold/40'
+  }`;
+
+  const hasData = chart.series.length > 0;
+  const hoverVolume = hoverIndex !== null ? chart.volumes[hoverIndex] : null;
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3 sm:p-4">
+      {/* Controls */}
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-3">
+        <div className="flex items-center gap-1">
+          {DAY_RANGES.map(range => (
+            <button key={range} onClick={() => setDays(range)} className={buttonClass(days === range)}>
+              {t('priceHistory.days', { days: range })}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1 flex-wrap">
+          {canBeHQ && (
+            <>
+              <button onClick={() => setQuality('both')} className={buttonClass(quality === 'both')}>NQ + HQ</button>
+              <button onClick={() => setQuality('nq')} className={buttonClass(quality === 'nq')}>NQ</button>
+              <button onClick={() => setQuality('hq')} className={buttonClass(quality === 'hq')}>HQ</button>
+            </>
+          )}
+          {isDataCenter && (
+            <button onClick={() => setSplitByWorld(prev => !prev)} className={buttonClass(splitByWorld)}>
+              {t('priceHistory.splitByWorld')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* World legend - click to hide/show a world */}
+      {showWorlds && chart.worldNames.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-2">
+          {chart.worldNames.map((worldName, index) => (
+            <button
+              key={worldName}
+              onClick={() => toggleWorld(worldName)}
+              className={`flex items-center gap-1 px-1.5 py-0.5 text-xs rounded ${hiddenWorlds.has(worldName) ? 'text-gray-600 line-through' : 'text-gray-300'}`}
+            >
+              <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }}></span>
+              {worldName}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isLoading && !history ? (
+        <div className="py-12 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
+          <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('priceHistory.loading')}</p>
+        </div>
+      ) : error ? (
+        <div className="py-12 text-center text-sm text-red-400">{error}</div>
+      ) : !hasData ? (
+        <div className="py-12 text-center text-sm text-gray-400">{t('priceHistory.noSales', { days })}</div>
+      ) : (
+        <div className={`relative ${isLoading ? 'opacity-60' : ''}`}>
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto select-none"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {/* Price grid and axis */}
+            {priceTicks.map((tick, index) => (
+              <g key={index}>
+                <line x1={PADDING_LEFT} x2={WIDTH - PADDING_RIGHT} y1={getPriceY(tick)} y2={getPriceY(tick)} stroke="#475569" strokeOpacity="0.4" strokeDasharray="2 4" />
+                <text x={PADDING_LEFT - 8} y={getPriceY(tick) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">
+                  {formatAxisPrice(tick)}
+                </text>
+              </g>
+            ))}
+
+            {/* Price lines */}
+            {chart.series.map(s => (
+              <g key={s.key}>
+                <path
+                  d={buildLinePath(s.points, getX, getPriceY)}
+                  fill="none"
+                  stroke={s.color}
+                  strokeWidth="2"
+                  strokeDasharray={s.dashed ? '6 4' : undefined}
+                  strokeLinejoin="round"
+                />
+                {s.points.map((point, index) => point && (
+                  <circle key={index} cx={getX(index)} cy={getPriceY(point.avgPrice)} r={hoverIndex === index ? 4 : 2.5} fill={s.color} />
+                ))}
+              </g>
+            ))}
+
+            {/* Volume bars (NQ stacked under HQ) */}
+            <text x={PADDING_LEFT - 8} y={VOLUME_TOP + 10} textAnchor="end" fontSize="11" fill="#9ca3af">
+              {chart.maxVolume.toLocaleString()}
+            </text>
+            <line x1={PADDING_LEFT} x2={WIDTH - PADDING_RIGHT} y1={VOLUME_TOP + VOLUME_HEIGHT} y2={VOLUME_TOP + VOLUME_HEIGHT} stroke="#475569" strokeOpacity="0.6" />
+            {chart.volumes.map((volume, index) => {
+              const nqHeight = (volume.nq / chart.maxVolume) * VOLUME_HEIGHT;
+              const hqHeight = (volume.hq / chart.maxVolume) * VOLUME_HEIGHT;
+              const x = getX(index) - barWidth / 2;
+              const bottom = VOLUME_TOP + VOLUME_HEIGHT;
+              return (
+                <g key={index} opacity={hoverIndex === null || hoverIndex === index ? 1 : 0.5}>
+                  {nqHeight > 0 && <rect x={x} y={bottom - nqHeight} width={barWidth} height={nqHeight} fill={NQ_VOLUME_COLOR} />}
+                  {hqHeight > 0 && <rect x={x} y={bottom - nqHeight - hqHeight} width={barWidth} height={hqHeight} fill={HQ_VOLUME_COLOR} />}
+                </g>
+              );
+            })}
+
+            {/* Day labels */}
+            {chart.dayStarts.map((time, index) => (
+              (index % labelEvery === 0 || index === chart.dayStarts.length - 1) && (
+                <text key={time} x={getX(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#9ca3af">
+                  {formatDayLabel(time)}
+                </text>
+              )
+            ))}
+
+            {/* Hover guide */}
+            {hoverIndex !== null && (
+              <line x1={getX(hoverIndex)} x2={getX(hoverIndex)} y1={PRICE_TOP} y2={VOLUME_TOP + VOLUME_HEIGHT} stroke="#d4af37" strokeOpacity="0.5" />
+            )}
+          </svg>
+
+          {/* Hover tooltip */}
+          {hoverIndex !== null && (
+            <div
+              className="absolute top-2 px-3 py-2 bg-slate-900/95 backdrop-blur-sm text-white text-xs rounded-lg shadow-xl border border-slate-600/50 pointer-events-none z-10 min-w-[140px]"
+              style={getX(hoverIndex) > WIDTH / 2
+                ? { right: `${((WIDTH - getX(hoverIndex)) / WIDTH) * 100 + 2}%` }
+                : { left: `${(getX(hoverIndex) / WIDTH) * 100 + 2}%` }}
+            >
+              <div className="text-ffxiv-gold font-semibold mb-1">{formatDayLabel(chart.dayStarts[hoverIndex])}</div>
+              {chart.series.map(s => {
+                const point = s.points[hoverIndex];
+                return point && (
+                  <div key={s.key} className="flex items-center justify-between gap-3">
+                    <span className="flex items-center gap-1 text-gray-300">
+                      <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: s.color }}></span>
+                      {s.label}
+                    </span>
+                    <span className="text-green-400">{formatNumber(Math.round(point.avgPrice))}</span>
+                  </div>
+                );
+              })}
+              <div className="mt-1 pt-1 border-t border-slate-700 text-gray-400">
+                {t('priceHistory.volume', { volume: hoverVolume.nq + hoverVolume.hq })}
+                {canBeHQ && hoverVolume.hq > 0 && ` (HQ ${formatNumber(hoverVolume.hq)})`}
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between flex-wrap gap-2 mt-1 text-xs text-gray-500">
+            <span>{t('priceHistory.caption', { count: chart.saleCount })}</span>
+            <span className="flex items-center gap-3">
+              <span className="flex items-center gap-1"><span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: NQ_VOLUME_COLOR }}></span>{t('priceHistory.nqVolume')}</span>
+              {canBeHQ && <span className="flex items-center gap-1"><span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: HQ_VOLUME_COLOR }}></span>{t('priceHistory.hqVolume')}</span>}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import { useState, useEffect, useRef } from 'react';
 import { getMostRecentlyUpdatedItems } from '../services/universalis';
+import { useTranslation } from '../hooks/useTranslation';
 import ItemImage from './ItemImage';
 
 export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
+  const { t } = useTranslation();
   const [recentItems, setRecentItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [lastRefreshTime, setLastRefreshTime] = useState(0);
@@ -41,7 +43,7 @@ export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
           try {
             // Use targeted query to get only the name (no descriptions, no full item object)
             const itemData = await getTwItemById(item.itemID);
-            const itemName = itemData?.tw ? itemData.tw.replace(/^["']|["']$/g, '').trim() : `物品 #${item.itemID}`;
+            const itemName = itemData?.tw ? itemData.tw.replace(/^["']|["']$/g, '').trim() : t('recentUpdates.itemFallback', { id: String(item.itemID) });
             
             return {
               ...item,
@@ -51,7 +53,7 @@ export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
           } catch {
             return {
               ...item,
-              name: `物品 #${item.itemID}`,
+              name: t('recentUpdates.itemFallback', { id: String(item.itemID) }),
               itemDetails: null
             };
           }
@@ -144,7 +146,7 @@ export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
               d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" 
             />
           </svg>
-          最近更新的物品
+          {t('recentUpdates.title')}
         </h3>
         <button
           onClick={handleRefresh}
@@ -154,7 +156,7 @@ export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
               ? 'bg-slate-700/60 text-gray-500 border-slate-600/40 cursor-not-allowed'
               : 'bg-purple-800/60 hover:bg-purple-700/70 text-gray-200 hover:text-white border-purple-500/40 hover:border-purple-400/60'
           }`}
-          title={refreshCooldownRef.current ? '請稍候再試' : '刷新'}
+          title={refreshCooldownRef.current ? t('recentUpdates.cooldown') : t('recentUpdates.refresh')}
         >
           <svg 
             xmlns="http://www.w3.org/2000/svg" 
@@ -170,18 +172,18 @@ export default function RecentUpdatesSection({ onItemSelect, selectedDcName }) {
               d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" 
             />
           </svg>
-          <span>刷新</span>
+          <span>{t('recentUpdates.refresh')}</span>
         </button>
       </div>
       
       {isLoading ? (
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-ffxiv-gold"></div>
-          <span className="ml-3 text-sm text-gray-400">載入中...</span>
+          <span className="ml-3 text-sm text-gray-400">{t('common.loading')}</span>
         </div>
       ) : recentItems.length === 0 ? (
         <div className="py-8 text-center text-sm text-gray-400">
-          暫無數據
+          {t('recentUpdates.empty')}
         </div>
       ) : (
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3 sm:gap-4">
@@ -3,9 +3,11 @@ import { useState, useEffect } from 'react';
 import { findRelatedItems } from '../services/recipeDatabase';
 import { getItemById } from '../services/itemDatabase';
 import { getInternalUrl } from '../utils/internalUrl.js';
+import { useTranslation } from '../hooks/useTranslation';
 import ItemImage from './ItemImage';
 
 export default function RelatedItems({ itemId, onItemClick }) {
+  const { t } = useTranslation();
   const [relatedItemIds, setRelatedItemIds] = useState([]);
   const [relatedItems, setRelatedItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -77,11 +79,11 @@ export default function RelatedItems({ itemId, onItemClick }) {
             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
             </svg>
-            相關物品
+            {t('relatedItems.title')}
           </h3>
           {!isLoading && relatedItemIds.length > 0 && (
             <span className="text-xs text-gray-400 bg-purple-900/40 px-2 py-1 rounded border border-purple-500/30">
-              {relatedItemIds.length} 個
+              {t('relatedItems.count', { count: relatedItemIds.length })}
             </span>
           )}
         </div>
@@ -91,7 +93,7 @@ export default function RelatedItems({ itemId, onItemClick }) {
       {isLoading && (
         <div className="text-center py-4 text-gray-400">
           <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-ffxiv-gold mx-auto mb-2"></div>
-          <span className="text-sm">載入中...</span>
+          <span className="text-sm">{t('common.loading')}</span>
         </div>
       )}
 
@@ -128,7 +130,7 @@ export default function RelatedItems({ itemId, onItemClick }) {
       {/* Empty state - should not show if we return null above, but just in case */}
       {!isLoading && relatedItems.length === 0 && relatedItemIds.length > 0 && (
         <div className="text-center py-4 text-gray-400 text-sm">
-          載入物品資訊中...
+          {t('relatedItems.loadingItems')}
         </div>
       )}
     </div>
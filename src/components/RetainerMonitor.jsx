@@ -0,0 +1,487 @@
+// Retainer monitor page - checks whether our retainers' listings are still the cheapest on their world
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import { getItemById } from '../services/itemDatabase';
+import { getItemsListings } from '../services/universalis';
+import {
+  getRetainerProfile,
+  subscribeToRetainerProfile,
+  setRetainerWorld,
+  addRetainer,
+  removeRetainer,
+  addRetainerItem,
+  removeRetainerItem,
+} from '../utils/retainerProfile';
+import { analyzeRetainerListings } from '../utils/undercutMonitor';
+import { formatRelativeTime } from '../utils/timeFormat';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function RetainerMonitor({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [profile, setProfile] = useState(() => getRetainerProfile());
+  const [listingsByItem, setListingsByItem] = useState({});
+  const [isLoadingListings, setIsLoadingListings] = useState(false);
+  const [lastCheckedAt, setLastCheckedAt] = useState(null);
+  const [newRetainer, setNewRetainer] = useState('');
+  const [newItemId, setNewItemId] = useState('');
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRetainerProfile(setProfile);
+
+    // Cross-tab sync
+    const handleStorageChange = (e) => {
+      if (e.key === 'market_tester_retainer_profile') {
+        setProfile(getRetainerProfile());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  // Default the retainer world to the selected world (or the first world of the selected DC)
+  useEffect(() => {
+    if (profile.worldId) return;
+    const worldId = !isNaN(Number(selectedServerOption))
+      ? Number(selectedServerOption)
+      : selectedWorld?.dcObj?.worlds?.[0];
+    if (worldId) {
+      setRetainerWorld(worldId);
+    }
+  }, [profile.worldId, selectedServerOption, selectedWorld]);
+
+  const addItemById = useCallback(async (itemId) => {
+    const item = await getItemById(itemId, false);
+    if (!item) {
+      addToast(t('retainerMonitor.itemNotFound'), 'error');
+      return;
+    }
+    if (addRetainerItem(item.id, item.name)) {
+      addToast(t('retainerMonitor.itemAdded', { name: item.name }), 'success');
+    } else {
+      addToast(t('retainerMonitor.itemNotAdded', { name: item.name }), 'info');
+    }
+  }, [addToast]);
+
+  // ?add=<itemId> from the item page
+  useEffect(() => {
+    const addId = parseInt(searchParams.get('add'), 10);
+    if (!addId || isNaN(addId)) return;
+    setSearchParams({}, { replace: true });
+    addItemById(addId);
+  }, [searchParams, setSearchParams, addItemById]);
+
+  // Listings belong to one world - start over when it changes
+  useEffect(() => {
+    setListingsByItem({});
+    setLastCheckedAt(null);
+  }, [profile.worldId]);
+
+  const loadListings = useCallback(async (itemIds) => {
+    if (!profile.worldId || itemIds.length === 0) {
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsLoadingListings(true);
+    try {
+      const result = await getItemsListings(profile.worldId, itemIds, { signal: abortController.signal });
+      if (!result || abortController.signal.aborted) {
+        return;
+      }
+      setListingsByItem(prev => ({ ...prev, ...result }));
+      setLastCheckedAt(Date.now());
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+      addToast(error.message || t('common.listingsLoadFailed'), 'error');
+    } finally {
+      if (!abortController.signal.aborted) {
+        setIsLoadingListings(false);
+      }
+    }
+  }, [profile.worldId, addToast]);
+
+  // Fetch listings for items that were added since the last load
+  useEffect(() => {
+    const missingIds = profile.items.map(item => item.itemId).filter(id => !(id in listingsByItem));
+    if (missingIds.length > 0 && !isLoadingListings) {
+      loadListings(missingIds);
+    }
+  }, [profile.items, listingsByItem, isLoadingListings, loadListings]);
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const rows = useMemo(() => {
+    return profile.items.map(item => {
+      const listings = listingsByItem[item.itemId];
+      return {
+        ...item,
+        isLoaded: listings !== undefined,
+        results: listings ? analyzeRetainerListings(listings, profile.retainers) : [],
+      };
+    });
+  }, [profile.items, profile.retainers, listingsByItem]);
+
+  const undercutCount = rows.reduce(
+    (count, row) => count + row.results.filter(result => !result.isCheapest).length,
+    0
+  );
+
+  const worldOptions = useMemo(() => {
+    return Object.entries(worlds || {})
+      .map(([id, name]) => ({ id: Number(id), name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [worlds]);
+
+  const handleAddRetainer = () => {
+    if (!newRetainer.trim()) return;
+    if (addRetainer(newRetainer)) {
+      setNewRetainer('');
+    } else {
+      addToast(t('retainerMonitor.retainerNotAdded'), 'warning');
+    }
+  };
+
+  const handleAddItem = () => {
+    const itemId = parseInt(newItemId, 10);
+    if (!itemId || isNaN(itemId)) {
+      addToast(t('retainerMonitor.invalidItemId'), 'warning');
+      return;
+    }
+    setNewItemId('');
+    addItemById(itemId);
+  };
+
+  const handleRefresh = () => {
+    loadListings(profile.items.map(item => item.itemId));
+  };
+
+  const handleItemClick = async (itemId) => {
+    const item = await getItemById(itemId);
+    if (item) {
+      onItemSelect(item);
+    }
+  };
+
+  const handleCopyPrice = async (price) => {
+    try {
+      await navigator.clipboard.writeText(String(price));
+      addToast(t('retainerMonitor.priceCopied', { price }), 'success');
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white text-sm focus:outline-none focus:border-ffxiv-gold';
+  const cardClass = 'bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="retainers"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6 flex items-end justify-between flex-wrap gap-3">
+            <div>
+              <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+                {t('retainerMonitor.title')}
+              </h1>
+              <p className="text-gray-400 text-sm sm:text-base">
+                {t('retainerMonitor.description')}
+              </p>
+            </div>
+            {profile.items.length > 0 && (
+              <div className="flex items-center gap-3">
+                {lastCheckedAt && (
+                  <span className="text-xs text-gray-400">{t('retainerMonitor.updated', { time: formatRelativeTime(lastCheckedAt) })}</span>
+                )}
+                <button
+                  onClick={handleRefresh}
+                  disabled={isLoadingListings || !profile.worldId}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors disabled:opacity-50"
+                >
+                  {isLoadingListings ? t('common.loading') : t('retainerMonitor.recheck')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Profile */}
+          <div className={`${cardClass} p-4 mb-6 grid grid-cols-1 md:grid-cols-3 gap-4`}>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">{t('retainerMonitor.world')}</label>
+              <select
+                value={profile.worldId ?? ''}
+                onChange={(e) => setRetainerWorld(e.target.value ? Number(e.target.value) : null)}
+                className={`${inputClass} w-full`}
+              >
+                <option value="">{t('retainerMonitor.selectWorld')}</option>
+                {worldOptions.map(world => (
+                  <option key={world.id} value={world.id}>{world.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">{t('retainerMonitor.retainers')}</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newRetainer}
+                  onChange={(e) => setNewRetainer(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleAddRetainer()}
+                  placeholder={t('retainerMonitor.retainerName')}
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button
+                  onClick={handleAddRetainer}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                >
+                  {t('retainerMonitor.add')}
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-1.5 mt-2">
+                {profile.retainers.map(name => (
+                  <span key={name} className="flex items-center gap-1 px-2 py-0.5 rounded bg-purple-900/40 border border-purple-500/30 text-xs text-purple-200">
+                    {name}
+                    <button onClick={() => removeRetainer(name)} className="text-gray-500 hover:text-red-400" title={t('common.remove')}>✕</button>
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">{t('retainerMonitor.items')}</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  value={newItemId}
+                  onChange={(e) => setNewItemId(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleAddItem()}
+                  placeholder={t('retainerMonitor.itemId')}
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button
+                  onClick={handleAddItem}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                >
+                  {t('retainerMonitor.add')}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">{t('retainerMonitor.itemHint')}</p>
+            </div>
+          </div>
+
+          {profile.retainers.length === 0 || profile.items.length === 0 || !profile.worldId ? (
+            <div className={`${cardClass} p-12 text-center text-gray-400`}>
+              <div className="text-4xl mb-4">🧑‍💼</div>
+              <p className="text-sm">{t('retainerMonitor.setupHint')}</p>
+            </div>
+          ) : (
+            <>
+              <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">
+                {t('retainerMonitor.listings')}
+                {undercutCount > 0 && (
+                  <span className="ml-2 text-sm text-red-400">{t('retainerMonitor.undercutCount', { count: undercutCount })}</span>
+                )}
+              </h3>
+              <div className={`overflow-x-auto ${cardClass}`}>
+                <table className="w-full border-collapse text-sm min-w-[720px]">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('retainerMonitor.column.item')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainerMonitor.column.myPrice')}</th>
+                      <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('retainerMonitor.column.status')}</th>
+                      <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('retainerMonitor.column.suggestedPrice')}</th>
+                      <th className="px-3 py-2 w-10"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => {
+                      const rowSpan = Math.max(1, row.results.length);
+                      const itemCell = (
+                        <td className="px-3 py-2 align-top" rowSpan={rowSpan}>
+                          <button
+                            onClick={() => handleItemClick(row.itemId)}
+                            className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                          >
+                            <ItemImage itemId={row.itemId} alt={row.itemName} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                            <span className="text-xs">{row.itemName || row.itemId}</span>
+                          </button>
+                        </td>
+                      );
+                      const removeCell = (
+                        <td className="px-3 py-2 text-right align-top" rowSpan={rowSpan}>
+                          <button
+                            onClick={() => removeRetainerItem(row.itemId)}
+                            className="text-gray-500 hover:text-red-400 transition-colors"
+                            title={t('common.remove')}
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      );
+
+                      if (row.results.length === 0) {
+                        return (
+                          <tr key={row.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors">
+                            {itemCell}
+                            <td className="px-3 py-2 text-right text-xs text-gray-500">-</td>
+                            <td className="px-3 py-2 text-xs text-gray-500" colSpan={2}>
+                              {row.isLoaded ? t('retainerMonitor.noListings') : <span className="animate-pulse">...</span>}
+                            </td>
+                            {removeCell}
+                          </tr>
+                        );
+                      }
+
+                      return row.results.map((result, index) => (
+                        <tr
+                          key={`${row.itemId}-${result.hq ? 'hq' : 'nq'}`}
+                          className={`border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors ${result.isCheapest ? '' : 'bg-red-900/10'}`}
+                        >
+                          {index === 0 && itemCell}
+                          <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                            {result.hq && <span className="mr-1 px-1 py-0.5 bg-ffxiv-gold/20 text-ffxiv-gold rounded">HQ</span>}
+                            <span className="text-white">{result.myPrice.toLocaleString()}</span>
+                            <div className="text-gray-500">{result.myListings[0].retainerName}</div>
+                          </td>
+                          <td className="px-3 py-2 text-xs">
+                            {result.isCheapest ? (
+                              <span className="text-green-400">✓ {t('retainerMonitor.cheapest')}</span>
+                            ) : (
+                              <div>
+                                <span className="text-red-400">
+                                  {result.undercutBy > 0
+                                    ? t('retainerMonitor.undercutBy', { amount: result.undercutBy })
+                                    : t('retainerMonitor.undercutSamePrice')}
+                                </span>
+                                <div className="text-gray-400 mt-0.5">
+                                  {result.undercutters.slice(0, 3).map(listing => (
+                                    `${listing.retainerName} ${listing.pricePerUnit.toLocaleString()}${listing.hq && !result.hq ? ' (HQ)' : ''}`
+                                  )).join(t('common.listSeparator'))}
+                                  {result.undercutters.length > 3 && ` ${t('retainerMonitor.moreUndercutters', { count: result.undercutters.length })}`}
+                                </div>
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                            {result.suggestedPrice === null ? (
+                              <span className="text-gray-500">{t('retainerMonitor.noCompetition')}</span>
+                            ) : result.suggestedPrice === result.myPrice ? (
+                              <span className="text-gray-500">{t('retainerMonitor.keepPrice')}</span>
+                            ) : (
+                              <button
+                                onClick={() => handleCopyPrice(result.suggestedPrice)}
+                                className={`font-semibold hover:underline ${result.suggestedPrice > result.myPrice ? 'text-green-400' : 'text-ffxiv-gold'}`}
+                                title={t('retainerMonitor.copyPrice')}
+                              >
+                                {result.suggestedPrice > result.myPrice
+                                  ? t('retainerMonitor.raiseTo', { price: result.suggestedPrice })
+                                  : result.suggestedPrice.toLocaleString()}
+                              </button>
+                            )}
+                          </td>
+                          {index === 0 && removeCell}
+                        </tr>
+                      ));
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
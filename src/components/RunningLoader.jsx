@@ -1,7 +1,9 @@
 // Cute fluffy cloud loader animation
 import { useEffect, useState, useRef } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
 
-export default function RunningLoader({ message = '正在搜尋中...' }) {
+export default function RunningLoader({ message = null }) {
+  const { t } = useTranslation();
   const [position, setPosition] = useState(0);
   const [frame, setFrame] = useState(0);
   const [isResetting, setIsResetting] = useState(false);
@@ -152,7 +154,7 @@ export default function RunningLoader({ message = '正在搜尋中...' }) {
       {/* Loading text with animation */}
       <div className="text-center">
         <p className="text-lg sm:text-xl font-semibold text-purple-300 mb-3">
-          {message}
+          {message || t('searchResults.searching')}
         </p>
         <div className="flex items-center justify-center gap-2">
           <div className="w-2 h-2 bg-purple-300 rounded-full animate-bounce" style={{ animationDelay: '0s' }}></div>
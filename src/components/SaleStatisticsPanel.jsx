@@ -0,0 +1,248 @@
+// Sale Statistics Panel Component - Fair listing price, price bands and sales activity from the sale history
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { getMarketHistory } from '../services/universalis';
+import { computeSaleStatistics, MIN_SALES_FOR_FAIR_PRICE } from '../utils/saleStatistics';
+
+const DAY_RANGES = [7, 30];
+
+// Any Sunday - weekday labels come from Intl so they follow the UI locale
+const SUNDAY = new Date(2026, 0, 4);
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-900/40 border-green-500/40 text-green-300',
+  medium: 'bg-yellow-900/40 border-yellow-500/40 text-yellow-300',
+  low: 'bg-red-900/40 border-red-500/40 text-red-300',
+};
+
+/**
+ * Bars of average sales per slot (weekday or hour)
+ */
+function ActivityBars({ values, labels, formatValue }) {
+  const max = Math.max(...values, 0);
+  return (
+    <div className="flex items-end gap-0.5 h-16">
+      {values.map((value, index) => (
+        <div
+          key={index}
+          className="flex-1 flex flex-col items-center justify-end h-full"
+          title={`${labels[index]}: ${formatValue(value)}`}
+        >
+          <div
+            className="w-full rounded-t bg-gradient-to-t from-purple-600/70 to-ffxiv-gold/70"
+            style={{ height: max > 0 ? `${Math.max((value / max) * 100, value > 0 ? 4 : 0)}%` : 0 }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {number} props.itemId - Item ID
+ * @param {string|number} props.server - World ID or DC name (same as selectedServerOption)
+ * @param {boolean} props.canBeHQ - Whether the item has an HQ version
+ * @param {number} props.refreshKey - Bumped by the page's refresh button to refetch
+ */
+export default function SaleStatisticsPanel({ itemId, server, canBeHQ, refreshKey = 0 }) {
+  const { t, formatNumber, locale } = useTranslation();
+  const [days, setDays] = useState(7);
+  const [quality, setQuality] = useState(canBeHQ ? 'hq' : 'nq'); // 'all' | 'nq' | 'hq'
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const lastRefreshKeyRef = useRef(refreshKey);
+
+  useEffect(() => {
+    setQuality(canBeHQ ? 'hq' : 'nq');
+  }, [itemId, canBeHQ]);
+
+  // Never show another item's statistics while the new history loads
+  useEffect(() => {
+    setHistory(null);
+  }, [itemId, server]);
+
+  useEffect(() => {
+    if (!itemId || !server) {
+      return;
+    }
+
+    const abortController = new AbortController();
+    const forceRefresh = lastRefreshKeyRef.current !== refreshKey;
+    lastRefreshKeyRef.current = refreshKey;
+    setIsLoading(true);
+    setError(null);
+
+    // Same request (and cache entry) as the price history chart for the same range
+    getMarketHistory(server, itemId, { days, signal: abortController.signal, forceRefresh })
+      .then(data => {
+        if (abortController.signal.aborted || !data) return;
+        setHistory(data);
+      })
+      .catch(err => {
+        if (abortController.signal.aborted) return;
+        setError(err.message || t('saleStats.loadFailed'));
+      })
+      .finally(() => {
+        if (!abortController.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => abortController.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [itemId, server, days, refreshKey]);
+
+  const statistics = useMemo(
+    () => (history ? computeSaleStatistics(history.entries, { days }) : null),
+    [history, days]
+  );
+
+  const weekdayLabels = useMemo(() => {
+    const formatter = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+    return Array.from({ length: 7 }, (_, weekday) => {
+      const date = new Date(SUNDAY);
+      date.setDate(SUNDAY.getDate() + weekday);
+      return formatter.format(date);
+    });
+  }, [locale]);
+  const hourLabels = useMemo(() => Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`), []);
+
+  const group = statistics?.[canBeHQ ? quality : 'nq'] || null;
+  const summary = group?.summary || null;
+  const fairPrice = group?.fairPrice || null;
+  const trend = group?.trend || null;
+
+  const formatPrice = (value) => (value === null || value === undefined ? '-' : formatNumber(Math.round(value)));
+  const formatRate = (value) => t('saleStats.salesPerDay', { rate: formatNumber(value, { maximumFractionDigits: 1 }) });
+  const toggleClass = (isActive) => `px-2 py-1 text-xs rounded border transition-colors ${
+    isActive
+      ? 'bg-ffxiv-gold/20 border-ffxiv-gold/60 text-ffxiv-gold'
+      : 'bg-slate-900/50 border-purple-500/30 text-gray-300 hover:border-purple-400/60'
+  }`;
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-3 sm:p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold">{t('saleStats.title')}</h3>
+        <div className="flex flex-wrap items-center gap-1.5">
+          {canBeHQ && ['hq', 'nq', 'all'].map(value => (
+            <button key={value} onClick={() => setQuality(value)} className={toggleClass(quality === value)}>
+              {t(`saleStats.quality.${value}`)}
+            </button>
+          ))}
+          <span className="w-px h-4 bg-purple-500/30 mx-1" />
+          {DAY_RANGES.map(range => (
+            <button key={range} onClick={() => setDays(range)} className={toggleClass(days === range)}>
+              {t('saleStats.days', { days: range })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading && !statistics ? (
+        <div className="py-6 text-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : !summary ? (
+        <p className="text-sm text-gray-400">{t('saleStats.noSales', { days })}</p>
+      ) : (
+        <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+          {/* Fair price */}
+          <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+            {fairPrice ? (
+              <>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-300">{t('saleStats.fairPrice.label')}</span>
+                  <span className="text-2xl font-bold text-ffxiv-gold">{formatNumber(fairPrice.price)}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded-full border ${CONFIDENCE_STYLES[fairPrice.confidence]}`}>
+                    {t(`saleStats.confidence.${fairPrice.confidence}`)}
+                  </span>
+                </div>
+                <p className="mt-1 text-xs text-gray-400">
+                  {t('saleStats.fairPrice.explain', {
+                    days,
+                    count: summary.count,
+                    outliers: group.outlierCount,
+                    low: fairPrice.low,
+                    high: fairPrice.high,
+                  })}
+                </p>
+                <p className="mt-0.5 text-xs text-gray-500">
+                  {t(`saleStats.confidenceReason.${fairPrice.confidence}`, {
+                    spread: formatNumber(fairPrice.spread * 100, { maximumFractionDigits: 0 }),
+                  })}
+                </p>
+              </>
+            ) : (
+              <p className="text-sm text-gray-400">{t('saleStats.fairPrice.tooFewSales', { min: MIN_SALES_FOR_FAIR_PRICE })}</p>
+            )}
+          </div>
+
+          {/* Price statistics */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+            {[
+              ['median', summary.median],
+              ['mean', summary.mean],
+              ['rawMean', group.raw?.mean],
+              ['stdDev', summary.stdDev],
+              ['p10', summary.p10],
+              ['p25', summary.p25],
+              ['p75', summary.p75],
+              ['p90', summary.p90],
+            ].map(([key, value]) => (
+              <div key={key} className="p-2 rounded-lg bg-slate-900/50 border border-purple-500/20">
+                <div className="text-xs text-gray-400" title={t(`saleStats.hints.${key}`)}>{t(`saleStats.stats.${key}`)}</div>
+                <div className={key === 'rawMean' ? 'text-gray-400' : 'text-white'}>{formatPrice(value)}</div>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+            <span>{t('saleStats.sampleSize', { count: summary.count, units: summary.units })}</span>
+            {group.outlierCount > 0 && (
+              <span className="text-orange-300">{t('saleStats.outliers', { count: group.outlierCount })}</span>
+            )}
+            {trend ? (
+              <span className={trend.perDay > 0 ? 'text-green-400' : trend.perDay < 0 ? 'text-red-400' : ''}>
+                {t('saleStats.trend', {
+                  perDay: formatNumber(Math.round(trend.perDay), { signDisplay: 'exceptZero' }),
+                  percent: formatNumber(trend.percentPerDay ?? 0, { maximumFractionDigits: 1, signDisplay: 'exceptZero' }),
+                })}
+              </span>
+            ) : (
+              <span>{t('saleStats.noTrend')}</span>
+            )}
+          </div>
+
+          {/* Sales activity (all qualities, browser local time) */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+              <div className="text-xs font-semibold text-gray-400 mb-2">{t('saleStats.byWeekday')}</div>
+              <ActivityBars values={statistics.byWeekday} labels={weekdayLabels} formatValue={formatRate} />
+              <div className="flex gap-0.5 mt-1">
+                {weekdayLabels.map(label => (
+                  <span key={label} className="flex-1 text-center text-[10px] text-gray-500">{label}</span>
+                ))}
+              </div>
+            </div>
+            <div className="p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+              <div className="text-xs font-semibold text-gray-400 mb-2">{t('saleStats.byHour')}</div>
+              <ActivityBars values={statistics.byHour} labels={hourLabels} formatValue={formatRate} />
+              <div className="flex justify-between mt-1 text-[10px] text-gray-500">
+                <span>00</span>
+                <span>06</span>
+                <span>12</span>
+                <span>18</span>
+                <span>23</span>
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">{t('saleStats.method')}</p>
+        </div>
+      )}
+    </div>
+  );
+}
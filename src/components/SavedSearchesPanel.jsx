@@ -0,0 +1,288 @@
+// Saved Searches Panel Component - Named AdvancedSearch filter presets (save / rerun / share) and the
+// "changed since last run" comparison of a rerun preset
+import { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import {
+  getSavedSearches,
+  subscribeToSavedSearches,
+  saveSearch,
+  updateSavedSearch,
+  removeSavedSearch,
+  diffSearchRuns,
+  getSavedSearchUrl,
+  DEFAULT_PRICE_CHANGE_PERCENT,
+} from '../utils/savedSearches';
+import { formatRelativeTime } from '../utils/timeFormat';
+
+// Rows per list in the comparison before "show all"
+const COLLAPSED_ROW_COUNT = 10;
+
+const smallButtonClassName = 'text-xs px-2 py-1 rounded bg-purple-900/40 border border-purple-500/30 text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.error('Failed to copy to clipboard:', error);
+    return false;
+  }
+}
+
+/**
+ * Comparison of the latest run of a saved search with the run before it
+ */
+function SearchRunDiff({ search, previousRun, currentRun, onItemClick }) {
+  const { t, formatNumber } = useTranslation();
+  const [showAll, setShowAll] = useState(false);
+  const threshold = search.priceChangePercent ?? DEFAULT_PRICE_CHANGE_PERCENT;
+
+  const diff = useMemo(
+    () => diffSearchRuns(previousRun, currentRun, threshold),
+    [previousRun, currentRun, threshold]
+  );
+
+  const visible = rows => (showAll ? rows : rows.slice(0, COLLAPSED_ROW_COUNT));
+  const hasMore = [diff.newItems, diff.removedItems, diff.priceChanges].some(rows => rows.length > COLLAPSED_ROW_COUNT);
+  const isUnchanged = diff.newItems.length === 0 && diff.removedItems.length === 0 && diff.priceChanges.length === 0;
+
+  const renderItemName = (row) => (
+    <button
+      type="button"
+      onClick={() => onItemClick?.(row.itemId)}
+      className="text-left text-gray-200 hover:text-ffxiv-gold transition-colors"
+    >
+      {row.name || `#${row.itemId}`}
+    </button>
+  );
+
+  return (
+    <div className="mt-3 pt-3 border-t border-purple-500/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="text-sm font-semibold text-ffxiv-gold">
+          {t('savedSearches.diff.title', { name: search.name, time: formatRelativeTime(previousRun.at) })}
+        </h4>
+        <label className="flex items-center gap-1.5 text-xs text-gray-300">
+          {t('savedSearches.diff.threshold')}
+          <input
+            type="number"
+            min={0}
+            max={1000}
+            value={threshold}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              if (Number.isFinite(value) && value >= 0) {
+                updateSavedSearch(search.id, { priceChangePercent: value });
+              }
+            }}
+            className="w-16 px-2 py-0.5 rounded bg-slate-900/70 border border-purple-500/30 text-white text-right focus:outline-none focus:border-ffxiv-gold"
+          />
+          %
+        </label>
+      </div>
+
+      {previousRun.server !== currentRun.server && (
+        <p className="mb-2 text-xs text-yellow-400">
+          {t('savedSearches.diff.serverChanged', { previous: previousRun.serverName, current: currentRun.serverName })}
+        </p>
+      )}
+
+      {isUnchanged ? (
+        <p className="text-sm text-gray-400">{t('savedSearches.diff.unchanged')}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+          <div>
+            <div className="text-xs font-semibold text-green-400 mb-1">
+              {t('savedSearches.diff.newItems', { count: diff.newItems.length })}
+            </div>
+            <ul className="space-y-0.5">
+              {visible(diff.newItems).map(row => (
+                <li key={row.itemId} className="flex justify-between gap-2">
+                  {renderItemName(row)}
+                  <span className="text-gray-400 whitespace-nowrap">{row.price !== null ? formatNumber(row.price) : '-'}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-ffxiv-gold mb-1">
+              {t('savedSearches.diff.priceChanges', { count: diff.priceChanges.length })}
+            </div>
+            <ul className="space-y-0.5">
+              {visible(diff.priceChanges).map(row => (
+                <li key={row.itemId} className="flex justify-between gap-2">
+                  {renderItemName(row)}
+                  <span className="whitespace-nowrap text-gray-400">
+                    {formatNumber(row.before)} → {formatNumber(row.after)}
+                    <span className={`ml-1 font-semibold ${row.percent > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                      {row.percent > 0 ? '+' : ''}{formatNumber(Math.round(row.percent))}%
+                    </span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-gray-400 mb-1">
+              {t('savedSearches.diff.removedItems', { count: diff.removedItems.length })}
+            </div>
+            <ul className="space-y-0.5">
+              {visible(diff.removedItems).map(row => (
+                <li key={row.itemId} className="flex justify-between gap-2 text-gray-500">
+                  {renderItemName(row)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {hasMore && (
+        <button
+          type="button"
+          onClick={() => setShowAll(prev => !prev)}
+          className="mt-2 text-xs text-purple-300 hover:text-ffxiv-gold transition-colors"
+        >
+          {showAll ? t('savedSearches.diff.collapse') : t('savedSearches.diff.showAll')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentFilters - Filters currently selected in AdvancedSearch (see utils/savedSearches)
+ * @param {Function} props.onRun - Called with a saved search to apply its filters and run it
+ * @param {Object|null} props.runComparison - { searchId, previousRun, currentRun } of the latest finished rerun
+ * @param {Function} props.onItemClick - Called with an item ID from the comparison lists
+ * @param {boolean} props.disabled - Disable running while a search is in progress
+ * @param {Function} props.addToast
+ */
+export default function SavedSearchesPanel({ currentFilters, onRun, runComparison, onItemClick, disabled, addToast }) {
+  const { t } = useTranslation();
+  const [savedSearches, setSavedSearches] = useState(() => getSavedSearches());
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSavedSearches(setSavedSearches);
+    return unsubscribe;
+  }, []);
+
+  const hasFilters = currentFilters.jobs.length > 0 || currentFilters.categories.length > 0;
+  const comparedSearch = runComparison ? savedSearches.find(search => search.id === runComparison.searchId) : null;
+
+  const handleSave = () => {
+    if (!hasFilters) {
+      addToast(t('savedSearches.needFilters'), 'warning');
+      return;
+    }
+    const isReplacing = savedSearches.some(search => search.name === newName.trim());
+    const saved = saveSearch(newName, currentFilters);
+    if (saved) {
+      addToast(t(isReplacing ? 'savedSearches.updated' : 'savedSearches.saved', { name: saved.name }), 'success');
+      setNewName('');
+    }
+  };
+
+  const handleShare = async (filters) => {
+    const copied = await copyToClipboard(getSavedSearchUrl(filters));
+    addToast(copied ? t('savedSearches.linkCopied') : t('savedSearches.copyFailed'), copied ? 'success' : 'error');
+  };
+
+  const handleRemove = (search) => {
+    if (window.confirm(t('savedSearches.removeConfirm', { name: search.name }))) {
+      removeSavedSearch(search.id);
+    }
+  };
+
+  const describeFilters = (filters) => {
+    const parts = [];
+    if (filters.jobs.length > 0) parts.push(t('savedSearches.summary.jobs', { count: filters.jobs.length }));
+    if (filters.categories.length > 0) parts.push(t('savedSearches.summary.categories', { count: filters.categories.length }));
+    if (filters.minLevel > 1 || filters.maxLevel < 999) parts.push(t('savedSearches.summary.level', { min: String(filters.minLevel), max: String(filters.maxLevel) }));
+    if (filters.name) parts.push(`「${filters.name}」`);
+    return parts.join('・');
+  };
+
+  return (
+    <div className="mb-6 p-3 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="text-sm font-semibold text-ffxiv-gold mr-2">{t('savedSearches.title')}</h3>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && newName.trim()) {
+              handleSave();
+            }
+          }}
+          placeholder={t('savedSearches.namePlaceholder')}
+          maxLength={40}
+          className="flex-1 min-w-[10rem] px-3 py-1.5 rounded-md bg-slate-900/70 border border-purple-500/30 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-ffxiv-gold"
+        />
+        <button type="button" onClick={handleSave} disabled={!newName.trim()} className={smallButtonClassName}>
+          {t('savedSearches.save')}
+        </button>
+        <button type="button" onClick={() => handleShare(currentFilters)} disabled={!hasFilters} className={smallButtonClassName}>
+          {t('savedSearches.shareCurrent')}
+        </button>
+      </div>
+
+      {savedSearches.length > 0 ? (
+        <ul className="mt-3 space-y-1.5">
+          {savedSearches.map(search => (
+            <li key={search.id} className="flex flex-wrap items-center gap-2 text-sm">
+              <button
+                type="button"
+                onClick={() => onRun(search)}
+                disabled={disabled}
+                className="font-semibold text-gray-100 hover:text-ffxiv-gold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title={t('savedSearches.run')}
+              >
+                {search.name}
+              </button>
+              <span className="text-xs text-gray-500">{describeFilters(search.filters)}</span>
+              <span className="text-xs text-gray-500">
+                {search.lastRun ? t('savedSearches.lastRun', { time: formatRelativeTime(search.lastRun.at) }) : t('savedSearches.neverRun')}
+              </span>
+              <div className="ml-auto flex gap-1.5">
+                <button type="button" onClick={() => onRun(search)} disabled={disabled} className={smallButtonClassName}>
+                  {t('savedSearches.run')}
+                </button>
+                <button type="button" onClick={() => handleShare(search.filters)} className={smallButtonClassName}>
+                  {t('savedSearches.share')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(search)}
+                  className="text-xs px-2 py-1 rounded text-gray-500 hover:text-red-400 transition-colors"
+                >
+                  {t('savedSearches.remove')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2 text-xs text-gray-500">{t('savedSearches.empty')}</p>
+      )}
+
+      {comparedSearch && runComparison.previousRun && (
+        <SearchRunDiff
+          key={`${comparedSearch.id}-${runComparison.currentRun.at}`}
+          search={comparedSearch}
+          previousRun={runComparison.previousRun}
+          currentRun={runComparison.currentRun}
+          onItemClick={onItemClick}
+        />
+      )}
+      {comparedSearch && !runComparison.previousRun && (
+        <p className="mt-3 pt-3 border-t border-purple-500/20 text-xs text-gray-400">
+          {t('savedSearches.diff.firstRun', { name: comparedSearch.name })}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import { useState, useEffect, useRef } from 'react';
 import { useHistory } from '../hooks/useHistory';
+import { useTranslation } from '../hooks/useTranslation';
 import { getSearchHistory, removeSearchFromHistory } from '../utils/searchHistory';
 import { removeItemFromHistory } from '../utils/itemHistory';
 import ItemImage from './ItemImage';
 
 export default function SearchBar({ onSearch, isLoading, value, onChange, disabled, disabledTooltip, selectedDcName, onItemSelect, searchResults = [], marketableItems = null }) {
+  const { t } = useTranslation();
   const [searchTerm, setSearchTerm] = useState(value || '');
   const [isComposing, setIsComposing] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
@@ -481,7 +483,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
           onBlur={handleBlur}
           onCompositionStart={() => setIsComposing(true)}
           onCompositionEnd={() => setIsComposing(false)}
-          placeholder="多關鍵詞用空格分隔（例：豹 褲）"
+          placeholder={t('searchBar.placeholder')}
           className={`w-full h-full pl-9 mid:pl-10 ${searchTerm.trim() && !isLoading ? 'pr-20 mid:pr-24' : 'pr-9 mid:pr-10'} bg-slate-900/80 backdrop-blur-sm border rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-1 transition-all text-xs mid:text-sm shadow-lg ${
             isDisabled 
               ? 'border-slate-700/30 cursor-not-allowed opacity-60' 
@@ -511,7 +513,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
             }}
             className="absolute right-2.5 mid:right-3 top-1/2 transform -translate-y-1/2 text-xs mid:text-sm flex items-center gap-1 cursor-pointer hover:opacity-80 transition-opacity"
           >
-            <span className="hidden mid:inline search-prompt-flow" data-text="按 Enter 搜索">按 Enter 搜索</span>
+            <span className="hidden mid:inline search-prompt-flow" data-text={t('searchBar.pressEnter')}>{t('searchBar.pressEnter')}</span>
             <span className="mid:hidden search-prompt-flow" data-text="Enter">Enter</span>
             <svg className="w-3 h-3 mid:w-3.5 mid:h-3.5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
@@ -538,7 +540,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
               /* Keyword Suggestions Dropdown - Show when on search page with input */
               <>
                 <div className="px-3 py-2 border-b border-slate-700/50">
-                  <span className="text-xs text-gray-400 font-medium">關鍵字推薦</span>
+                  <span className="text-xs text-gray-400 font-medium">{t('searchBar.keywordSuggestions')}</span>
                 </div>
                 <div className="py-1">
                   {getKeywordSuggestions().map((keyword, index) => (
@@ -575,7 +577,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                   ))}
                   {getKeywordSuggestions().length === 0 && (
                     <div className="py-4 text-center text-xs text-gray-500">
-                      無匹配關鍵字
+                      {t('searchBar.noKeywordMatches')}
                     </div>
                   )}
                 </div>
@@ -587,7 +589,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                 {searchHistory.length > 0 && (
                   <>
                     <div className="px-3 py-2 border-b border-slate-700/50">
-                      <span className="text-xs text-gray-400 font-medium">搜索關鍵字</span>
+                      <span className="text-xs text-gray-400 font-medium">{t('searchBar.searchKeywords')}</span>
                     </div>
                     <div className="py-1">
                       {searchHistory.slice(0, 3).map((keyword, index) => (
@@ -627,7 +629,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                           <button
                             onClick={(e) => handleRemoveSearchKeyword(e, keyword)}
                             className="flex-shrink-0 p-1 text-gray-400 hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
-                            title="刪除"
+                            title={t('searchBar.delete')}
                           >
                             <svg 
                               xmlns="http://www.w3.org/2000/svg" 
@@ -655,12 +657,12 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                   <>
                     {searchHistory.length > 0 && (
                       <div className="px-3 py-2 border-t border-b border-slate-700/50">
-                        <span className="text-xs text-gray-400 font-medium">歷史記錄</span>
+                        <span className="text-xs text-gray-400 font-medium">{t('history.title')}</span>
                       </div>
                     )}
                     {searchHistory.length === 0 && (
                       <div className="px-3 py-2 border-b border-slate-700/50">
-                        <span className="text-xs text-gray-400 font-medium">歷史記錄</span>
+                        <span className="text-xs text-gray-400 font-medium">{t('history.title')}</span>
                       </div>
                     )}
                     <div className="py-1">
@@ -708,7 +710,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                           <button
                             onClick={(e) => handleRemoveHistoryItem(e, item.id)}
                             className="flex-shrink-0 p-1 text-gray-400 hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
-                            title="刪除"
+                            title={t('searchBar.delete')}
                           >
                             <svg 
                               xmlns="http://www.w3.org/2000/svg" 
@@ -734,7 +736,7 @@ export default function SearchBar({ onSearch, isLoading, value, onChange, disabl
                 {/* Empty state */}
                 {historyItems.length === 0 && searchHistory.length === 0 && (
                   <div className="py-4 text-center text-xs text-gray-500">
-                    暫無記錄
+                    {t('searchBar.empty')}
                   </div>
                 )}
               </>
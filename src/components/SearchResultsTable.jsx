@@ -4,6 +4,7 @@ import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import ItemTable from './ItemTable';
 import ServerSelector from './ServerSelector';
 import RunningLoader from './RunningLoader';
+import { useTranslation } from '../hooks/useTranslation';
 
 export default function SearchResultsTable({
   // Results data
@@ -32,7 +33,7 @@ export default function SearchResultsTable({
   // ItemTable props
   onSelect,
   selectedItem = null,
-  averagePriceHeader = '平均價格',
+  averagePriceHeader = null, // Defaults to the translated "average price"
   getSimplifiedChineseName,
   addToast,
   
@@ -51,9 +52,10 @@ export default function SearchResultsTable({
   velocityLoadingProgress = null, // Optional: external loading progress { loaded, total }. If provided, use this instead of calculating internally
   
       // Header
-      title = '搜索結果',
+      title = null, // Defaults to the translated "search results"
       showServerBadge = true,
-      titleSuffix = null, // Optional suffix for title (e.g., "，顯示 X 個")
+      titleSuffix = null, // Optional suffix for title (e.g., ", showing X")
+      exportFilename = null, // Optional: file name of CSV / XLSX exports (defaults to title)
       
       // Advanced features
       showUntradeableButton = false,
@@ -81,6 +83,9 @@ export default function SearchResultsTable({
       onPageChange = null, // Optional callback when page changes
       scrollRef = null, // Optional ref to scroll to when page changes (instead of top of page)
 }) {
+  const { t } = useTranslation();
+  const resolvedTitle = title || t('searchResults.title');
+
   // Pagination state (use external if provided, otherwise use internal)
   const [internalCurrentPage, setInternalCurrentPage] = useState(1);
   const [internalItemsPerPage, setInternalItemsPerPage] = useState(defaultItemsPerPage);
@@ -178,7 +183,7 @@ export default function SearchResultsTable({
   if (items.length === 0 && isSearching) {
     return (
       <div className="mb-6 min-h-[500px]">
-        <RunningLoader message={searchingItemsCount > 0 ? `正在載入 ${searchingItemsCount} 個物品...` : '正在搜尋中...'} />
+        <RunningLoader message={searchingItemsCount > 0 ? t('searchResults.loadingItems', { count: searchingItemsCount }) : t('searchResults.searching')} />
       </div>
     );
   }
@@ -197,15 +202,15 @@ export default function SearchResultsTable({
       <div className="flex items-center gap-3 mb-4 flex-wrap">
         {/* Show marketable items count in header (not total items) */}
         <h2 className="text-xl sm:text-2xl font-bold text-ffxiv-gold">
-          {title} ({tradeableCount > 0 ? tradeableCount : items.length} 個物品{titleSuffix || ''})
+          {resolvedTitle} ({t('searchResults.itemCount', { count: tradeableCount > 0 ? tradeableCount : items.length })}{titleSuffix || ''})
         </h2>
         {showServerBadge && selectedWorld && selectedServerOption && (
           <div className="flex items-center gap-2 px-3 py-1.5 bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border border-purple-500/30 rounded-lg backdrop-blur-sm">
             <div className="w-1.5 h-1.5 rounded-full bg-ffxiv-gold animate-pulse"></div>
             <span className="text-xs sm:text-sm font-semibold text-ffxiv-gold">
               {selectedServerOption === selectedWorld.section
-                ? `${selectedWorld.section} (全服)`
-                : worlds[selectedServerOption] || `伺服器 ${selectedServerOption}`
+                ? t('searchResults.dataCenterBadge', { dataCenter: selectedWorld.section })
+                : worlds[selectedServerOption] || t('searchResults.serverFallback', { server: String(selectedServerOption) })
               }
             </span>
           </div>
@@ -242,7 +247,7 @@ export default function SearchResultsTable({
                   : 'bg-gradient-to-r from-slate-800/70 via-slate-700/60 to-slate-800/70 text-gray-300 border border-slate-600/50 hover:from-slate-700/80 hover:via-slate-600/70 hover:to-slate-700/80 hover:border-slate-500/60 hover:shadow-md hover:text-gray-200'
             }`}
           >
-            {isShowUntradeable ? `隱藏不可交易物品` : `顯示不可交易物品 (${untradeableCount}個)`}
+            {isShowUntradeable ? t('searchResults.hideUntradeable') : t('searchResults.showUntradeable', { count: untradeableCount })}
           </button>
         )}
         {/* Loading Indicator - show only for >=50 items, with minimum display time */}
@@ -252,7 +257,7 @@ export default function SearchResultsTable({
             <div className="flex items-center gap-2 px-2 py-1 bg-slate-800/50 border border-purple-500/30 rounded-lg">
               <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-ffxiv-gold"></div>
               <span className="text-xs text-gray-300">
-                載入中{velocityLoadingProgressDisplay && velocityLoadingProgressDisplay.total > 0 ? ` ${velocityLoadingProgressDisplay.loaded}/${velocityLoadingProgressDisplay.total}` : ''}
+                {t('common.loading')}{velocityLoadingProgressDisplay && velocityLoadingProgressDisplay.total > 0 ? ` ${velocityLoadingProgressDisplay.loaded}/${velocityLoadingProgressDisplay.total}` : ''}
               </span>
             </div>
           )}
@@ -294,24 +299,25 @@ export default function SearchResultsTable({
                       ? 'text-red-400'
                       : 'text-yellow-400'
                 }`}>
-                  {isLoadingComplete ? '完成載入' : (tradeableCount > 200 ? '結果數量過多' : '結果數量較多')}
+                  {isLoadingComplete ? t('searchResults.warning.loaded') : (tradeableCount > 200 ? t('searchResults.warning.tooMany') : t('searchResults.warning.many'))}
                 </h3>
                 <p className="text-sm text-gray-300">
                   {isLoadingComplete ? (
                     <>
-                      已載入 <span className="font-bold text-green-400">{tradeableCount}</span> 個可交易物品{untradeableCount > 0 ? `（另有 ${untradeableCount} 個不可交易物品已隱藏）` : ''}。
+                      <span className="font-bold text-green-400">{t('searchResults.warning.loadedCount', { count: tradeableCount })}</span>
+                      {untradeableCount > 0 && <> {t('searchResults.warning.untradeableHidden', { count: untradeableCount })}</>}
                       <br />
-                      <span className="text-green-300">建議下次使用更嚴格的關鍵字搜尋會比較快。</span>
+                      <span className="text-green-300">{t('searchResults.warning.loadedHint')}</span>
                     </>
                   ) : (
                     <>
-                      找到 <span className={`font-bold ${
+                      <span className={`font-bold ${
                         tradeableCount > 200
                           ? 'text-red-400'
                           : 'text-yellow-400'
-                      }`}>{tradeableCount}</span> 個可交易物品{untradeableCount > 0 ? `（另有 ${untradeableCount} 個不可交易物品已隱藏）` : ''}。
-                      數據載入需要一些時間，排序可能會較慢。
-                      建議使用更嚴格的關鍵詞進行搜索，或請耐心等待。
+                      }`}>{t('searchResults.warning.foundCount', { count: tradeableCount })}</span>
+                      {untradeableCount > 0 && <> {t('searchResults.warning.untradeableHidden', { count: untradeableCount })}</>}
+                      {' '}{t('searchResults.warning.slowHint')}
                     </>
                   )}
                 </p>
@@ -325,7 +331,7 @@ export default function SearchResultsTable({
       {selectedWorld && (
         <div className="mb-4 flex items-center gap-3 flex-wrap">
           <label className="text-sm font-semibold text-ffxiv-gold whitespace-nowrap">
-            伺服器選擇:
+            {t('searchResults.serverSelect')}
           </label>
           <ServerSelector
             datacenters={datacenters}
@@ -345,7 +351,7 @@ export default function SearchResultsTable({
       {itemsToPaginate.length > itemsPerPage && (
         <div className="mb-4 flex items-center justify-between flex-wrap gap-3 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20 p-3">
           <div className="flex items-center gap-3">
-            <label className="text-sm text-gray-300">每頁顯示:</label>
+            <label className="text-sm text-gray-300">{t('searchResults.perPage')}</label>
             <select
               value={itemsPerPage}
               onChange={(e) => handleItemsPerPageChange(parseInt(e.target.value, 10))}
@@ -356,7 +362,7 @@ export default function SearchResultsTable({
               ))}
             </select>
             <span className="text-sm text-gray-400">
-              顯示 {startIndex + 1}-{Math.min(endIndex, itemsToPaginate.length)} / {itemsToPaginate.length}
+              {t('searchResults.showingRange', { start: startIndex + 1, end: Math.min(endIndex, itemsToPaginate.length), total: itemsToPaginate.length })}
             </span>
           </div>
           <div className="flex items-center gap-2">
@@ -369,7 +375,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              首頁
+              {t('searchResults.firstPage')}
             </button>
             <button
               onClick={() => handlePageChange(currentPage - 1)}
@@ -380,10 +386,10 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              上一頁
+              {t('searchResults.previousPage')}
             </button>
             <span className="px-3 py-1.5 text-sm text-gray-300">
-              第 {currentPage} / {totalPages} 頁
+              {t('searchResults.pageOf', { page: currentPage, total: totalPages })}
             </span>
             <button
               onClick={() => handlePageChange(currentPage + 1)}
@@ -394,7 +400,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              下一頁
+              {t('searchResults.nextPage')}
             </button>
             <button
               onClick={() => handlePageChange(totalPages)}
@@ -405,7 +411,7 @@ export default function SearchResultsTable({
                   : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
               }`}
             >
-              末頁
+              {t('searchResults.lastPage')}
             </button>
           </div>
         </div>
@@ -423,7 +429,7 @@ export default function SearchResultsTable({
         itemRecentPurchases={itemRecentPurchases}
         itemTradability={itemTradability}
         isLoadingVelocities={isLoadingVelocities}
-        averagePriceHeader={averagePriceHeader}
+        averagePriceHeader={averagePriceHeader || t('itemTable.averagePrice')}
         getSimplifiedChineseName={getSimplifiedChineseName}
         addToast={addToast}
         currentPage={currentPage}
@@ -434,6 +440,7 @@ export default function SearchResultsTable({
         externalRarityFilter={externalRarityFilter}
         externalRarityCounts={externalRarityCounts}
         isRaritySelectorDisabled={isRaritySelectorDisabled}
+        exportFilename={exportFilename || resolvedTitle}
       />
       
       {/* Pagination Controls (Bottom) */}
@@ -448,7 +455,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            首頁
+            {t('searchResults.firstPage')}
           </button>
           <button
             onClick={() => handlePageChange(currentPage - 1)}
@@ -459,10 +466,10 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            上一頁
+            {t('searchResults.previousPage')}
           </button>
           <span className="px-3 py-1.5 text-sm text-gray-300">
-            第 {currentPage} / {totalPages} 頁
+            {t('searchResults.pageOf', { page: currentPage, total: totalPages })}
           </span>
           <button
             onClick={() => handlePageChange(currentPage + 1)}
@@ -473,7 +480,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            下一頁
+            {t('searchResults.nextPage')}
           </button>
           <button
             onClick={() => handlePageChange(totalPages)}
@@ -484,7 +491,7 @@ export default function SearchResultsTable({
                 : 'bg-slate-800/50 text-white hover:bg-purple-800/40 border border-purple-500/30'
             }`}
           >
-            末頁
+            {t('searchResults.lastPage')}
           </button>
         </div>
       )}
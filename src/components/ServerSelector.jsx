@@ -1,4 +1,8 @@
-// Server selector - shows Traditional Chinese data centers and worlds
+import { useDisplaySettings } from '../hooks/useDisplaySettings';
+import { useTranslation } from '../hooks/useTranslation';
+import { getDataCentersForRegion } from '../utils/displaySettings';
+
+// Server selector - shows the data centers of the home region (display settings) and their worlds
 export default function ServerSelector({
   datacenters,
   worlds,
@@ -9,10 +13,9 @@ export default function ServerSelector({
   serverOptions,
   disabled = false,
 }) {
-  // Filter to only Traditional Chinese data centers
-  const tradChineseDCs = datacenters?.filter(dc => 
-    dc.region && dc.region.startsWith('繁中服')
-  ) || [];
+  const { t } = useTranslation();
+  const { region } = useDisplaySettings();
+  const regionDCs = getDataCentersForRegion(datacenters, region);
 
   // Get all worlds for the selected data center
   const allWorldsForDC = selectedWorld?.dcObj?.worlds || [];
@@ -22,6 +25,26 @@ export default function ServerSelector({
       {/* Server Options: Data Center (全服搜尋) + All Worlds */}
       {selectedWorld && allWorldsForDC.length > 0 && (
         <div className="flex gap-1 mid:gap-1.5 detail:gap-2 flex-wrap w-full detail:w-auto relative pl-1">
+          {/* Data Center picker - only when the home region has several data centers */}
+          {regionDCs.length > 1 && (
+            <select
+              value={selectedWorld.section}
+              onChange={(e) => !disabled && onServerOptionChange(e.target.value)}
+              disabled={disabled}
+              className={`relative z-10 px-2 py-1 mid:py-1.5 detail:py-2 rounded-lg text-xs font-medium border bg-slate-900/70 border-purple-500/40 text-gray-200 focus:outline-none focus:border-ffxiv-gold ${
+                disabled ? 'opacity-50 cursor-not-allowed' : 'hover:border-purple-400/60'
+              }`}
+              title={t('serverSelector.switchDataCenter')}
+            >
+              {!regionDCs.some(dc => dc.name === selectedWorld.section) && (
+                <option value={selectedWorld.section}>{selectedWorld.section}</option>
+              )}
+              {regionDCs.map(dc => (
+                <option key={dc.name} value={dc.name}>{dc.name}</option>
+              ))}
+            </select>
+          )}
+
           {/* Data Center Option (全服搜尋) */}
           <button
             onClick={() => !disabled && onServerOptionChange(selectedWorld.section)}
@@ -34,9 +57,9 @@ export default function ServerSelector({
                   : 'bg-purple-800/50 border-purple-500/40 text-gray-300 hover:border-purple-400/60 hover:bg-purple-700/60'
             }`}
           >
-            <span className="hidden detail:inline">{selectedWorld.section}（全服搜尋）</span>
-            <span className="hidden mid:inline detail:hidden">{selectedWorld.section}（全服）</span>
-            <span className="mid:hidden">全服</span>
+            <span className="hidden detail:inline">{t('serverSelector.dcSearch', { dc: selectedWorld.section })}</span>
+            <span className="hidden mid:inline detail:hidden">{t('serverSelector.dcShort', { dc: selectedWorld.section })}</span>
+            <span className="mid:hidden">{t('serverSelector.dc')}</span>
           </button>
           
           {/* Individual World Options */}
@@ -67,7 +90,7 @@ export default function ServerSelector({
       {/* Tooltip for disabled state */}
       {disabled && (
         <div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 px-3 py-2 bg-slate-900 text-white text-xs rounded-lg shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-50 border border-slate-700">
-          請耐心等待物品加載完成
+          {t('serverSelector.waitForItems')}
           <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-0">
             <div className="border-4 border-transparent border-b-slate-900"></div>
           </div>
@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 import { formatRelativeTime, formatLocalTime } from '../utils/timeFormat';
+import { useTranslation } from '../hooks/useTranslation';
 
 /**
  * Component to display last upload times for all servers in a DC
@@ -9,6 +10,7 @@ import { formatRelativeTime, formatLocalTime } from '../utils/timeFormat';
  * @param {Array} props.dcWorlds - Array of world IDs in the data center
  */
 export default function ServerUploadTimes({ worldUploadTimes, worlds, dcWorlds }) {
+  const { t } = useTranslation();
   const [tooltipState, setTooltipState] = useState({ show: false, x: 0, y: 0, content: '' });
   const [activeCell, setActiveCell] = useState(null); // For touch devices
   const tableRef = useRef(null);
@@ -24,7 +26,7 @@ export default function ServerUploadTimes({ worldUploadTimes, worlds, dcWorlds }
   const worldData = dcWorlds
     .map(worldId => ({
       worldId,
-      worldName: worlds[worldId] || `伺服器 ${worldId}`,
+      worldName: worlds[worldId] || t('searchResults.serverFallback', { server: String(worldId) }),
       uploadTime: worldUploadTimes[worldId] || worldUploadTimes[String(worldId)] || null,
     }));
 
@@ -221,7 +223,7 @@ export default function ServerUploadTimes({ worldUploadTimes, worlds, dcWorlds }
             />
           </svg>
           <h4 className="text-sm sm:text-base md:text-lg font-semibold text-ffxiv-gold truncate">
-            物品資料最後上報時間
+            {t('uploadTimes.title')}
           </h4>
         </div>
         
@@ -252,7 +254,7 @@ export default function ServerUploadTimes({ worldUploadTimes, worlds, dcWorlds }
                         onMouseEnter={(e) => handleMouseEnter(e, uploadTime)}
                         onMouseLeave={handleMouseLeave}
                         onClick={(e) => handleTouchStart(e, uploadTime, nameCellId)}
-                        title={uploadTime ? formatLocalTime(uploadTime) : '無數據'}
+                        title={uploadTime ? formatLocalTime(uploadTime) : t('uploadTimes.noData')}
                       >
                         <span className="truncate block">{worldName}</span>
                       </div>
@@ -266,14 +268,14 @@ export default function ServerUploadTimes({ worldUploadTimes, worlds, dcWorlds }
                         onMouseEnter={(e) => handleMouseEnter(e, uploadTime)}
                         onMouseLeave={handleMouseLeave}
                         onClick={(e) => handleTouchStart(e, uploadTime, timeCellId)}
-                        title={uploadTime ? formatLocalTime(uploadTime) : '無數據'}
+                        title={uploadTime ? formatLocalTime(uploadTime) : t('uploadTimes.noData')}
                       >
                         {uploadTime ? (
                           <span className="inline-block truncate max-w-full" title={formatRelativeTime(uploadTime)}>
                             {formatRelativeTime(uploadTime)}
                           </span>
                         ) : (
-                          <span className="text-gray-500 italic">無數據</span>
+                          <span className="text-gray-500 italic">{t('uploadTimes.noData')}</span>
                         )}
                       </div>
                     </div>
@@ -0,0 +1,348 @@
+// Settings page - edits the persisted user settings (utils/userSettings) and backs them up as JSON
+import { useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import TaxRatesModal from './TaxRatesModal';
+import { useSettings } from '../contexts/SettingsContext';
+import { useTranslation } from '../hooks/useTranslation';
+import { UI_LOCALES, DISPLAY_LANGUAGES, HOME_REGIONS, getDataCentersForRegion } from '../utils/displaySettings';
+import { exportSettings, importSettings, LIST_SIZE_RANGE, ITEMS_PER_PAGE_OPTIONS } from '../utils/userSettings';
+import { TAX_CITIES } from '../constants/marketTax';
+import { downloadFile } from '../utils/csvExport';
+
+const selectClassName = 'w-full px-3 py-2 rounded-lg bg-slate-900/70 border border-purple-500/40 text-gray-200 text-sm focus:outline-none focus:border-ffxiv-gold';
+const buttonClassName = 'px-3 py-1.5 rounded-md bg-purple-900/40 border border-purple-500/30 text-sm text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors';
+
+function SettingsSection({ title, children }) {
+  return (
+    <section className="p-4 rounded-lg bg-slate-900/50 border border-purple-500/20">
+      <h2 className="text-lg font-semibold text-ffxiv-gold mb-4">{title}</h2>
+      <div className="space-y-4">{children}</div>
+    </section>
+  );
+}
+
+function SettingsField({ label, htmlFor, hint, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-200 mb-1.5" htmlFor={htmlFor}>{label}</label>
+      {children}
+      {hint && <p className="mt-1 text-xs text-gray-400">{hint}</p>}
+    </div>
+  );
+}
+
+function SettingsToggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 cursor-pointer text-sm text-gray-200">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="accent-ffxiv-gold w-4 h-4"
+      />
+      {label}
+    </label>
+  );
+}
+
+export default function SettingsPage({
+  addToast,
+  removeToast,
+  toasts,
+  datacenters,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const fileInputRef = useRef(null);
+
+  const regionDCs = getDataCentersForRegion(datacenters, settings.region);
+  const homeDC = regionDCs.find(dc => dc.name === settings.homeDataCenter) || null;
+
+  const handleRegionChange = (region) => {
+    const previousDefault = HOME_REGIONS.find(item => item.key === settings.region)?.defaultLanguage;
+    const nextDefault = HOME_REGIONS.find(item => item.key === region)?.defaultLanguage;
+    // Follow the region's language unless the user picked a language of their own
+    const changes = { region, homeDataCenter: null, homeWorldId: null };
+    if (nextDefault && settings.language === previousDefault) {
+      changes.language = nextDefault;
+    }
+    updateSettings(changes);
+  };
+
+  const handleHomeDataCenterChange = (dcName) => {
+    updateSettings({ homeDataCenter: dcName || null, homeWorldId: null });
+  };
+
+  const handleUseCurrentServer = () => {
+    if (!selectedWorld?.section) return;
+    const worldId = typeof selectedServerOption === 'number' ? selectedServerOption : null;
+    const changes = { homeDataCenter: selectedWorld.section, homeWorldId: worldId };
+    const currentRegion = HOME_REGIONS.find(region => selectedWorld.region?.startsWith(region.key));
+    if (currentRegion) {
+      changes.region = currentRegion.key;
+    }
+    updateSettings(changes);
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    downloadFile(exportSettings(), `market_tester_settings_${date}.json`, 'application/json;charset=utf-8');
+    addToast(t('settings.exported'), 'success');
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { invalidKeys } = importSettings(await file.text());
+      if (invalidKeys.length > 0) {
+        addToast(t('settings.importedWithInvalid', { count: invalidKeys.length }), 'warning');
+      } else {
+        addToast(t('settings.imported'), 'success');
+      }
+    } catch (error) {
+      const message = error.code ? t(`settings.importErrors.${error.code}`) : error.message;
+      addToast(t('settings.importFailed', { message }), 'error');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t('settings.resetConfirm'))) {
+      resetSettings();
+      addToast(t('settings.resetDone'), 'success');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="settings"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-3xl mx-auto px-4 space-y-4">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">{t('settings.title')}</h1>
+            <p className="text-gray-400 text-sm sm:text-base">{t('settings.subtitle')}</p>
+          </div>
+
+          <SettingsSection title={t('settings.sections.server')}>
+            <SettingsField label={t('settings.region')} htmlFor="settings-region" hint={t('settings.regionHint')}>
+              <select
+                id="settings-region"
+                value={settings.region}
+                onChange={(e) => handleRegionChange(e.target.value)}
+                className={selectClassName}
+              >
+                {HOME_REGIONS.map(region => (
+                  <option key={region.key} value={region.key}>{t(`settings.regions.${region.id}`)}</option>
+                ))}
+              </select>
+            </SettingsField>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <SettingsField label={t('settings.homeDataCenter')} htmlFor="settings-home-dc">
+                <select
+                  id="settings-home-dc"
+                  value={homeDC?.name || ''}
+                  onChange={(e) => handleHomeDataCenterChange(e.target.value)}
+                  className={selectClassName}
+                  disabled={!isServerDataLoaded}
+                >
+                  <option value="">{t('settings.homeDataCenterAuto')}</option>
+                  {regionDCs.map(dc => (
+                    <option key={dc.name} value={dc.name}>{dc.name}</option>
+                  ))}
+                </select>
+              </SettingsField>
+              <SettingsField label={t('settings.homeWorld')} htmlFor="settings-home-world">
+                <select
+                  id="settings-home-world"
+                  value={homeDC && settings.homeWorldId ? settings.homeWorldId : ''}
+                  onChange={(e) => updateSettings({ homeWorldId: e.target.value ? parseInt(e.target.value, 10) : null })}
+                  className={selectClassName}
+                  disabled={!homeDC}
+                >
+                  <option value="">{t('settings.homeWorldAll')}</option>
+                  {(homeDC?.worlds || []).map(worldId => (
+                    <option key={worldId} value={worldId}>{worlds[worldId] || worldId}</option>
+                  ))}
+                </select>
+              </SettingsField>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <button onClick={handleUseCurrentServer} disabled={!selectedWorld} className={buttonClassName}>
+                {t('settings.useCurrentServer')}
+              </button>
+              <p className="text-xs text-gray-400">{t('settings.homeHint')}</p>
+            </div>
+          </SettingsSection>
+
+          <SettingsSection title={t('settings.sections.display')}>
+            <SettingsField label={t('settings.uiLocale')} htmlFor="settings-locale" hint={t('settings.uiLocaleHint')}>
+              <select
+                id="settings-locale"
+                value={settings.locale}
+                onChange={(e) => updateSettings({ locale: e.target.value })}
+                className={selectClassName}
+              >
+                {UI_LOCALES.map(locale => (
+                  <option key={locale.code} value={locale.code}>{locale.label}</option>
+                ))}
+              </select>
+            </SettingsField>
+            <SettingsField label={t('settings.language')} htmlFor="settings-language" hint={t('settings.languageHint')}>
+              <select
+                id="settings-language"
+                value={settings.language}
+                onChange={(e) => updateSettings({ language: e.target.value })}
+                className={selectClassName}
+              >
+                {DISPLAY_LANGUAGES.map(language => (
+                  <option key={language.code} value={language.code}>{language.label}</option>
+                ))}
+              </select>
+            </SettingsField>
+          </SettingsSection>
+
+          <SettingsSection title={t('settings.sections.market')}>
+            <SettingsField label={t('settings.listSize')} htmlFor="settings-list-size">
+              <div className="flex items-center gap-3">
+                <input
+                  id="settings-list-size"
+                  type="range"
+                  min={LIST_SIZE_RANGE.min}
+                  max={LIST_SIZE_RANGE.max}
+                  step="1"
+                  value={settings.listSize}
+                  onChange={(e) => updateSettings({ listSize: parseInt(e.target.value, 10) })}
+                  className="flex-1 h-1.5 bg-purple-800/50 rounded-lg appearance-none cursor-pointer accent-ffxiv-gold"
+                />
+                <span className="text-sm text-ffxiv-gold w-10 font-medium text-right">{settings.listSize}</span>
+              </div>
+            </SettingsField>
+            <SettingsField label={t('settings.itemsPerPage')} htmlFor="settings-items-per-page">
+              <select
+                id="settings-items-per-page"
+                value={settings.itemsPerPage}
+                onChange={(e) => updateSettings({ itemsPerPage: parseInt(e.target.value, 10) })}
+                className={selectClassName}
+              >
+                {ITEMS_PER_PAGE_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </SettingsField>
+            <SettingsToggle label={t('settings.hqOnly')} checked={settings.hqOnly} onChange={(hqOnly) => updateSettings({ hqOnly })} />
+            <SettingsToggle label={t('settings.liveFeed')} checked={settings.liveFeed} onChange={(liveFeed) => updateSettings({ liveFeed })} />
+          </SettingsSection>
+
+          <SettingsSection title={t('settings.sections.crafting')}>
+            <SettingsField label={t('settings.taxCity')} htmlFor="settings-tax-city">
+              <select
+                id="settings-tax-city"
+                value={settings.taxCity}
+                onChange={(e) => updateSettings({ taxCity: e.target.value })}
+                className={selectClassName}
+              >
+                {TAX_CITIES.map(city => (
+                  <option key={city.key} value={city.key}>{t(`taxCities.${city.key}`)}</option>
+                ))}
+              </select>
+            </SettingsField>
+            <SettingsToggle
+              label={t('settings.excludeCrystals')}
+              checked={settings.excludeCrystals}
+              onChange={(excludeCrystals) => updateSettings({ excludeCrystals })}
+            />
+          </SettingsSection>
+
+          <SettingsSection title={t('settings.sections.backup')}>
+            <p className="text-xs text-gray-400">{t('settings.backupHint')}</p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={handleExport} className={buttonClassName}>{t('settings.export')}</button>
+              <button onClick={() => fileInputRef.current?.click()} className={buttonClassName}>{t('settings.import')}</button>
+              <button
+                onClick={handleReset}
+                className="px-3 py-1.5 rounded-md bg-red-900/30 border border-red-500/30 text-sm text-red-300 hover:text-red-200 hover:border-red-400/60 transition-colors"
+              >
+                {t('settings.reset')}
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+            </div>
+          </SettingsSection>
+        </div>
+      </div>
+
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,399 @@
+// Shopping list page - plans where to buy a list of items across the selected data center
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import { getItemById } from '../services/itemDatabase';
+import { getItemsListings, getTaxRates } from '../services/universalis';
+import {
+  getShoppingList,
+  subscribeToShoppingList,
+  setShoppingListQuantity,
+  removeFromShoppingList,
+  clearShoppingList,
+} from '../utils/shoppingList';
+import { planShoppingList } from '../utils/purchasePlanner';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function ShoppingList({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState(() => getShoppingList());
+  const [listingsByItem, setListingsByItem] = useState({});
+  const [dcTaxRates, setDcTaxRates] = useState({});
+  const [isLoadingListings, setIsLoadingListings] = useState(false);
+  const [hqOnly, setHqOnly] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  const dcName = selectedWorld?.section || null;
+
+  useEffect(() => {
+    const unsubscribe = subscribeToShoppingList(setEntries);
+
+    // Cross-tab sync
+    const handleStorageChange = (e) => {
+      if (e.key === 'market_tester_shopping_list') {
+        setEntries(getShoppingList());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  // Listings and tax rates belong to one DC - start over when it changes
+  useEffect(() => {
+    setListingsByItem({});
+    setDcTaxRates({});
+  }, [dcName]);
+
+  // Tax rates for every world in the DC
+  useEffect(() => {
+    const worldIds = selectedWorld?.dcObj?.worlds || [];
+    if (worldIds.length === 0) {
+      return;
+    }
+
+    let cancelled = false;
+    Promise.all(worldIds.map(async (worldId) => ({ worldId, rates: await getTaxRates(worldId) })))
+      .then(results => {
+        if (cancelled) return;
+        const ratesMap = {};
+        results.forEach(({ worldId, rates }) => {
+          if (rates) {
+            ratesMap[worldId] = rates;
+          }
+        });
+        setDcTaxRates(ratesMap);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedWorld]);
+
+  const loadListings = useCallback(async (itemIds) => {
+    if (!dcName || itemIds.length === 0) {
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsLoadingListings(true);
+    try {
+      const result = await getItemsListings(dcName, itemIds, { signal: abortController.signal });
+      if (!result || abortController.signal.aborted) {
+        return;
+      }
+      setListingsByItem(prev => ({ ...prev, ...result }));
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+      addToast(error.message || t('common.listingsLoadFailed'), 'error');
+    } finally {
+      if (!abortController.signal.aborted) {
+        setIsLoadingListings(false);
+      }
+    }
+  }, [dcName, addToast]);
+
+  // Fetch listings for items that were added since the last load
+  useEffect(() => {
+    const missingIds = entries.map(entry => entry.itemId).filter(id => !(id in listingsByItem));
+    if (missingIds.length > 0 && !isLoadingListings) {
+      loadListings(missingIds);
+    }
+  }, [entries, listingsByItem, isLoadingListings, loadListings]);
+
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleRefresh = () => {
+    loadListings(entries.map(entry => entry.itemId));
+  };
+
+  const plan = useMemo(() => {
+    const loadedEntries = entries.filter(entry => entry.itemId in listingsByItem);
+    if (loadedEntries.length === 0) {
+      return null;
+    }
+    return planShoppingList(loadedEntries, listingsByItem, dcTaxRates, { hqOnly, worlds });
+  }, [entries, listingsByItem, dcTaxRates, hqOnly, worlds]);
+
+  const planByItemId = useMemo(() => {
+    const map = {};
+    (plan?.items || []).forEach(item => {
+      map[item.itemId] = item;
+    });
+    return map;
+  }, [plan]);
+
+  const handleItemClick = async (itemId) => {
+    const item = await getItemById(itemId);
+    if (item) {
+      onItemSelect(item);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="shopping-list"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6 flex items-end justify-between flex-wrap gap-3">
+            <div>
+              <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+                {t('shoppingList.title')}
+              </h1>
+              <p className="text-gray-400 text-sm sm:text-base">
+                {dcName ? t('shoppingList.description', { dcName }) : t('shoppingList.descriptionAllServers')}
+              </p>
+            </div>
+            {entries.length > 0 && (
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-1.5 text-xs text-gray-300 cursor-pointer">
+                  <input type="checkbox" checked={hqOnly} onChange={(e) => setHqOnly(e.target.checked)} className="accent-ffxiv-gold" />
+                  {t('shoppingList.hqOnly')}
+                </label>
+                <button
+                  onClick={handleRefresh}
+                  disabled={isLoadingListings}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors disabled:opacity-50"
+                >
+                  {isLoadingListings ? t('common.loading') : t('shoppingList.refresh')}
+                </button>
+                <button
+                  onClick={clearShoppingList}
+                  className="text-xs px-3 py-1.5 bg-red-900/40 hover:bg-red-800/60 rounded border border-red-500/40 text-red-300 transition-colors"
+                >
+                  {t('shoppingList.clear')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {entries.length === 0 ? (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 text-center text-gray-400">
+              <div className="text-4xl mb-4">🛒</div>
+              <p className="text-sm">{t('shoppingList.empty')}</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+              {/* Items */}
+              <div className="flex flex-col">
+                <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('shoppingList.items', { count: entries.length })}</h3>
+                <div className="overflow-x-auto bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20">
+                  <table className="w-full border-collapse text-sm min-w-[480px]">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                        <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('shoppingList.column.item')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs w-24">{t('shoppingList.column.quantity')}</th>
+                        <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('shoppingList.column.subtotal')}</th>
+                        <th className="px-3 py-2 w-10"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entries.map(entry => {
+                        const itemPlan = planByItemId[entry.itemId];
+                        return (
+                          <tr key={entry.itemId} className="border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors">
+                            <td className="px-3 py-2">
+                              <button
+                                onClick={() => handleItemClick(entry.itemId)}
+                                className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                              >
+                                <ItemImage itemId={entry.itemId} alt={entry.itemName} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                                <span className="text-xs">{entry.itemName || entry.itemId}</span>
+                              </button>
+                              {itemPlan && itemPlan.shortfall > 0 && (
+                                <div className="text-xs text-yellow-400 mt-1">{t('shoppingList.shortfall', { count: itemPlan.shortfall })}</div>
+                              )}
+                              {itemPlan && itemPlan.purchased > entry.quantity && (
+                                <div className="text-xs text-gray-500 mt-1">{t('shoppingList.wholeStacks', { count: itemPlan.purchased })}</div>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 text-right">
+                              <input
+                                type="number"
+                                inputMode="numeric"
+                                min="1"
+                                max="9999"
+                                value={entry.quantity}
+                                onChange={(e) => setShoppingListQuantity(entry.itemId, e.target.value)}
+                                className="w-20 px-2 py-1 bg-slate-900/50 border border-purple-500/30 rounded text-white text-xs text-right focus:outline-none focus:border-ffxiv-gold"
+                              />
+                            </td>
+                            <td className="px-3 py-2 text-right text-xs whitespace-nowrap">
+                              {itemPlan ? (
+                                itemPlan.listings.length > 0
+                                  ? <span className="text-ffxiv-gold font-semibold">{itemPlan.total.toLocaleString()}</span>
+                                  : <span className="text-gray-500">{t('shoppingList.noListings')}</span>
+                              ) : (
+                                <span className="text-gray-500 animate-pulse">...</span>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 text-right">
+                              <button
+                                onClick={() => removeFromShoppingList(entry.itemId)}
+                                className="text-gray-500 hover:text-red-400 transition-colors"
+                                title={t('common.remove')}
+                              >
+                                ✕
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Plan by world */}
+              <div className="flex flex-col">
+                <h3 className="text-base sm:text-lg font-semibold text-ffxiv-gold mb-2 sm:mb-3">{t('shoppingList.route')}</h3>
+                {!dcName ? (
+                  <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-8 text-center text-sm text-gray-400">
+                    {t('shoppingList.selectServer')}
+                  </div>
+                ) : !plan ? (
+                  <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 text-center">
+                    <div className="animate-spin rounded-full h-8 w-8 border-2 border-purple-400/30 border-t-purple-400 mx-auto"></div>
+                    <p className="mt-4 text-sm text-gray-400 animate-pulse">{t('shoppingList.loadingListings')}</p>
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {/* Summary */}
+                    <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-ffxiv-gold/40 p-3 sm:p-4 grid grid-cols-3 gap-2 text-center">
+                      <div>
+                        <div className="text-xs text-gray-400">{t('shoppingList.summary.subtotal')}</div>
+                        <div className="text-sm sm:text-base text-white font-semibold">{plan.subtotal.toLocaleString()}</div>
+                      </div>
+                      <div>
+                        <div className="text-xs text-gray-400">{t('shoppingList.summary.tax')}</div>
+                        <div className="text-sm sm:text-base text-gray-300 font-semibold">{plan.tax.toLocaleString()}</div>
+                      </div>
+                      <div>
+                        <div className="text-xs text-gray-400">{t('shoppingList.summary.total', { count: plan.worlds.length })}</div>
+                        <div className="text-sm sm:text-base text-ffxiv-gold font-bold">{plan.total.toLocaleString()}</div>
+                      </div>
+                    </div>
+
+                    {plan.worlds.map(world => (
+                      <div key={world.worldId ?? world.worldName} className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 overflow-hidden">
+                        <div className="flex items-center justify-between px-3 py-2 bg-purple-900/30 border-b border-purple-500/20">
+                          <span className="text-sm font-semibold text-purple-200">{world.worldName}</span>
+                          <span className="text-xs text-gray-400">
+                            {t('shoppingList.purchases', { count: world.purchases.length })} · <span className="text-ffxiv-gold font-semibold">{world.total.toLocaleString()}</span>
+                          </span>
+                        </div>
+                        <table className="w-full text-xs">
+                          <tbody>
+                            {world.purchases.map(({ itemId, itemName, listing }, index) => (
+                              <tr key={`${itemId}-${index}`} className="border-b border-purple-500/10 last:border-b-0">
+                                <td className="px-3 py-1.5 text-white">
+                                  {itemName || itemId}
+                                  {listing.hq && <span className="ml-1 px-1 py-0.5 bg-ffxiv-gold/20 text-ffxiv-gold rounded">HQ</span>}
+                                </td>
+                                <td className="px-3 py-1.5 text-gray-400 truncate max-w-[100px]" title={listing.retainerName}>{listing.retainerName}</td>
+                                <td className="px-3 py-1.5 text-right text-gray-300 whitespace-nowrap">
+                                  {listing.quantity} × <span className="text-green-400">{listing.pricePerUnit.toLocaleString()}</span>
+                                </td>
+                                <td className="px-3 py-1.5 text-right text-ffxiv-gold whitespace-nowrap">{(listing.total + listing.tax).toLocaleString()}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
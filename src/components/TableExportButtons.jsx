@@ -0,0 +1,59 @@
+// Table Export Buttons Component - Downloads the rows of a results table as CSV or XLSX
+import { downloadCsv } from '../utils/csvExport';
+import { downloadXlsx } from '../utils/xlsxExport';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * File name suffix with the export time, e.g. 20250131-1405
+ */
+function getTimestamp() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.getData - Returns { headers, rows } when a download is requested (rows as shown in the table)
+ * @param {string} props.filename - File name without extension (the export time is appended)
+ * @param {string} props.sheetName - XLSX sheet name (defaults to filename)
+ * @param {boolean} props.disabled
+ */
+export default function TableExportButtons({ getData, filename, sheetName, disabled = false }) {
+  const { t } = useTranslation();
+  const handleExport = (format) => {
+    const { headers, rows } = getData();
+    const name = `${filename}_${getTimestamp()}`;
+    if (format === 'xlsx') {
+      downloadXlsx(`${name}.xlsx`, headers, rows, sheetName || filename);
+    } else {
+      downloadCsv(`${name}.csv`, headers, rows);
+    }
+  };
+
+  const buttonClassName = 'px-2 py-0.5 rounded-md bg-purple-900/40 border border-purple-500/30 text-xs text-purple-300 hover:text-ffxiv-gold hover:border-ffxiv-gold/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex items-center gap-1.5">
+      <span className="text-xs text-gray-400">{t('tableExport.label')}</span>
+      <button
+        type="button"
+        onClick={() => handleExport('csv')}
+        disabled={disabled}
+        className={buttonClassName}
+        title={t('tableExport.csvTitle')}
+      >
+        CSV
+      </button>
+      <button
+        type="button"
+        onClick={() => handleExport('xlsx')}
+        disabled={disabled}
+        className={buttonClassName}
+        title={t('tableExport.xlsxTitle')}
+      >
+        XLSX
+      </button>
+    </div>
+  );
+}
@@ -1,5 +1,10 @@
 // Tax Rates Display Component - Shows market tax rates for servers in 陸行鳥 data center
+import { useTranslation } from '../hooks/useTranslation';
+import { TAX_CITIES } from '../constants/marketTax';
+
 export default function TaxRatesDisplay({ taxRates, worlds, isLoading, selectedWorld }) {
+  const { t } = useTranslation();
+
   if (!selectedWorld || !selectedWorld.dcObj) {
     return null;
   }
@@ -14,24 +19,12 @@ export default function TaxRatesDisplay({ taxRates, worlds, isLoading, selectedW
   const worldIds = selectedWorld.dcObj.worlds || [];
   const hasTaxRates = Object.keys(taxRates).length > 0;
 
-  // City names mapping (Traditional Chinese)
-  // Note: API returns keys like "Ul'dah" (with apostrophe), not "Ul_dah"
-  const cityNames = {
-    LimsaLominsa: '利姆薩·羅敏薩',
-    Gridania: '格里達尼亞',
-    'Ul\'dah': '烏爾達哈',
-    Ishgard: '伊修加德',
-    Kugane: '黃金港',
-    Crystarium: '水晶都',
-    OldSharlayan: '舊薩雷安'
-  };
-
   if (isLoading) {
     return (
       <div className="mb-4 p-4 bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20">
         <div className="flex items-center gap-2">
           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-ffxiv-gold"></div>
-          <span className="text-sm text-gray-300">載入市場稅率...</span>
+          <span className="text-sm text-gray-300">{t('taxRates.loading')}</span>
         </div>
       </div>
     );
@@ -58,7 +51,7 @@ export default function TaxRatesDisplay({ taxRates, worlds, isLoading, selectedW
             d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
           />
         </svg>
-        <h3 className="text-sm font-semibold text-ffxiv-gold">市場稅率 - {dcName}</h3>
+        <h3 className="text-sm font-semibold text-ffxiv-gold">{t('taxRates.title', { dc: dcName })}</h3>
       </div>
       
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
@@ -77,8 +70,8 @@ export default function TaxRatesDisplay({ taxRates, worlds, isLoading, selectedW
             >
               <div className="font-semibold text-ffxiv-gold text-sm mb-2">{worldName}</div>
               <div className="space-y-1 text-xs">
-                {Object.entries(cityNames).map(([key, name]) => {
-                  // API returns keys exactly as defined in cityNames (e.g., "Ul'dah")
+                {TAX_CITIES.map(({ key }) => {
+                  // API returns keys exactly as defined in TAX_CITIES (e.g., "Ul'dah")
                   const tax = rates[key];
                   
                   if (tax === null || tax === undefined) {
@@ -87,7 +80,7 @@ export default function TaxRatesDisplay({ taxRates, worlds, isLoading, selectedW
 
                   return (
                     <div key={key} className="flex justify-between text-gray-300">
-                      <span>{name}:</span>
+                      <span>{t(`taxCities.${key}`)}:</span>
                       <span className="font-medium text-ffxiv-gold">{tax}%</span>
                     </div>
                   );
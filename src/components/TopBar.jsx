@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import SearchBar from './SearchBar';
 import HistoryButton from './HistoryButton';
+import { useTranslation } from '../hooks/useTranslation';
 import { getAssetPath } from '../utils/assetPath.js';
 import '../styles/TopBar.css';
 
@@ -24,7 +25,7 @@ export default function TopBar({
   
   // Optional: custom navigation buttons
   showNavigationButtons = true,
-  activePage = null, // 'crafting-inspiration', 'msq-price-checker', 'advanced-search', 'history', or null
+  activePage = null, // 'crafting-inspiration', 'msq-price-checker', 'advanced-search', 'history', 'watchlist', 'shopping-list', 'retainers', 'arbitrage', 'compare', 'gathering-inspiration', 'settings', or null
   
   // Optional: custom handlers
   onMSQPriceCheckerClick,
@@ -34,6 +35,7 @@ export default function TopBar({
 }) {
   const navigate = useNavigate();
   const location = useLocation();
+  const { t } = useTranslation();
   
   // Track if wiki button is currently processing (to prevent duplicate clicks)
   const [isWikiProcessing, setIsWikiProcessing] = useState(false);
@@ -44,6 +46,13 @@ export default function TopBar({
     if (location.pathname === '/msq-price-checker') return 'msq-price-checker';
     if (location.pathname === '/advanced-search') return 'advanced-search';
     if (location.pathname === '/history') return 'history';
+    if (location.pathname === '/watchlist') return 'watchlist';
+    if (location.pathname === '/shopping-list') return 'shopping-list';
+    if (location.pathname === '/retainers') return 'retainers';
+    if (location.pathname === '/arbitrage') return 'arbitrage';
+    if (location.pathname === '/compare') return 'compare';
+    if (location.pathname === '/gathering-inspiration') return 'gathering-inspiration';
+    if (location.pathname === '/settings') return 'settings';
     return null;
   })();
   
@@ -77,6 +86,66 @@ export default function TopBar({
     }
   };
   
+  const handleWatchlistClick = () => {
+    // If already on the watchlist page, do nothing
+    if (location.pathname === '/watchlist') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/watchlist');
+  };
+  
+  const handleShoppingListClick = () => {
+    // If already on the shopping list page, do nothing
+    if (location.pathname === '/shopping-list') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/shopping-list');
+  };
+  
+  const handleRetainerMonitorClick = () => {
+    // If already on the retainer monitor page, do nothing
+    if (location.pathname === '/retainers') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/retainers');
+  };
+  
+  const handleArbitrageClick = () => {
+    // If already on the arbitrage page, do nothing
+    if (location.pathname === '/arbitrage') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/arbitrage');
+  };
+  
+  const handleCompareClick = () => {
+    // If already on the compare page, do nothing
+    if (location.pathname === '/compare') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/compare');
+  };
+  
   const handleCraftingInspirationClick = () => {
     // If already on the crafting inspiration page, do nothing
     if (location.pathname === '/crafting-inspiration') {
@@ -91,6 +160,29 @@ export default function TopBar({
     }
   };
   
+  const handleGatheringInspirationClick = () => {
+    // If already on the gathering inspiration page, do nothing
+    if (location.pathname === '/gathering-inspiration') {
+      return;
+    }
+    
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/gathering-inspiration');
+  };
+
+  const handleSettingsClick = () => {
+    if (location.pathname === '/settings') {
+      return;
+    }
+
+    if (setSearchText) {
+      setSearchText('');
+    }
+    navigate('/settings');
+  };
+  
   const isItemInfoPage = !!selectedItem;
   const logoClass = isServerDataLoaded ? 'topbar-logo-loaded' : 'topbar-logo-loading';
 
@@ -130,7 +222,7 @@ export default function TopBar({
             } catch (error) {
               console.error('Failed to open Wiki link:', error);
               if (addToast) {
-                addToast('無法打開Wiki連結', 'error');
+                addToast(t('nav.wikiOpenFailed'), 'error');
               }
             } finally {
               // Remove processing state after a short delay to allow window.open to complete
@@ -177,11 +269,11 @@ export default function TopBar({
       <button
         onClick={() => navigate('/')}
         className="topbar-desktop-logo"
-        title="返回主頁"
+        title={t('nav.home')}
       >
         <img
           src={`${getAssetPath('logo.png')}?v=2`}
-          alt="返回主頁"
+          alt={t('nav.home')}
           className={logoClass}
         />
       </button>
@@ -197,11 +289,11 @@ export default function TopBar({
               <button
                 onClick={() => navigate('/')}
                 className="topbar-mobile-logo"
-                title="返回主頁"
+                title={t('nav.home')}
               >
                 <img
                   src={`${getAssetPath('logo.png')}?v=2`}
-                  alt="返回主頁"
+                  alt={t('nav.home')}
                   className={logoClass}
                 />
               </button>
@@ -214,7 +306,7 @@ export default function TopBar({
                   value={searchText}
                   onChange={setSearchText}
                   disabled={!isServerDataLoaded}
-                  disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                  disabledTooltip={!isServerDataLoaded ? t('nav.serverDataLoading') : undefined}
                   selectedDcName={selectedDcName}
                   onItemSelect={onItemSelect}
                   searchResults={searchResults}
@@ -230,7 +322,7 @@ export default function TopBar({
                     <button
                       onClick={handleAdvancedSearchClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                      title="進階搜尋"
+                      title={t('nav.advancedSearch')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -246,7 +338,7 @@ export default function TopBar({
                           d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">進階搜尋</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.advancedSearch')}</span>
                     </button>
                   </div>
 
@@ -263,7 +355,7 @@ export default function TopBar({
                     <button
                       onClick={handleCraftingInspirationClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                      title="製造職找價"
+                      title={t('nav.craftingInspirationTitle')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -285,7 +377,7 @@ export default function TopBar({
                           d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">製造靈感</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.craftingInspiration')}</span>
                     </button>
                   </div>
 
@@ -294,7 +386,7 @@ export default function TopBar({
                     <button
                       onClick={handleMSQPriceCheckerClick}
                       className={`topbar-nav-button item-info-page ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                      title="主線裝備查價"
+                      title={t('nav.msqTitle')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -310,7 +402,7 @@ export default function TopBar({
                           d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">主線裝備</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.msq')}</span>
                     </button>
                   </div>
 
@@ -319,7 +411,7 @@ export default function TopBar({
                     <button
                       onClick={onTaxRatesClick}
                       className="topbar-nav-button item-info-page"
-                      title="查稅"
+                      title={t('nav.taxRates')}
                     >
                       <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -335,7 +427,32 @@ export default function TopBar({
                           d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                         />
                       </svg>
-                      <span className="topbar-nav-text item-info-page">查稅</span>
+                      <span className="topbar-nav-text item-info-page">{t('nav.taxRates')}</span>
+                    </button>
+                  </div>
+
+                  {/* Display Settings Button */}
+                  <div className="topbar-nav-button-container item-info-page-desktop">
+                    <button
+                      onClick={handleSettingsClick}
+                      className={`topbar-nav-button item-info-page ${currentActivePage === 'settings' ? 'active' : ''}`}
+                      title={t('settings.title')}
+                    >
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="topbar-nav-icon item-info-page"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                        />
+                      </svg>
+                      <span className="topbar-nav-text item-info-page">{t('nav.settings')}</span>
                     </button>
                   </div>
                 </>
@@ -356,7 +473,7 @@ export default function TopBar({
                   <button
                     onClick={handleAdvancedSearchClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                    title="進階搜尋"
+                    title={t('nav.advancedSearch')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -372,7 +489,7 @@ export default function TopBar({
                         d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">進階搜尋</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.advancedSearch')}</span>
                   </button>
                 </div>
 
@@ -389,7 +506,7 @@ export default function TopBar({
                   <button
                     onClick={handleCraftingInspirationClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                    title="製造職找價"
+                    title={t('nav.craftingInspirationTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -411,7 +528,7 @@ export default function TopBar({
                         d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">製造靈感</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.craftingInspiration')}</span>
                   </button>
                 </div>
 
@@ -420,7 +537,7 @@ export default function TopBar({
                   <button
                     onClick={handleMSQPriceCheckerClick}
                     className={`topbar-nav-button item-info-page ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                    title="主線裝備查價"
+                    title={t('nav.msqTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -436,7 +553,7 @@ export default function TopBar({
                         d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">主線裝備</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.msq')}</span>
                   </button>
                 </div>
 
@@ -445,7 +562,7 @@ export default function TopBar({
                   <button
                     onClick={onTaxRatesClick}
                     className="topbar-nav-button item-info-page"
-                    title="查稅"
+                    title={t('nav.taxRates')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -461,7 +578,32 @@ export default function TopBar({
                         d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text item-info-page">查稅</span>
+                    <span className="topbar-nav-text item-info-page">{t('nav.taxRates')}</span>
+                  </button>
+                </div>
+
+                {/* Display Settings Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleSettingsClick}
+                    className={`topbar-nav-button item-info-page ${currentActivePage === 'settings' ? 'active' : ''}`}
+                    title={t('settings.title')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon item-info-page"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text item-info-page">{t('nav.settings')}</span>
                   </button>
                 </div>
               </div>
@@ -475,11 +617,11 @@ export default function TopBar({
             <button
               onClick={() => navigate('/')}
               className="topbar-mobile-logo"
-              title="返回主頁"
+              title={t('nav.home')}
             >
               <img
                 src={`${getAssetPath('logo.png')}?v=2`}
-                alt="返回主頁"
+                alt={t('nav.home')}
                 className={logoClass}
               />
             </button>
@@ -492,7 +634,7 @@ export default function TopBar({
                 value={searchText}
                 onChange={setSearchText}
                 disabled={!isServerDataLoaded}
-                disabledTooltip={!isServerDataLoaded ? '請等待伺服器資料載入完成' : undefined}
+                disabledTooltip={!isServerDataLoaded ? t('nav.serverDataLoading') : undefined}
                 selectedDcName={selectedDcName}
                 onItemSelect={onItemSelect}
                 searchResults={searchResults}
@@ -508,7 +650,7 @@ export default function TopBar({
                   <button
                     onClick={handleAdvancedSearchClick}
                     className={`topbar-nav-button ${currentActivePage === 'advanced-search' ? 'active' : ''}`}
-                    title="進階搜尋"
+                    title={t('nav.advancedSearch')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -524,8 +666,8 @@ export default function TopBar({
                         d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7"
                       />
                     </svg>
-                    <span className="topbar-nav-text">進階搜尋</span>
-                    <span className="topbar-nav-text narrow-only">進階</span>
+                    <span className="topbar-nav-text">{t('nav.advancedSearch')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.advancedSearchShort')}</span>
                   </button>
                 </div>
 
@@ -534,6 +676,136 @@ export default function TopBar({
                   <HistoryButton onItemSelect={onItemSelect} setSearchText={setSearchText} isItemInfoPage={false} />
                 </div>
 
+                {/* Watchlist Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleWatchlistClick}
+                    className={`topbar-nav-button ${currentActivePage === 'watchlist' ? 'active' : ''}`}
+                    title={t('nav.watchlist')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.watchlist')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.watchlistShort')}</span>
+                  </button>
+                </div>
+
+                {/* Shopping List Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleShoppingListClick}
+                    className={`topbar-nav-button ${currentActivePage === 'shopping-list' ? 'active' : ''}`}
+                    title={t('nav.shoppingList')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.shoppingList')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.shoppingListShort')}</span>
+                  </button>
+                </div>
+
+                {/* Retainer Monitor Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleRetainerMonitorClick}
+                    className={`topbar-nav-button ${currentActivePage === 'retainers' ? 'active' : ''}`}
+                    title={t('nav.retainerMonitor')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.retainerMonitor')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.retainerMonitorShort')}</span>
+                  </button>
+                </div>
+
+                {/* Arbitrage Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleArbitrageClick}
+                    className={`topbar-nav-button ${currentActivePage === 'arbitrage' ? 'active' : ''}`}
+                    title={t('nav.arbitrage')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.arbitrage')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.arbitrageShort')}</span>
+                  </button>
+                </div>
+
+                {/* Compare Items Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleCompareClick}
+                    className={`topbar-nav-button ${currentActivePage === 'compare' ? 'active' : ''}`}
+                    title={t('nav.compare')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.compare')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.compareShort')}</span>
+                  </button>
+                </div>
+
                 {/* Visual Separator */}
                 <div className="topbar-nav-separator"></div>
 
@@ -542,7 +814,7 @@ export default function TopBar({
                   <button
                     onClick={handleCraftingInspirationClick}
                     className={`topbar-nav-button ${currentActivePage === 'crafting-inspiration' ? 'active' : ''}`}
-                    title="製造職找價"
+                    title={t('nav.craftingInspirationTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -564,8 +836,34 @@ export default function TopBar({
                         d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">製造靈感</span>
-                    <span className="topbar-nav-text narrow-only">感</span>
+                    <span className="topbar-nav-text">{t('nav.craftingInspiration')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.craftingInspirationShort')}</span>
+                  </button>
+                </div>
+
+                {/* Gathering Inspiration Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleGatheringInspirationClick}
+                    className={`topbar-nav-button ${currentActivePage === 'gathering-inspiration' ? 'active' : ''}`}
+                    title={t('nav.gatheringInspirationTitle')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.gatheringInspiration')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.gatheringInspirationShort')}</span>
                   </button>
                 </div>
 
@@ -574,7 +872,7 @@ export default function TopBar({
                   <button
                     onClick={handleMSQPriceCheckerClick}
                     className={`topbar-nav-button ${currentActivePage === 'msq-price-checker' ? 'active' : ''}`}
-                    title="主線裝備查價"
+                    title={t('nav.msqTitle')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -590,8 +888,8 @@ export default function TopBar({
                         d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">主線裝備</span>
-                    <span className="topbar-nav-text narrow-only">裝備</span>
+                    <span className="topbar-nav-text">{t('nav.msq')}</span>
+                    <span className="topbar-nav-text narrow-only">{t('nav.msqShort')}</span>
                   </button>
                 </div>
 
@@ -600,7 +898,7 @@ export default function TopBar({
                   <button
                     onClick={onTaxRatesClick}
                     className="topbar-nav-button"
-                    title="查稅"
+                    title={t('nav.taxRates')}
                   >
                     <svg
                       xmlns="http://www.w3.org/2000/svg"
@@ -616,7 +914,32 @@ export default function TopBar({
                         d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <span className="topbar-nav-text">查稅</span>
+                    <span className="topbar-nav-text">{t('nav.taxRates')}</span>
+                  </button>
+                </div>
+
+                {/* Display Settings Button */}
+                <div className="topbar-nav-button-container">
+                  <button
+                    onClick={handleSettingsClick}
+                    className={`topbar-nav-button ${currentActivePage === 'settings' ? 'active' : ''}`}
+                    title={t('settings.title')}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="topbar-nav-icon"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"
+                      />
+                    </svg>
+                    <span className="topbar-nav-text">{t('nav.settings')}</span>
                   </button>
                 </div>
               </>
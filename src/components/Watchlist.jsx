@@ -0,0 +1,399 @@
+// Watchlist page - manage price alert rules polled by the watchlist scheduler
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Toast from './Toast';
+import TopBar from './TopBar';
+import ItemImage from './ItemImage';
+import TaxRatesModal from './TaxRatesModal';
+import { getItemById } from '../services/itemDatabase';
+import {
+  getWatchlist,
+  subscribeToWatchlist,
+  addWatchlistRule,
+  updateWatchlistRule,
+  removeWatchlistRule,
+  describeWatchlistRule,
+  WATCHLIST_RULE_TYPES,
+  WATCHLIST_QUALITIES,
+} from '../utils/watchlist';
+import { checkWatchlistNow, requestNotificationPermission } from '../utils/watchlistScheduler';
+import { formatRelativeTime, formatLocalTime } from '../utils/timeFormat';
+import { useTranslation } from '../hooks/useTranslation';
+
+export default function Watchlist({
+  addToast,
+  removeToast,
+  toasts,
+  worlds,
+  selectedWorld,
+  selectedServerOption,
+  onServerOptionChange,
+  serverOptions,
+  isServerDataLoaded,
+  onItemSelect,
+  onSearch,
+  searchText,
+  setSearchText,
+  isSearching,
+  onTaxRatesClick,
+  isTaxRatesModalOpen,
+  setIsTaxRatesModalOpen,
+  taxRates,
+  isLoadingTaxRates,
+}) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [rules, setRules] = useState(() => getWatchlist());
+  const [isChecking, setIsChecking] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(
+    typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+  );
+
+  // New rule form (opened with ?add=<itemId>, e.g. from the item page)
+  const [newItem, setNewItem] = useState(null);
+  const [newTarget, setNewTarget] = useState('');
+  const [newType, setNewType] = useState('minListingBelow');
+  const [newQuality, setNewQuality] = useState('any');
+  const [newThreshold, setNewThreshold] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = subscribeToWatchlist(setRules);
+
+    // Cross-tab sync
+    const handleStorageChange = (e) => {
+      if (e.key === 'market_tester_watchlist') {
+        setRules(getWatchlist());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorageChange);
+    };
+  }, []);
+
+  useEffect(() => {
+    const addId = parseInt(searchParams.get('add'), 10);
+    if (!addId || isNaN(addId)) {
+      setNewItem(null);
+      return;
+    }
+
+    let cancelled = false;
+    getItemById(addId, false).then(item => {
+      if (cancelled) return;
+      if (item) {
+        setNewItem(item);
+      } else {
+        addToast(t('watchlist.itemNotFound'), 'error');
+        setSearchParams({}, { replace: true });
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams, setSearchParams, addToast]);
+
+  // Default the target to the currently selected server/DC
+  useEffect(() => {
+    if (!newTarget && selectedServerOption) {
+      setNewTarget(String(selectedServerOption));
+    }
+  }, [selectedServerOption, newTarget]);
+
+  const getTargetName = useCallback((target) => {
+    if (selectedWorld && String(target) === String(selectedWorld.section)) {
+      return selectedWorld.section;
+    }
+    return worlds[target] || String(target);
+  }, [worlds, selectedWorld]);
+
+  const closeForm = () => {
+    setNewThreshold('');
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleAddRule = () => {
+    const threshold = Number(newThreshold);
+    if (!newItem || !newTarget) {
+      return;
+    }
+    if (!threshold || threshold <= 0 || (newType === 'belowAveragePercent' && threshold >= 100)) {
+      addToast(newType === 'belowAveragePercent' ? t('watchlist.invalidPercent') : t('watchlist.invalidPrice'), 'warning');
+      return;
+    }
+
+    const isWorld = !isNaN(Number(newTarget));
+    const rule = addWatchlistRule({
+      itemId: newItem.id,
+      itemName: newItem.name,
+      target: isWorld ? Number(newTarget) : newTarget,
+      targetName: getTargetName(newTarget),
+      type: newType,
+      quality: newQuality,
+      threshold,
+    });
+
+    if (rule) {
+      addToast(t('watchlist.added', { name: newItem.name }), 'success');
+      closeForm();
+    } else {
+      addToast(t('watchlist.addFailed'), 'error');
+    }
+  };
+
+  const handleCheckNow = async () => {
+    setIsChecking(true);
+    try {
+      const fired = await checkWatchlistNow();
+      addToast(fired > 0 ? t('watchlist.fired', { count: fired }) : t('watchlist.nothingFired'), fired > 0 ? 'warning' : 'info');
+    } catch (error) {
+      addToast(t('watchlist.checkFailed'), 'error');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleEnableNotifications = async () => {
+    const permission = await requestNotificationPermission();
+    setNotificationPermission(permission);
+    if (permission === 'granted') {
+      addToast(t('watchlist.notificationsEnabled'), 'success');
+    } else if (permission === 'denied') {
+      addToast(t('watchlist.notificationsBlocked'), 'warning');
+    }
+  };
+
+  const formatValue = (rule) => {
+    if (rule.lastValue === null || rule.lastValue === undefined) return '-';
+    return rule.type === 'belowAveragePercent'
+      ? `${rule.lastValue}%`
+      : rule.lastValue.toLocaleString();
+  };
+
+  const inputClass = 'px-3 py-2 bg-slate-900/50 border border-purple-500/30 rounded-lg text-white text-sm focus:outline-none focus:border-ffxiv-gold';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 via-purple-950/30 to-slate-950 text-white">
+      <TopBar
+        onSearch={onSearch}
+        isSearching={isSearching}
+        searchText={searchText}
+        setSearchText={setSearchText}
+        isServerDataLoaded={isServerDataLoaded}
+        selectedDcName={selectedWorld?.section}
+        onItemSelect={onItemSelect}
+        showNavigationButtons={true}
+        activePage="watchlist"
+        onTaxRatesClick={onTaxRatesClick}
+        onMSQPriceCheckerClick={() => {
+          setSearchText('');
+          navigate('/msq-price-checker');
+        }}
+        onCraftingInspirationClick={() => {
+          setSearchText('');
+          navigate('/crafting-inspiration');
+        }}
+        onAdvancedSearchClick={() => {
+          setSearchText('');
+          navigate('/advanced-search');
+        }}
+      />
+
+      {/* Toast Notifications */}
+      <div className="fixed right-2 mid:right-4 left-2 mid:left-auto z-50 space-y-2 max-w-sm mid:max-w-none top-[60px] mid:top-4">
+        {toasts.map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            onClose={() => removeToast(toast.id)}
+          />
+        ))}
+      </div>
+
+      <div className="pt-24 pb-8">
+        <div className="max-w-7xl mx-auto px-4">
+          {/* Header */}
+          <div className="mb-6 flex items-end justify-between flex-wrap gap-3">
+            <div>
+              <h1 className="text-3xl sm:text-4xl font-bold text-ffxiv-gold mb-2">
+                {t('watchlist.title')}
+              </h1>
+              <p className="text-gray-400 text-sm sm:text-base">
+                {t('watchlist.description')}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {notificationPermission !== 'granted' && notificationPermission !== 'unsupported' && (
+                <button
+                  onClick={handleEnableNotifications}
+                  className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors"
+                >
+                  {t('watchlist.enableNotifications')}
+                </button>
+              )}
+              <button
+                onClick={handleCheckNow}
+                disabled={isChecking || rules.length === 0}
+                className="text-xs px-3 py-1.5 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isChecking ? t('watchlist.checking') : t('watchlist.checkNow')}
+              </button>
+            </div>
+          </div>
+
+          {/* New Rule Form */}
+          {newItem && (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-ffxiv-gold/40 p-4 sm:p-6 mb-6">
+              <div className="flex items-center gap-3 mb-4">
+                <ItemImage itemId={newItem.id} alt={newItem.name} className="w-10 h-10 object-contain rounded border border-purple-500/30" />
+                <h2 className="text-lg font-semibold text-ffxiv-gold">{newItem.name}</h2>
+              </div>
+              <div className="flex flex-wrap items-end gap-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">{t('watchlist.form.server')}</label>
+                  <select value={newTarget} onChange={(e) => setNewTarget(e.target.value)} className={inputClass}>
+                    {serverOptions.map(option => (
+                      <option key={option} value={String(option)}>
+                        {getTargetName(option)}{selectedWorld && option === selectedWorld.section ? t('watchlist.form.wholeDataCenter') : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">{t('watchlist.form.condition')}</label>
+                  <select value={newType} onChange={(e) => setNewType(e.target.value)} className={inputClass}>
+                    {Object.entries(WATCHLIST_RULE_TYPES).map(([type, labelKey]) => (
+                      <option key={type} value={type}>{t(labelKey)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">{t('watchlist.form.quality')}</label>
+                  <select value={newQuality} onChange={(e) => setNewQuality(e.target.value)} className={inputClass}>
+                    {Object.entries(WATCHLIST_QUALITIES).map(([quality, label]) => (
+                      <option key={quality} value={quality}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">
+                    {newType === 'belowAveragePercent' ? t('watchlist.form.percentThreshold') : t('watchlist.form.priceThreshold')}
+                  </label>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    min="1"
+                    value={newThreshold}
+                    onChange={(e) => setNewThreshold(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddRule()}
+                    placeholder={newType === 'belowAveragePercent' ? '20' : '10000'}
+                    className={`${inputClass} w-32`}
+                  />
+                </div>
+                <button
+                  onClick={handleAddRule}
+                  className="px-4 py-2 bg-ffxiv-gold text-slate-900 rounded-lg text-sm font-semibold hover:bg-yellow-400 transition-colors"
+                >
+                  {t('watchlist.form.add')}
+                </button>
+                <button
+                  onClick={closeForm}
+                  className="px-4 py-2 bg-slate-800/60 border border-purple-500/30 rounded-lg text-sm text-gray-300 hover:border-purple-400/50 transition-colors"
+                >
+                  {t('watchlist.form.cancel')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Rules */}
+          {rules.length === 0 ? (
+            <div className="bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 rounded-lg border border-purple-500/20 p-12 text-center text-gray-400">
+              <div className="text-4xl mb-4">🔔</div>
+              <p className="text-sm">{t('watchlist.empty')}</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto bg-gradient-to-br from-slate-800/60 via-purple-900/20 to-slate-800/60 backdrop-blur-sm rounded-lg border border-purple-500/20">
+              <table className="w-full border-collapse text-sm min-w-[720px]">
+                <thead>
+                  <tr className="bg-gradient-to-r from-purple-900/40 via-pink-900/30 to-indigo-900/40 border-b border-purple-500/30">
+                    <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.item')}</th>
+                    <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.condition')}</th>
+                    <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.current')}</th>
+                    <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.status')}</th>
+                    <th className="px-3 py-2 text-left text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.lastChecked')}</th>
+                    <th className="px-3 py-2 text-right text-ffxiv-gold font-semibold text-xs">{t('watchlist.column.actions')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map(rule => (
+                    <tr key={rule.id} className={`border-b border-purple-500/20 hover:bg-purple-900/30 transition-colors ${rule.enabled ? '' : 'opacity-50'}`}>
+                      <td className="px-3 py-2">
+                        <button
+                          onClick={async () => {
+                            const item = await getItemById(rule.itemId);
+                            if (item) {
+                              onItemSelect(item);
+                            }
+                          }}
+                          className="flex items-center gap-2 text-left text-white hover:text-ffxiv-gold transition-colors"
+                        >
+                          <ItemImage itemId={rule.itemId} alt={rule.itemName} className="w-8 h-8 object-contain rounded border border-purple-500/30 flex-shrink-0" />
+                          <span className="text-xs">{rule.itemName || rule.itemId}</span>
+                        </button>
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-300">{describeWatchlistRule(rule)}</td>
+                      <td className="px-3 py-2 text-right text-xs text-green-400 whitespace-nowrap">{formatValue(rule)}</td>
+                      <td className="px-3 py-2 text-xs whitespace-nowrap">
+                        {!rule.enabled ? (
+                          <span className="text-gray-500">{t('watchlist.status.disabled')}</span>
+                        ) : rule.isTriggered ? (
+                          <span className="px-1.5 py-0.5 rounded bg-red-900/50 text-red-300 border border-red-500/40">{t('watchlist.status.triggered')}</span>
+                        ) : (
+                          <span className="text-emerald-400">{t('watchlist.status.watching')}</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-400 whitespace-nowrap" title={rule.lastCheckedAt ? formatLocalTime(rule.lastCheckedAt) : ''}>
+                        {rule.lastCheckedAt ? formatRelativeTime(rule.lastCheckedAt) : t('watchlist.neverChecked')}
+                      </td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => updateWatchlistRule(rule.id, { enabled: !rule.enabled, isTriggered: false })}
+                          className="text-xs px-2 py-1 bg-purple-800/60 hover:bg-purple-700/70 rounded border border-purple-500/40 transition-colors mr-2"
+                        >
+                          {rule.enabled ? t('watchlist.disable') : t('watchlist.enable')}
+                        </button>
+                        <button
+                          onClick={() => removeWatchlistRule(rule.id)}
+                          className="text-xs px-2 py-1 bg-red-900/40 hover:bg-red-800/60 rounded border border-red-500/40 text-red-300 transition-colors"
+                        >
+                          {t('watchlist.delete')}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Tax Rates Modal */}
+      <TaxRatesModal
+        isOpen={isTaxRatesModalOpen}
+        onClose={() => setIsTaxRatesModalOpen(false)}
+        taxRates={taxRates}
+        worlds={worlds}
+        isLoading={isLoadingTaxRates}
+        selectedWorld={selectedWorld}
+        selectedServerOption={selectedServerOption}
+        onServerOptionChange={onServerOptionChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// Gathering node types (GatheringPointBase type, absolute value - timed nodes are negative)
+
+// Node type icons (based on Teamcraft's NodeTypeIconPipe)
+export const NODE_TYPE_ICONS = {
+  0: 'https://xivapi.com/i/060000/060438.png', // Mining
+  1: 'https://xivapi.com/i/060000/060437.png', // Quarrying
+  2: 'https://xivapi.com/i/060000/060433.png', // Logging
+  3: 'https://xivapi.com/i/060000/060432.png', // Harvesting
+  4: 'https://xivapi.com/i/060000/060445.png', // Fishing
+  5: 'https://xivapi.com/i/060000/060465.png', // Spearfishing
+};
+
+// Node type name message keys (gathering.nodeType.*)
+export const NODE_TYPE_NAME_KEYS = {
+  0: 'gathering.nodeType.mining',
+  1: 'gathering.nodeType.quarrying',
+  2: 'gathering.nodeType.logging',
+  3: 'gathering.nodeType.harvesting',
+  4: 'gathering.nodeType.fishing',
+  5: 'gathering.nodeType.spearfishing',
+};
+
+// Message key for node types without a name of their own
+export const DEFAULT_NODE_TYPE_NAME_KEY = 'gathering.nodeType.default';
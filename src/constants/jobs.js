@@ -0,0 +1,14 @@
+// FFXIV job abbreviations by ClassJob ID (English, as used by equipment data and non-Chinese clients)
+export const JOB_ABBREVIATIONS = {
+  // Base classes (lower tier)
+  1: 'GLA', 2: 'PGL', 3: 'MRD', 4: 'LNC', 5: 'ARC', 6: 'CNJ', 7: 'THM',
+  // Production jobs
+  8: 'CRP', 9: 'BSM', 10: 'ARM', 11: 'GSM', 12: 'LTW', 13: 'WVR', 14: 'ALC', 15: 'CUL',
+  // Gathering jobs
+  16: 'MIN', 17: 'BTN', 18: 'FSH',
+  // Battle jobs (higher tier)
+  19: 'PLD', 20: 'MNK', 21: 'WAR', 22: 'DRG', 23: 'BRD', 24: 'WHM', 25: 'BLM',
+  26: 'ACN', 27: 'SMN', 28: 'SCH', 29: 'ROG', 30: 'NIN',
+  31: 'MCH', 32: 'DRK', 33: 'AST', 34: 'SAM', 35: 'RDM', 36: 'BLU',
+  37: 'GNB', 38: 'DNC', 39: 'RPR', 40: 'SGE', 41: 'VPR', 42: 'PCT',
+};
@@ -0,0 +1,31 @@
+// Languages, UI locales and home regions offered by the settings page (see utils/userSettings)
+
+// Display languages: item names are read from `table`.`column` (see json_converter/create_tables.sql)
+export const DISPLAY_LANGUAGES = [
+  { code: 'tw', label: '繁體中文', table: 'tw_items', column: 'tw' },
+  { code: 'cn', label: '简体中文', table: 'cn_items', column: 'zh' },
+  { code: 'en', label: 'English', table: 'en_items', column: 'en' },
+  { code: 'ja', label: '日本語', table: 'ja_items', column: 'ja' },
+  { code: 'ko', label: '한국어', table: 'ko_items', column: 'ko' },
+  { code: 'de', label: 'Deutsch', table: 'de_items', column: 'de' },
+  { code: 'fr', label: 'Français', table: 'fr_items', column: 'fr' },
+];
+
+// UI locales - message catalogs in src/i18n/locales
+export const UI_LOCALES = [
+  { code: 'zh-TW', label: '繁體中文' },
+  { code: 'zh-CN', label: '简体中文' },
+  { code: 'en', label: 'English' },
+];
+
+// Home regions - `key` is the region name used by the Universalis data-centers API,
+// `id` names the region's label in the i18n catalogs (settings.regions.<id>)
+export const HOME_REGIONS = [
+  { key: '繁中服', id: 'tw', defaultLanguage: 'tw' },
+  { key: '中国', id: 'cn', defaultLanguage: 'cn' },
+  { key: 'Japan', id: 'japan', defaultLanguage: 'ja' },
+  { key: 'North-America', id: 'northAmerica', defaultLanguage: 'en' },
+  { key: 'Europe', id: 'europe', defaultLanguage: 'en' },
+  { key: 'Oceania', id: 'oceania', defaultLanguage: 'en' },
+  { key: '한국', id: 'korea', defaultLanguage: 'ko' },
+];
@@ -0,0 +1,17 @@
+// Market tax - retainer cities and the rate used when a city's rate is unknown
+
+// Market tax (%) used when the city's rate is unknown (the usual rate)
+export const DEFAULT_TAX_RATE = 5;
+
+// Retainer cities (keys of the Universalis tax-rates response, e.g. "Ul'dah" with the apostrophe)
+// Display names live in the i18n catalogs under taxCities.<key>
+export const TAX_CITIES = [
+  { key: 'LimsaLominsa' },
+  { key: 'Gridania' },
+  { key: 'Ul\'dah' },
+  { key: 'Ishgard' },
+  { key: 'Kugane' },
+  { key: 'Crystarium' },
+  { key: 'OldSharlayan' },
+  { key: 'Tuliyollal' },
+];
@@ -0,0 +1,31 @@
+// Settings context - shares the user settings (utils/userSettings) with every component
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { getSettings, updateSettings, resetSettings, subscribeToSettings } from '../utils/userSettings';
+
+const SettingsContext = createContext(null);
+
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(getSettings);
+
+  useEffect(() => subscribeToSettings(setSettings), []);
+
+  const value = useMemo(() => ({ settings, updateSettings, resetSettings }), [settings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * Current settings and their setters
+ * @returns {{ settings: Object, updateSettings: Function, resetSettings: Function }}
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used inside SettingsProvider');
+  }
+  return context;
+}
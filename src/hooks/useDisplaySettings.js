@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { getDisplaySettings, subscribeToDisplaySettings } from '../utils/displaySettings';
+
+/**
+ * Custom hook returning the saved display settings, updated when they change
+ * @returns {{ locale: string, language: string, region: string }}
+ */
+export function useDisplaySettings() {
+  const [settings, setSettings] = useState(getDisplaySettings);
+
+  useEffect(() => subscribeToDisplaySettings(setSettings), []);
+
+  return settings;
+}
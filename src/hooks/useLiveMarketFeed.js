@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeToMarketEvents, subscribeToLiveStatus } from '../services/universalisLive';
+
+let liveKeyCounter = 0;
+
+function nextLiveKey() {
+  liveKeyCounter++;
+  return `live-${liveKeyCounter}`;
+}
+
+/**
+ * Custom hook keeping the item page listings and sale history up to date from the Universalis WebSocket feed
+ * Rows added by an event carry `liveAt` (the tables flash them) and a stable `liveKey`
+ * @param {Object} params
+ * @param {boolean} params.enabled - Listen only while true (item loaded, live mode on)
+ * @param {number} params.itemId - Viewed item
+ * @param {string} params.itemName - Name put on added rows
+ * @param {Array<number>} params.worldIds - Worlds of the viewed server option (one world or every world of the DC)
+ * @param {Object} params.worlds - { worldId: name }
+ * @param {number} params.listSize - Rows kept in each table
+ * @param {boolean} params.hqOnly - Ignore NQ listings and sales
+ * @param {Function} params.setMarketListings - State setter of the listings table
+ * @param {Function} params.setMarketHistory - State setter of the sale history table
+ * @returns {string} - Connection status: 'idle' | 'connecting' | 'open' | 'closed'
+ */
+export function useLiveMarketFeed({ enabled, itemId, itemName, worldIds, worlds, listSize, hqOnly, setMarketListings, setMarketHistory }) {
+  const [status, setStatus] = useState('idle');
+  // Latest values read by the event handler without resubscribing
+  const optionsRef = useRef({});
+  optionsRef.current = { itemName, worlds, listSize, hqOnly };
+
+  const worldKey = (worldIds || []).join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeToLiveStatus(setStatus);
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || !itemId || !worldKey) return undefined;
+
+    const handleEvent = (message) => {
+      const { itemName: name, worlds: worldNames, listSize: size, hqOnly: onlyHq } = optionsRef.current;
+      const worldName = worldNames?.[message.world] || String(message.world);
+      const liveAt = Date.now();
+
+      if (message.event === 'listings/add' || message.event === 'listings/remove') {
+        const changed = (message.listings || []).filter(listing => !onlyHq || listing.hq);
+        if (changed.length === 0) return;
+        const changedIds = new Set(changed.map(listing => listing.listingID));
+
+        setMarketListings(prev => {
+          const kept = prev.filter(listing => !listing.listingId || !changedIds.has(listing.listingId));
+          if (message.event === 'listings/remove') {
+            return kept.length === prev.length ? prev : kept;
+          }
+          const added = changed.map(listing => ({
+            listingId: listing.listingID,
+            itemName: name,
+            pricePerUnit: listing.pricePerUnit,
+            quantity: listing.quantity,
+            total: listing.total ?? listing.pricePerUnit * listing.quantity,
+            retainerName: listing.retainerName,
+            worldName,
+            hq: listing.hq || false,
+            liveKey: nextLiveKey(),
+            liveAt,
+          }));
+          return [...kept, ...added]
+            .sort((a, b) => a.pricePerUnit - b.pricePerUnit)
+            .slice(0, size);
+        });
+        return;
+      }
+
+      if (message.event === 'sales/add') {
+        const sales = (message.sales || []).filter(sale => !onlyHq || sale.hq);
+        if (sales.length === 0) return;
+        const added = sales.map(sale => ({
+          itemName: name,
+          pricePerUnit: sale.pricePerUnit,
+          quantity: sale.quantity,
+          total: sale.total ?? sale.pricePerUnit * sale.quantity,
+          buyerName: sale.buyerName,
+          worldName,
+          timestamp: sale.timestamp,
+          hq: sale.hq || false,
+          liveKey: nextLiveKey(),
+          liveAt,
+        }));
+        setMarketHistory(prev => [...added, ...prev]
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, size));
+      }
+    };
+
+    return subscribeToMarketEvents({
+      itemId,
+      worldIds: worldKey.split(',').map(Number),
+      onEvent: handleEvent,
+    });
+  }, [enabled, itemId, worldKey, setMarketListings, setMarketHistory]);
+
+  return enabled ? status : 'idle';
+}
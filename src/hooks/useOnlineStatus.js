@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook tracking whether the browser reports a network connection
+ * @returns {boolean} - false while offline
+ */
+export function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+import { t, formatNumber, getLocale, subscribeToLocale } from '../i18n';
+
+/**
+ * Custom hook for translated UI text - re-renders the component when the UI locale changes
+ * @returns {{ t: Function, formatNumber: Function, locale: string }}
+ */
+export function useTranslation() {
+  const [locale, setLocale] = useState(getLocale);
+
+  useEffect(() => {
+    // The locale may have switched between the first render and subscribing
+    setLocale(getLocale());
+    return subscribeToLocale(setLocale);
+  }, []);
+
+  return { t, formatNumber, locale };
+}
@@ -0,0 +1,171 @@
+// UI message catalogs - locale switching, interpolation, pluralization and number formatting
+// Catalogs live in ./locales/<locale>.json. zh-TW is bundled (it is the default and the fallback for
+// missing keys); other locales are loaded on first use. `npm run check:i18n` lists missing keys.
+//
+// Message format:
+//   "key": "文字 {name}"                                  - {name} is replaced from params
+//   "key": { "one": "{count} item", "other": "{count} items" } - plural forms picked with Intl.PluralRules by params.count
+import zhTW from './locales/zh-TW.json';
+import { UI_LOCALES, getDisplaySettings, subscribeToDisplaySettings } from '../utils/displaySettings';
+
+export const DEFAULT_LOCALE = 'zh-TW';
+export const SUPPORTED_LOCALES = UI_LOCALES.map(locale => locale.code);
+
+const PLURAL_CATEGORIES = new Set(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+const catalogLoaders = import.meta.glob(['./locales/*.json', '!./locales/zh-TW.json'], { import: 'default' });
+
+// locale → loaded catalog
+const catalogs = new Map([[DEFAULT_LOCALE, zhTW]]);
+// locale → in-flight load promise
+const loadingCatalogs = new Map();
+// Missing keys already reported (warned once per locale + key)
+const reportedMissingKeys = new Set();
+
+let currentLocale = DEFAULT_LOCALE;
+const listeners = new Set();
+
+// Intl formatters are relatively expensive to create
+const pluralRulesCache = new Map();
+const numberFormatCache = new Map();
+
+/**
+ * Load the catalog of a locale (cached)
+ * @param {string} locale
+ * @returns {Promise<Object>}
+ */
+async function loadCatalog(locale) {
+  if (catalogs.has(locale)) return catalogs.get(locale);
+  if (loadingCatalogs.has(locale)) return loadingCatalogs.get(locale);
+
+  const loader = catalogLoaders[`./locales/${locale}.json`];
+  if (!loader) {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+
+  const promise = loader()
+    .then(catalog => {
+      catalogs.set(locale, catalog);
+      return catalog;
+    })
+    .finally(() => loadingCatalogs.delete(locale));
+  loadingCatalogs.set(locale, promise);
+  return promise;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function isPluralMessage(message) {
+  return message && typeof message === 'object' && typeof message.other === 'string'
+    && Object.keys(message).every(category => PLURAL_CATEGORIES.has(category));
+}
+
+function getPluralRules(locale) {
+  if (!pluralRulesCache.has(locale)) {
+    pluralRulesCache.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRulesCache.get(locale);
+}
+
+function reportMissingKey(locale, key) {
+  const reportKey = `${locale}|${key}`;
+  if (reportedMissingKeys.has(reportKey)) return;
+  reportedMissingKeys.add(reportKey);
+  if (import.meta.env.DEV) {
+    console.warn(`[i18n] Missing message "${key}" for ${locale}`);
+  }
+}
+
+/**
+ * Current UI locale
+ * @returns {string}
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch the UI locale - the catalog is loaded first, then listeners are notified
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @returns {Promise<void>}
+ */
+export async function setLocale(locale) {
+  const nextLocale = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  try {
+    await loadCatalog(nextLocale);
+  } catch (error) {
+    console.error(`Failed to load ${nextLocale} messages:`, error);
+    return;
+  }
+  if (nextLocale === currentLocale) return;
+  currentLocale = nextLocale;
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = nextLocale;
+  }
+  listeners.forEach(callback => callback(currentLocale));
+}
+
+/**
+ * Subscribe to locale changes
+ * @param {Function} callback - Called with the new locale
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToLocale(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Translate a message key
+ * Falls back to zh-TW, then to the key itself, when the current catalog lacks it
+ * @param {string} key - Dotted key, e.g. 'msq.slot.MainHand'
+ * @param {Object} params - Interpolation values; `count` also selects the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = lookup(catalogs.get(currentLocale), key);
+  if (message === undefined) {
+    reportMissingKey(currentLocale, key);
+    message = lookup(catalogs.get(DEFAULT_LOCALE), key);
+  }
+  if (message === undefined) {
+    return key;
+  }
+
+  if (isPluralMessage(message)) {
+    const category = typeof params.count === 'number' ? getPluralRules(currentLocale).select(params.count) : 'other';
+    message = message[category] ?? message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * Format a number for the current locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return '-';
+  const cacheKey = `${currentLocale}|${JSON.stringify(options)}`;
+  if (!numberFormatCache.has(cacheKey)) {
+    numberFormatCache.set(cacheKey, new Intl.NumberFormat(currentLocale, options));
+  }
+  return numberFormatCache.get(cacheKey).format(value);
+}
+
+// Follow the UI locale of the display settings
+setLocale(getDisplaySettings().locale);
+subscribeToDisplaySettings(settings => {
+  setLocale(settings.locale);
+});
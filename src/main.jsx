@@ -2,6 +2,7 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { SettingsProvider } from './contexts/SettingsContext'
 import './styles/main.css'
 import { initializeSupabaseConnection } from './services/supabaseClient'
 
@@ -13,6 +14,15 @@ initializeSupabaseConnection().then(() => {
   console.log(`[App] ⚡ Application ready (init time: ${appInitTime.toFixed(2)}ms)`);
 });
 
+// Register the offline service worker (emitted by the build only, see vite.config.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+      console.warn('[App] ⚠️ Service worker registration failed:', error);
+    });
+  });
+}
+
 // Disable browser scroll restoration
 if ('scrollRestoration' in history) {
   history.scrollRestoration = 'manual';
@@ -34,6 +44,8 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       v7_relativeSplatPath: true
     }}
   >
-    <App />
+    <SettingsProvider>
+      <App />
+    </SettingsProvider>
   </BrowserRouter>
 )
@@ -0,0 +1,126 @@
+// Crafting profit report - material cost (cheapest buy-or-craft) and profit of many crafted items at once
+// Used by the crafting inspiration deep mode
+import { buildCraftingTree } from './recipeDatabase';
+import { fetchAggregatedData, getAggregatedMarketData } from './universalis';
+import { calculateCraftingCost } from '../utils/craftingCost';
+import { DEFAULT_TAX_RATE } from '../constants/marketTax';
+import { getExpectedSale, calculateCraftingProfit } from '../utils/craftingProfit';
+
+// Items analysed per step (each tree needs its own recipe lookups, prices are fetched per step)
+const REPORT_BATCH_SIZE = 20;
+
+function collectItemIds(node, ids) {
+  ids.add(node.itemId);
+  (node.children || []).forEach(child => collectItemIds(child, ids));
+  return ids;
+}
+
+/**
+ * Build a crafting tree for every item and work out what crafting and selling it earns
+ * @param {Array<number>} itemIds - Crafted item IDs
+ * @param {string|number} worldDcRegion - World ID or DC name prices are taken from
+ * @param {Object} worlds - { worldId: name }
+ * @param {Object} options
+ * @param {boolean} options.isDcQuery - Whether worldDcRegion is a DC
+ * @param {boolean} options.excludeCrystals - Leave crystals out of the material cost (default true)
+ * @param {Object|null} options.crafterLevels - Crafter levels (see buildCraftingTree); null allows every recipe
+ * @param {number} options.taxRate - Market tax in % (default DEFAULT_TAX_RATE)
+ * @param {AbortSignal} options.signal - Stops after the current step
+ * @param {Function} options.onProgress - Called after each step with (doneCount, totalCount, rowsSoFar)
+ * @returns {Promise<Object>} - { itemId: row }, row:
+ *   { itemId, mustBuy, costPerUnit, yields, salePrice, isHQ, velocity, profitPerUnit, profitPerDay, roi }
+ *   Profit fields are null when the item cannot be crafted or priced
+ */
+export async function buildCraftingProfitReport(itemIds, worldDcRegion, worlds = {}, options = {}) {
+  const {
+    isDcQuery = false,
+    excludeCrystals = true,
+    crafterLevels = null,
+    taxRate = DEFAULT_TAX_RATE,
+    signal,
+    onProgress,
+  } = options;
+  const scope = isDcQuery ? 'dc' : 'world';
+  const rows = {};
+
+  for (let i = 0; i < itemIds.length; i += REPORT_BATCH_SIZE) {
+    if (signal?.aborted) break;
+
+    const batch = itemIds.slice(i, i + REPORT_BATCH_SIZE);
+    const trees = await Promise.all(
+      batch.map(itemId =>
+        buildCraftingTree(itemId, 1, new Set(), 0, excludeCrystals, { crafterLevels }).catch(error => {
+          console.error(`Failed to build crafting tree for ${itemId}:`, error);
+          return null;
+        })
+      )
+    );
+
+    const treeItemIds = new Set();
+    trees.forEach(tree => tree && collectItemIds(tree, treeItemIds));
+
+    let itemPrices = {};
+    const rawResults = {};
+    try {
+      itemPrices = await getAggregatedMarketData(worldDcRegion, [...treeItemIds], worlds, { signal });
+      // Raw data of the crafted items for the HQ / NQ sale price (already cached by the call above)
+      const raw = await fetchAggregatedData(worldDcRegion, batch, { signal });
+      (raw?.results || []).forEach(item => {
+        rawResults[item.itemId] = item;
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'CanceledError') break;
+      console.error('Failed to fetch prices for profit report:', error);
+    }
+
+    batch.forEach((itemId, index) => {
+      const tree = trees[index];
+      const row = {
+        itemId,
+        mustBuy: !!tree?.mustBuy,
+        costPerUnit: null,
+        yields: tree?.yields || 1,
+        salePrice: null,
+        isHQ: false,
+        velocity: 0,
+        profitPerUnit: null,
+        profitPerDay: null,
+        roi: null,
+      };
+
+      const sale = getExpectedSale(rawResults[itemId], scope);
+      if (sale) {
+        row.salePrice = sale.price;
+        row.isHQ = sale.isHQ;
+        row.velocity = sale.velocity;
+      }
+
+      if (tree && !tree.mustBuy) {
+        const cost = calculateCraftingCost(tree, itemPrices, treeItemIds);
+        if (typeof cost === 'number') {
+          row.costPerUnit = cost;
+          if (sale) {
+            const profit = calculateCraftingProfit({
+              costPerUnit: cost,
+              yields: row.yields,
+              salePrice: sale.price,
+              taxRate,
+              velocity: sale.velocity,
+            });
+            row.profitPerUnit = profit.profitPerUnit;
+            row.profitPerDay = profit.profitPerDay;
+            row.roi = profit.roi;
+          }
+        }
+      }
+
+      rows[itemId] = row;
+    });
+
+    if (onProgress) {
+      onProgress(Math.min(i + REPORT_BATCH_SIZE, itemIds.length), itemIds.length, { ...rows });
+    }
+  }
+
+  return rows;
+}
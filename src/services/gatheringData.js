@@ -0,0 +1,199 @@
+// Gathering data service - lazy loads Teamcraft gathering / fishing data (nodes, fishing spots, levels)
+
+let gatherableItemIdsCache = null;
+let gatherableItemIdsPromise = null;
+
+/**
+ * Get the IDs of every item that can be gathered (mining, botany or fishing)
+ * The JSON files are only loaded on first use
+ * @returns {Promise<Set<number>>} - Gatherable item IDs
+ */
+export async function getGatherableItemIds() {
+  if (gatherableItemIdsCache) {
+    return gatherableItemIdsCache;
+  }
+
+  if (!gatherableItemIdsPromise) {
+    gatherableItemIdsPromise = (async () => {
+      const [gatheringItemsModule, fishingSourcesModule] = await Promise.all([
+        // FILE SIZE: ~270KB
+        import('../../teamcraft_git/libs/data/src/lib/json/gathering-items.json'),
+        import('../../teamcraft_git/libs/data/src/lib/json/fishing-sources.json'),
+      ]);
+
+      const ids = new Set();
+      Object.values(gatheringItemsModule.default).forEach(entry => {
+        if (entry?.itemId) {
+          ids.add(entry.itemId);
+        }
+      });
+      Object.keys(fishingSourcesModule.default).forEach(itemId => {
+        ids.add(Number(itemId));
+      });
+
+      gatherableItemIdsCache = ids;
+      return ids;
+    })().catch(error => {
+      // Allow a retry on the next call
+      gatherableItemIdsPromise = null;
+      throw error;
+    });
+  }
+
+  return gatherableItemIdsPromise;
+}
+
+// Gathering jobs by node type (negative types are timed nodes, handled by absolute value)
+// 0 mining / 1 quarrying → MIN, 2 logging / 3 harvesting → BTN, 4 fishing / 5 spearfishing → FSH
+const NODE_TYPE_JOBS = {
+  0: 'MIN',
+  1: 'MIN',
+  2: 'BTN',
+  3: 'BTN',
+  4: 'FSH',
+  5: 'FSH',
+};
+
+let gatheringSourcesCache = null;
+let gatheringSourcesPromise = null;
+
+/**
+ * Get where every gatherable item comes from
+ * Node items get their level from gathering-items.json; fish use the lowest level of their fishing spots.
+ * The JSON files are only loaded on first use
+ * @returns {Promise<Map<number, Object>>} - itemId → {
+ *   itemId, jobs: ['MIN'|'BTN'|'FSH'], level, stars,
+ *   locations: [{ kind: 'node'|'fishing', id, type, level, zoneName, spotName, mapId, x, y, limited }]
+ * }
+ */
+export async function getGatheringSources() {
+  if (gatheringSourcesCache) {
+    return gatheringSourcesCache;
+  }
+
+  if (!gatheringSourcesPromise) {
+    gatheringSourcesPromise = (async () => {
+      const [
+        gatheringItemsModule,
+        nodesModule,
+        gatheringLevelsModule,
+        fishingSourcesModule,
+        fishingSpotsModule,
+        twPlacesModule,
+      ] = await Promise.all([
+        // FILE SIZE: ~270KB
+        import('../../teamcraft_git/libs/data/src/lib/json/gathering-items.json'),
+        // FILE SIZE: ~370KB
+        import('../../teamcraft_git/libs/data/src/lib/json/nodes.json'),
+        import('../../teamcraft_git/libs/data/src/lib/json/gathering-levels.json'),
+        // FILE SIZE: ~450KB
+        import('../../teamcraft_git/libs/data/src/lib/json/fishing-sources.json'),
+        import('../../teamcraft_git/libs/data/src/lib/json/fishing-spots.json'),
+        // FILE SIZE: ~210KB
+        import('../../teamcraft_git/libs/data/src/lib/json/tw/tw-places.json'),
+      ]);
+
+      const gatheringLevels = gatheringLevelsModule.default;
+      const twPlaces = twPlacesModule.default;
+      const getPlaceName = (placeId) => (placeId ? twPlaces[placeId]?.tw || null : null);
+
+      const sources = new Map();
+      const getSource = (itemId) => {
+        if (!sources.has(itemId)) {
+          sources.set(itemId, { itemId, jobs: [], level: 0, stars: 0, locations: [] });
+        }
+        return sources.get(itemId);
+      };
+      const addJob = (source, job) => {
+        if (!source.jobs.includes(job)) {
+          source.jobs.push(job);
+        }
+      };
+
+      Object.values(gatheringItemsModule.default).forEach(entry => {
+        if (!entry?.itemId) return;
+        const source = getSource(entry.itemId);
+        // Some items have several gathering entries (e.g. normal and hidden) - keep the lowest level
+        if (!source.level || entry.level < source.level) {
+          source.level = entry.level;
+          source.stars = entry.stars || 0;
+        }
+      });
+
+      Object.entries(nodesModule.default).forEach(([nodeId, node]) => {
+        const job = NODE_TYPE_JOBS[Math.abs(node.type)];
+        const itemIds = [...(node.items || []), ...(node.hiddenItems || [])];
+        if (!job || itemIds.length === 0) return;
+        const location = {
+          kind: 'node',
+          id: Number(nodeId),
+          type: Math.abs(node.type),
+          // Nodes without their own level fall back to their gathering point base level
+          level: node.level || gatheringLevels[node.base] || 0,
+          zoneName: getPlaceName(node.zoneid),
+          spotName: null,
+          mapId: node.map || null,
+          x: node.x ?? null,
+          y: node.y ?? null,
+          limited: node.limited === true,
+        };
+        itemIds.forEach(itemId => {
+          const source = getSource(itemId);
+          addJob(source, job);
+          source.locations.push(location);
+        });
+      });
+
+      const spotsById = {};
+      fishingSpotsModule.default.forEach(spot => {
+        spotsById[spot.id] = spot;
+      });
+      Object.entries(fishingSourcesModule.default).forEach(([itemId, entries]) => {
+        const source = getSource(Number(itemId));
+        addJob(source, 'FSH');
+        const seenSpots = new Set();
+        (entries || []).forEach(entry => {
+          const spot = spotsById[entry.spot];
+          if (!spot || seenSpots.has(spot.id)) return;
+          seenSpots.add(spot.id);
+          source.locations.push({
+            kind: 'fishing',
+            id: spot.id,
+            type: 4,
+            level: spot.level || 0,
+            // Fishing spots name the area in placeId and the spot itself in zoneId
+            zoneName: getPlaceName(spot.placeId),
+            spotName: getPlaceName(spot.zoneId),
+            mapId: spot.mapId || null,
+            x: spot.coords?.x ?? null,
+            y: spot.coords?.y ?? null,
+            limited: false,
+          });
+        });
+      });
+
+      // Items without a gathering log level (fish) take the lowest level of their locations
+      sources.forEach((source, itemId) => {
+        if (source.jobs.length === 0) {
+          // Listed in gathering-items.json but not found on any node
+          sources.delete(itemId);
+          return;
+        }
+        if (!source.level) {
+          const levels = source.locations.map(location => location.level).filter(level => level > 0);
+          source.level = levels.length > 0 ? Math.min(...levels) : 0;
+        }
+        source.locations.sort((a, b) => a.level - b.level);
+      });
+
+      gatheringSourcesCache = sources;
+      return sources;
+    })().catch(error => {
+      // Allow a retry on the next call
+      gatheringSourcesPromise = null;
+      throw error;
+    });
+  }
+
+  return gatheringSourcesPromise;
+}
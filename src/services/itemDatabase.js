@@ -19,7 +19,8 @@
  */
 
 import { convertSimplifiedToTraditional, convertTraditionalToSimplified, isTraditionalChinese, containsChinese } from '../utils/chineseConverter';
-import { getTwItems, getTwItemDescriptions, searchTwItems, searchCnItems, searchKoItems, searchEnItems, searchJaItems, searchDeItems, searchFrItems } from './supabaseData';
+import { getTwItems, getTwItemDescriptions, searchTwItems, searchCnItems, searchKoItems, searchEnItems, searchJaItems, searchDeItems, searchFrItems, getLocalizedItemNamesByIds } from './supabaseData';
+import { getDisplaySettings } from '../utils/displaySettings';
 
 let itemsDatabase = null;
 let shopItemsDatabase = null;
@@ -722,6 +723,54 @@ function transformSearchResultsToItems(searchResults, shopItems, shopItemIds, ma
  * @param {AbortSignal} signal - Optional abort signal to cancel the request
  */
 export async function searchItems(searchText, fuzzy = false, signal = null) {
+  const searchResult = await searchItemsByName(searchText, fuzzy, signal);
+  return {
+    ...searchResult,
+    results: await localizeItemNames(searchResult.results, signal),
+  };
+}
+
+/**
+ * Show items in the saved display language (utils/displaySettings)
+ * The display name goes to `name` and `searchLanguageName` (shown above the TW name on the item page);
+ * `nameTW` is kept. TW display language returns the items unchanged
+ * @param {Array} items - Items with { id, name, nameTW }
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Array>}
+ */
+export async function localizeItemNames(items, signal = null) {
+  const { language } = getDisplaySettings();
+  if (language === 'tw' || !items || items.length === 0) {
+    return items;
+  }
+
+  try {
+    const names = await getLocalizedItemNamesByIds(items.map(item => item.id), language, signal);
+    return items.map(item => {
+      const localizedName = names[item.id];
+      if (!localizedName) return item;
+      return {
+        ...item,
+        name: localizedName,
+        searchLanguageName: localizedName !== item.nameTW ? localizedName : null,
+      };
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Failed to localize item names:', error);
+    return items;
+  }
+}
+
+/**
+ * Search implementation of searchItems, without display-language localization
+ * Results carry the names of the language that matched (TW, or the search language for non-TW input),
+ * so callers comparing the typed text against names should filter these and localize afterwards
+ * @param {string} searchText - Search text
+ * @param {boolean} fuzzy - See searchItems
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ */
+export async function searchItemsByName(searchText, fuzzy = false, signal = null) {
   if (!searchText || searchText.trim() === '') {
     return {
       results: [],
@@ -1373,10 +1422,10 @@ export async function getItemById(itemId, includeDescription = true) {
     
     // Create item object matching expected format
     const cleanName = itemName.replace(/^["']|["']$/g, '').trim();
-    return {
+    const [item] = await localizeItemNames([{
       id: itemId,
       name: cleanName,
-      nameTW: cleanName, // TW name (same as name for getItemById since it's always TW)
+      nameTW: cleanName, // TW name (name is replaced below when another display language is set)
       searchLanguageName: null, // No search language name for direct ID lookup
       description: description.replace(/^["']|["']$/g, '').trim(),
       itemLevel: '',
@@ -1384,7 +1433,8 @@ export async function getItemById(itemId, includeDescription = true) {
       inShop: false,
       canBeHQ: true,
       isTradable: true,
-    };
+    }]);
+    return item;
   } catch (error) {
     console.error(`Error fetching item ${itemId} from Supabase:`, error);
     // Don't fallback to full database load - it's too expensive
@@ -0,0 +1,77 @@
+// Market snapshots - the last market data fetched for each visited item, kept for offline use
+// Stored in the persistent IndexedDB cache under its own namespace (not a Supabase table,
+// so the data version check never clears it)
+import { getPersistentEntries, setPersistentEntries, getPersistentKeys, deletePersistentEntries } from './persistentCache';
+
+const SNAPSHOT_NAMESPACE = 'market_snapshots';
+
+// Snapshots hold whole listing / history tables, so only the most recently fetched items are kept:
+// once there are more than MAX_SNAPSHOTS, the oldest are dropped down to PRUNED_SNAPSHOTS
+// (the gap means the values only have to be read for a prune every so many visits)
+const MAX_SNAPSHOTS = 200;
+const PRUNED_SNAPSHOTS = 150;
+
+/**
+ * Drop the oldest snapshots (by fetchedAt) when there are more than MAX_SNAPSHOTS
+ * @returns {Promise<void>}
+ */
+async function pruneMarketSnapshots() {
+  const itemIds = await getPersistentKeys(SNAPSHOT_NAMESPACE);
+  if (itemIds.length <= MAX_SNAPSHOTS) {
+    return;
+  }
+
+  const snapshots = await getPersistentEntries(SNAPSHOT_NAMESPACE, itemIds);
+  const oldestFirst = itemIds.sort((a, b) => (snapshots.get(a)?.fetchedAt || 0) - (snapshots.get(b)?.fetchedAt || 0));
+  await deletePersistentEntries(SNAPSHOT_NAMESPACE, oldestFirst.slice(0, itemIds.length - PRUNED_SNAPSHOTS));
+}
+
+/**
+ * Save the market data that was just shown for an item (replaces the previous snapshot)
+ * Only the MAX_SNAPSHOTS most recently fetched items are kept
+ * @param {number} itemId - Item ID
+ * @param {Object} snapshot - { server, serverName, lastUploadTime, listings, history }
+ *   listings/history in the shape the item page renders (MarketListings / MarketHistory)
+ * @returns {Promise<void>}
+ */
+export async function saveMarketSnapshot(itemId, snapshot) {
+  if (!itemId || !snapshot) {
+    return;
+  }
+  await setPersistentEntries(SNAPSHOT_NAMESPACE, [[itemId, { ...snapshot, itemId, fetchedAt: Date.now() }]]);
+  await pruneMarketSnapshots();
+}
+
+/**
+ * Get the last market snapshot of an item
+ * @param {number} itemId - Item ID
+ * @returns {Promise<Object|null>} - { itemId, server, serverName, fetchedAt (ms), lastUploadTime, listings, history }
+ */
+export async function getMarketSnapshot(itemId) {
+  const snapshots = await getMarketSnapshots([itemId]);
+  return snapshots[itemId] || null;
+}
+
+/**
+ * Get the last market snapshots of several items
+ * @param {Array<number>} itemIds - Item IDs
+ * @returns {Promise<Object>} - { itemId: snapshot } for items that have one
+ */
+export async function getMarketSnapshots(itemIds) {
+  const result = {};
+  const found = await getPersistentEntries(SNAPSHOT_NAMESPACE, itemIds);
+  found.forEach((snapshot, itemId) => {
+    result[itemId] = snapshot;
+  });
+  return result;
+}
+
+/**
+ * Lowest listed price of a snapshot
+ * @param {Object} snapshot - Market snapshot
+ * @returns {number|null}
+ */
+export function getSnapshotMinPrice(snapshot) {
+  const prices = (snapshot?.listings || []).map(listing => listing.pricePerUnit).filter(price => price > 0);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
@@ -0,0 +1,291 @@
+/**
+ * Persistent Cache Service
+ *
+ * IndexedDB layer under the *ByIds() lookups in supabaseData.js, so repeat visits
+ * can answer ilvls, rarities, item_patch, ui_categories, recipes and item names
+ * without a Supabase round trip. marketSnapshots.js also keeps the last market
+ * data of visited items here (under a namespace that is not a Supabase table).
+ *
+ * Entries are stored per table and per item ID. Each table is versioned by the
+ * content_hash that json_converter/sync_smart.js writes to _sync_metadata:
+ * when the hash changes, every cached entry of that table is dropped.
+ *
+ * Every function degrades to "cache miss" when IndexedDB is unavailable
+ * (private mode, old browsers) or fails - callers always fall back to Supabase.
+ */
+
+import { supabase } from './supabaseClient';
+
+const DB_NAME = 'market_tester_cache';
+// Bump when the object store layout changes (drops the whole cache)
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const VERSIONS_STORE = 'versions';
+const METADATA_TABLE = '_sync_metadata';
+
+let dbPromise = null;
+let versionCheckPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (or create) the cache database
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is not available
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      console.warn('[PersistentCache] ⚠️ IndexedDB unavailable:', error);
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Layout changed - start from scratch
+      Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+      const entries = db.createObjectStore(ENTRIES_STORE, { keyPath: ['table', 'key'] });
+      entries.createIndex('table', 'table', { unique: false });
+      db.createObjectStore(VERSIONS_STORE, { keyPath: 'table' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('[PersistentCache] ⚠️ Failed to open IndexedDB:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Delete all cached entries of one table
+ */
+async function deleteTableEntries(db, tableName) {
+  const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+  const index = transaction.objectStore(ENTRIES_STORE).index('table');
+  const keys = await requestToPromise(index.getAllKeys(IDBKeyRange.only(tableName)));
+  const store = transaction.objectStore(ENTRIES_STORE);
+  keys.forEach(key => store.delete(key));
+  await transactionDone(transaction);
+}
+
+/**
+ * Compare cached table versions with _sync_metadata and drop tables that changed
+ * Runs once per page load; if metadata cannot be fetched (offline), the cache is kept as is
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function ensureDataVersions() {
+  if (versionCheckPromise) {
+    return versionCheckPromise;
+  }
+
+  versionCheckPromise = (async () => {
+    const db = await openDatabase();
+    if (!db) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from(METADATA_TABLE)
+        .select('table_name, content_hash');
+
+      if (error || !data) {
+        console.warn('[PersistentCache] ⚠️ Could not read data versions, keeping cached data:', error);
+        return db;
+      }
+
+      const storedVersions = await requestToPromise(
+        db.transaction(VERSIONS_STORE, 'readonly').objectStore(VERSIONS_STORE).getAll()
+      );
+      const storedByTable = {};
+      storedVersions.forEach(row => {
+        storedByTable[row.table] = row.version;
+      });
+
+      const changedTables = data.filter(row => storedByTable[row.table_name] !== row.content_hash);
+      for (const row of changedTables) {
+        if (storedByTable[row.table_name] !== undefined) {
+          console.log(`[PersistentCache] 🔄 ${row.table_name} has a new data version, clearing cached entries`);
+        }
+        await deleteTableEntries(db, row.table_name);
+      }
+
+      if (changedTables.length > 0) {
+        const transaction = db.transaction(VERSIONS_STORE, 'readwrite');
+        const store = transaction.objectStore(VERSIONS_STORE);
+        changedTables.forEach(row => {
+          store.put({ table: row.table_name, version: row.content_hash });
+        });
+        await transactionDone(transaction);
+      }
+    } catch (error) {
+      console.warn('[PersistentCache] ⚠️ Version check failed, keeping cached data:', error);
+    }
+
+    return db;
+  })();
+
+  return versionCheckPromise;
+}
+
+/**
+ * Read cached entries for a table
+ * @param {string} tableName - Supabase table name (used as cache namespace and version key)
+ * @param {Array<number|string>} keys - Keys to look up (usually item IDs)
+ * @returns {Promise<Map>} - key → cached value, only for keys found in the cache
+ */
+export async function getPersistentEntries(tableName, keys) {
+  const found = new Map();
+  if (!keys || keys.length === 0) {
+    return found;
+  }
+
+  const db = await ensureDataVersions();
+  if (!db) {
+    return found;
+  }
+
+  try {
+    const store = db.transaction(ENTRIES_STORE, 'readonly').objectStore(ENTRIES_STORE);
+    const records = await Promise.all(keys.map(key => requestToPromise(store.get([tableName, key]))));
+    records.forEach((record, index) => {
+      if (record) {
+        found.set(keys[index], record.value);
+      }
+    });
+  } catch (error) {
+    console.warn(`[PersistentCache] ⚠️ Failed to read ${tableName}:`, error);
+  }
+
+  return found;
+}
+
+/**
+ * Write entries for a table (errors are logged, never thrown)
+ * @param {string} tableName - Supabase table name
+ * @param {Array<[number|string, any]>} entries - [key, value] pairs
+ * @returns {Promise<void>}
+ */
+export async function setPersistentEntries(tableName, entries) {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  const db = await ensureDataVersions();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+    const store = transaction.objectStore(ENTRIES_STORE);
+    entries.forEach(([key, value]) => {
+      store.put({ table: tableName, key, value });
+    });
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn(`[PersistentCache] ⚠️ Failed to write ${tableName}:`, error);
+  }
+}
+
+/**
+ * List the cached keys of a table (keys only, values are not read)
+ * @param {string} tableName - Cache namespace
+ * @returns {Promise<Array<number|string>>}
+ */
+export async function getPersistentKeys(tableName) {
+  const db = await ensureDataVersions();
+  if (!db) {
+    return [];
+  }
+
+  try {
+    const index = db.transaction(ENTRIES_STORE, 'readonly').objectStore(ENTRIES_STORE).index('table');
+    const primaryKeys = await requestToPromise(index.getAllKeys(IDBKeyRange.only(tableName)));
+    return primaryKeys.map(([, key]) => key);
+  } catch (error) {
+    console.warn(`[PersistentCache] ⚠️ Failed to list ${tableName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Delete entries of a table (errors are logged, never thrown)
+ * @param {string} tableName - Cache namespace
+ * @param {Array<number|string>} keys - Keys to delete
+ * @returns {Promise<void>}
+ */
+export async function deletePersistentEntries(tableName, keys) {
+  if (!keys || keys.length === 0) {
+    return;
+  }
+
+  const db = await ensureDataVersions();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const transaction = db.transaction(ENTRIES_STORE, 'readwrite');
+    const store = transaction.objectStore(ENTRIES_STORE);
+    keys.forEach(key => store.delete([tableName, key]));
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn(`[PersistentCache] ⚠️ Failed to delete from ${tableName}:`, error);
+  }
+}
+
+/**
+ * Remove every cached entry and stored version
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCache() {
+  const db = await openDatabase();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const transaction = db.transaction([ENTRIES_STORE, VERSIONS_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).clear();
+    transaction.objectStore(VERSIONS_STORE).clear();
+    await transactionDone(transaction);
+    versionCheckPromise = null;
+  } catch (error) {
+    console.warn('[PersistentCache] ⚠️ Failed to clear cache:', error);
+  }
+}
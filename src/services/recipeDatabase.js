@@ -2,6 +2,7 @@
 // Used for building crafting price trees
 
 import { getTwRecipes, getTwRecipesByResultIds, getTwRecipesByIngredientId, getTwRecipesByJobAndLevel } from './supabaseData';
+import { CRAFTER_JOB_IDS } from '../utils/crafterProfile';
 
 let recipesDatabase = null;
 let recipesByResult = null;
@@ -104,6 +105,31 @@ export async function hasRecipe(itemId) {
 // Crystal item IDs (shards, crystals, clusters)
 const CRYSTAL_ITEM_IDS = new Set([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
 
+/**
+ * Check whether a recipe can be made with the given crafter levels
+ * Recipes of other jobs (e.g. company workshop) are not level checked
+ * @param {Object} recipe - Recipe ({ job, lvl })
+ * @param {Object<number, number>|null} crafterLevels - jobId → level, or null to allow every recipe
+ * @returns {boolean}
+ */
+export function canCraftRecipe(recipe, crafterLevels) {
+  if (!crafterLevels || !CRAFTER_JOB_IDS.includes(recipe.job)) {
+    return true;
+  }
+  return (crafterLevels[recipe.job] || 0) >= (recipe.lvl || 0);
+}
+
+/**
+ * Pick the recipe a tree node uses: the user's choice, else the first one they can make, else the first one
+ */
+function selectRecipe(itemId, recipes, recipeChoices, crafterLevels) {
+  const chosen = recipes.find(recipe => recipe.id === recipeChoices[itemId]);
+  if (chosen) {
+    return chosen;
+  }
+  return recipes.find(recipe => canCraftRecipe(recipe, crafterLevels)) || recipes[0];
+}
+
 /**
  * Build a complete crafting tree for an item
  * @param {number} itemId - The item ID to build tree for
@@ -111,9 +137,16 @@ const CRYSTAL_ITEM_IDS = new Set([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15
  * @param {Set} visited - Set of visited item IDs to prevent infinite loops
  * @param {number} depth - Current depth in the tree (for limiting recursion)
  * @param {boolean} excludeCrystals - Whether to exclude crystal items from the tree (default true)
+ * @param {Object} recipeOptions - Recipe selection
+ * @param {Object<number, number>} recipeOptions.recipeChoices - itemId → recipe ID chosen by the user
+ * @param {Object<number, number>|null} recipeOptions.crafterLevels - jobId → level; nodes whose recipe
+ *   the user cannot make get mustBuy: true (null = every recipe is craftable)
  * @returns {Promise<Object|null>} - Tree node with item info and children, or null if no recipe
+ *   Crafted nodes also list every recipe of the item in recipes: [{ id, job, level, yields, canCraft }]
  */
-export async function buildCraftingTree(itemId, amount = 1, visited = new Set(), depth = 0, excludeCrystals = true) {
+export async function buildCraftingTree(itemId, amount = 1, visited = new Set(), depth = 0, excludeCrystals = true, recipeOptions = {}) {
+  const { recipeChoices = {}, crafterLevels = null } = recipeOptions;
+
   // Prevent infinite loops and limit depth
   if (visited.has(itemId) || depth > 10) {
     return {
@@ -137,9 +170,15 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
     };
   }
 
-  // Use the first recipe (usually the main one)
-  // In FFXIV, items typically have one recipe per job, and they're usually identical
-  const recipe = recipes[0];
+  // Items can have one recipe per job (usually identical) or a different one per job / workshop
+  const recipe = selectRecipe(itemId, recipes, recipeChoices, crafterLevels);
+  const recipeSummaries = recipes.map(entry => ({
+    id: entry.id,
+    job: entry.job,
+    level: entry.lvl,
+    yields: entry.yields || 1,
+    canCraft: canCraftRecipe(entry, crafterLevels),
+  }));
   
   // Mark this item as visited to prevent cycles
   const newVisited = new Set(visited);
@@ -209,7 +248,8 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
         ingredientAmount,
         newVisited,
         depth + 1,
-        excludeCrystals
+        excludeCrystals,
+        recipeOptions
       );
     })
   );
@@ -223,6 +263,8 @@ export async function buildCraftingTree(itemId, amount = 1, visited = new Set(),
     yields,
     craftsNeeded,
     children,
+    recipes: recipeSummaries,
+    mustBuy: !canCraftRecipe(recipe, crafterLevels),
     isBaseMaterial: false,
   };
 }
@@ -25,6 +25,10 @@
  */
 
 import { supabase } from './supabaseClient';
+import { getPersistentEntries, setPersistentEntries, clearPersistentCache } from './persistentCache';
+import { getDisplaySettings, getLanguageTable } from '../utils/displaySettings';
+import { convertTraditionalToSimplified } from '../utils/chineseConverter';
+import { JOB_ABBREVIATIONS } from '../constants/jobs';
 
 // Cache for all data tables
 const dataCache = {};
@@ -239,6 +243,44 @@ function arrayToSimpleObject(data) {
   return result;
 }
 
+/**
+ * Read a *ByIds lookup from the persistent (IndexedDB) cache
+ * Entries stored as null mean "no row in Supabase" and are left out of the result
+ * @param {string} tableName - Supabase table name
+ * @param {Array<number>} itemIds - Item IDs to look up
+ * @returns {Promise<{result: Object, missingIds: Array<number>}>} - Cached values and IDs still to query
+ */
+async function readPersistentCache(tableName, itemIds) {
+  const cached = await getPersistentEntries(tableName, itemIds);
+  const result = {};
+  cached.forEach((value, id) => {
+    if (value !== null) {
+      result[id] = value;
+    }
+  });
+  const missingIds = itemIds.filter(id => !cached.has(id));
+  if (cached.size > 0) {
+    console.log(`[Supabase] 💾 ${tableName}: ${cached.size} items from persistent cache, ${missingIds.length} to query`);
+  }
+  return { result, missingIds };
+}
+
+/**
+ * Store freshly queried *ByIds values in the persistent cache (fire and forget)
+ * IDs without a row are stored as missingValue so they are not queried again
+ * @param {string} tableName - Supabase table name
+ * @param {Array<number>} queriedIds - IDs that were queried from Supabase
+ * @param {Object} values - {itemId: value} from the query
+ * @param {any} missingValue - Value stored for IDs without a row
+ */
+function writePersistentCache(tableName, queriedIds, values, missingValue = null) {
+  if (queriedIds.length === 0) {
+    return;
+  }
+  const entries = queriedIds.map(id => [id, values[id] !== undefined ? values[id] : missingValue]);
+  setPersistentEntries(tableName, entries);
+}
+
 // ============================================================================
 // Item Data Services
 // ============================================================================
@@ -281,6 +323,12 @@ export async function getTwItemById(itemId) {
   }
   
   try {
+    const cached = await getPersistentEntries('tw_items', [itemId]);
+    if (cached.has(itemId)) {
+      const cachedName = cached.get(itemId);
+      return cachedName !== null ? { id: itemId, tw: cachedName } : null;
+    }
+
     const { data, error } = await supabase
       .from('tw_items')
       .select('id, tw')
@@ -295,6 +343,8 @@ export async function getTwItemById(itemId) {
       return null;
     }
     
+    writePersistentCache('tw_items', [itemId], data ? { [itemId]: data.tw } : {});
+
     if (!data) {
       return null;
     }
@@ -322,17 +372,23 @@ export async function getTwItemsByIds(itemIds, signal = null) {
     throw new DOMException('Request aborted', 'AbortError');
   }
 
+  // Names are cached persistently as plain strings
+  const { result: cachedNames, missingIds } = await readPersistentCache('tw_items', itemIds);
+  const result = {};
+  Object.entries(cachedNames).forEach(([id, name]) => {
+    result[id] = { tw: name };
+  });
+
   // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
   const batchSize = 1000;
-  const result = {};
   
-  for (let i = 0; i < itemIds.length; i += batchSize) {
+  for (let i = 0; i < missingIds.length; i += batchSize) {
     // Check if aborted before each batch
     if (signal && signal.aborted) {
       throw new DOMException('Request aborted', 'AbortError');
     }
 
-    const batch = itemIds.slice(i, i + batchSize);
+    const batch = missingIds.slice(i, i + batchSize);
     const { data, error } = await supabase
       .from('tw_items')
       .select('id, tw')
@@ -345,18 +401,85 @@ export async function getTwItemsByIds(itemIds, signal = null) {
 
     if (error) {
       console.error(`Error fetching tw_items for batch:`, error);
-      continue; // Continue with next batch
+      continue; // Continue with next batch - failed batch is not cached
     }
 
     if (data) {
+      const batchNames = {};
       data.forEach(row => {
         if (row.tw && row.tw.trim() !== '') {
           result[row.id] = { tw: row.tw };
+          batchNames[row.id] = row.tw;
+        }
+      });
+      writePersistentCache('tw_items', batch, batchNames);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get item names in a display language for specific item IDs (targeted query)
+ * Uses the *_items table of the language (see utils/displaySettings); names missing there fall back to TW
+ * @param {Array<number>} itemIds - Item IDs to fetch
+ * @param {string} language - Display language code (default: the saved display language)
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {itemId: "name"}
+ */
+export async function getLocalizedItemNamesByIds(itemIds, language = getDisplaySettings().language, signal = null) {
+  if (!itemIds || itemIds.length === 0) {
+    return {};
+  }
+
+  const result = {};
+  const { table, column } = getLanguageTable(language);
+
+  if (table !== 'tw_items') {
+    const { result: cachedNames, missingIds } = await readPersistentCache(table, itemIds);
+    Object.assign(result, cachedNames);
+
+    const batchSize = 1000;
+    for (let i = 0; i < missingIds.length; i += batchSize) {
+      if (signal && signal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
+
+      const batch = missingIds.slice(i, i + batchSize);
+      const { data, error } = await supabase
+        .from(table)
+        .select(`id, ${column}`)
+        .in('id', batch);
+
+      if (signal && signal.aborted) {
+        throw new DOMException('Request aborted', 'AbortError');
+      }
+
+      if (error) {
+        console.error(`Error fetching ${table} for batch:`, error);
+        continue; // Failed batch is not cached and falls back to TW names
+      }
+
+      const batchNames = {};
+      (data || []).forEach(row => {
+        const name = row[column];
+        if (name && name.trim() !== '') {
+          result[row.id] = name;
+          batchNames[row.id] = name;
         }
       });
+      writePersistentCache(table, batch, batchNames);
     }
   }
 
+  const missingIds = itemIds.filter(id => !result[id]);
+  if (missingIds.length > 0) {
+    const twNames = await getTwItemsByIds(missingIds, signal);
+    Object.entries(twNames).forEach(([id, data]) => {
+      result[id] = data.tw;
+    });
+  }
+
   return result;
 }
 
@@ -1439,18 +1562,19 @@ export async function getIlvlsByIds(itemIds, signal = null) {
   // Create promise and store it
   const promise = (async () => {
     try {
-      const result = {};
+      // Answer from the persistent cache first - only unknown IDs are queried below
+      const { result, missingIds } = await readPersistentCache('ilvls', itemIds);
       
       // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
       const batchSize = 1000;
       
-      for (let i = 0; i < itemIds.length; i += batchSize) {
+      for (let i = 0; i < missingIds.length; i += batchSize) {
         // Check if aborted before each batch
         if (signal && signal.aborted) {
           throw new DOMException('Request aborted', 'AbortError');
         }
 
-        const batch = itemIds.slice(i, i + batchSize);
+        const batch = missingIds.slice(i, i + batchSize);
         const { data, error } = await supabase
           .from('ilvls')
           .select('id, value')
@@ -1488,6 +1612,9 @@ export async function getIlvlsByIds(itemIds, signal = null) {
         }
       }
 
+      // Remember queried values (and IDs without a row) for the next visit
+      writePersistentCache('ilvls', missingIds, result);
+
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded ilvls for ${Object.keys(result).length} items in ${loadDuration.toFixed(2)}ms`);
       
@@ -1823,18 +1950,19 @@ export async function getRaritiesByIds(itemIds, signal = null) {
   // Create promise and store it
   const promise = (async () => {
     try {
-      const result = {};
+      // Answer from the persistent cache first - only unknown IDs are queried below
+      const { result, missingIds } = await readPersistentCache('rarities', itemIds);
       
       // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
       const batchSize = 1000;
       
-      for (let i = 0; i < itemIds.length; i += batchSize) {
+      for (let i = 0; i < missingIds.length; i += batchSize) {
         // Check if aborted before each batch
         if (signal && signal.aborted) {
           throw new DOMException('Request aborted', 'AbortError');
         }
 
-        const batch = itemIds.slice(i, i + batchSize);
+        const batch = missingIds.slice(i, i + batchSize);
         const { data, error } = await supabase
           .from('rarities')
           .select('id, value')
@@ -1860,6 +1988,9 @@ export async function getRaritiesByIds(itemIds, signal = null) {
         }
       }
 
+      // Remember queried values (and IDs without a row) for the next visit
+      writePersistentCache('rarities', missingIds, result);
+
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded rarities for ${Object.keys(result).length} items in ${loadDuration.toFixed(2)}ms`);
       
@@ -1939,18 +2070,19 @@ export async function getItemPatchByIds(itemIds, signal = null) {
   // Create promise and store it
   const promise = (async () => {
     try {
-      const result = {};
+      // Answer from the persistent cache first - only unknown IDs are queried below
+      const { result, missingIds } = await readPersistentCache('item_patch', itemIds);
       
       // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
       const batchSize = 1000;
       
-      for (let i = 0; i < itemIds.length; i += batchSize) {
+      for (let i = 0; i < missingIds.length; i += batchSize) {
         // Check if aborted before each batch
         if (signal && signal.aborted) {
           throw new DOMException('Request aborted', 'AbortError');
         }
 
-        const batch = itemIds.slice(i, i + batchSize);
+        const batch = missingIds.slice(i, i + batchSize);
         const { data, error } = await supabase
           .from('item_patch')
           .select('id, value')
@@ -1976,6 +2108,9 @@ export async function getItemPatchByIds(itemIds, signal = null) {
         }
       }
 
+      // Remember queried values (and IDs without a row) for the next visit
+      writePersistentCache('item_patch', missingIds, result);
+
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded item_patch for ${Object.keys(result).length} items in ${loadDuration.toFixed(2)}ms`);
       
@@ -2066,17 +2201,21 @@ export async function getTwRecipesByResultIds(itemIds, signal = null) {
   // Create promise and store it
   const promise = (async () => {
     try {
+      // Recipes are cached persistently per result item ([] = item has no recipe)
+      const { result: cachedByResult, missingIds } = await readPersistentCache('tw_recipes', itemIds);
+      const result = Object.values(cachedByResult).flat();
+      const fetchedByResult = {};
+
       // Supabase supports up to 1000 items in an IN clause
       const batchSize = 1000;
-      const result = [];
       
-      for (let i = 0; i < itemIds.length; i += batchSize) {
+      for (let i = 0; i < missingIds.length; i += batchSize) {
         // Check if aborted before each batch
         if (signal && signal.aborted) {
           throw new DOMException('Request aborted', 'AbortError');
         }
 
-        const batch = itemIds.slice(i, i + batchSize);
+        const batch = missingIds.slice(i, i + batchSize);
         const { data, error } = await supabase
           .from('tw_recipes')
           .select('*')
@@ -2094,9 +2233,17 @@ export async function getTwRecipesByResultIds(itemIds, signal = null) {
 
         if (data) {
           result.push(...data);
+          data.forEach(recipe => {
+            if (!fetchedByResult[recipe.result]) {
+              fetchedByResult[recipe.result] = [];
+            }
+            fetchedByResult[recipe.result].push(recipe);
+          });
         }
       }
 
+      writePersistentCache('tw_recipes', missingIds, fetchedByResult, []);
+
       const loadDuration = performance.now() - loadStartTime;
       if (result.length > 0) {
         console.log(`[Supabase] ✅ Loaded ${result.length} recipes for ${itemIds.length} items in ${loadDuration.toFixed(2)}ms`);
@@ -2415,18 +2562,19 @@ export async function getUICategoriesByIds(itemIds, signal = null) {
   // Create promise and store it
   const promise = (async () => {
     try {
-      const result = {};
+      // Answer from the persistent cache first - only unknown IDs are queried below
+      const { result, missingIds } = await readPersistentCache('ui_categories', uniqueIds);
       
       // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
       const batchSize = 1000;
       
-      for (let i = 0; i < uniqueIds.length; i += batchSize) {
+      for (let i = 0; i < missingIds.length; i += batchSize) {
         // Check if aborted before each batch
         if (signal && signal.aborted) {
           throw new DOMException('Request aborted', 'AbortError');
         }
 
-        const batch = uniqueIds.slice(i, i + batchSize);
+        const batch = missingIds.slice(i, i + batchSize);
         const { data, error } = await supabase
           .from('ui_categories')
           .select('id, category')
@@ -2453,6 +2601,9 @@ export async function getUICategoriesByIds(itemIds, signal = null) {
         }
       }
 
+      // Remember queried values (and IDs without a row) for the next visit
+      writePersistentCache('ui_categories', missingIds, result);
+
       const loadDuration = performance.now() - loadStartTime;
       console.log(`[Supabase] ✅ Loaded ui_categories for ${Object.keys(result).length} items in ${loadDuration.toFixed(2)}ms`);
       
@@ -2713,6 +2864,143 @@ export async function getEquipSlotCategories() {
   return loadTableData('equip_slot_categories', arrayToObjectWithId);
 }
 
+// ============================================================================
+// Item Stats & Materia Melding Services
+// ============================================================================
+
+/**
+ * Load rows of an item stats table for specific IDs (targeted query with persistent cache)
+ * Shared by the getters below - the tables are keyed by item ID (item_level by ilvl)
+ * @param {string} tableName - Supabase table name
+ * @param {Array<number>} ids - Row IDs
+ * @param {string} columns - Columns to select (must include id)
+ * @param {Function} mapRow - Turns a row into the stored value
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {id: value}
+ */
+async function loadItemStatRowsByIds(tableName, ids, columns, mapRow, signal = null) {
+  const uniqueIds = [...new Set((ids || []).filter(id => id && id > 0))];
+  if (uniqueIds.length === 0) {
+    return {};
+  }
+
+  if (signal && signal.aborted) {
+    throw new DOMException('Request aborted', 'AbortError');
+  }
+
+  if (!targetedQueryCache[tableName]) {
+    targetedQueryCache[tableName] = {};
+  }
+  if (!targetedQueryPromises[tableName]) {
+    targetedQueryPromises[tableName] = {};
+  }
+
+  const cacheKey = uniqueIds.sort((a, b) => a - b).join(',');
+  if (targetedQueryCache[tableName][cacheKey]) {
+    return targetedQueryCache[tableName][cacheKey];
+  }
+  if (targetedQueryPromises[tableName][cacheKey]) {
+    return targetedQueryPromises[tableName][cacheKey];
+  }
+
+  const promise = (async () => {
+    try {
+      const { result, missingIds } = await readPersistentCache(tableName, uniqueIds);
+
+      // Supabase supports up to 1000 items in an IN clause, so we need to batch if needed
+      const batchSize = 1000;
+
+      for (let i = 0; i < missingIds.length; i += batchSize) {
+        if (signal && signal.aborted) {
+          throw new DOMException('Request aborted', 'AbortError');
+        }
+
+        const batch = missingIds.slice(i, i + batchSize);
+        const { data, error } = await supabase
+          .from(tableName)
+          .select(columns)
+          .in('id', batch);
+
+        if (signal && signal.aborted) {
+          throw new DOMException('Request aborted', 'AbortError');
+        }
+
+        if (error) {
+          console.error(`Error loading ${tableName} for items:`, error);
+          throw error;
+        }
+
+        (data || []).forEach(row => {
+          if (row.id !== undefined && row.id !== null) {
+            result[row.id] = mapRow(row);
+          }
+        });
+      }
+
+      writePersistentCache(tableName, missingIds, result);
+      targetedQueryCache[tableName][cacheKey] = result;
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError' || (signal && signal.aborted)) {
+        throw error;
+      }
+      console.error(`Error loading ${tableName} by IDs:`, error);
+      return {};
+    } finally {
+      delete targetedQueryPromises[tableName][cacheKey];
+    }
+  })();
+
+  targetedQueryPromises[tableName][cacheKey] = promise;
+  return promise;
+}
+
+/**
+ * Get damage / defense values of equipment for specific item IDs
+ * @param {Array<number>} itemIds - Array of item IDs
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {itemId: [{ID: baseParamId, NQ, HQ}]}
+ */
+export async function getItemMainAttributesByIds(itemIds, signal = null) {
+  return loadItemStatRowsByIds('item_main_attributes', itemIds, 'id, data', row => row.data || [], signal);
+}
+
+/**
+ * Get food / medicine bonuses for specific item IDs
+ * @param {Array<number>} itemIds - Array of item IDs
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {itemId: [{ID: baseParamId, NQ, HQ, Relative, Max, MaxHQ}]}
+ */
+export async function getItemBonusesByIds(itemIds, signal = null) {
+  return loadItemStatRowsByIds('item_bonuses', itemIds, 'id, data', row => row.data || [], signal);
+}
+
+/**
+ * Get materia slot data of equipment for specific item IDs
+ * @param {Array<number>} itemIds - Array of item IDs
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {itemId: {modifier, prop, slots, overmeld}}
+ */
+export async function getItemMeldingDataByIds(itemIds, signal = null) {
+  return loadItemStatRowsByIds(
+    'item_melding_data',
+    itemIds,
+    'id, modifier, prop, slots, overmeld',
+    row => ({ modifier: row.modifier, prop: row.prop, slots: row.slots, overmeld: row.overmeld === true }),
+    signal
+  );
+}
+
+/**
+ * Get stat values of item levels (the base of materia meld caps)
+ * @param {Array<number>} ilvls - Array of item levels
+ * @param {AbortSignal} signal - Optional abort signal to cancel the request
+ * @returns {Promise<Object>} - {ilvl: {CriticalHit: 2421, ...}}
+ */
+export async function getItemLevelStatsByIlvls(ilvls, signal = null) {
+  return loadItemStatRowsByIds('item_level', ilvls, 'id, data', row => row.data || {}, signal);
+}
+
 // ============================================================================
 // Job Data Services
 // ============================================================================
@@ -2731,6 +3019,45 @@ export async function getTwJobAbbr() {
   });
 }
 
+/**
+ * Get job abbreviations in the saved display language
+ * TW comes from tw_job_abbr, CN is converted from it, every other language uses the English abbreviations
+ * @returns {Promise<Object>} - {jobId: {tw: "abbr", name: "localized abbr"}}
+ */
+export async function getLocalizedJobAbbr() {
+  const { language } = getDisplaySettings();
+  const twJobAbbr = await getTwJobAbbr();
+  const result = {};
+  Object.entries(twJobAbbr).forEach(([id, data]) => {
+    let name = data.tw;
+    if (language === 'cn') {
+      name = convertTraditionalToSimplified(data.tw);
+    } else if (language !== 'tw') {
+      name = JOB_ABBREVIATIONS[id] || data.tw;
+    }
+    result[id] = { tw: data.tw, name };
+  });
+  return result;
+}
+
+/**
+ * Get UI category names in the saved display language
+ * Only TW category names exist in the database: CN is converted from them, other languages show TW
+ * @returns {Promise<Object>} - {categoryId: {tw: "name", name: "localized name"}}
+ */
+export async function getLocalizedItemUICategories() {
+  const { language } = getDisplaySettings();
+  const twCategories = await getTwItemUICategories();
+  const result = {};
+  Object.entries(twCategories).forEach(([id, data]) => {
+    result[id] = {
+      tw: data.tw,
+      name: language === 'cn' ? convertTraditionalToSimplified(data.tw) : data.tw,
+    };
+  });
+  return result;
+}
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -2740,8 +3067,13 @@ export async function getTwJobAbbr() {
  * 
  * ⚠️ NOTE: After clearing cache, make sure to use targeted queries (*ByIds functions)
  * instead of loading all data again.
+ * 
+ * @param {boolean} includePersistent - Also clear the IndexedDB cache
  */
-export function clearCache() {
+export function clearCache(includePersistent = false) {
+  if (includePersistent) {
+    clearPersistentCache();
+  }
   Object.keys(dataCache).forEach(key => delete dataCache[key]);
   Object.keys(loadPromises).forEach(key => delete loadPromises[key]);
   // Also clear targeted query caches
@@ -1,9 +1,28 @@
 import axios from 'axios';
-import { requestManager } from '../utils/requestManager';
+import { requestManager, createRateLimitError, RATE_LIMIT_ERROR_CODE } from '../utils/requestManager';
 import { getMarketItems, getMarketItemsByIds } from './supabaseData';
+import { t } from '../i18n';
 
 const UNIVERSALIS_BASE_URL = 'https://universalis.app/api/v2';
 
+// Aggregated endpoint accepts at most 100 item IDs per request
+const AGGREGATED_BATCH_SIZE = 100;
+// Aggregated data is cached by Universalis for a few minutes, so there is no point refetching sooner
+const AGGREGATED_CACHE_TTL = 5 * 60 * 1000;
+const AGGREGATED_CACHE_MAX_ENTRIES = 5000;
+
+// Per-item cache for aggregated data, keyed by `${worldDcRegion}|${itemId}`
+// Value: { data: aggregated result object or null (not tradable), timestamp }
+const aggregatedCache = new Map();
+// In-flight batch requests, keyed the same way, so identical requests share one network call
+const aggregatedInFlight = new Map();
+
+// Sale history is requested per item/target/day range; keep it briefly so switching ranges is instant
+const HISTORY_CACHE_TTL = 5 * 60 * 1000;
+// Upper bound of sales returned by /history (busy items can sell thousands of times in 90 days)
+const HISTORY_MAX_ENTRIES = 10000;
+const historyCache = new Map();
+
 // Cache for marketable items
 let marketableItemsSet = null;
 let marketableItemsLoadPromise = null;
@@ -78,10 +97,196 @@ export async function isItemMarketable(itemId) {
   return marketable.has(itemId);
 }
 
+function getAggregatedCacheKey(worldDcRegion, itemId) {
+  return `${worldDcRegion}|${itemId}`;
+}
+
+function createAbortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait for a shared promise while still honouring the caller's own abort signal
+ * The shared request keeps running for other callers when one of them aborts
+ */
+function waitWithSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Drop expired entries once the cache grows past its limit
+ */
+function pruneAggregatedCache() {
+  if (aggregatedCache.size <= AGGREGATED_CACHE_MAX_ENTRIES) {
+    return;
+  }
+  const now = Date.now();
+  for (const [key, entry] of aggregatedCache) {
+    if (now - entry.timestamp >= AGGREGATED_CACHE_TTL) {
+      aggregatedCache.delete(key);
+    }
+  }
+  // Still too large - drop the oldest entries (Map keeps insertion order)
+  while (aggregatedCache.size > AGGREGATED_CACHE_MAX_ENTRIES) {
+    aggregatedCache.delete(aggregatedCache.keys().next().value);
+  }
+}
+
+/**
+ * Request one batch (max 100 items) from the aggregated endpoint and store every item in the cache
+ * Goes through requestManager so rate limiting applies to every page
+ */
+function requestAggregatedBatch(worldDcRegion, batch) {
+  const request = (async () => {
+    try {
+      const data = await requestManager.makeRequest(
+        async () => {
+          const response = await axios.get(
+            `${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(worldDcRegion)}/${batch.join(',')}`
+          );
+          return response.data;
+        },
+        { maxRetries: 2 }
+      );
+
+      const returnedItems = new Map();
+      (data?.results || []).forEach(item => {
+        returnedItems.set(item.itemId, item);
+      });
+
+      // Items missing from results (or listed in failedItems) are cached as null = not tradable
+      // Delete before set so Map insertion order stays oldest-first for pruning
+      const timestamp = Date.now();
+      batch.forEach(itemId => {
+        aggregatedCache.delete(getAggregatedCacheKey(worldDcRegion, itemId));
+        aggregatedCache.set(getAggregatedCacheKey(worldDcRegion, itemId), {
+          data: returnedItems.get(itemId) || null,
+          timestamp,
+        });
+      });
+      pruneAggregatedCache();
+    } finally {
+      batch.forEach(itemId => {
+        const key = getAggregatedCacheKey(worldDcRegion, itemId);
+        if (aggregatedInFlight.get(key) === request) {
+          aggregatedInFlight.delete(key);
+        }
+      });
+    }
+  })();
+
+  batch.forEach(itemId => {
+    aggregatedInFlight.set(getAggregatedCacheKey(worldDcRegion, itemId), request);
+  });
+
+  return request;
+}
+
+/**
+ * Fetch raw aggregated market data through the shared client
+ * - Splits item IDs into batches of 100
+ * - Items already requested by another caller wait on that request instead of fetching again
+ * - Results are cached per world/DC/region and item for a few minutes
+ * @param {string|number} worldDcRegion - World ID (number) or DC/region name (string)
+ * @param {Array<number>} itemIds - Array of item IDs (any length)
+ * @param {Object} options - { signal: AbortSignal, forceRefresh: boolean }
+ * @returns {Promise<Object>} - Same shape as the Universalis response: { results: [...], failedItems: [...] }
+ * @throws {Error} - AbortError when the signal is aborted, or the request error
+ */
+export async function fetchAggregatedData(worldDcRegion, itemIds, options = {}) {
+  const { signal = null, forceRefresh = false } = options;
+
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  const uniqueIds = [...new Set((itemIds || []).map(id => Number(id)).filter(id => id > 0))];
+  if (uniqueIds.length === 0) {
+    return { results: [], failedItems: [] };
+  }
+
+  const now = Date.now();
+  const pendingRequests = new Set();
+  const idsToFetch = [];
+
+  uniqueIds.forEach(itemId => {
+    const key = getAggregatedCacheKey(worldDcRegion, itemId);
+    const inFlight = aggregatedInFlight.get(key);
+    if (inFlight) {
+      pendingRequests.add(inFlight);
+      return;
+    }
+    const cached = aggregatedCache.get(key);
+    if (!forceRefresh && cached && now - cached.timestamp < AGGREGATED_CACHE_TTL) {
+      return;
+    }
+    idsToFetch.push(itemId);
+  });
+
+  for (let i = 0; i < idsToFetch.length; i += AGGREGATED_BATCH_SIZE) {
+    pendingRequests.add(requestAggregatedBatch(worldDcRegion, idsToFetch.slice(i, i + AGGREGATED_BATCH_SIZE)));
+  }
+
+  if (pendingRequests.size > 0) {
+    await waitWithSignal(Promise.all(pendingRequests), signal);
+  }
+
+  const results = [];
+  const failedItems = [];
+  uniqueIds.forEach(itemId => {
+    const cached = aggregatedCache.get(getAggregatedCacheKey(worldDcRegion, itemId));
+    if (cached && cached.data) {
+      results.push(cached.data);
+    } else {
+      failedItems.push(itemId);
+    }
+  });
+
+  return { results, failedItems };
+}
+
+/**
+ * Clear cached aggregated data (all, or only for one world/DC/region)
+ * @param {string|number} worldDcRegion - Optional world/DC/region to clear
+ */
+export function clearAggregatedCache(worldDcRegion = null) {
+  if (worldDcRegion === null) {
+    aggregatedCache.clear();
+    return;
+  }
+  const prefix = `${worldDcRegion}|`;
+  for (const key of aggregatedCache.keys()) {
+    if (key.startsWith(prefix)) {
+      aggregatedCache.delete(key);
+    }
+  }
+}
+
 /**
  * Get daily sale velocity, average price, and tradability for multiple items (DC level only)
  * @param {string} dcName - Data center name
- * @param {Array<number>} itemIds - Array of item IDs (max 100)
+ * @param {Array<number>} itemIds - Array of item IDs (batched by the shared client)
  * @returns {Promise<Object>} - Object with itemId as key and { velocity, averagePrice, isTradable } as value
  */
 export async function getItemsVelocity(dcName, itemIds, options = {}) {
@@ -93,23 +298,10 @@ export async function getItemsVelocity(dcName, itemIds, options = {}) {
     return {};
   }
 
-  // Limit to 100 items per request
-  const limitedIds = itemIds.slice(0, 100);
-  const itemIdsString = limitedIds.join(',');
-
   try {
-    const config = {};
-    if (options.signal) {
-      config.signal = options.signal;
-    }
-
-    const response = await axios.get(
-      `${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(dcName)}/${itemIdsString}`,
-      config
-    );
+    const data = await fetchAggregatedData(dcName, itemIds, { signal: options.signal });
 
     const results = {};
-    const data = response.data;
 
     // Track which item IDs appear in results (tradable) vs failedItems (non-tradable)
     const tradableItemIds = new Set();
@@ -151,7 +343,7 @@ export async function getItemsVelocity(dcName, itemIds, options = {}) {
     // Items that don't appear in results are non-tradable
     // Also check failedItems if present
     const failedItemIds = new Set(data?.failedItems || []);
-    limitedIds.forEach(itemId => {
+    itemIds.forEach(itemId => {
       if (!tradableItemIds.has(itemId) && !results[itemId]) {
         // Item not in results - check if it's in failedItems or just doesn't exist
         results[itemId] = {
@@ -261,7 +453,7 @@ export async function getMarketData(server, itemId, options = {}) {
 
     // Check for rate limit errors
     if (requestManager.isRateLimitError(error)) {
-      throw new Error('請求頻率過高，請稍後再試');
+      throw createRateLimitError();
     }
 
     console.error(`Error fetching market data for ${server}:`, error);
@@ -319,13 +511,226 @@ export async function getMarketDataByDataCenter(itemId, dataCenter) {
 }
 
 /**
- * Get aggregated market data for multiple items (up to 100) - uses cached values, faster
+ * Get every current listing for several items (no `listings` cap, no sale history)
+ * @param {string|number} server - World ID (number) or DC/region name (string)
+ * @param {Array<number>} itemIds - Item IDs (requested in batches)
+ * @param {Object} options - { signal, batchSize = 20 }
+ * @returns {Promise<Object|null>} - { itemId: listings[] } where each listing is
+ *   { pricePerUnit, quantity, total, hq, worldId, worldName, retainerName, retainerCity }
+ *   Items without data map to []. Returns null when aborted
+ */
+export async function getItemsListings(server, itemIds, options = {}) {
+  const { signal = null, batchSize = 20 } = options;
+  const result = {};
+
+  if (!itemIds || itemIds.length === 0) {
+    return result;
+  }
+
+  for (let i = 0; i < itemIds.length; i += batchSize) {
+    if (signal && signal.aborted) {
+      return null;
+    }
+
+    const batch = itemIds.slice(i, i + batchSize);
+    try {
+      const data = await requestManager.makeRequest(
+        async () => {
+          const config = {
+            // entries=0 skips recentHistory; omitting `listings` returns all of them
+            params: { entries: 0 },
+          };
+          if (signal) {
+            config.signal = signal;
+          }
+          const response = await axios.get(`${UNIVERSALIS_BASE_URL}/${server}/${batch.join(',')}`, config);
+          return response.data;
+        },
+        { maxRetries: 2 }
+      );
+
+      // Single-item requests return the item itself, multi-item requests wrap them in `items`
+      const itemsData = batch.length === 1 ? { [batch[0]]: data } : (data?.items || {});
+      batch.forEach(itemId => {
+        const itemData = itemsData[itemId];
+        const fallbackWorldName = itemData?.worldName || null;
+        result[itemId] = (itemData?.listings || []).map(listing => ({
+          pricePerUnit: listing.pricePerUnit,
+          quantity: listing.quantity,
+          total: listing.total ?? listing.pricePerUnit * listing.quantity,
+          hq: listing.hq || false,
+          worldId: listing.worldID ?? itemData?.worldID ?? null,
+          worldName: listing.worldName || fallbackWorldName,
+          retainerName: listing.retainerName,
+          retainerCity: listing.retainerCity,
+        }));
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (signal && signal.aborted)) {
+        return null;
+      }
+      // requestManager already turns exhausted 429 / 5xx retries into a rate limit error
+      if (error.code === RATE_LIMIT_ERROR_CODE) {
+        throw error;
+      }
+      console.error(`Error fetching listings for ${server}:`, error);
+      // Leave the batch empty so the rest of the items can still be planned
+      batch.forEach(itemId => {
+        result[itemId] = [];
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the last upload time of every world for several items (the worldUploadTimes of ServerUploadTimes)
+ * @param {string} dcName - Data center name
+ * @param {Array<number>} itemIds - Item IDs (requested in one call, at most 100)
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object|null>} - { itemId: { worldId: timestamp (ms) } }, items without data map to {}.
+ *   Returns null when aborted
+ */
+export async function getWorldUploadTimes(dcName, itemIds, options = {}) {
+  const { signal = null } = options;
+  const result = {};
+
+  if (!itemIds || itemIds.length === 0) {
+    return result;
+  }
+  if (signal && signal.aborted) {
+    return null;
+  }
+
+  try {
+    const data = await requestManager.makeRequest(
+      async () => {
+        // listings=0 and entries=0 keep only the item metadata
+        const config = { params: { listings: 0, entries: 0 } };
+        if (signal) {
+          config.signal = signal;
+        }
+        const response = await axios.get(`${UNIVERSALIS_BASE_URL}/${dcName}/${itemIds.join(',')}`, config);
+        return response.data;
+      },
+      { maxRetries: 2 }
+    );
+
+    // Single-item requests return the item itself, multi-item requests wrap them in `items`
+    const itemsData = itemIds.length === 1 ? { [itemIds[0]]: data } : (data?.items || {});
+    itemIds.forEach(itemId => {
+      result[itemId] = itemsData[itemId]?.worldUploadTimes || {};
+    });
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (signal && signal.aborted)) {
+      return null;
+    }
+    // requestManager already turns exhausted 429 / 5xx retries into a rate limit error
+    if (error.code === RATE_LIMIT_ERROR_CODE) {
+      throw error;
+    }
+    console.error(`Error fetching upload times for ${dcName}:`, error);
+    itemIds.forEach(itemId => {
+      result[itemId] = {};
+    });
+    return result;
+  }
+}
+
+/**
+ * Get sale history for an item from the Universalis /history endpoint
+ * Unlike getMarketData (recentHistory, capped by `entries`), this covers a whole time window
+ * @param {string|number} server - World ID (number) or DC/region name (string)
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { days = 7, signal, forceRefresh }
+ * @returns {Promise<Object|null>} - { itemId, lastUploadTime, entries } with entries sorted oldest first:
+ *   { timestamp (seconds), pricePerUnit, quantity, hq, worldId, worldName, buyerName }
+ *   Returns null when aborted
+ */
+export async function getMarketHistory(server, itemId, options = {}) {
+  const { days = 7, signal = null, forceRefresh = false } = options;
+
+  if (signal && signal.aborted) {
+    return null;
+  }
+
+  const cacheKey = `${server}|${itemId}|${days}`;
+  const cached = historyCache.get(cacheKey);
+  if (!forceRefresh && cached && Date.now() - cached.timestamp < HISTORY_CACHE_TTL) {
+    return cached.data;
+  }
+
+  try {
+    const data = await requestManager.makeRequest(
+      async () => {
+        const config = {
+          params: {
+            entriesToReturn: HISTORY_MAX_ENTRIES,
+            entriesWithin: days * 24 * 60 * 60,
+          },
+        };
+
+        if (signal) {
+          config.signal = signal;
+        }
+
+        const response = await axios.get(`${UNIVERSALIS_BASE_URL}/history/${server}/${itemId}`, config);
+        return response.data;
+      },
+      { maxRetries: 2 }
+    );
+
+    // Single-world responses do not repeat the world on every entry
+    const fallbackWorldName = data?.worldName || data?.dcName || String(server);
+    const entries = (data?.entries || [])
+      .map(entry => ({
+        timestamp: entry.timestamp,
+        pricePerUnit: entry.pricePerUnit,
+        quantity: entry.quantity,
+        hq: entry.hq || false,
+        worldId: entry.worldID ?? data?.worldID ?? null,
+        worldName: entry.worldName || fallbackWorldName,
+        buyerName: entry.buyerName,
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const result = {
+      itemId,
+      lastUploadTime: data?.lastUploadTime || null,
+      entries,
+    };
+
+    historyCache.set(cacheKey, { data: result, timestamp: Date.now() });
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_CANCELED' || (signal && signal.aborted)) {
+      return null;
+    }
+
+    if (requestManager.isRateLimitError(error)) {
+      throw createRateLimitError();
+    }
+
+    // Universalis answers 404 for items that are not on the market board
+    if (error.response?.status === 404) {
+      return { itemId, lastUploadTime: null, entries: [] };
+    }
+
+    console.error(`Error fetching market history for ${server}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get aggregated market data for multiple items - uses cached values, faster
  * - DC selected: Returns MIN LISTING PRICE with server name (cheapest current listing)
  * - Specific server selected: Returns AVERAGE SALE PRICE (based on last 4 days of sales)
  *   If average price is not available (no sales in last 4 days), falls back to MIN LISTING PRICE
  *   This fallback mechanism applies to ALL servers (not just specific ones)
  * @param {string|number} worldDcRegion - World ID (number) or DC/region name (string)
- * @param {Array<number>} itemIds - Array of item IDs (max 100)
+ * @param {Array<number>} itemIds - Array of item IDs (batched by the shared client)
  * @param {Object} worlds - World ID to name mapping
  * @param {Object} options - Additional options like abort signal
  * @returns {Promise<Object>} - Object with itemId as key and { price, isHQ, worldName?, priceType } as value
@@ -340,27 +745,14 @@ export async function getAggregatedMarketData(worldDcRegion, itemIds, worlds = {
     return {};
   }
 
-  // Limit to 100 items per request
-  const limitedIds = itemIds.slice(0, 100);
-  const itemIdsString = limitedIds.join(',');
-
   // Determine if we're querying a specific world (number) or a DC (string)
   const isSpecificWorld = typeof worldDcRegion === 'number' || 
     (typeof worldDcRegion === 'string' && !isNaN(Number(worldDcRegion)));
 
   try {
-    const config = {};
-    if (options.signal) {
-      config.signal = options.signal;
-    }
-
-    const response = await axios.get(
-      `${UNIVERSALIS_BASE_URL}/aggregated/${encodeURIComponent(worldDcRegion)}/${itemIdsString}`,
-      config
-    );
+    const data = await fetchAggregatedData(worldDcRegion, itemIds, { signal: options.signal });
 
     const results = {};
-    const data = response.data;
 
     if (data && data.results) {
       data.results.forEach(item => {
@@ -432,20 +824,20 @@ export async function getAggregatedMarketData(worldDcRegion, itemIds, worlds = {
             if (hqMinListing.price <= nqMinListing.price) {
               bestPrice = hqMinListing.price;
               isHQ = true;
-              worldName = worlds[hqMinListing.worldId] || `伺服器 ${hqMinListing.worldId}`;
+              worldName = worlds[hqMinListing.worldId] || t('searchResults.serverFallback', { server: String(hqMinListing.worldId) });
             } else {
               bestPrice = nqMinListing.price;
               isHQ = false;
-              worldName = worlds[nqMinListing.worldId] || `伺服器 ${nqMinListing.worldId}`;
+              worldName = worlds[nqMinListing.worldId] || t('searchResults.serverFallback', { server: String(nqMinListing.worldId) });
             }
           } else if (hqMinListing?.price) {
             bestPrice = hqMinListing.price;
             isHQ = true;
-            worldName = worlds[hqMinListing.worldId] || `伺服器 ${hqMinListing.worldId}`;
+            worldName = worlds[hqMinListing.worldId] || t('searchResults.serverFallback', { server: String(hqMinListing.worldId) });
           } else if (nqMinListing?.price) {
             bestPrice = nqMinListing.price;
             isHQ = false;
-            worldName = worlds[nqMinListing.worldId] || `伺服器 ${nqMinListing.worldId}`;
+            worldName = worlds[nqMinListing.worldId] || t('searchResults.serverFallback', { server: String(nqMinListing.worldId) });
           }
         }
 
@@ -0,0 +1,194 @@
+// Universalis WebSocket feed - live listing and sale events
+// One shared socket; channels are subscribed per world and events are filtered by item on our side
+// (the API only filters channels by world). Set VITE_UNIVERSALIS_WS_URL to use the local mock server
+// (scripts/mock-universalis-ws.js) instead of the real feed
+import { encodeBson, decodeBson } from '../utils/bson';
+
+const UNIVERSALIS_WS_URL = import.meta.env.VITE_UNIVERSALIS_WS_URL || 'wss://universalis.app/api/ws';
+
+export const LIVE_EVENTS = ['listings/add', 'listings/remove', 'sales/add'];
+
+// Reconnect delay doubles after each failed attempt, up to the maximum
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30 * 1000;
+// Keep the socket briefly after the last unsubscribe so switching items does not reconnect
+const IDLE_CLOSE_DELAY = 5 * 1000;
+
+let socket = null;
+let reconnectAttempts = 0;
+let reconnectTimeout = null;
+let idleCloseTimeout = null;
+let status = 'idle';
+
+// channel → Set of callbacks
+const channelListeners = new Map();
+// Status listeners: called with 'idle' | 'connecting' | 'open' | 'closed'
+const statusListeners = new Set();
+
+function setStatus(nextStatus) {
+  if (status === nextStatus) return;
+  status = nextStatus;
+  statusListeners.forEach(callback => callback(status));
+}
+
+function getChannel(event, worldId) {
+  return `${event}{world=${worldId}}`;
+}
+
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(encodeBson(message));
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimeout || channelListeners.size === 0) return;
+  const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY);
+  reconnectAttempts++;
+  reconnectTimeout = setTimeout(() => {
+    reconnectTimeout = null;
+    connect();
+  }, delay);
+}
+
+function handleMessage(message) {
+  if (!message || !LIVE_EVENTS.includes(message.event)) return;
+  const listeners = channelListeners.get(getChannel(message.event, message.world));
+  if (!listeners) return;
+  listeners.forEach(callback => {
+    try {
+      callback(message);
+    } catch (error) {
+      console.error('Live market listener failed:', error);
+    }
+  });
+}
+
+function connect() {
+  if (socket || channelListeners.size === 0) return;
+  if (typeof WebSocket === 'undefined') return;
+
+  setStatus('connecting');
+  try {
+    socket = new WebSocket(UNIVERSALIS_WS_URL);
+  } catch (error) {
+    console.error('Failed to open Universalis WebSocket:', error);
+    socket = null;
+    setStatus('closed');
+    scheduleReconnect();
+    return;
+  }
+  socket.binaryType = 'arraybuffer';
+
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    setStatus('open');
+    channelListeners.forEach((listeners, channel) => {
+      send({ event: 'subscribe', channel });
+    });
+  };
+
+  socket.onmessage = (event) => {
+    if (!(event.data instanceof ArrayBuffer)) return;
+    try {
+      handleMessage(decodeBson(event.data));
+    } catch (error) {
+      console.error('Failed to decode Universalis WebSocket message:', error);
+    }
+  };
+
+  socket.onerror = () => {
+    // onclose follows and handles reconnecting
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    setStatus(channelListeners.size > 0 ? 'closed' : 'idle');
+    scheduleReconnect();
+  };
+}
+
+function disconnect() {
+  if (reconnectTimeout) {
+    clearTimeout(reconnectTimeout);
+    reconnectTimeout = null;
+  }
+  reconnectAttempts = 0;
+  if (socket) {
+    const closingSocket = socket;
+    socket = null;
+    closingSocket.onclose = null;
+    closingSocket.close();
+  }
+  setStatus('idle');
+}
+
+/**
+ * Subscribe to the connection status of the live feed
+ * @param {Function} callback - Called with 'idle' | 'connecting' | 'open' | 'closed'
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToLiveStatus(callback) {
+  statusListeners.add(callback);
+  callback(status);
+  return () => statusListeners.delete(callback);
+}
+
+/**
+ * Listen for live market events of one item on a set of worlds
+ * @param {Object} params
+ * @param {number} params.itemId - Item to listen for
+ * @param {Array<number>} params.worldIds - Worlds to listen on (the world itself, or every world of a DC)
+ * @param {Function} params.onEvent - Called with { event, item, world, listings? , sales? } for this item
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToMarketEvents({ itemId, worldIds, onEvent }) {
+  const channels = [];
+  const listener = (message) => {
+    if (message.item === itemId) {
+      onEvent(message);
+    }
+  };
+
+  if (idleCloseTimeout) {
+    clearTimeout(idleCloseTimeout);
+    idleCloseTimeout = null;
+  }
+
+  worldIds.forEach(worldId => {
+    LIVE_EVENTS.forEach(event => {
+      const channel = getChannel(event, worldId);
+      let listeners = channelListeners.get(channel);
+      if (!listeners) {
+        listeners = new Set();
+        channelListeners.set(channel, listeners);
+        send({ event: 'subscribe', channel });
+      }
+      listeners.add(listener);
+      channels.push(channel);
+    });
+  });
+
+  connect();
+
+  return () => {
+    channels.forEach(channel => {
+      const listeners = channelListeners.get(channel);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        channelListeners.delete(channel);
+        send({ event: 'unsubscribe', channel });
+      }
+    });
+
+    if (channelListeners.size === 0 && !idleCloseTimeout) {
+      idleCloseTimeout = setTimeout(() => {
+        idleCloseTimeout = null;
+        if (channelListeners.size === 0) {
+          disconnect();
+        }
+      }, IDLE_CLOSE_DELAY);
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// Service worker - offline support
+//
+// Not bundled with the app: vite.config.js (offlineServiceWorker plugin) emits this file as /sw.js
+// at build time, replacing __PRECACHE_MANIFEST__ with the build's files and __CACHE_VERSION__ with
+// a hash of that list, so every deploy installs a new worker and drops the old caches.
+//
+// - Build files: precached on install, then cache-first (file names are content-hashed)
+// - Page navigations: network-first, falling back to the cached index.html (SPA routes)
+// - Supabase REST reads: network-first, falling back to the last response seen
+// - Universalis is never cached here; the app keeps its own per-item market snapshots
+//   (src/services/marketSnapshots.js) so it can label them as stale
+
+const CACHE_PREFIX = 'market-tester-';
+const CACHE_VERSION = '__CACHE_VERSION__';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}supabase-data`;
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+
+const SUPABASE_REST_PATH = '/rest/v1/';
+// Keep the Supabase response cache bounded (oldest entries are dropped first)
+const MAX_DATA_ENTRIES = 2000;
+
+const scopeUrl = new URL(self.registration.scope);
+const indexUrl = new URL('index.html', scopeUrl).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(path => new URL(path, scopeUrl).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(`${CACHE_PREFIX}static-`) && key !== STATIC_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length > maxEntries) {
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  }
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(fallbackUrl || request, response.clone());
+      if (cacheName === DATA_CACHE) {
+        trimCache(DATA_CACHE, MAX_DATA_ENTRIES);
+      }
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request, { ignoreVary: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  // Opaque (no-cors) responses are skipped: their size cannot be checked and they count heavily against quota
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === scopeUrl.origin) {
+    // Every route renders the same index.html
+    event.respondWith(networkFirst(request, STATIC_CACHE, indexUrl));
+    return;
+  }
+
+  if (url.pathname.includes(SUPABASE_REST_PATH) && url.hostname.endsWith('.supabase.co')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  if (url.origin === scopeUrl.origin && url.href.startsWith(scopeUrl.href)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,92 @@
+// Arbitrage finder - compares aggregated market data between worlds of a DC or DCs of a region
+import { getSellPrice } from './marketPrice';
+import { DEFAULT_TAX_RATE } from '../constants/marketTax';
+
+// Upper bound of items in one scan (each market costs one request per 100 items)
+export const MAX_ARBITRAGE_ITEMS = 500;
+
+/**
+ * Buyer tax rate for a world
+ * The listing's city is not part of the aggregated data, so the highest city rate is used (worst case)
+ * @param {Object} rates - { LimsaLominsa: 5, ... } from getTaxRates
+ * @returns {number} - Rate in %
+ */
+function getWorstTaxRate(rates) {
+  const values = Object.values(rates || {}).filter(value => typeof value === 'number');
+  return values.length > 0 ? Math.max(...values) : DEFAULT_TAX_RATE;
+}
+
+/**
+ * Find the best buy → sell pair of every item across markets
+ * @param {Array<Object>} markets - [{ key, name, scope: 'world'|'dc', itemsById: { itemId: aggregated result } }]
+ * @param {Object} options
+ * @param {string} options.quality - 'nq' or 'hq'
+ * @param {Object} options.taxRatesByWorld - { worldId: rates } from getTaxRates (buyer tax)
+ * @param {Object} options.worlds - World ID → name mapping
+ * @returns {Array<Object>} - Rows sorted by profit (highest first), only items with a positive spread:
+ *   { itemId, buy: { marketName, worldId, worldName, price }, sell: { marketName, worldId, worldName, price, velocity },
+ *     spread, spreadPercent, tax, profit, dailyProfit }
+ */
+export function findArbitrageOpportunities(markets, options = {}) {
+  const { quality = 'nq', taxRatesByWorld = {}, worlds = {} } = options;
+
+  const itemIds = new Set();
+  markets.forEach(market => {
+    Object.keys(market.itemsById).forEach(itemId => itemIds.add(Number(itemId)));
+  });
+
+  const rows = [];
+  itemIds.forEach(itemId => {
+    const quotes = [];
+    markets.forEach(market => {
+      const data = market.itemsById[itemId]?.[quality];
+      if (!data) return;
+      const minListing = data.minListing?.[market.scope];
+      const averageSale = data.averageSalePrice?.[market.scope]?.price ?? null;
+      // DC quotes carry the world of the cheapest listing; world quotes are the world itself
+      const worldId = market.scope === 'world' ? Number(market.key) : (minListing?.worldId ?? null);
+      quotes.push({
+        marketName: market.name,
+        worldId,
+        worldName: worldId ? worlds[worldId] || null : null,
+        buyPrice: minListing?.price ?? null,
+        sellPrice: getSellPrice(minListing?.price ?? null, averageSale),
+        velocity: data.dailySaleVelocity?.[market.scope]?.quantity ?? 0,
+      });
+    });
+
+    const buyQuotes = quotes.filter(quote => quote.buyPrice);
+    if (buyQuotes.length === 0) return;
+    const buy = buyQuotes.reduce((best, quote) => (quote.buyPrice < best.buyPrice ? quote : best));
+
+    // Only markets that actually sell the item are worth moving it to
+    const sellQuotes = quotes.filter(quote => quote !== buy && quote.sellPrice && quote.velocity > 0);
+    if (sellQuotes.length === 0) return;
+    const sell = sellQuotes.reduce((best, quote) => (quote.sellPrice > best.sellPrice ? quote : best));
+
+    const spread = sell.sellPrice - buy.buyPrice;
+    if (spread <= 0) return;
+
+    const tax = Math.round(buy.buyPrice * getWorstTaxRate(taxRatesByWorld[buy.worldId]) / 100);
+    const profit = spread - tax;
+
+    rows.push({
+      itemId,
+      buy: { marketName: buy.marketName, worldId: buy.worldId, worldName: buy.worldName, price: buy.buyPrice },
+      sell: {
+        marketName: sell.marketName,
+        worldId: sell.worldId,
+        worldName: sell.worldName,
+        price: sell.sellPrice,
+        velocity: sell.velocity,
+      },
+      spread,
+      spreadPercent: (spread / buy.buyPrice) * 100,
+      tax,
+      profit,
+      dailyProfit: profit * sell.velocity,
+    });
+  });
+
+  return rows.sort((a, b) => b.profit - a.profit);
+}
@@ -0,0 +1,180 @@
+// Minimal BSON encoder / decoder for the Universalis WebSocket API (its messages are BSON documents)
+// Covers the types that API uses: double, string, document, array, binary (skipped), ObjectId, boolean,
+// UTC datetime, null, int32 and int64. Works in the browser and in Node (used by the mock server too)
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function encodeCString(text) {
+  return textEncoder.encode(`${text}\u0000`);
+}
+
+function concatBytes(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+function encodeElement(key, value) {
+  const name = encodeCString(key);
+
+  if (value === null || value === undefined) {
+    return concatBytes([Uint8Array.of(0x0A), name]);
+  }
+  if (typeof value === 'boolean') {
+    return concatBytes([Uint8Array.of(0x08), name, Uint8Array.of(value ? 1 : 0)]);
+  }
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX) {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setInt32(0, value, true);
+      return concatBytes([Uint8Array.of(0x10), name, new Uint8Array(view.buffer)]);
+    }
+    if (Number.isSafeInteger(value)) {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setBigInt64(0, BigInt(value), true);
+      return concatBytes([Uint8Array.of(0x12), name, new Uint8Array(view.buffer)]);
+    }
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value, true);
+    return concatBytes([Uint8Array.of(0x01), name, new Uint8Array(view.buffer)]);
+  }
+  if (typeof value === 'string') {
+    const text = textEncoder.encode(value);
+    const view = new DataView(new ArrayBuffer(4));
+    view.setInt32(0, text.length + 1, true);
+    return concatBytes([Uint8Array.of(0x02), name, new Uint8Array(view.buffer), text, Uint8Array.of(0)]);
+  }
+  if (value instanceof Date) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setBigInt64(0, BigInt(value.getTime()), true);
+    return concatBytes([Uint8Array.of(0x09), name, new Uint8Array(view.buffer)]);
+  }
+  if (Array.isArray(value)) {
+    const asObject = {};
+    value.forEach((item, index) => {
+      asObject[index] = item;
+    });
+    return concatBytes([Uint8Array.of(0x04), name, encodeBson(asObject)]);
+  }
+  if (typeof value === 'object') {
+    return concatBytes([Uint8Array.of(0x03), name, encodeBson(value)]);
+  }
+  throw new TypeError(`Unsupported BSON value for "${key}": ${typeof value}`);
+}
+
+/**
+ * Encode a plain object as a BSON document
+ * @param {Object} document
+ * @returns {Uint8Array}
+ */
+export function encodeBson(document) {
+  const elements = Object.entries(document)
+    .filter(([, value]) => value !== undefined && typeof value !== 'function')
+    .map(([key, value]) => encodeElement(key, value));
+  const body = concatBytes(elements);
+  const bytes = new Uint8Array(body.length + 5);
+  new DataView(bytes.buffer).setInt32(0, bytes.length, true);
+  bytes.set(body, 4);
+  return bytes;
+}
+
+function readCString(bytes, offset) {
+  let end = offset;
+  while (bytes[end] !== 0) {
+    if (end >= bytes.length) throw new RangeError('Unterminated BSON string');
+    end++;
+  }
+  return { value: textDecoder.decode(bytes.subarray(offset, end)), next: end + 1 };
+}
+
+function readDocument(bytes, offset, isArray) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const size = view.getInt32(offset, true);
+  const end = offset + size - 1;
+  const result = isArray ? [] : {};
+  let position = offset + 4;
+
+  while (position < end) {
+    const type = bytes[position];
+    const { value: key, next } = readCString(bytes, position + 1);
+    position = next;
+    let value;
+
+    switch (type) {
+      case 0x01:
+        value = view.getFloat64(position, true);
+        position += 8;
+        break;
+      case 0x02: {
+        const length = view.getInt32(position, true);
+        value = textDecoder.decode(bytes.subarray(position + 4, position + 4 + length - 1));
+        position += 4 + length;
+        break;
+      }
+      case 0x03:
+      case 0x04:
+        value = readDocument(bytes, position, type === 0x04);
+        position += view.getInt32(position, true);
+        break;
+      case 0x05: {
+        // Binary data is not used by the market events
+        const length = view.getInt32(position, true);
+        value = null;
+        position += 5 + length;
+        break;
+      }
+      case 0x07:
+        value = Array.from(bytes.subarray(position, position + 12), byte => byte.toString(16).padStart(2, '0')).join('');
+        position += 12;
+        break;
+      case 0x08:
+        value = bytes[position] === 1;
+        position += 1;
+        break;
+      case 0x09:
+        value = new Date(Number(view.getBigInt64(position, true)));
+        position += 8;
+        break;
+      case 0x0A:
+        value = null;
+        break;
+      case 0x10:
+        value = view.getInt32(position, true);
+        position += 4;
+        break;
+      case 0x12:
+        value = Number(view.getBigInt64(position, true));
+        position += 8;
+        break;
+      default:
+        throw new TypeError(`Unsupported BSON type 0x${type.toString(16)} for "${key}"`);
+    }
+
+    if (isArray) {
+      result.push(value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Decode a BSON document
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Object}
+ */
+export function decodeBson(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return readDocument(bytes, 0, false);
+}
@@ -0,0 +1,129 @@
+// Compare list (items shown side by side on /compare) using localStorage with event notification
+import { getInternalUrl } from './internalUrl';
+
+const COMPARE_LIST_KEY = 'market_tester_compare_list';
+export const MAX_COMPARE_ITEMS = 10;
+
+// Event listeners for compare list changes
+const listeners = new Set();
+
+/**
+ * Subscribe to compare list changes
+ * @param {Function} callback - Called with the entry list when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCompareList(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of compare list change
+ */
+function notifyChange() {
+  const entries = getCompareList();
+  listeners.forEach(callback => callback(entries));
+}
+
+function saveCompareList(entries) {
+  localStorage.setItem(COMPARE_LIST_KEY, JSON.stringify(entries.slice(0, MAX_COMPARE_ITEMS)));
+}
+
+/**
+ * Get all compare list entries
+ * @returns {Array<{itemId: number, itemName: string}>} Entries in insertion order
+ */
+export function getCompareList() {
+  try {
+    const listStr = localStorage.getItem(COMPARE_LIST_KEY);
+    if (!listStr) return [];
+    const entries = JSON.parse(listStr);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error('Failed to get compare list:', error);
+    return [];
+  }
+}
+
+/**
+ * Add an item to the compare list
+ * @param {number} itemId - Item ID
+ * @param {string} itemName - Item name (stored so the list renders without lookups)
+ * @returns {'added'|'exists'|'full'|'error'}
+ */
+export function addToCompareList(itemId, itemName = '') {
+  try {
+    const entries = getCompareList();
+    if (entries.some(entry => entry.itemId === itemId)) return 'exists';
+    if (entries.length >= MAX_COMPARE_ITEMS) return 'full';
+    saveCompareList([...entries, { itemId, itemName: itemName || '' }]);
+    notifyChange();
+    return 'added';
+  } catch (error) {
+    console.error('Failed to add item to compare list:', error);
+    return 'error';
+  }
+}
+
+/**
+ * Remove an item from the compare list
+ * @param {number} itemId - Item ID
+ */
+export function removeFromCompareList(itemId) {
+  try {
+    saveCompareList(getCompareList().filter(entry => entry.itemId !== itemId));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove item from compare list:', error);
+  }
+}
+
+/**
+ * Replace the compare list (e.g. with the items of a shared /compare link)
+ * Names already known are kept for items that stay on the list
+ * @param {Array<number>} itemIds - Item IDs (only the first MAX_COMPARE_ITEMS are kept)
+ */
+export function setCompareList(itemIds) {
+  try {
+    const names = new Map(getCompareList().map(entry => [entry.itemId, entry.itemName]));
+    const uniqueIds = [...new Set(itemIds.filter(id => Number.isInteger(id) && id > 0))];
+    saveCompareList(uniqueIds.map(itemId => ({ itemId, itemName: names.get(itemId) || '' })));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to set compare list:', error);
+  }
+}
+
+/**
+ * Clear the compare list
+ */
+export function clearCompareList() {
+  try {
+    localStorage.removeItem(COMPARE_LIST_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear compare list:', error);
+  }
+}
+
+/**
+ * Read item IDs from the `ids` query parameter of a /compare link
+ * @param {URLSearchParams} params
+ * @returns {Array<number>|null} - null when the link has no item IDs
+ */
+export function compareParamsToItemIds(params) {
+  const ids = (params.get('ids') || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(id => id > 0);
+  return ids.length > 0 ? [...new Set(ids)].slice(0, MAX_COMPARE_ITEMS) : null;
+}
+
+/**
+ * Shareable link to the compare page with the given items
+ * @param {Array<number>} itemIds
+ * @returns {string}
+ */
+export function getCompareUrl(itemIds) {
+  return `${window.location.origin}${getInternalUrl(`/compare?ids=${itemIds.join(',')}`)}`;
+}
@@ -0,0 +1,93 @@
+// "My crafters" profile (crafter job levels) using localStorage with event notification
+// Used by the crafting tree to mark recipes the user cannot make as "must buy"
+const CRAFTER_PROFILE_KEY = 'market_tester_crafter_profile';
+
+// Disciples of the Hand job IDs (tw_job_abbr): 木工師 … 烹調師
+export const CRAFTER_JOB_IDS = [8, 9, 10, 11, 12, 13, 14, 15];
+export const MAX_CRAFTER_LEVEL = 100;
+
+const DEFAULT_PROFILE = { enabled: false, levels: {} };
+
+// Event listeners for profile changes
+const listeners = new Set();
+
+/**
+ * Subscribe to crafter profile changes
+ * @param {Function} callback - Called with the profile when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCrafterProfile(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of profile change
+ */
+function notifyChange() {
+  const profile = getCrafterProfile();
+  listeners.forEach(callback => callback(profile));
+}
+
+function saveProfile(profile) {
+  localStorage.setItem(CRAFTER_PROFILE_KEY, JSON.stringify(profile));
+  notifyChange();
+}
+
+/**
+ * Get the crafter profile
+ * @returns {{ enabled: boolean, levels: Object<number, number> }} - levels: jobId → level (0 = not unlocked)
+ */
+export function getCrafterProfile() {
+  try {
+    const profileStr = localStorage.getItem(CRAFTER_PROFILE_KEY);
+    if (!profileStr) return { ...DEFAULT_PROFILE, levels: {} };
+    const profile = JSON.parse(profileStr);
+    const levels = {};
+    CRAFTER_JOB_IDS.forEach(jobId => {
+      const level = Number(profile?.levels?.[jobId]);
+      levels[jobId] = Number.isFinite(level) ? Math.min(Math.max(Math.round(level), 0), MAX_CRAFTER_LEVEL) : 0;
+    });
+    return { enabled: profile?.enabled === true, levels };
+  } catch (error) {
+    console.error('Failed to get crafter profile:', error);
+    return { ...DEFAULT_PROFILE, levels: {} };
+  }
+}
+
+/**
+ * Turn the job level check on or off (off = every recipe counts as craftable)
+ * @param {boolean} enabled
+ */
+export function setCrafterProfileEnabled(enabled) {
+  try {
+    saveProfile({ ...getCrafterProfile(), enabled: !!enabled });
+  } catch (error) {
+    console.error('Failed to update crafter profile:', error);
+  }
+}
+
+/**
+ * Set the level of a crafter job
+ * @param {number} jobId - Crafter job ID (8-15)
+ * @param {number} level - Job level (0 = not unlocked)
+ */
+export function setCrafterLevel(jobId, level) {
+  try {
+    if (!CRAFTER_JOB_IDS.includes(jobId)) return;
+    const profile = getCrafterProfile();
+    const value = Math.min(Math.max(Math.round(Number(level) || 0), 0), MAX_CRAFTER_LEVEL);
+    saveProfile({ ...profile, levels: { ...profile.levels, [jobId]: value } });
+  } catch (error) {
+    console.error('Failed to set crafter level:', error);
+  }
+}
+
+/**
+ * Job levels to check recipes against, or null when the check is turned off
+ * @param {Object} profile - Crafter profile (defaults to the stored one)
+ * @returns {Object<number, number>|null}
+ */
+export function getActiveCrafterLevels(profile = getCrafterProfile()) {
+  return profile.enabled ? profile.levels : null;
+}
@@ -0,0 +1,189 @@
+// Crafting cost calculation - cheapest buy-or-craft cost of crafting tree nodes
+// Shared by the crafting tree and the crafting inspiration profit report
+// itemPrices: { itemId: { price, ... } } from getAggregatedMarketData; queriedItemIds: Set of item IDs already requested
+
+/**
+ * Copy of a crafting tree with the user's buy / craft choices set on its nodes (methodOverride)
+ * The root is never overridden, and only nodes with a recipe can be
+ * @param {Object} tree - Crafting tree root
+ * @param {Object} methodOverrides - { itemId: 'buy' | 'craft' }
+ * @returns {Object} - The same tree when there are no overrides
+ */
+export function applyMethodOverrides(tree, methodOverrides) {
+  if (!tree || !methodOverrides || Object.keys(methodOverrides).length === 0) {
+    return tree;
+  }
+
+  const apply = (node, isRoot) => {
+    if (!node.children || node.children.length === 0) {
+      return node;
+    }
+    return {
+      ...node,
+      methodOverride: isRoot ? undefined : methodOverrides[node.itemId],
+      children: node.children.map(child => apply(child, false)),
+    };
+  };
+
+  return apply(tree, true);
+}
+
+/**
+ * Recursively calculate the cheapest cost to obtain an item
+ * For each node: min(market price, sum of children's cheapest costs × amounts),
+ * unless the user forced buying or crafting it (node.methodOverride)
+ * Returns cost as: number (price), 'N/A' (missing materials), or null (not queried)
+ */
+export function getCheapestCost(node, itemPrices, queriedItemIds) {
+  const priceInfo = itemPrices[node.itemId];
+  const marketPrice = priceInfo?.price ?? null;
+  // Items the user cannot craft (crafter levels too low) or chose to buy are priced at market
+  const hasChildren = node.children && node.children.length > 0 && !node.mustBuy && node.methodOverride !== 'buy';
+  const isQueried = queriedItemIds.has(node.itemId);
+  
+  // Leaf node (or must buy) - only option is market price
+  if (!hasChildren) {
+    // If queried but no price, return 'N/A'
+    if (isQueried && marketPrice === null) {
+      return { cost: 'N/A', method: 'buy', breakdown: null };
+    }
+    return { cost: marketPrice, method: 'buy', breakdown: null };
+  }
+  
+  // Check if all children have been queried
+  let allChildrenQueried = true;
+  for (const child of node.children) {
+    if (!queriedItemIds.has(child.itemId)) {
+      allChildrenQueried = false;
+      break;
+    }
+  }
+  
+  // If not all children are queried, can't calculate crafting cost
+  if (!allChildrenQueried) {
+    // If market price is available, use it; otherwise return null (still loading)
+    if (isQueried && marketPrice === null) {
+      return { cost: 'N/A', method: 'buy', breakdown: null };
+    }
+    return { cost: marketPrice, method: 'buy', breakdown: null };
+  }
+  
+  // Calculate crafting cost (sum of children's cheapest costs × amounts)
+  let craftingCost = 0;
+  let hasNAChild = false;
+  const childBreakdown = [];
+  
+  for (const child of node.children) {
+    const childResult = getCheapestCost(child, itemPrices, queriedItemIds);
+    if (childResult.cost === 'N/A') {
+      hasNAChild = true;
+      break;
+    } else if (childResult.cost !== null && typeof childResult.cost === 'number') {
+      const childTotal = childResult.cost * child.amount;
+      craftingCost += childTotal;
+      childBreakdown.push({
+        itemId: child.itemId,
+        amount: child.amount,
+        unitCost: childResult.cost,
+        totalCost: childTotal,
+        method: childResult.method,
+      });
+    } else {
+      // Child not queried yet (shouldn't happen if allChildrenQueried is true, but handle it)
+      hasNAChild = true;
+      break;
+    }
+  }
+  
+  // If any child has N/A, crafting cost is N/A
+  if (hasNAChild) {
+    // If market price is available, use it; otherwise return N/A
+    if (marketPrice !== null) {
+      return { cost: marketPrice, method: 'buy', breakdown: null };
+    } else if (isQueried) {
+      return { cost: 'N/A', method: 'buy', breakdown: null };
+    } else {
+      return { cost: null, method: 'buy', breakdown: null };
+    }
+  }
+  
+  // Adjust crafting cost by yields: if yields > 1, divide by yields to get cost per unit
+  // This is because one craft produces multiple items
+  const yields = node.yields || 1;
+  const craftingCostPerUnit = yields > 1 ? craftingCost / yields : craftingCost;
+  
+  // Return the cheaper option
+  if (marketPrice === null) {
+    if (isQueried) {
+      // Market price is N/A, use crafting cost per unit
+      return { cost: craftingCostPerUnit, method: 'craft', breakdown: childBreakdown, yields };
+    } else {
+      // Not queried yet, return null
+      return { cost: null, method: 'buy', breakdown: null };
+    }
+  }
+  
+  if (node.methodOverride === 'craft' || craftingCostPerUnit < marketPrice) {
+    return { cost: craftingCostPerUnit, method: 'craft', breakdown: childBreakdown, yields };
+  } else {
+    return { cost: marketPrice, method: 'buy', breakdown: null };
+  }
+}
+
+/**
+ * Calculate the crafting cost for a node (sum of children's cheapest costs × amounts)
+ * This always returns the crafting cost, regardless of whether buying is cheaper
+ * Returns: number (crafting cost), 'N/A' (missing materials), or null (not queried)
+ */
+export function calculateCraftingCost(node, itemPrices, queriedItemIds) {
+  if (!node.children || node.children.length === 0) {
+    return null; // No recipe, can't craft
+  }
+  
+  // Check if all children have been queried
+  let allChildrenQueried = true;
+  for (const child of node.children) {
+    if (!queriedItemIds.has(child.itemId)) {
+      allChildrenQueried = false;
+      break;
+    }
+  }
+  
+  if (!allChildrenQueried) {
+    return null; // Still loading
+  }
+  
+  // Calculate crafting cost (sum of children's cheapest costs × amounts)
+  let craftingCost = 0;
+  
+  for (const child of node.children) {
+    const childResult = getCheapestCost(child, itemPrices, queriedItemIds);
+    if (childResult.cost === 'N/A') {
+      return 'N/A'; // Missing material
+    } else if (childResult.cost !== null && typeof childResult.cost === 'number') {
+      const childTotal = childResult.cost * child.amount;
+      craftingCost += childTotal;
+    } else {
+      return null; // Still loading
+    }
+  }
+  
+  // Adjust crafting cost by yields: if yields > 1, divide by yields to get cost per unit
+  const yields = node.yields || 1;
+  return yields > 1 ? craftingCost / yields : craftingCost;
+}
+
+/**
+ * Crafting cost of one unit of a node, for trees built for more than one unit
+ * Children amounts are scaled by the number of crafts (amount ÷ yields, rounded up),
+ * so calculateCraftingCost returns the cost of all those crafts
+ * Returns: number (crafting cost per unit), 'N/A' (missing materials), or null (not queried)
+ */
+export function calculateCraftingCostPerUnit(node, itemPrices, queriedItemIds) {
+  const craftingCost = calculateCraftingCost(node, itemPrices, queriedItemIds);
+  if (typeof craftingCost !== 'number') {
+    return craftingCost;
+  }
+  const craftsNeeded = Math.ceil((node.amount || 1) / (node.yields || 1));
+  return craftsNeeded > 1 ? craftingCost / craftsNeeded : craftingCost;
+}
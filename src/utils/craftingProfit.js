@@ -0,0 +1,78 @@
+// Crafting profit model - what a craft earns after market tax, per craft, per hour and per gil spent
+import { getSellPrice } from './marketPrice';
+import { DEFAULT_TAX_RATE } from '../constants/marketTax';
+
+/**
+ * Expected sale of a crafted item on the queried world or DC
+ * Crafters usually sell HQ, so HQ prices are used when the item has HQ market data (unless preferHQ is off)
+ * @param {Object} item - Aggregated result of the item (fetchAggregatedData)
+ * @param {'world'|'dc'} scope - 'world' for a specific server, 'dc' for a data center query
+ * @param {boolean} preferHQ - Sell as HQ when possible
+ * @returns {Object|null} - { isHQ, price, minListing, averageSale, velocity, worldId } or null without price data
+ *   worldId is the world of the min listing (where the item would be listed)
+ */
+export function getExpectedSale(item, scope, preferHQ = true) {
+  if (!item) return null;
+
+  const hasData = (data) => !!(data?.minListing?.[scope] || data?.averageSalePrice?.[scope]);
+  let isHQ = preferHQ ? hasData(item.hq) : !hasData(item.nq);
+  const data = isHQ ? item.hq : item.nq;
+  if (!hasData(data)) return null;
+
+  const minListing = data.minListing?.[scope]?.price ?? null;
+  const averageSale = data.averageSalePrice?.[scope]?.price ?? null;
+  const price = getSellPrice(minListing, averageSale);
+  if (!price) return null;
+
+  return {
+    isHQ,
+    price: Math.round(price),
+    minListing,
+    averageSale: averageSale !== null ? Math.round(averageSale) : null,
+    velocity: data.dailySaleVelocity?.[scope]?.quantity || 0,
+    worldId: data.minListing?.[scope]?.worldId ?? null,
+  };
+}
+
+/**
+ * Market tax rate of a retainer city on a world
+ * @param {Object} taxRates - { worldId: { LimsaLominsa: 5, ... } } as loaded by the app
+ * @param {number} worldId - World the item is sold on
+ * @param {string} city - City key (TAX_CITIES)
+ * @returns {number|null} - Tax rate in %, or null when unknown
+ */
+export function getTaxRate(taxRates, worldId, city) {
+  const rate = taxRates?.[worldId]?.[city];
+  return typeof rate === 'number' ? rate : null;
+}
+
+/**
+ * Profit of crafting and selling an item
+ * The market tax is taken from the sale; profit per hour assumes the market absorbs
+ * the daily sale velocity evenly, so it is capped by demand rather than crafting speed
+ * @param {Object} params
+ * @param {number} params.costPerUnit - Material cost per crafted unit (cheapest buy-or-craft route)
+ * @param {number} params.yields - Units per craft
+ * @param {number} params.salePrice - Expected unit sale price
+ * @param {number} params.taxRate - Market tax in %
+ * @param {number} params.velocity - Units sold per day
+ * @returns {Object} - { revenuePerUnit, taxPerUnit, profitPerUnit, costPerCraft, profitPerCraft, roi, profitPerHour, profitPerDay }
+ *   roi is profit / cost (0.25 = 25%), null when the cost is 0
+ */
+export function calculateCraftingProfit({ costPerUnit, yields = 1, salePrice, taxRate = DEFAULT_TAX_RATE, velocity = 0 }) {
+  const taxPerUnit = Math.floor(salePrice * taxRate / 100);
+  const revenuePerUnit = salePrice - taxPerUnit;
+  const profitPerUnit = revenuePerUnit - costPerUnit;
+  const profitPerDay = profitPerUnit * velocity;
+
+  return {
+    revenuePerUnit,
+    taxPerUnit,
+    profitPerUnit,
+    costPerCraft: costPerUnit * yields,
+    profitPerCraft: profitPerUnit * yields,
+    roi: costPerUnit > 0 ? profitPerUnit / costPerUnit : null,
+    profitPerHour: profitPerDay / 24,
+    profitPerDay,
+  };
+}
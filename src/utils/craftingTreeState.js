@@ -0,0 +1,137 @@
+// Crafting tree plan - shareable state of the crafting tree on the item page, kept in the `plan` query parameter
+// Compact format using only URL-safe characters, segments joined by '.':
+//   a<amount>  h<id-id> (collapsed)  b<id-id> (buy)  m<id-id> (craft)  r<id_recipe-id_recipe>  c<1|0> (show crystals)
+// e.g. ?plan=a5.h5057.b5067-5068.r5057_1234.c1
+export const CRAFTING_PLAN_PARAM = 'plan';
+
+export const MAX_CRAFT_AMOUNT = 9999;
+
+const DEFAULT_STATE = {
+  amount: 1,
+  excludeCrystals: true,
+  collapsedItemIds: [],
+  methodOverrides: {},
+  recipeChoices: {},
+};
+
+function parseIdList(value) {
+  return value
+    .split('-')
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isInteger(id) && id > 0);
+}
+
+/**
+ * Default crafting tree state (nothing customised)
+ * @returns {Object} - { amount, excludeCrystals, collapsedItemIds, methodOverrides, recipeChoices }
+ */
+export function getDefaultCraftingTreeState() {
+  return {
+    ...DEFAULT_STATE,
+    collapsedItemIds: [],
+    methodOverrides: {},
+    recipeChoices: {},
+  };
+}
+
+/**
+ * Clamp a crafted amount to 1..MAX_CRAFT_AMOUNT
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function normalizeCraftAmount(value) {
+  const amount = Math.round(Number(value));
+  if (!Number.isFinite(amount) || amount < 1) return 1;
+  return Math.min(amount, MAX_CRAFT_AMOUNT);
+}
+
+/**
+ * Encode the crafting tree state for the URL
+ * @param {Object} state - { amount, excludeCrystals, collapsedItemIds, methodOverrides: { itemId: 'buy'|'craft' }, recipeChoices: { itemId: recipeId } }
+ * @returns {string} - Empty string when nothing differs from the defaults
+ */
+export function encodeCraftingTreeState(state) {
+  const segments = [];
+  const amount = normalizeCraftAmount(state.amount);
+  if (amount !== DEFAULT_STATE.amount) {
+    segments.push(`a${amount}`);
+  }
+
+  const collapsed = [...new Set(state.collapsedItemIds || [])].sort((a, b) => a - b);
+  if (collapsed.length > 0) {
+    segments.push(`h${collapsed.join('-')}`);
+  }
+
+  const overrides = Object.entries(state.methodOverrides || {});
+  const buyIds = overrides.filter(([, method]) => method === 'buy').map(([id]) => Number(id)).sort((a, b) => a - b);
+  const craftIds = overrides.filter(([, method]) => method === 'craft').map(([id]) => Number(id)).sort((a, b) => a - b);
+  if (buyIds.length > 0) {
+    segments.push(`b${buyIds.join('-')}`);
+  }
+  if (craftIds.length > 0) {
+    segments.push(`m${craftIds.join('-')}`);
+  }
+
+  const recipes = Object.entries(state.recipeChoices || {})
+    .map(([itemId, recipeId]) => [Number(itemId), Number(recipeId)])
+    .sort((a, b) => a[0] - b[0]);
+  if (recipes.length > 0) {
+    segments.push(`r${recipes.map(([itemId, recipeId]) => `${itemId}_${recipeId}`).join('-')}`);
+  }
+
+  // Crystals are only recorded when they differ from the default, or alongside other settings so the
+  // plan reopens the same way regardless of the receiver's own preference
+  if (!state.excludeCrystals) {
+    segments.push('c1');
+  } else if (segments.length > 0) {
+    segments.push('c0');
+  }
+
+  return segments.join('.');
+}
+
+/**
+ * Decode the crafting tree state from the URL (unknown or malformed segments are ignored)
+ * @param {string|null} value - Value of the plan query parameter
+ * @returns {Object|null} - Crafting tree state, or null when there is no plan
+ */
+export function decodeCraftingTreeState(value) {
+  if (!value) return null;
+
+  const state = getDefaultCraftingTreeState();
+  value.split('.').forEach(segment => {
+    const key = segment[0];
+    const body = segment.slice(1);
+    if (!body) return;
+
+    switch (key) {
+      case 'a':
+        state.amount = normalizeCraftAmount(body);
+        break;
+      case 'c':
+        state.excludeCrystals = body !== '1';
+        break;
+      case 'h':
+        state.collapsedItemIds = parseIdList(body);
+        break;
+      case 'b':
+      case 'm':
+        parseIdList(body).forEach(itemId => {
+          state.methodOverrides[itemId] = key === 'b' ? 'buy' : 'craft';
+        });
+        break;
+      case 'r':
+        body.split('-').forEach(pair => {
+          const [itemId, recipeId] = pair.split('_').map(part => parseInt(part, 10));
+          if (itemId > 0 && recipeId > 0) {
+            state.recipeChoices[itemId] = recipeId;
+          }
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return state;
+}
@@ -0,0 +1,53 @@
+// CSV export helpers
+
+/**
+ * Escape one CSV cell (quotes cells containing separators, quotes or line breaks)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<*>>} rows - Data rows
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Trigger a browser download of a file
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download rows as a CSV file
+ * A UTF-8 BOM is prepended so Excel detects the encoding of Chinese headers
+ * @param {string} filename - Download file name
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<*>>} rows - Data rows
+ */
+export function downloadCsv(filename, headers, rows) {
+  downloadFile(`\uFEFF${toCsv(headers, rows)}`, filename, 'text/csv;charset=utf-8');
+}
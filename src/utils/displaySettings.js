@@ -0,0 +1,72 @@
+// Display settings (UI locale, display language and home region) - the display part of utils/userSettings
+// The locale picks the UI message catalog (src/i18n); the language picks the *_items table item names
+// come from; the region picks which data centers the server selector offers
+import { DISPLAY_LANGUAGES } from '../constants/locales';
+import { getSettings, updateSettings, subscribeToSettings } from './userSettings';
+
+export { DISPLAY_LANGUAGES, UI_LOCALES, HOME_REGIONS } from '../constants/locales';
+
+function pickDisplaySettings(settings) {
+  return { locale: settings.locale, language: settings.language, region: settings.region };
+}
+
+/**
+ * Subscribe to display settings changes
+ * @param {Function} callback - Called with the display settings when a setting changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToDisplaySettings(callback) {
+  return subscribeToSettings(settings => callback(pickDisplaySettings(settings)));
+}
+
+/**
+ * Get the display settings
+ * @returns {{ locale: string, language: string, region: string }} - locale: UI_LOCALES code, language: DISPLAY_LANGUAGES code, region: HOME_REGIONS key
+ */
+export function getDisplaySettings() {
+  return pickDisplaySettings(getSettings());
+}
+
+/**
+ * Set the UI locale
+ * @param {string} locale - UI_LOCALES code
+ */
+export function setUiLocale(locale) {
+  updateSettings({ locale });
+}
+
+/**
+ * Set the display language
+ * @param {string} language - DISPLAY_LANGUAGES code
+ */
+export function setDisplayLanguage(language) {
+  updateSettings({ language });
+}
+
+/**
+ * Set the home region
+ * @param {string} region - HOME_REGIONS key
+ */
+export function setHomeRegion(region) {
+  updateSettings({ region });
+}
+
+/**
+ * Item name table and column of a display language
+ * @param {string} language - DISPLAY_LANGUAGES code
+ * @returns {{ table: string, column: string }}
+ */
+export function getLanguageTable(language) {
+  const entry = DISPLAY_LANGUAGES.find(lang => lang.code === language) || DISPLAY_LANGUAGES[0];
+  return { table: entry.table, column: entry.column };
+}
+
+/**
+ * Data centers of a region (Universalis region names may carry a suffix, so the prefix is compared)
+ * @param {Array} datacenters - Universalis data centers ({ name, region, worlds })
+ * @param {string} region - HOME_REGIONS key
+ * @returns {Array}
+ */
+export function getDataCentersForRegion(datacenters, region) {
+  return (datacenters || []).filter(dc => dc.region && dc.region.startsWith(region));
+}
@@ -0,0 +1,37 @@
+// Gathering profitability - ranks gatherable items by what they sell for on a data center
+import { getSellPrice } from './marketPrice';
+
+/**
+ * Rank gatherable items by DC price × daily sale velocity
+ * Gathered items are sold NQ, so NQ prices are used when the item has NQ data; HQ-only items use HQ
+ * @param {Array<Object>} sources - Gathering sources from getGatheringSources
+ * @param {Object} itemsById - { itemId: aggregated result } from fetchAggregatedData on a DC
+ * @returns {Array<Object>} - Rows sorted by daily value (highest first), only items that sold recently:
+ *   { itemId, source, price, minListing, averageSale, velocity, dailyValue }
+ */
+export function rankGatheringItems(sources, itemsById) {
+  const rows = [];
+  sources.forEach(source => {
+    const item = itemsById[source.itemId];
+    if (!item) return;
+
+    const data = item.nq?.minListing?.dc || item.nq?.averageSalePrice?.dc ? item.nq : item.hq;
+    const minListing = data?.minListing?.dc?.price ?? null;
+    const averageSale = data?.averageSalePrice?.dc?.price ?? null;
+    const price = getSellPrice(minListing, averageSale);
+    const velocity = (item.nq?.dailySaleVelocity?.dc?.quantity || 0) + (item.hq?.dailySaleVelocity?.dc?.quantity || 0);
+    if (!price || velocity <= 0) return;
+
+    rows.push({
+      itemId: source.itemId,
+      source,
+      price,
+      minListing,
+      averageSale,
+      velocity,
+      dailyValue: price * velocity,
+    });
+  });
+
+  return rows.sort((a, b) => b.dailyValue - a.dailyValue);
+}
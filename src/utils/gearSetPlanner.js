@@ -0,0 +1,121 @@
+// Gear set planner - cheapest tradable piece per equipment slot for one job and ilvl range
+// Pieces that cover several slots (two-handed weapons, coats covering the legs, ...) leave the covered slots empty
+
+// Slots of a full set, in display order (a set wears two rings, both picked from the ring candidates)
+export const GEAR_SET_SLOTS = ['MainHand', 'OffHand', 'Head', 'Body', 'Gloves', 'Legs', 'Feet', 'Ears', 'Neck', 'Wrists', 'Ring1', 'Ring2'];
+
+// Widest ilvl range searched at once (matches the single-piece checker)
+export const MAX_ILVL_RANGE = 50;
+
+// Equip slot category columns → planner slots (Waist and SoulCrystal are not part of a set)
+const CATEGORY_SLOT_MAP = {
+  MainHand: ['MainHand'],
+  OffHand: ['OffHand'],
+  Head: ['Head'],
+  Body: ['Body'],
+  Gloves: ['Gloves'],
+  Legs: ['Legs'],
+  Feet: ['Feet'],
+  Ears: ['Ears'],
+  Neck: ['Neck'],
+  Wrists: ['Wrists'],
+  FingerL: ['Ring1', 'Ring2'],
+  FingerR: ['Ring1', 'Ring2'],
+};
+
+/**
+ * Slots an equip slot category occupies (value 1) and covers (value -1)
+ * @param {Object} categorySlots - Row of equip_slot_categories ({ MainHand: 1, OffHand: -1, ... })
+ * @returns {{ slot: string|null, blockedSlots: Array<string> }} - slot is 'Rings' for ring categories
+ */
+export function getCategorySlots(categorySlots) {
+  let slot = null;
+  const blockedSlots = new Set();
+  Object.entries(categorySlots || {}).forEach(([column, value]) => {
+    const slots = CATEGORY_SLOT_MAP[column];
+    if (!slots) return;
+    if (value === 1 && !slot) {
+      slot = slots.length > 1 ? 'Rings' : slots[0];
+    } else if (value === -1) {
+      slots.forEach(name => blockedSlots.add(name));
+    }
+  });
+  return { slot, blockedSlots: [...blockedSlots] };
+}
+
+/**
+ * Cheapest listing of an item, NQ or HQ
+ * @param {Object} item - Aggregated result of the item (fetchAggregatedData)
+ * @param {'world'|'dc'} scope - 'world' for a specific server, 'dc' for a data center query
+ * @returns {{ price: number, isHQ: boolean, worldId: number|null }|null} - null when nothing is listed
+ */
+export function getCheapestListing(item, scope) {
+  const nq = item?.nq?.minListing?.[scope];
+  const hq = item?.hq?.minListing?.[scope];
+  const options = [
+    nq?.price > 0 ? { price: nq.price, isHQ: false, worldId: nq.worldId ?? null } : null,
+    hq?.price > 0 ? { price: hq.price, isHQ: true, worldId: hq.worldId ?? null } : null,
+  ].filter(Boolean);
+  if (options.length === 0) return null;
+  return options.reduce((cheapest, option) => (option.price < cheapest.price ? option : cheapest));
+}
+
+/**
+ * Candidates of every slot, cheapest first
+ * @param {Array<Object>} candidates - { itemId, slot (planner slot or 'Rings'), blockedSlots, unique, price, ... }
+ * @returns {Object} - { slot: Array<candidate> } (ring candidates under 'Rings')
+ */
+export function groupCandidatesBySlot(candidates) {
+  const bySlot = {};
+  candidates.forEach(candidate => {
+    if (!candidate.slot) return;
+    (bySlot[candidate.slot] = bySlot[candidate.slot] || []).push(candidate);
+  });
+  Object.values(bySlot).forEach(list => list.sort((a, b) => a.price - b.price || a.itemId - b.itemId));
+  return bySlot;
+}
+
+/**
+ * Options of one set slot - the second ring skips the item worn as the first ring when it is unique
+ * (unique rings cannot be worn twice; other rings can be bought twice)
+ */
+export function getSlotOptions(candidatesBySlot, slot, ring1ItemId = null) {
+  if (slot === 'Ring1') return candidatesBySlot.Rings || [];
+  if (slot === 'Ring2') return (candidatesBySlot.Rings || []).filter(candidate => !(candidate.unique && candidate.itemId === ring1ItemId));
+  return candidatesBySlot[slot] || [];
+}
+
+/**
+ * Assemble a set from the chosen option of every slot
+ * Slots are filled in GEAR_SET_SLOTS order; a piece covering other slots empties them
+ * @param {Object} candidatesBySlot - groupCandidatesBySlot result
+ * @param {Object} choices - { slot: option index } (missing = 0, the cheapest)
+ * @returns {{ slots: Object, total: number, missingSlots: Array<string> }}
+ *   slots: { slot: { piece, index, optionCount } | { blockedBy: slot } | { piece: null, optionCount: 0 } }
+ */
+export function planGearSet(candidatesBySlot, choices = {}) {
+  const slots = {};
+  GEAR_SET_SLOTS.forEach(slot => {
+    if (slots[slot]?.blockedBy) return;
+    const options = getSlotOptions(candidatesBySlot, slot, slots.Ring1?.piece?.itemId ?? null);
+    if (options.length === 0) {
+      slots[slot] = { piece: null, index: 0, optionCount: 0 };
+      return;
+    }
+    const index = Math.min(Math.max(choices[slot] || 0, 0), options.length - 1);
+    const piece = options[index];
+    slots[slot] = { piece, index, optionCount: options.length };
+    (piece.blockedSlots || []).forEach(blockedSlot => {
+      if (blockedSlot !== slot) {
+        slots[blockedSlot] = { blockedBy: slot };
+      }
+    });
+  });
+
+  const pieces = Object.values(slots).map(entry => entry.piece).filter(Boolean);
+  return {
+    slots,
+    total: pieces.reduce((sum, piece) => sum + piece.price, 0),
+    missingSlots: GEAR_SET_SLOTS.filter(slot => slots[slot] && !slots[slot].blockedBy && !slots[slot].piece),
+  };
+}
@@ -0,0 +1,79 @@
+// Item comparison - per-world market summary of several items for the /compare matrix
+
+/**
+ * Market summary of one item on one world
+ * @param {Object|null} item - Aggregated result of fetchAggregatedData for the world
+ * @param {string} quality - 'all' (cheapest of NQ/HQ), 'nq' or 'hq'
+ * @returns {{ minPrice: number|null, minIsHQ: boolean, averagePrice: number|null, velocity: number }|null}
+ *   null when the world has no data for the item
+ */
+export function summarizeWorldMarket(item, quality = 'all') {
+  if (!item) return null;
+  const qualities = quality === 'all' ? ['nq', 'hq'] : [quality];
+
+  let minPrice = null;
+  let minIsHQ = false;
+  let saleTotal = 0;
+  let saleWeight = 0;
+  let velocity = 0;
+
+  qualities.forEach(key => {
+    const data = item[key];
+    if (!data) return;
+    const listing = data.minListing?.world?.price;
+    if (listing && (minPrice === null || listing < minPrice)) {
+      minPrice = listing;
+      minIsHQ = key === 'hq';
+    }
+    const qualityVelocity = data.dailySaleVelocity?.world?.quantity || 0;
+    const averageSale = data.averageSalePrice?.world?.price;
+    if (averageSale) {
+      // Blend NQ and HQ averages by how often each sells (equal weight when neither has sales)
+      const weight = qualityVelocity || 0.0001;
+      saleTotal += averageSale * weight;
+      saleWeight += weight;
+    }
+    velocity += qualityVelocity;
+  });
+
+  if (minPrice === null && saleWeight === 0 && velocity === 0) return null;
+  return {
+    minPrice,
+    minIsHQ,
+    averagePrice: saleWeight > 0 ? Math.round(saleTotal / saleWeight) : null,
+    velocity,
+  };
+}
+
+/**
+ * Build the comparison matrix: one row per item, one cell per world
+ * @param {Array<number>} itemIds - Items in display order
+ * @param {Array<number>} worldIds - Worlds (columns) in display order
+ * @param {Object} resultsByWorld - { worldId: { itemId: aggregated result } }
+ * @param {Object} uploadTimes - { itemId: { worldId: timestamp (ms) } } from getWorldUploadTimes
+ * @param {string} quality - 'all', 'nq' or 'hq'
+ * @returns {Array<{ itemId: number, cells: Object, cheapestWorldId: number|null }>}
+ *   cells: { worldId: { ...summarizeWorldMarket, uploadTime: number|null } }
+ */
+export function buildComparisonMatrix(itemIds, worldIds, resultsByWorld, uploadTimes, quality = 'all') {
+  return itemIds.map(itemId => {
+    const cells = {};
+    let cheapestWorldId = null;
+    let cheapestPrice = null;
+
+    worldIds.forEach(worldId => {
+      const summary = summarizeWorldMarket(resultsByWorld[worldId]?.[itemId] || null, quality);
+      const uploadTime = uploadTimes?.[itemId]?.[worldId] || null;
+      cells[worldId] = summary
+        ? { ...summary, uploadTime }
+        : { minPrice: null, minIsHQ: false, averagePrice: null, velocity: 0, uploadTime };
+
+      if (summary?.minPrice && (cheapestPrice === null || summary.minPrice < cheapestPrice)) {
+        cheapestPrice = summary.minPrice;
+        cheapestWorldId = worldId;
+      }
+    });
+
+    return { itemId, cells, cheapestWorldId };
+  });
+}
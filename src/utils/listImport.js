@@ -0,0 +1,134 @@
+// List import - parses item lists shared from other tools into { item, quantity } entries
+// Supported formats:
+// - Teamcraft import strings: "itemId,recipeId|null,qty;..." (plain, base64 or an ffxivteamcraft.com/import/ link)
+// - Garland Tools group links / exports: "...#group/Name{item/5057|3,item/5068}" (quantity after '|', default 1)
+// - Text lists (Artisan, MakePlace, chat): "3x 名稱", "3 x 名稱", "名稱 x3", "名稱: 3"
+// - Plain names, one per line or comma separated (quantity 1)
+
+const TEAMCRAFT_ENTRY_PATTERN = /^\d+,(?:\d+|null)?,\d+$/;
+const GARLAND_ITEM_PATTERN = /item\/(\d+)(?:\|(\d+))?/g;
+const QUANTITY_PREFIX_PATTERN = /^(\d+)\s*[xX×*]\s*(.+)$/;
+const QUANTITY_SUFFIX_PATTERN = /^(.+?)\s*[xX×*]\s*(\d+)$/;
+const QUANTITY_COLON_PATTERN = /^(.+?)\s*[:：]\s*(\d+)$/;
+
+function toQuantity(value) {
+  const quantity = parseInt(value, 10);
+  return Number.isInteger(quantity) && quantity > 0 ? quantity : 1;
+}
+
+function parseTeamcraftEntries(text) {
+  const parts = text.split(';').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0 || !parts.every(part => TEAMCRAFT_ENTRY_PATTERN.test(part))) {
+    return null;
+  }
+  return parts.map(part => {
+    const [itemId, , quantity] = part.split(',');
+    return { itemId: parseInt(itemId, 10), quantity: toQuantity(quantity) };
+  });
+}
+
+/**
+ * Teamcraft import: the raw string, its base64 form, or an import link containing it
+ */
+function parseTeamcraft(text) {
+  const linkMatch = text.match(/ffxivteamcraft\.com\/import\/([A-Za-z0-9+/=%_-]+)/);
+  const candidates = linkMatch ? [decodeURIComponent(linkMatch[1])] : [text.replace(/\s+/g, '')];
+
+  for (const candidate of candidates) {
+    const plain = parseTeamcraftEntries(candidate);
+    if (plain) return plain;
+
+    if (/^[A-Za-z0-9+/=_-]+$/.test(candidate)) {
+      try {
+        const decoded = atob(candidate.replace(/-/g, '+').replace(/_/g, '/'));
+        const entries = parseTeamcraftEntries(decoded.trim());
+        if (entries) return entries;
+      } catch {
+        // Not base64
+      }
+    }
+  }
+  return null;
+}
+
+function parseGarland(text) {
+  if (!/garlandtools|#group\//i.test(text)) {
+    return null;
+  }
+  const entries = [];
+  for (const match of text.matchAll(GARLAND_ITEM_PATTERN)) {
+    entries.push({ itemId: parseInt(match[1], 10), quantity: toQuantity(match[2]) });
+  }
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * One line of a text list: quantity before or after the name, or a bare name
+ */
+function parseTextLine(line) {
+  let match = line.match(QUANTITY_PREFIX_PATTERN);
+  if (match) {
+    return { name: match[2].trim(), quantity: toQuantity(match[1]) };
+  }
+  match = line.match(QUANTITY_SUFFIX_PATTERN) || line.match(QUANTITY_COLON_PATTERN);
+  if (match) {
+    return { name: match[1].trim(), quantity: toQuantity(match[2]) };
+  }
+  return { name: line, quantity: 1 };
+}
+
+/**
+ * Merge entries for the same item (same ID, or same name ignoring case), adding up quantities
+ */
+function mergeEntries(entries) {
+  const merged = new Map();
+  entries.forEach(entry => {
+    const key = entry.itemId ? `id:${entry.itemId}` : `name:${entry.name.toLowerCase()}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantity += entry.quantity;
+    } else {
+      merged.set(key, { ...entry });
+    }
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * Parse a pasted item list
+ * @param {string} text - Pasted text
+ * @returns {{ format: 'teamcraft'|'garland'|'text', entries: Array<{ itemId?: number, name?: string, quantity: number }>, duplicateCount: number }}
+ *   entries carry either an itemId (Teamcraft / Garland) or a name to search (text lists);
+ *   duplicateCount is how many entries were merged into others
+ */
+export function parseImportList(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return { format: 'text', entries: [], duplicateCount: 0 };
+  }
+
+  let format = 'text';
+  let entries = parseTeamcraft(trimmed);
+  if (entries) {
+    format = 'teamcraft';
+  } else {
+    entries = parseGarland(trimmed);
+    if (entries) {
+      format = 'garland';
+    }
+  }
+
+  if (!entries) {
+    // Lines with quantities are split by line only (names may contain commas in other languages);
+    // plain name lists keep supporting comma separation
+    const lines = trimmed.split('\n').map(line => line.trim()).filter(Boolean);
+    const hasQuantities = lines.some(line =>
+      QUANTITY_PREFIX_PATTERN.test(line) || QUANTITY_SUFFIX_PATTERN.test(line) || QUANTITY_COLON_PATTERN.test(line)
+    );
+    const parts = hasQuantities ? lines : trimmed.split(/[,\n]/).map(part => part.trim()).filter(Boolean);
+    entries = parts.map(parseTextLine).filter(entry => entry.name);
+  }
+
+  const merged = mergeEntries(entries);
+  return { format, entries: merged, duplicateCount: entries.length - merged.length };
+}
@@ -0,0 +1,13 @@
+// Market price helpers shared by the profit and arbitrage models
+
+/**
+ * Reference sell price on a market: the lower of the current min listing and the average sale price,
+ * since a seller has to undercut the board and buyers rarely pay above the average
+ * @param {number|null} minListing - Current min listing price
+ * @param {number|null} averageSale - Average sale price
+ * @returns {number|null}
+ */
+export function getSellPrice(minListing, averageSale) {
+  if (minListing && averageSale) return Math.min(minListing, averageSale);
+  return minListing || averageSale || null;
+}
@@ -0,0 +1,231 @@
+// Materia melding - stat names, meld caps, overmeld success rates and the expected cost of a meld plan
+// Caps follow the game formula: item level stat value × slot percent / (role MeldParam × 10)
+import baseParamsData from '../../teamcraft_git/libs/data/src/lib/json/base-params.json';
+import twBaseParamsData from '../../teamcraft_git/libs/data/src/lib/json/tw/tw-base-params.json';
+import materiasData from '../../teamcraft_git/libs/data/src/lib/json/materias.json';
+import { convertTraditionalToSimplified } from './chineseConverter';
+
+// Guaranteed slots plus overmelds never exceed five materia
+export const MAX_MATERIA_SLOTS = 5;
+
+// Overmeld success rates in % by materia tier (row) and overmeld slot (column: 1st to 4th overmeld)
+// Odd high tiers (VI, VIII, X, XII) can only go into the first overmeld slot
+const OVERMELD_RATES = {
+  hq: [
+    [90, 48, 28, 16], // I
+    [82, 44, 26, 16], // II
+    [70, 38, 22, 14], // III
+    [58, 32, 20, 12], // IV
+    [17, 10, 7, 5], // V
+    [17, 0, 0, 0], // VI
+    [17, 10, 7, 5], // VII
+    [17, 0, 0, 0], // VIII
+    [17, 10, 7, 5], // IX
+    [17, 0, 0, 0], // X
+    [17, 10, 7, 5], // XI
+    [17, 0, 0, 0], // XII
+  ],
+  nq: [
+    [80, 40, 20, 10], // I
+    [72, 36, 18, 10], // II
+    [60, 30, 16, 8], // III
+    [48, 24, 12, 6], // IV
+    [12, 6, 3, 2], // V
+    [12, 0, 0, 0], // VI
+    [12, 6, 3, 2], // VII
+    [12, 0, 0, 0], // VIII
+    [12, 6, 3, 2], // IX
+    [12, 0, 0, 0], // X
+    [12, 6, 3, 2], // XI
+    [12, 0, 0, 0], // XII
+  ],
+};
+
+const TIER_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+// Released materia only (future tiers are listed with item ID 0)
+const MATERIAS = materiasData.filter(materia => materia.itemId > 0);
+const MATERIAS_BY_ITEM_ID = new Map(MATERIAS.map(materia => [materia.itemId, materia]));
+
+/**
+ * Stat name in a display language
+ * TW comes from tw-base-params, CN is converted from it, ko falls back to English
+ * @param {number} baseParamId - BaseParam ID
+ * @param {string} language - DISPLAY_LANGUAGES code
+ * @returns {string}
+ */
+export function getBaseParamName(baseParamId, language) {
+  const baseParam = baseParamsData[baseParamId];
+  const twName = twBaseParamsData[baseParamId]?.tw;
+  if ((language === 'tw' || language === 'cn') && twName) {
+    return language === 'cn' ? convertTraditionalToSimplified(twName) : twName;
+  }
+  if (!baseParam) return `#${baseParamId}`;
+  const localized = { ja: baseParam.Name_ja, de: baseParam.Name_de, fr: baseParam.Name_fr }[language];
+  return localized || baseParam.Name_en || baseParam.Name || `#${baseParamId}`;
+}
+
+/**
+ * Roman numeral of a materia tier
+ */
+export function getMateriaTierLabel(tier) {
+  return TIER_NUMERALS[tier - 1] || String(tier);
+}
+
+/**
+ * Released materia, grouped by stat
+ * @returns {Array<{ baseParamId: number, materias: Array<{ itemId, tier, value, baseParamId }> }>} - Tiers ascending
+ */
+export function getMateriaGroups() {
+  const groups = new Map();
+  MATERIAS.forEach(materia => {
+    if (!groups.has(materia.baseParamId)) {
+      groups.set(materia.baseParamId, []);
+    }
+    groups.get(materia.baseParamId).push(materia);
+  });
+  return [...groups.entries()].map(([baseParamId, materias]) => ({
+    baseParamId,
+    materias: [...materias].sort((a, b) => a.tier - b.tier),
+  }));
+}
+
+/**
+ * Materia of an item ID
+ * @returns {{ itemId, tier, value, baseParamId }|null}
+ */
+export function getMateria(itemId) {
+  return MATERIAS_BY_ITEM_ID.get(Number(itemId)) || null;
+}
+
+/**
+ * Number of materia an item can hold (guaranteed slots, plus overmelds when advanced melding is permitted)
+ * @param {Object} meldingData - { slots, overmeld } (item_melding_data row)
+ * @returns {number}
+ */
+export function getMeldableSlotCount(meldingData) {
+  if (!meldingData) return 0;
+  if (meldingData.overmeld && meldingData.slots > 0) return MAX_MATERIA_SLOTS;
+  return meldingData.slots || 0;
+}
+
+/**
+ * Meld cap of a stat: the highest total the stat can reach on the item (its own value plus materia)
+ * @param {Object} meldingData - { modifier, prop } (item_melding_data row)
+ * @param {Object} itemLevelStats - item_level row of the item's ilvl ({ CriticalHit: 2421, ... })
+ * @param {number} baseParamId - BaseParam ID of the stat
+ * @returns {number|null} - null when the data to compute it is missing
+ */
+export function getMeldCap(meldingData, itemLevelStats, baseParamId) {
+  const baseParam = baseParamsData[baseParamId];
+  if (!meldingData?.prop || !itemLevelStats || !baseParam) return null;
+  const baseValue = itemLevelStats[(baseParam.Name_en || '').replace(/\s/g, '')];
+  const slotModifier = baseParam[meldingData.prop];
+  const roleModifier = baseParam.MeldParam?.[meldingData.modifier];
+  if (!Number.isFinite(baseValue) || !Number.isFinite(slotModifier) || !roleModifier) return null;
+  return Math.round((baseValue * slotModifier) / (roleModifier * 10));
+}
+
+/**
+ * Stat values the piece already has (flat bonuses of the NQ or HQ version), which count toward the meld cap
+ * @param {Array<Object>} bonuses - item_bonuses row ([{ ID, NQ, HQ, Relative }])
+ * @param {boolean} isHQ - Use the HQ values
+ * @returns {Object} - { baseParamId: value }
+ */
+export function getItemBaseStats(bonuses, isHQ) {
+  const baseStats = {};
+  (bonuses || []).forEach(bonus => {
+    // Relative bonuses (food and medicine) are percentages, not stat points on the piece
+    if (bonus.Relative) return;
+    const value = isHQ ? bonus.HQ ?? bonus.NQ : bonus.NQ;
+    if (Number.isFinite(value)) {
+      baseStats[bonus.ID] = (baseStats[bonus.ID] || 0) + value;
+    }
+  });
+  return baseStats;
+}
+
+/**
+ * Room left for materia in a stat: the meld cap minus what the piece already has
+ * @param {number|null} cap - getMeldCap result
+ * @param {number} baseValue - The piece's own value of the stat
+ * @returns {number|null}
+ */
+export function getMeldHeadroom(cap, baseValue = 0) {
+  if (cap === null) return null;
+  return Math.max(0, cap - baseValue);
+}
+
+/**
+ * Success rate of melding a materia into a slot
+ * @param {Object} materia - { tier }
+ * @param {number} slotIndex - 0-based slot (slots past the guaranteed ones are overmelds)
+ * @param {Object} meldingData - { slots, overmeld }
+ * @param {boolean} isHQ - Overmelds into HQ items succeed more often
+ * @returns {number} - Success rate in % (0 = the materia cannot go into this slot)
+ */
+export function getMeldSuccessRate(materia, slotIndex, meldingData, isHQ) {
+  if (!materia || !meldingData) return 0;
+  if (slotIndex < meldingData.slots) return 100;
+  if (!meldingData.overmeld || slotIndex >= MAX_MATERIA_SLOTS) return 0;
+  return OVERMELD_RATES[isHQ ? 'hq' : 'nq'][materia.tier - 1]?.[slotIndex - meldingData.slots] ?? 0;
+}
+
+/**
+ * Expected cost of a meld plan
+ * Each slot is attempted until it succeeds, so a slot needs 100 / rate materia on average
+ * (a failed overmeld destroys the materia). Stat totals start at the piece's own value and are capped at the meld cap.
+ * @param {Object} params
+ * @param {Array<number|null>} params.materiaItemIds - Chosen materia per slot (null = empty)
+ * @param {Object} params.meldingData - item_melding_data row
+ * @param {Object|null} params.itemLevelStats - item_level row of the item's ilvl
+ * @param {boolean} params.isHQ - Whether the melded piece is HQ
+ * @param {Object} params.baseStats - getItemBaseStats of the piece ({ baseParamId: value })
+ * @param {Object} params.prices - { materiaItemId: unit price } (missing = unknown)
+ * @returns {{ slots: Array, materiaCost: number, hasUnknownPrice: boolean, stats: Array }}
+ *   slots: { slotIndex, materia, rate, isOvermeld, expectedCount, expectedCost, gain, isWasted }
+ *   stats: { baseParamId, base, materiaTotal, cap, headroom } (headroom = cap - base)
+ */
+export function calculateMeldPlan({ materiaItemIds, meldingData, itemLevelStats, isHQ, baseStats = {}, prices }) {
+  // Materia added per stat; the piece's own value is counted against the cap on top
+  const statTotals = new Map();
+  let materiaCost = 0;
+  let hasUnknownPrice = false;
+
+  const slots = materiaItemIds.map((itemId, slotIndex) => {
+    const materia = itemId ? getMateria(itemId) : null;
+    if (!materia) {
+      return { slotIndex, materia: null, rate: 0, isOvermeld: slotIndex >= (meldingData?.slots || 0) };
+    }
+    const rate = getMeldSuccessRate(materia, slotIndex, meldingData, isHQ);
+    const isOvermeld = slotIndex >= meldingData.slots;
+    if (rate <= 0) {
+      return { slotIndex, materia, rate, isOvermeld, expectedCount: null, expectedCost: null, gain: 0, isWasted: false };
+    }
+
+    const expectedCount = 100 / rate;
+    const price = prices?.[materia.itemId];
+    const expectedCost = Number.isFinite(price) ? price * expectedCount : null;
+    if (expectedCost === null) {
+      hasUnknownPrice = true;
+    } else {
+      materiaCost += expectedCost;
+    }
+
+    const cap = getMeldCap(meldingData, itemLevelStats, materia.baseParamId);
+    const before = statTotals.get(materia.baseParamId) || 0;
+    const headroom = getMeldHeadroom(cap, baseStats[materia.baseParamId] || 0);
+    const gain = headroom === null ? materia.value : Math.max(0, Math.min(materia.value, headroom - before));
+    statTotals.set(materia.baseParamId, before + gain);
+
+    return { slotIndex, materia, rate, isOvermeld, expectedCount, expectedCost, gain, isWasted: gain < materia.value };
+  });
+
+  const stats = [...statTotals.entries()].map(([baseParamId, materiaTotal]) => {
+    const cap = getMeldCap(meldingData, itemLevelStats, baseParamId);
+    const base = baseStats[baseParamId] || 0;
+    return { baseParamId, base, materiaTotal, cap, headroom: getMeldHeadroom(cap, base) };
+  });
+
+  return { slots, materiaCost: Math.round(materiaCost), hasUnknownPrice, stats };
+}
@@ -0,0 +1,172 @@
+// Purchase planner - picks the cheapest set of market listings for a shopping list
+import { DEFAULT_TAX_RATE } from '../constants/marketTax';
+import { t } from '../i18n';
+
+// Universalis `retainerCity` → key used by the /tax-rates response
+const RETAINER_CITY_TAX_KEYS = {
+  1: 'LimsaLominsa',
+  2: 'Gridania',
+  3: 'Ul\'dah',
+  4: 'Ishgard',
+  7: 'Kugane',
+  10: 'Crystarium',
+  12: 'OldSharlayan',
+  14: 'Tuliyollal',
+};
+
+// Upper bound of listings fed to the optimiser (cheapest units first) to keep it fast
+const MAX_CANDIDATE_LISTINGS = 300;
+
+/**
+ * Tax paid by the buyer for one listing
+ * @param {Object} listing - Listing with total, worldId and retainerCity
+ * @param {Object} taxRatesByWorld - { worldId: { LimsaLominsa: 5, ... } } from getTaxRates
+ * @returns {number} - Tax in gil
+ */
+export function getListingTax(listing, taxRatesByWorld = {}) {
+  const cityKey = RETAINER_CITY_TAX_KEYS[listing.retainerCity];
+  const worldRates = taxRatesByWorld[listing.worldId];
+  const rate = cityKey && worldRates && typeof worldRates[cityKey] === 'number'
+    ? worldRates[cityKey]
+    : DEFAULT_TAX_RATE;
+  return Math.round(listing.total * rate / 100);
+}
+
+/**
+ * Find the cheapest combination of whole listings that covers a quantity
+ * Listings can only be bought as a whole stack, so this is a 0/1 covering knapsack
+ * (overshooting the quantity is allowed). Cost includes tax.
+ * @param {Array<Object>} listings - Listings ({ quantity, total, ... , tax })
+ * @param {number} quantity - Quantity wanted
+ * @returns {{ listings: Array<Object>, purchased: number, shortfall: number }}
+ */
+export function findCheapestListings(listings, quantity) {
+  if (!listings || listings.length === 0 || quantity <= 0) {
+    return { listings: [], purchased: 0, shortfall: Math.max(0, quantity) };
+  }
+
+  // A single stack that covers the whole quantity makes every other covering stack redundant,
+  // so only the cheapest of those is kept; the rest are capped by unit price
+  let cheapestCovering = null;
+  const partial = [];
+  listings.forEach(listing => {
+    if (listing.quantity >= quantity) {
+      if (!cheapestCovering || listing.total + listing.tax < cheapestCovering.total + cheapestCovering.tax) {
+        cheapestCovering = listing;
+      }
+    } else {
+      partial.push(listing);
+    }
+  });
+  partial.sort((a, b) => (a.total + a.tax) / a.quantity - (b.total + b.tax) / b.quantity);
+  const candidates = partial.slice(0, MAX_CANDIDATE_LISTINGS);
+  if (cheapestCovering) {
+    candidates.push(cheapestCovering);
+  }
+  const candidateQuantity = candidates.reduce((sum, listing) => sum + listing.quantity, 0);
+
+  // Not enough supply - buy everything that is listed
+  if (candidateQuantity < quantity) {
+    return { listings: candidates, purchased: candidateQuantity, shortfall: quantity - candidateQuantity };
+  }
+
+  // dp[q] = cheapest cost to own min(q, quantity) units; from[i][q] = previous q when listing i was taken
+  const size = quantity + 1;
+  const dp = new Float64Array(size).fill(Infinity);
+  const from = new Int32Array(candidates.length * size).fill(-1);
+  dp[0] = 0;
+
+  candidates.forEach((listing, i) => {
+    const cost = listing.total + listing.tax;
+    for (let q = quantity; q >= 0; q--) {
+      if (dp[q] === Infinity) continue;
+      const next = Math.min(quantity, q + listing.quantity);
+      const nextCost = dp[q] + cost;
+      if (nextCost < dp[next]) {
+        dp[next] = nextCost;
+        from[i * size + next] = q;
+      }
+    }
+  });
+
+  const chosen = [];
+  let current = quantity;
+  for (let i = candidates.length - 1; i >= 0 && current > 0; i--) {
+    const previous = from[i * size + current];
+    if (previous >= 0) {
+      chosen.push(candidates[i]);
+      current = previous;
+    }
+  }
+
+  const purchased = chosen.reduce((sum, listing) => sum + listing.quantity, 0);
+  return { listings: chosen.sort((a, b) => a.pricePerUnit - b.pricePerUnit), purchased, shortfall: 0 };
+}
+
+/**
+ * Plan a whole shopping list
+ * @param {Array<{itemId, itemName, quantity}>} entries - Shopping list entries
+ * @param {Object} listingsByItem - { itemId: listings[] } from getItemsListings
+ * @param {Object} taxRatesByWorld - { worldId: rates } from getTaxRates
+ * @param {Object} options - { hqOnly = false, worlds = {} (ID → name) }
+ * @returns {Object} - { items, worlds, subtotal, tax, total }
+ *   items: [{ itemId, itemName, quantity, purchased, shortfall, listings, subtotal, tax, total }]
+ *   worlds: [{ worldId, worldName, purchases: [{ itemId, itemName, listing }], subtotal, tax, total }] (most expensive first)
+ */
+export function planShoppingList(entries, listingsByItem, taxRatesByWorld = {}, options = {}) {
+  const { hqOnly = false, worlds = {} } = options;
+  const worldMap = new Map();
+  const items = [];
+
+  entries.forEach(entry => {
+    const listings = (listingsByItem[entry.itemId] || [])
+      .filter(listing => !hqOnly || listing.hq)
+      .map(listing => ({ ...listing, tax: getListingTax(listing, taxRatesByWorld) }));
+
+    const plan = findCheapestListings(listings, entry.quantity);
+    const subtotal = plan.listings.reduce((sum, listing) => sum + listing.total, 0);
+    const tax = plan.listings.reduce((sum, listing) => sum + listing.tax, 0);
+
+    items.push({
+      itemId: entry.itemId,
+      itemName: entry.itemName,
+      quantity: entry.quantity,
+      purchased: plan.purchased,
+      shortfall: plan.shortfall,
+      listings: plan.listings,
+      subtotal,
+      tax,
+      total: subtotal + tax,
+    });
+
+    plan.listings.forEach(listing => {
+      const worldKey = listing.worldId ?? listing.worldName;
+      if (!worldMap.has(worldKey)) {
+        worldMap.set(worldKey, {
+          worldId: listing.worldId,
+          worldName: listing.worldName || worlds[listing.worldId] || t('searchResults.serverFallback', { server: String(listing.worldId) }),
+          purchases: [],
+          subtotal: 0,
+          tax: 0,
+          total: 0,
+        });
+      }
+      const world = worldMap.get(worldKey);
+      world.purchases.push({ itemId: entry.itemId, itemName: entry.itemName, listing });
+      world.subtotal += listing.total;
+      world.tax += listing.tax;
+      world.total += listing.total + listing.tax;
+    });
+  });
+
+  const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+  const tax = items.reduce((sum, item) => sum + item.tax, 0);
+
+  return {
+    items,
+    worlds: Array.from(worldMap.values()).sort((a, b) => b.total - a.total),
+    subtotal,
+    tax,
+    total: subtotal + tax,
+  };
+}
@@ -1,4 +1,18 @@
 // Request manager for handling API rate limits and request queuing
+import { t } from '../i18n';
+
+// Error code of rate limit errors (the message is translated, so callers check the code)
+export const RATE_LIMIT_ERROR_CODE = 'RATE_LIMITED';
+
+/**
+ * Error thrown when the API keeps answering with rate limits
+ * @returns {Error} - With code RATE_LIMIT_ERROR_CODE and a translated message
+ */
+export function createRateLimitError() {
+  const error = new Error(t('errors.rateLimited'));
+  error.code = RATE_LIMIT_ERROR_CODE;
+  return error;
+}
 
 class RequestManager {
   constructor() {
@@ -86,7 +100,7 @@ class RequestManager {
 
           // If this is the last attempt, throw the error
           if (attempt >= maxRetries) {
-            throw new Error('請求頻率過高，請稍後再試');
+            throw createRateLimitError();
           }
 
           // Wait before retrying
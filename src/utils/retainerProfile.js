@@ -0,0 +1,155 @@
+// "My retainers" profile (retainer names + monitored items) using localStorage with event notification
+const RETAINER_PROFILE_KEY = 'market_tester_retainer_profile';
+const MAX_RETAINERS = 20;
+const MAX_MONITORED_ITEMS = 100;
+
+const DEFAULT_PROFILE = { worldId: null, retainers: [], items: [] };
+
+// Event listeners for profile changes
+const listeners = new Set();
+
+/**
+ * Subscribe to retainer profile changes
+ * @param {Function} callback - Called with the profile when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRetainerProfile(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of profile change
+ */
+function notifyChange() {
+  const profile = getRetainerProfile();
+  listeners.forEach(callback => callback(profile));
+}
+
+function saveProfile(profile) {
+  localStorage.setItem(RETAINER_PROFILE_KEY, JSON.stringify(profile));
+  notifyChange();
+}
+
+/**
+ * Normalize a retainer name for matching against listings
+ * @param {string} name - Retainer name
+ * @returns {string}
+ */
+export function normalizeRetainerName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Get the retainer profile
+ * @returns {{ worldId: number|null, retainers: Array<string>, items: Array<{itemId: number, itemName: string}> }}
+ */
+export function getRetainerProfile() {
+  try {
+    const profileStr = localStorage.getItem(RETAINER_PROFILE_KEY);
+    if (!profileStr) return { ...DEFAULT_PROFILE };
+    const profile = JSON.parse(profileStr);
+    return {
+      worldId: profile?.worldId ?? null,
+      retainers: Array.isArray(profile?.retainers) ? profile.retainers : [],
+      items: Array.isArray(profile?.items) ? profile.items : [],
+    };
+  } catch (error) {
+    console.error('Failed to get retainer profile:', error);
+    return { ...DEFAULT_PROFILE };
+  }
+}
+
+/**
+ * Set the world the retainers sell on
+ * @param {number|null} worldId - World ID
+ */
+export function setRetainerWorld(worldId) {
+  try {
+    saveProfile({ ...getRetainerProfile(), worldId: worldId ?? null });
+  } catch (error) {
+    console.error('Failed to set retainer world:', error);
+  }
+}
+
+/**
+ * Add a retainer name (duplicates are ignored, case-insensitive)
+ * @param {string} name - Retainer name
+ * @returns {boolean} Whether the name was added
+ */
+export function addRetainer(name) {
+  try {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return false;
+
+    const profile = getRetainerProfile();
+    const normalized = normalizeRetainerName(trimmed);
+    if (profile.retainers.some(retainer => normalizeRetainerName(retainer) === normalized)) {
+      return false;
+    }
+    if (profile.retainers.length >= MAX_RETAINERS) {
+      return false;
+    }
+
+    saveProfile({ ...profile, retainers: [...profile.retainers, trimmed] });
+    return true;
+  } catch (error) {
+    console.error('Failed to add retainer:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a retainer name
+ * @param {string} name - Retainer name
+ */
+export function removeRetainer(name) {
+  try {
+    const profile = getRetainerProfile();
+    const normalized = normalizeRetainerName(name);
+    saveProfile({
+      ...profile,
+      retainers: profile.retainers.filter(retainer => normalizeRetainerName(retainer) !== normalized),
+    });
+  } catch (error) {
+    console.error('Failed to remove retainer:', error);
+  }
+}
+
+/**
+ * Add an item to monitor
+ * @param {number} itemId - Item ID
+ * @param {string} itemName - Item name (stored so the dashboard renders without lookups)
+ * @returns {boolean} Whether the item was added
+ */
+export function addRetainerItem(itemId, itemName) {
+  try {
+    if (!itemId) return false;
+    const profile = getRetainerProfile();
+    if (profile.items.some(item => item.itemId === itemId)) {
+      return false;
+    }
+    if (profile.items.length >= MAX_MONITORED_ITEMS) {
+      return false;
+    }
+
+    saveProfile({ ...profile, items: [...profile.items, { itemId, itemName: itemName || '' }] });
+    return true;
+  } catch (error) {
+    console.error('Failed to add retainer item:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop monitoring an item
+ * @param {number} itemId - Item ID
+ */
+export function removeRetainerItem(itemId) {
+  try {
+    const profile = getRetainerProfile();
+    saveProfile({ ...profile, items: profile.items.filter(item => item.itemId !== itemId) });
+  } catch (error) {
+    console.error('Failed to remove retainer item:', error);
+  }
+}
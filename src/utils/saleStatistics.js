@@ -0,0 +1,220 @@
+// Sale statistics - robust price statistics over the Universalis sale history (getMarketHistory entries)
+// Every sale counts once regardless of its quantity, so a single bulk sale cannot drag the price around,
+// and troll sales (1 gil dumps, absurd buys between friends) are dropped before anything is computed
+
+// Tukey fence multiplier applied to the interquartile range of log prices
+const OUTLIER_FENCE = 1.5;
+
+// Smallest log-price IQR used for the fences, so a board where everything sold at one price
+// does not turn every slightly different sale into an outlier (log(1.25) ≈ prices within ±25%)
+const MIN_LOG_IQR = Math.log(1.25);
+
+// Outlier filtering needs a few sales to know what "normal" is
+const MIN_SALES_FOR_FILTER = 4;
+
+// A fair price needs at least this many (kept) sales
+export const MIN_SALES_FOR_FAIR_PRICE = 3;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Quantile of sorted values with linear interpolation
+ * @param {Array<number>} sortedValues - Ascending
+ * @param {number} q - 0 to 1
+ * @returns {number|null}
+ */
+export function quantile(sortedValues, q) {
+  if (sortedValues.length === 0) return null;
+  const position = (sortedValues.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Split sales into normal ones and outliers using Tukey fences on log prices
+ * Log prices treat "10× too cheap" and "10× too expensive" alike, which suits troll sales
+ * @param {Array<Object>} sales - History entries ({ pricePerUnit, ... })
+ * @returns {{ kept: Array<Object>, outliers: Array<Object> }}
+ */
+export function filterOutlierSales(sales) {
+  const priced = sales.filter(sale => sale.pricePerUnit > 0);
+  if (priced.length < MIN_SALES_FOR_FILTER) {
+    return { kept: priced, outliers: [] };
+  }
+
+  const logPrices = priced.map(sale => Math.log(sale.pricePerUnit)).sort((a, b) => a - b);
+  const q1 = quantile(logPrices, 0.25);
+  const q3 = quantile(logPrices, 0.75);
+  const iqr = Math.max(q3 - q1, MIN_LOG_IQR);
+  const low = q1 - OUTLIER_FENCE * iqr;
+  const high = q3 + OUTLIER_FENCE * iqr;
+
+  const kept = [];
+  const outliers = [];
+  priced.forEach(sale => {
+    const logPrice = Math.log(sale.pricePerUnit);
+    (logPrice < low || logPrice > high ? outliers : kept).push(sale);
+  });
+  return { kept, outliers };
+}
+
+/**
+ * Price summary of a set of sales (one sample per sale)
+ * @param {Array<Object>} sales - History entries
+ * @returns {Object|null} - { count, units, min, max, mean, median, stdDev, p10, p25, p75, p90 }, null without sales
+ */
+export function summarizePrices(sales) {
+  if (sales.length === 0) return null;
+  const prices = sales.map(sale => sale.pricePerUnit).sort((a, b) => a - b);
+  const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  const variance = prices.reduce((sum, price) => sum + (price - mean) ** 2, 0) / prices.length;
+  return {
+    count: prices.length,
+    units: sales.reduce((sum, sale) => sum + (sale.quantity || 0), 0),
+    min: prices[0],
+    max: prices[prices.length - 1],
+    mean,
+    median: quantile(prices, 0.5),
+    stdDev: Math.sqrt(variance),
+    p10: quantile(prices, 0.1),
+    p25: quantile(prices, 0.25),
+    p75: quantile(prices, 0.75),
+    p90: quantile(prices, 0.9),
+  };
+}
+
+/**
+ * Least-squares price trend over time
+ * @param {Array<Object>} sales - History entries ({ timestamp (seconds), pricePerUnit })
+ * @param {number|null} reference - Price the percentage is relative to (usually the median)
+ * @returns {{ perDay: number, percentPerDay: number|null }|null} - null with fewer than 5 sales or under a day of data
+ */
+export function getTrendSlope(sales, reference = null) {
+  if (sales.length < 5) return null;
+  const first = Math.min(...sales.map(sale => sale.timestamp));
+  const last = Math.max(...sales.map(sale => sale.timestamp));
+  if (last - first < DAY_SECONDS) return null;
+
+  const points = sales.map(sale => ({ x: (sale.timestamp - first) / DAY_SECONDS, y: sale.pricePerUnit }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  let covariance = 0;
+  let varianceX = 0;
+  points.forEach(point => {
+    covariance += (point.x - meanX) * (point.y - meanY);
+    varianceX += (point.x - meanX) ** 2;
+  });
+  if (varianceX === 0) return null;
+
+  const perDay = covariance / varianceX;
+  return {
+    perDay,
+    percentPerDay: reference ? (perDay / reference) * 100 : null,
+  };
+}
+
+/**
+ * Average number of sales per weekday and per hour of the day (browser local time)
+ * @param {Array<Object>} sales - History entries ({ timestamp (seconds) })
+ * @param {number} days - Length of the history window
+ * @param {number} now - Current time in ms
+ * @returns {{ byWeekday: Array<number>, byHour: Array<number> }} - byWeekday[0] is Sunday
+ */
+export function getSalesActivity(sales, days, now = Date.now()) {
+  // How often each weekday occurs in the window
+  const weekdayOccurrences = new Array(7).fill(0);
+  const today = new Date(now);
+  for (let i = 0; i < days; i++) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+    weekdayOccurrences[date.getDay()] += 1;
+  }
+
+  const weekdayCounts = new Array(7).fill(0);
+  const hourCounts = new Array(24).fill(0);
+  sales.forEach(sale => {
+    const date = new Date(sale.timestamp * 1000);
+    weekdayCounts[date.getDay()] += 1;
+    hourCounts[date.getHours()] += 1;
+  });
+
+  return {
+    byWeekday: weekdayCounts.map((count, weekday) => (weekdayOccurrences[weekday] > 0 ? count / weekdayOccurrences[weekday] : 0)),
+    byHour: hourCounts.map(count => count / Math.max(days, 1)),
+  };
+}
+
+/**
+ * Fair listing price: the median of the kept sales, with a confidence based on how many sales back it,
+ * how tightly they cluster and whether the price is moving
+ * @param {Object|null} summary - summarizePrices of the kept sales
+ * @param {Object|null} trend - getTrendSlope of the kept sales
+ * @returns {{ price: number, low: number, high: number, confidence: 'high'|'medium'|'low', spread: number }|null}
+ *   low/high is the middle half of the sales (p25–p75); spread is stdDev / mean. null with too few sales
+ */
+export function getFairListingPrice(summary, trend) {
+  if (!summary || summary.count < MIN_SALES_FOR_FAIR_PRICE) return null;
+
+  const spread = summary.mean > 0 ? summary.stdDev / summary.mean : 0;
+  let score = 0;
+  score += summary.count >= 20 ? 2 : summary.count >= 8 ? 1 : 0;
+  score += spread <= 0.15 ? 2 : spread <= 0.35 ? 1 : 0;
+  // A price moving more than 3% a day will not stay at the median for long
+  if (Math.abs(trend?.percentPerDay ?? 0) > 3) {
+    score -= 1;
+  }
+
+  return {
+    price: Math.round(summary.median),
+    low: Math.round(summary.p25),
+    high: Math.round(summary.p75),
+    confidence: score >= 4 ? 'high' : score >= 2 ? 'medium' : 'low',
+    spread,
+  };
+}
+
+/**
+ * Statistics of one quality (or both qualities together)
+ * @param {Array<Object>} sales - Every sale of the group
+ * @param {Array<Object>} kept - The sales left after outlier filtering
+ * @returns {Object} - { raw, summary, outlierCount, trend, fairPrice }
+ *   raw: summarizePrices of every sale (for comparison), summary: of the kept sales only
+ */
+function computeGroupStatistics(sales, kept) {
+  const priced = sales.filter(sale => sale.pricePerUnit > 0);
+  const summary = summarizePrices(kept);
+  const trend = getTrendSlope(kept, summary?.median ?? null);
+  return {
+    raw: summarizePrices(priced),
+    summary,
+    outlierCount: priced.length - kept.length,
+    trend,
+    fairPrice: getFairListingPrice(summary, trend),
+  };
+}
+
+/**
+ * Statistics over a sale history
+ * HQ and NQ are filtered separately (an HQ sale is not an outlier just for being pricier than NQ);
+ * the combined group keeps what survived either filter
+ * @param {Array<Object>} entries - getMarketHistory entries
+ * @param {Object} options - { days, now (ms) }
+ * @returns {Object} - { all, nq, hq, byWeekday, byHour } (all/nq/hq from computeGroupStatistics)
+ */
+export function computeSaleStatistics(entries, options = {}) {
+  const { days = 7, now = Date.now() } = options;
+  const sales = entries || [];
+  const nqSales = sales.filter(sale => !sale.hq);
+  const hqSales = sales.filter(sale => sale.hq);
+  const nqKept = filterOutlierSales(nqSales).kept;
+  const hqKept = filterOutlierSales(hqSales).kept;
+  const activity = getSalesActivity(sales, days, now);
+  return {
+    all: computeGroupStatistics(sales, [...nqKept, ...hqKept]),
+    nq: computeGroupStatistics(nqSales, nqKept),
+    hq: computeGroupStatistics(hqSales, hqKept),
+    byWeekday: activity.byWeekday,
+    byHour: activity.byHour,
+  };
+}
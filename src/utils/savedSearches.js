@@ -0,0 +1,254 @@
+// Saved AdvancedSearch filter combinations (named presets) using localStorage with event notification
+// Each saved search also keeps a snapshot of its last run, so a rerun can show what changed since then
+import { getInternalUrl } from './internalUrl';
+
+const SAVED_SEARCHES_KEY = 'market_tester_saved_searches';
+const MAX_SAVED_SEARCHES = 30;
+// Items kept per run snapshot (filter searches above 500 items need an explicit "continue")
+const MAX_SNAPSHOT_ITEMS = 1000;
+
+export const DEFAULT_PRICE_CHANGE_PERCENT = 10;
+
+// Generic (job dependent) weapon categories of AdvancedSearch - every other category is a numeric ItemUICategory ID
+const GENERIC_CATEGORIES = ['main_weapon', 'offhand_weapon'];
+
+// Event listeners for saved search changes
+const listeners = new Set();
+
+/**
+ * Subscribe to saved search changes
+ * @param {Function} callback - Called with the saved searches when they change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSavedSearches(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of saved search change
+ */
+function notifyChange() {
+  const searches = getSavedSearches();
+  listeners.forEach(callback => callback(searches));
+}
+
+function saveSavedSearches(searches) {
+  localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches.slice(0, MAX_SAVED_SEARCHES)));
+}
+
+/**
+ * Normalize a filter combination (drops unknown values, sorts lists so equal filters compare equal)
+ * @param {Object} filters - { jobs, categories, minLevel, maxLevel, name, exact, rarities }
+ * @returns {Object}
+ */
+export function normalizeSearchFilters(filters) {
+  const toSortedIntegers = values => [...new Set((values || []).map(Number).filter(Number.isInteger))].sort((a, b) => a - b);
+  const categories = (filters?.categories || [])
+    .map(category => (GENERIC_CATEGORIES.includes(category) ? category : Number(category)))
+    .filter(category => GENERIC_CATEGORIES.includes(category) || Number.isInteger(category));
+  const minLevel = Number.isInteger(Number(filters?.minLevel)) ? Math.max(1, Number(filters.minLevel)) : 1;
+  const maxLevel = Number.isInteger(Number(filters?.maxLevel)) ? Math.min(999, Number(filters.maxLevel)) : 999;
+
+  return {
+    jobs: toSortedIntegers(filters?.jobs),
+    categories: [...new Set(categories)].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })),
+    minLevel,
+    maxLevel: Math.max(minLevel, maxLevel),
+    name: typeof filters?.name === 'string' ? filters.name.trim() : '',
+    exact: filters?.exact === true,
+    rarities: toSortedIntegers(filters?.rarities),
+  };
+}
+
+/**
+ * Whether two filter combinations run the same query (rarities only filter the shown results, so they are ignored)
+ * @param {Object} a - Filters
+ * @param {Object} b - Filters
+ * @returns {boolean}
+ */
+export function isSameSearchQuery(a, b) {
+  const getQueryKey = (filters) => {
+    const { jobs, categories, minLevel, maxLevel, name, exact } = normalizeSearchFilters(filters);
+    return JSON.stringify({ jobs, categories, minLevel, maxLevel, name, exact });
+  };
+  return getQueryKey(a) === getQueryKey(b);
+}
+
+/**
+ * Get all saved searches
+ * @returns {Array<Object>} Saved searches (newest first):
+ *   { id, name, filters, priceChangePercent, createdAt, lastRun: { at, server, serverName, items: { itemId: { name, price } } } | null }
+ */
+export function getSavedSearches() {
+  try {
+    const searchesStr = localStorage.getItem(SAVED_SEARCHES_KEY);
+    if (!searchesStr) return [];
+    const searches = JSON.parse(searchesStr);
+    return Array.isArray(searches) ? searches : [];
+  } catch (error) {
+    console.error('Failed to get saved searches:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a filter combination under a name (a search with the same name is replaced, keeping its last run)
+ * @param {string} name - Preset name
+ * @param {Object} filters - Filters (see normalizeSearchFilters)
+ * @returns {Object|null} The stored search, or null on failure
+ */
+export function saveSearch(name, filters) {
+  try {
+    const trimmedName = name.trim();
+    if (!trimmedName) return null;
+    const searches = getSavedSearches();
+    const existing = searches.find(search => search.name === trimmedName);
+    const normalized = normalizeSearchFilters(filters);
+    const search = {
+      id: existing?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmedName,
+      filters: normalized,
+      priceChangePercent: existing?.priceChangePercent ?? DEFAULT_PRICE_CHANGE_PERCENT,
+      createdAt: Date.now(),
+      // A changed query makes the previous snapshot incomparable
+      lastRun: existing && isSameSearchQuery(existing.filters, normalized) ? existing.lastRun : null,
+    };
+
+    saveSavedSearches([search, ...searches.filter(item => item.id !== search.id)]);
+    notifyChange();
+    return search;
+  } catch (error) {
+    console.error('Failed to save search:', error);
+    return null;
+  }
+}
+
+/**
+ * Update fields of a saved search
+ * @param {string} searchId - Saved search ID
+ * @param {Object} changes - Fields to merge into the search
+ */
+export function updateSavedSearch(searchId, changes) {
+  try {
+    saveSavedSearches(getSavedSearches().map(search => (
+      search.id === searchId ? { ...search, ...changes } : search
+    )));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to update saved search:', error);
+  }
+}
+
+/**
+ * Remove a saved search
+ * @param {string} searchId - Saved search ID
+ */
+export function removeSavedSearch(searchId) {
+  try {
+    saveSavedSearches(getSavedSearches().filter(search => search.id !== searchId));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove saved search:', error);
+  }
+}
+
+/**
+ * Snapshot of a finished run: cheapest listing of every tradeable result
+ * @param {Array<Object>} items - Search results ({ id, name })
+ * @param {Object} minListings - { itemId: price | { price, region } }
+ * @param {string|number} server - DC name or world ID the prices come from
+ * @param {string} serverName - Display name of the server
+ * @returns {{ at: number, server: string|number, serverName: string, items: Object }}
+ */
+export function createRunSnapshot(items, minListings, server, serverName) {
+  const snapshotItems = {};
+  items.slice(0, MAX_SNAPSHOT_ITEMS).forEach(item => {
+    const listing = minListings?.[item.id];
+    const price = typeof listing === 'object' && listing !== null ? listing.price : listing;
+    snapshotItems[item.id] = { name: item.name || '', price: Number.isFinite(price) ? price : null };
+  });
+  return { at: Date.now(), server, serverName: serverName || String(server), items: snapshotItems };
+}
+
+/**
+ * Compare two runs of the same search
+ * @param {Object} previous - Earlier snapshot (createRunSnapshot)
+ * @param {Object} current - Later snapshot
+ * @param {number} minPercent - Smallest price move (in %) to report
+ * @returns {{ newItems: Array, removedItems: Array, priceChanges: Array }}
+ *   items: { itemId, name, price }; priceChanges: { itemId, name, before, after, percent } (largest move first)
+ */
+export function diffSearchRuns(previous, current, minPercent = DEFAULT_PRICE_CHANGE_PERCENT) {
+  const previousItems = previous?.items || {};
+  const currentItems = current?.items || {};
+  const newItems = [];
+  const priceChanges = [];
+
+  Object.entries(currentItems).forEach(([itemId, item]) => {
+    const before = previousItems[itemId];
+    if (!before) {
+      newItems.push({ itemId: Number(itemId), name: item.name, price: item.price });
+      return;
+    }
+    if (before.price > 0 && item.price > 0) {
+      const percent = ((item.price - before.price) / before.price) * 100;
+      if (Math.abs(percent) > minPercent) {
+        priceChanges.push({ itemId: Number(itemId), name: item.name || before.name, before: before.price, after: item.price, percent });
+      }
+    }
+  });
+
+  const removedItems = Object.entries(previousItems)
+    .filter(([itemId]) => !currentItems[itemId])
+    .map(([itemId, item]) => ({ itemId: Number(itemId), name: item.name, price: item.price }));
+
+  priceChanges.sort((a, b) => Math.abs(b.percent) - Math.abs(a.percent));
+  return { newItems, removedItems, priceChanges };
+}
+
+/**
+ * URL query parameters describing a filter combination
+ * @param {Object} filters - Filters (see normalizeSearchFilters)
+ * @returns {URLSearchParams} - jobs, cats, lv (min-max), name, exact, rarity
+ */
+export function searchFiltersToParams(filters) {
+  const normalized = normalizeSearchFilters(filters);
+  const params = new URLSearchParams();
+  if (normalized.jobs.length > 0) params.set('jobs', normalized.jobs.join(','));
+  if (normalized.categories.length > 0) params.set('cats', normalized.categories.join(','));
+  if (normalized.minLevel > 1 || normalized.maxLevel < 999) params.set('lv', `${normalized.minLevel}-${normalized.maxLevel}`);
+  if (normalized.name) params.set('name', normalized.name);
+  if (normalized.exact) params.set('exact', '1');
+  if (normalized.rarities.length > 0) params.set('rarity', normalized.rarities.join(','));
+  return params;
+}
+
+/**
+ * Read a filter combination from URL query parameters
+ * @param {URLSearchParams} params
+ * @returns {Object|null} - Filters, or null when the URL has no job / category filter
+ */
+export function searchParamsToFilters(params) {
+  const splitList = key => (params.get(key) || '').split(',').filter(Boolean);
+  const [minLevel, maxLevel] = (params.get('lv') || '').split('-').map(value => parseInt(value, 10));
+  const filters = normalizeSearchFilters({
+    jobs: splitList('jobs'),
+    categories: splitList('cats'),
+    minLevel: Number.isInteger(minLevel) ? minLevel : 1,
+    maxLevel: Number.isInteger(maxLevel) ? maxLevel : 999,
+    name: params.get('name') || '',
+    exact: params.get('exact') === '1',
+    rarities: splitList('rarity'),
+  });
+  return filters.jobs.length > 0 || filters.categories.length > 0 ? filters : null;
+}
+
+/**
+ * Shareable link that opens AdvancedSearch with the filters and runs it
+ * @param {Object} filters - Filters (see normalizeSearchFilters)
+ * @returns {string}
+ */
+export function getSavedSearchUrl(filters) {
+  return `${window.location.origin}${getInternalUrl(`/advanced-search?${searchFiltersToParams(filters).toString()}`)}`;
+}
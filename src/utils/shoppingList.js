@@ -0,0 +1,136 @@
+// Shopping list management using localStorage with event notification
+const SHOPPING_LIST_KEY = 'market_tester_shopping_list';
+const MAX_SHOPPING_LIST_ITEMS = 200;
+const MAX_QUANTITY = 9999;
+
+// Event listeners for shopping list changes
+const listeners = new Set();
+
+/**
+ * Subscribe to shopping list changes
+ * @param {Function} callback - Called with the entry list when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToShoppingList(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of shopping list change
+ */
+function notifyChange() {
+  const entries = getShoppingList();
+  listeners.forEach(callback => callback(entries));
+}
+
+function clampQuantity(quantity) {
+  const value = Math.floor(Number(quantity) || 0);
+  return Math.max(1, Math.min(MAX_QUANTITY, value));
+}
+
+/**
+ * Get all shopping list entries
+ * @returns {Array<{itemId: number, itemName: string, quantity: number}>} Entries in insertion order
+ */
+export function getShoppingList() {
+  try {
+    const listStr = localStorage.getItem(SHOPPING_LIST_KEY);
+    if (!listStr) return [];
+    const entries = JSON.parse(listStr);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error('Failed to get shopping list:', error);
+    return [];
+  }
+}
+
+/**
+ * Add items to the shopping list; quantities of items already on the list are added up
+ * @param {Array<{itemId: number, itemName?: string, quantity?: number}>} items - Items to add
+ * @returns {number} Number of entries written
+ */
+export function addItemsToShoppingList(items) {
+  try {
+    const entries = getShoppingList();
+    const byId = new Map(entries.map(entry => [entry.itemId, entry]));
+
+    let written = 0;
+    items.forEach(item => {
+      if (!item?.itemId) return;
+      const quantity = clampQuantity(item.quantity ?? 1);
+      const existing = byId.get(item.itemId);
+      if (existing) {
+        existing.quantity = clampQuantity(existing.quantity + quantity);
+        if (!existing.itemName && item.itemName) {
+          existing.itemName = item.itemName;
+        }
+      } else {
+        const entry = { itemId: item.itemId, itemName: item.itemName || '', quantity };
+        entries.push(entry);
+        byId.set(item.itemId, entry);
+      }
+      written++;
+    });
+
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(entries.slice(0, MAX_SHOPPING_LIST_ITEMS)));
+    notifyChange();
+    return written;
+  } catch (error) {
+    console.error('Failed to add items to shopping list:', error);
+    return 0;
+  }
+}
+
+/**
+ * Add a single item to the shopping list
+ * @param {number} itemId - Item ID
+ * @param {string} itemName - Item name (stored so the list renders without lookups)
+ * @param {number} quantity - Quantity to add
+ */
+export function addToShoppingList(itemId, itemName, quantity = 1) {
+  return addItemsToShoppingList([{ itemId, itemName, quantity }]) > 0;
+}
+
+/**
+ * Set the quantity of an entry
+ * @param {number} itemId - Item ID
+ * @param {number} quantity - New quantity
+ */
+export function setShoppingListQuantity(itemId, quantity) {
+  try {
+    const entries = getShoppingList().map(entry => (
+      entry.itemId === itemId ? { ...entry, quantity: clampQuantity(quantity) } : entry
+    ));
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(entries));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to update shopping list quantity:', error);
+  }
+}
+
+/**
+ * Remove an item from the shopping list
+ * @param {number} itemId - Item ID
+ */
+export function removeFromShoppingList(itemId) {
+  try {
+    const entries = getShoppingList().filter(entry => entry.itemId !== itemId);
+    localStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(entries));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove item from shopping list:', error);
+  }
+}
+
+/**
+ * Clear the shopping list
+ */
+export function clearShoppingList() {
+  try {
+    localStorage.removeItem(SHOPPING_LIST_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear shopping list:', error);
+  }
+}
@@ -1,3 +1,5 @@
+import { t } from '../i18n';
+
 /**
  * Normalize timestamp to seconds (handles both seconds and milliseconds)
  * @param {number} timestamp - Unix timestamp (could be in seconds or milliseconds)
@@ -20,39 +22,39 @@ function normalizeTimestamp(timestamp) {
 
 /**
  * Format relative time (e.g., "2 minutes ago", "3 hours ago")
- * Always shows specific time, never vague terms like "剛剛"
+ * Always shows specific time, never vague terms like "just now"
  * Uses browser's local time for calculation
  * @param {number} timestamp - Unix timestamp (seconds or milliseconds)
  * @returns {string} - Formatted relative time string
  */
 export function formatRelativeTime(timestamp) {
-  if (!timestamp) return '未知';
+  if (!timestamp) return t('time.unknown');
   
   const normalizedTimestamp = normalizeTimestamp(timestamp);
-  if (!normalizedTimestamp) return '未知';
+  if (!normalizedTimestamp) return t('time.unknown');
   
   const now = Math.floor(Date.now() / 1000);
   const diff = now - normalizedTimestamp;
   
-  if (diff < 0) return '0分鐘前';
-  if (diff < 60) return '1分鐘前';
+  if (diff < 0) return t('time.minutesAgo', { count: 0 });
+  if (diff < 60) return t('time.minutesAgo', { count: 1 });
   if (diff < 3600) {
     const minutes = Math.floor(diff / 60);
-    return `${minutes}分鐘前`;
+    return t('time.minutesAgo', { count: minutes });
   }
   if (diff < 86400) {
     const hours = Math.floor(diff / 3600);
     const minutes = Math.floor((diff % 3600) / 60);
-    return minutes > 0 ? `${hours}小時${minutes}分鐘前` : `${hours}小時前`;
+    return minutes > 0 ? t('time.hoursMinutesAgo', { hours, minutes }) : t('time.hoursAgo', { count: hours });
   }
   if (diff < 604800) {
     const days = Math.floor(diff / 86400);
     const hours = Math.floor((diff % 86400) / 3600);
-    return hours > 0 ? `${days}天${hours}小時前` : `${days}天前`;
+    return hours > 0 ? t('time.daysHoursAgo', { days, hours }) : t('time.daysAgo', { count: days });
   }
   const weeks = Math.floor(diff / 604800);
   const days = Math.floor((diff % 604800) / 86400);
-  return days > 0 ? `${weeks}週${days}天前` : `${weeks}週前`;
+  return days > 0 ? t('time.weeksDaysAgo', { weeks, days }) : t('time.weeksAgo', { count: weeks });
 }
 
 /**
@@ -61,10 +63,10 @@ export function formatRelativeTime(timestamp) {
  * @returns {string} - Formatted time string in user's local timezone
  */
 export function formatLocalTime(timestamp) {
-  if (!timestamp) return '未知';
+  if (!timestamp) return t('time.unknown');
   
   const normalizedTimestamp = normalizeTimestamp(timestamp);
-  if (!normalizedTimestamp) return '未知';
+  if (!normalizedTimestamp) return t('time.unknown');
   
   const date = new Date(normalizedTimestamp * 1000);
   
@@ -0,0 +1,54 @@
+// Undercut monitor - compares our retainers' listings with everyone else's on the same world
+import { normalizeRetainerName } from './retainerProfile';
+
+/**
+ * Analyze the listings of one item for our retainers
+ * Every quality we have listed is checked separately. An HQ listing only competes with other HQ listings,
+ * an NQ listing competes with everything (buyers take a cheaper HQ over an NQ).
+ * A competitor at the same price counts as an undercut since the board shows only one of them first.
+ * @param {Array<Object>} listings - Listings from getItemsListings (one world)
+ * @param {Array<string>} retainerNames - Our retainer names
+ * @returns {Array<Object>} - One entry per listed quality (empty when none of our retainers lists the item):
+ *   { hq, myListings, myPrice, isCheapest, undercutBy, undercutters, cheapestCompetitor, suggestedPrice }
+ *   suggestedPrice is 1 gil below the cheapest competitor, or 1 gil below the next competitor when we are
+ *   already cheapest (null when nobody else sells it)
+ */
+export function analyzeRetainerListings(listings, retainerNames) {
+  const ourNames = new Set(retainerNames.map(normalizeRetainerName));
+  const mine = [];
+  const others = [];
+  (listings || []).forEach(listing => {
+    if (ourNames.has(normalizeRetainerName(listing.retainerName))) {
+      mine.push(listing);
+    } else {
+      others.push(listing);
+    }
+  });
+
+  const results = [];
+  [false, true].forEach(hq => {
+    const myListings = mine.filter(listing => listing.hq === hq).sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+    if (myListings.length === 0) return;
+
+    const myPrice = myListings[0].pricePerUnit;
+    const competitors = others
+      .filter(listing => !hq || listing.hq)
+      .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+    const undercutters = competitors.filter(listing => listing.pricePerUnit <= myPrice);
+    const cheapestCompetitor = competitors[0] || null;
+    const isCheapest = undercutters.length === 0;
+
+    results.push({
+      hq,
+      myListings,
+      myPrice,
+      isCheapest,
+      undercutBy: isCheapest ? 0 : myPrice - cheapestCompetitor.pricePerUnit,
+      undercutters,
+      cheapestCompetitor,
+      suggestedPrice: cheapestCompetitor ? Math.max(1, cheapestCompetitor.pricePerUnit - 1) : null,
+    });
+  });
+
+  return results;
+}
@@ -0,0 +1,267 @@
+// User settings store - one versioned localStorage entry described by SETTINGS_SCHEMA, with migrations,
+// change notification and JSON export / import (to move settings between devices)
+import { UI_LOCALES, DISPLAY_LANGUAGES, HOME_REGIONS } from '../constants/locales';
+import { TAX_CITIES } from '../constants/marketTax';
+
+const SETTINGS_KEY = 'market_tester_settings';
+
+// Bump when a stored setting changes shape and add a migration below
+export const SETTINGS_VERSION = 1;
+
+// Options of the market / search result controls
+export const LIST_SIZE_RANGE = { min: 10, max: 100 };
+export const ITEMS_PER_PAGE_OPTIONS = [20, 30, 50, 100, 200];
+
+const isBoolean = value => typeof value === 'boolean';
+const isOneOf = values => value => values.includes(value);
+
+/**
+ * Every setting with its default and validator - values failing validation fall back to the default
+ */
+export const SETTINGS_SCHEMA = {
+  // Home data center / world selected on load (null world = the whole data center)
+  homeDataCenter: { default: null, validate: value => value === null || (typeof value === 'string' && value !== '') },
+  homeWorldId: { default: null, validate: value => value === null || (Number.isInteger(value) && value > 0) },
+  // UI locale, item name language and home region (see utils/displaySettings)
+  locale: { default: 'zh-TW', validate: isOneOf(UI_LOCALES.map(locale => locale.code)) },
+  language: { default: 'tw', validate: isOneOf(DISPLAY_LANGUAGES.map(language => language.code)) },
+  region: { default: '繁中服', validate: isOneOf(HOME_REGIONS.map(region => region.key)) },
+  // Item page market tables
+  listSize: {
+    default: 20,
+    validate: value => Number.isInteger(value) && value >= LIST_SIZE_RANGE.min && value <= LIST_SIZE_RANGE.max,
+  },
+  hqOnly: { default: false, validate: isBoolean },
+  liveFeed: { default: false, validate: isBoolean },
+  // Search results pagination
+  itemsPerPage: { default: 20, validate: isOneOf(ITEMS_PER_PAGE_OPTIONS) },
+  // Crafting tree: retainer city for the profit tax, crystals left out of the material cost
+  taxCity: { default: TAX_CITIES[0].key, validate: isOneOf(TAX_CITIES.map(city => city.key)) },
+  excludeCrystals: { default: true, validate: isBoolean },
+};
+
+// Keys used before the settings store (removed once migrated)
+const LEGACY_KEYS = {
+  excludeCrystals: 'craftingTreeExcludeCrystals',
+  taxCity: 'craftingTreeTaxCity',
+  liveFeed: 'marketLiveFeed',
+  displaySettings: 'market_tester_display_settings',
+};
+
+// MIGRATIONS[n] upgrades settings stored at version n to version n + 1
+const MIGRATIONS = [
+  // 0 → 1: collect the separate localStorage keys
+  (settings) => {
+    const migrated = { ...settings };
+    const excludeCrystals = localStorage.getItem(LEGACY_KEYS.excludeCrystals);
+    if (excludeCrystals !== null) migrated.excludeCrystals = excludeCrystals === 'true';
+    const taxCity = localStorage.getItem(LEGACY_KEYS.taxCity);
+    if (taxCity !== null) migrated.taxCity = taxCity;
+    const liveFeed = localStorage.getItem(LEGACY_KEYS.liveFeed);
+    if (liveFeed !== null) migrated.liveFeed = liveFeed === 'true';
+    try {
+      const displaySettings = JSON.parse(localStorage.getItem(LEGACY_KEYS.displaySettings) || 'null');
+      if (displaySettings && typeof displaySettings === 'object') {
+        ['locale', 'language', 'region'].forEach(key => {
+          if (displaySettings[key] !== undefined) migrated[key] = displaySettings[key];
+        });
+      }
+    } catch (error) {
+      console.warn('Ignoring unreadable display settings:', error);
+    }
+    return migrated;
+  },
+];
+
+// Event listeners for settings changes
+const listeners = new Set();
+// Parsed settings, read from localStorage once
+let cachedSettings = null;
+
+/**
+ * Defaults of every setting
+ * @returns {Object}
+ */
+export function getDefaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default]));
+}
+
+/**
+ * Keep known keys with valid values, use the default for the rest
+ * @param {Object} settings
+ * @returns {{ settings: Object, invalidKeys: Array<string> }}
+ */
+function sanitizeSettings(settings) {
+  const invalidKeys = [];
+  const sanitized = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+    const value = settings?.[key];
+    if (value === undefined) {
+      sanitized[key] = field.default;
+    } else if (field.validate(value)) {
+      sanitized[key] = value;
+    } else {
+      sanitized[key] = field.default;
+      invalidKeys.push(key);
+    }
+  });
+  return { settings: sanitized, invalidKeys };
+}
+
+/**
+ * Run the migrations from `version` up to SETTINGS_VERSION
+ */
+function migrateSettings(settings, version) {
+  let migrated = settings;
+  for (let current = version; current < SETTINGS_VERSION; current++) {
+    migrated = MIGRATIONS[current](migrated);
+  }
+  return migrated;
+}
+
+function removeLegacyKeys() {
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
+function saveSettings(settings) {
+  cachedSettings = settings;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+  listeners.forEach(callback => callback(settings));
+}
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    const version = Number.isInteger(stored?.version) ? stored.version : 0;
+    const migrated = migrateSettings(stored?.settings || {}, version);
+    const { settings } = sanitizeSettings(migrated);
+    if (version < SETTINGS_VERSION) {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, settings }));
+      removeLegacyKeys();
+    }
+    return settings;
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    return getDefaultSettings();
+  }
+}
+
+/**
+ * Subscribe to settings changes
+ * @param {Function} callback - Called with the settings when they change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSettings(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Get all settings
+ * @returns {Object} - Every SETTINGS_SCHEMA key with a valid value
+ */
+export function getSettings() {
+  if (!cachedSettings) {
+    cachedSettings = loadSettings();
+  }
+  return cachedSettings;
+}
+
+/**
+ * Change some settings - invalid values are ignored
+ * @param {Object} changes - { key: value }
+ */
+export function updateSettings(changes) {
+  try {
+    const current = getSettings();
+    const next = { ...current };
+    let changed = false;
+    Object.entries(changes).forEach(([key, value]) => {
+      const field = SETTINGS_SCHEMA[key];
+      if (!field || !field.validate(value)) {
+        console.warn(`Ignoring invalid setting ${key}:`, value);
+        return;
+      }
+      if (next[key] !== value) {
+        next[key] = value;
+        changed = true;
+      }
+    });
+    if (changed) {
+      saveSettings(next);
+    }
+  } catch (error) {
+    console.error('Failed to update settings:', error);
+  }
+}
+
+/**
+ * Restore every setting to its default
+ */
+export function resetSettings() {
+  try {
+    saveSettings(getDefaultSettings());
+  } catch (error) {
+    console.error('Failed to reset settings:', error);
+  }
+}
+
+function createImportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Settings as a JSON document for backup / another device
+ * @returns {string}
+ */
+export function exportSettings() {
+  return JSON.stringify({
+    app: 'market_tester',
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: getSettings(),
+  }, null, 2);
+}
+
+/**
+ * Replace the settings with an exported JSON document (older versions are migrated)
+ * @param {string} text - Content of an exported settings file
+ * @returns {{ invalidKeys: Array<string> }} - Settings that were invalid and reset to their default
+ * @throws {Error} - When the text is not an exported settings file (error.code: 'invalidJson' | 'notSettingsFile' | 'newerVersion')
+ */
+export function importSettings(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw createImportError('invalidJson', '設定檔不是有效的 JSON');
+  }
+  if (!data || data.app !== 'market_tester' || typeof data.settings !== 'object' || data.settings === null) {
+    throw createImportError('notSettingsFile', '不是本站匯出的設定檔');
+  }
+  const version = Number.isInteger(data.version) ? data.version : 0;
+  if (version > SETTINGS_VERSION) {
+    throw createImportError('newerVersion', '設定檔來自較新的版本，請先重新整理頁面');
+  }
+
+  // Legacy keys only describe this device, so an imported file must not pick them up
+  const migrated = version < SETTINGS_VERSION
+    ? MIGRATIONS.slice(Math.max(version, 1), SETTINGS_VERSION).reduce((settings, migrate) => migrate(settings), data.settings)
+    : data.settings;
+  const { settings, invalidKeys } = sanitizeSettings(migrated);
+  saveSettings(settings);
+  return { invalidKeys };
+}
+
+// Keep open tabs in sync
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === SETTINGS_KEY) {
+      cachedSettings = null;
+      const settings = getSettings();
+      listeners.forEach(callback => callback(settings));
+    }
+  });
+}
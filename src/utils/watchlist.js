@@ -0,0 +1,160 @@
+// Price alert watchlist using localStorage with event notification
+import { t } from '../i18n';
+
+const WATCHLIST_KEY = 'market_tester_watchlist';
+const MAX_WATCHLIST_RULES = 100;
+
+/**
+ * Rule types (value: label message key)
+ * - minListingBelow: cheapest listing (of the chosen quality) is below `threshold` gil
+ * - belowAveragePercent: cheapest listing is at least `threshold`% below the average sale price
+ */
+export const WATCHLIST_RULE_TYPES = {
+  minListingBelow: 'watchlist.ruleType.minListingBelow',
+  belowAveragePercent: 'watchlist.ruleType.belowAveragePercent',
+};
+
+export const WATCHLIST_QUALITIES = {
+  any: 'NQ/HQ',
+  nq: 'NQ',
+  hq: 'HQ',
+};
+
+// Event listeners for watchlist changes
+const listeners = new Set();
+
+/**
+ * Subscribe to watchlist changes
+ * @param {Function} callback - Called with the rule list when it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToWatchlist(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+/**
+ * Notify all listeners of watchlist change
+ */
+function notifyChange() {
+  const rules = getWatchlist();
+  listeners.forEach(callback => callback(rules));
+}
+
+function saveWatchlist(rules) {
+  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(rules.slice(0, MAX_WATCHLIST_RULES)));
+}
+
+/**
+ * Get all watchlist rules
+ * @returns {Array<Object>} Rules (newest first):
+ *   { id, itemId, itemName, target, targetName, type, quality, threshold, enabled,
+ *     createdAt, lastCheckedAt, lastValue, isTriggered, lastTriggeredAt }
+ */
+export function getWatchlist() {
+  try {
+    const watchlistStr = localStorage.getItem(WATCHLIST_KEY);
+    if (!watchlistStr) return [];
+    const rules = JSON.parse(watchlistStr);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    console.error('Failed to get watchlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a rule to the watchlist
+ * @param {Object} rule - { itemId, itemName, target (world ID or DC name), targetName, type, quality, threshold }
+ * @returns {Object|null} The stored rule, or null on failure
+ */
+export function addWatchlistRule(rule) {
+  try {
+    const newRule = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      itemId: rule.itemId,
+      itemName: rule.itemName || '',
+      target: rule.target,
+      targetName: rule.targetName || String(rule.target),
+      type: rule.type in WATCHLIST_RULE_TYPES ? rule.type : 'minListingBelow',
+      quality: rule.quality in WATCHLIST_QUALITIES ? rule.quality : 'any',
+      threshold: Number(rule.threshold) || 0,
+      enabled: true,
+      createdAt: Date.now(),
+      lastCheckedAt: null,
+      lastValue: null,
+      isTriggered: false,
+      lastTriggeredAt: null,
+    };
+
+    saveWatchlist([newRule, ...getWatchlist()]);
+    notifyChange();
+    return newRule;
+  } catch (error) {
+    console.error('Failed to add watchlist rule:', error);
+    return null;
+  }
+}
+
+/**
+ * Update fields of a rule
+ * @param {string} ruleId - Rule ID
+ * @param {Object} changes - Fields to merge into the rule
+ */
+export function updateWatchlistRule(ruleId, changes) {
+  updateWatchlistRules({ [ruleId]: changes });
+}
+
+/**
+ * Update several rules at once (single write and single notification)
+ * @param {Object} changesById - { ruleId: changes }
+ */
+export function updateWatchlistRules(changesById) {
+  try {
+    const rules = getWatchlist().map(rule => (
+      changesById[rule.id] ? { ...rule, ...changesById[rule.id] } : rule
+    ));
+    saveWatchlist(rules);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to update watchlist rules:', error);
+  }
+}
+
+/**
+ * Remove a rule from the watchlist
+ * @param {string} ruleId - Rule ID
+ */
+export function removeWatchlistRule(ruleId) {
+  try {
+    saveWatchlist(getWatchlist().filter(rule => rule.id !== ruleId));
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to remove watchlist rule:', error);
+  }
+}
+
+/**
+ * Clear all rules
+ */
+export function clearWatchlist() {
+  try {
+    localStorage.removeItem(WATCHLIST_KEY);
+    notifyChange();
+  } catch (error) {
+    console.error('Failed to clear watchlist:', error);
+  }
+}
+
+/**
+ * Human readable description of a rule in the UI locale, e.g. "陸行鳥 HQ 最低價低於 12,000"
+ * @param {Object} rule - Watchlist rule
+ * @returns {string}
+ */
+export function describeWatchlistRule(rule) {
+  const target = rule.quality === 'any' ? rule.targetName : `${rule.targetName} ${WATCHLIST_QUALITIES[rule.quality]}`;
+  if (rule.type === 'belowAveragePercent') {
+    return t('watchlist.describe.belowAveragePercent', { target, percent: rule.threshold });
+  }
+  return t('watchlist.describe.minListingBelow', { target, price: Number(rule.threshold) });
+}
@@ -0,0 +1,218 @@
+// Watchlist scheduler - polls watched items through the aggregated endpoint and raises alerts
+import { fetchAggregatedData } from '../services/universalis';
+import { getWatchlist, updateWatchlistRules, describeWatchlistRule } from './watchlist';
+import { t } from '../i18n';
+
+// Universalis caches aggregated data for ~5 minutes, polling faster only returns the same numbers
+const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+// First check shortly after start so page load requests go first
+const INITIAL_DELAY = 10 * 1000;
+
+let timerId = null;
+// Bumped on every start/stop so a check that finishes after a restart does not schedule a second loop
+let schedulerGeneration = 0;
+let isChecking = false;
+let schedulerOptions = { onAlert: null, worlds: {} };
+
+function isWorldTarget(target) {
+  return typeof target === 'number' || (typeof target === 'string' && target !== '' && !isNaN(Number(target)));
+}
+
+/**
+ * Evaluate one rule against an aggregated result item
+ * @param {Object} rule - Watchlist rule
+ * @param {Object} item - Aggregated result ({ nq, hq } with minListing/averageSalePrice)
+ * @returns {{ triggered: boolean, value: number|null, price: number|null, worldId: number|null }}
+ *   value is the min listing price (minListingBelow) or the discount in % (belowAveragePercent)
+ */
+export function evaluateWatchlistRule(rule, item) {
+  const scope = isWorldTarget(rule.target) ? 'world' : 'dc';
+  const qualities = rule.quality === 'any' ? ['nq', 'hq'] : [rule.quality];
+
+  let best = { triggered: false, value: null, price: null, worldId: null };
+
+  qualities.forEach(quality => {
+    const minListing = item?.[quality]?.minListing?.[scope];
+    if (!minListing?.price) return;
+
+    if (rule.type === 'belowAveragePercent') {
+      const average = item?.[quality]?.averageSalePrice?.[scope]?.price;
+      if (!average) return;
+      const discount = ((average - minListing.price) / average) * 100;
+      if (best.value === null || discount > best.value) {
+        best = {
+          triggered: discount >= rule.threshold,
+          value: Math.round(discount * 10) / 10,
+          price: minListing.price,
+          worldId: minListing.worldId ?? null,
+        };
+      }
+    } else if (best.price === null || minListing.price < best.price) {
+      best = {
+        triggered: minListing.price < rule.threshold,
+        value: minListing.price,
+        price: minListing.price,
+        worldId: minListing.worldId ?? null,
+      };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Show a browser notification if the user granted permission
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ */
+export function showBrowserNotification(title, body) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+    return;
+  }
+  try {
+    new Notification(title, { body, tag: `watchlist-${title}` });
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('[Watchlist] ⚠️ Failed to show notification:', error);
+  }
+}
+
+/**
+ * Ask for Notification API permission
+ * @returns {Promise<string>} - 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') {
+    return 'unsupported';
+  }
+  if (Notification.permission !== 'default') {
+    return Notification.permission;
+  }
+  return Notification.requestPermission();
+}
+
+/**
+ * Check all enabled rules once
+ * Rules fire only when their condition becomes true; they re-arm after it clears
+ * @returns {Promise<number>} - Number of rules that fired
+ */
+export async function checkWatchlistNow() {
+  if (isChecking) {
+    return 0;
+  }
+
+  const rules = getWatchlist().filter(rule => rule.enabled);
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  isChecking = true;
+  let firedCount = 0;
+
+  try {
+    // One aggregated request per target
+    const rulesByTarget = new Map();
+    rules.forEach(rule => {
+      const key = String(rule.target);
+      if (!rulesByTarget.has(key)) {
+        rulesByTarget.set(key, []);
+      }
+      rulesByTarget.get(key).push(rule);
+    });
+
+    const changesById = {};
+    const now = Date.now();
+
+    for (const [target, targetRules] of rulesByTarget) {
+      const queryTarget = isWorldTarget(target) ? Number(target) : target;
+      const itemIds = [...new Set(targetRules.map(rule => rule.itemId))];
+
+      let data;
+      try {
+        data = await fetchAggregatedData(queryTarget, itemIds, { forceRefresh: true });
+      } catch (error) {
+        console.error(`[Watchlist] Failed to check ${target}:`, error);
+        continue;
+      }
+
+      const itemsById = {};
+      (data?.results || []).forEach(item => {
+        itemsById[item.itemId] = item;
+      });
+
+      targetRules.forEach(rule => {
+        const result = evaluateWatchlistRule(rule, itemsById[rule.itemId]);
+        const changes = {
+          lastCheckedAt: now,
+          lastValue: result.value,
+          isTriggered: result.triggered,
+        };
+
+        if (result.triggered && !rule.isTriggered) {
+          changes.lastTriggeredAt = now;
+          firedCount++;
+
+          const worldName = result.worldId ? schedulerOptions.worlds[result.worldId] : null;
+          const message = t(worldName ? 'watchlist.alert.messageWithWorld' : 'watchlist.alert.message', {
+            item: rule.itemName || String(rule.itemId),
+            rule: describeWatchlistRule(rule),
+            price: result.price,
+            world: worldName,
+          });
+          schedulerOptions.onAlert?.(rule, message);
+          showBrowserNotification(t('watchlist.title'), message);
+        }
+
+        changesById[rule.id] = changes;
+      });
+    }
+
+    updateWatchlistRules(changesById);
+  } finally {
+    isChecking = false;
+  }
+
+  return firedCount;
+}
+
+/**
+ * Start polling the watchlist in the background (restarts if already running)
+ * @param {Object} options
+ * @param {Function} options.onAlert - Called with (rule, message) when a rule fires
+ * @param {Object} options.worlds - World ID to name mapping (for alert messages)
+ * @param {number} options.interval - Poll interval in ms
+ * @returns {Function} Stop function
+ */
+export function startWatchlistScheduler(options = {}) {
+  stopWatchlistScheduler();
+  const generation = schedulerGeneration;
+  schedulerOptions = { onAlert: options.onAlert || null, worlds: options.worlds || {} };
+  const interval = options.interval || DEFAULT_POLL_INTERVAL;
+
+  const run = (delay) => {
+    timerId = setTimeout(async () => {
+      try {
+        await checkWatchlistNow();
+      } catch (error) {
+        console.error('[Watchlist] Check failed:', error);
+      }
+      if (generation === schedulerGeneration) {
+        run(interval);
+      }
+    }, delay);
+  };
+
+  run(INITIAL_DELAY);
+  return stopWatchlistScheduler;
+}
+
+/**
+ * Stop background polling
+ */
+export function stopWatchlistScheduler() {
+  schedulerGeneration++;
+  if (timerId !== null) {
+    clearTimeout(timerId);
+    timerId = null;
+  }
+}
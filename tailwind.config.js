@@ -32,6 +32,16 @@ export default {
         'glow-gold': '0 0 10px rgba(251, 191, 36, 0.4), 0 0 20px rgba(251, 191, 36, 0.15)',
         'glow-blue': '0 0 10px rgba(139, 92, 246, 0.4), 0 0 20px rgba(139, 92, 246, 0.15)',
       },
+      keyframes: {
+        // Rows changed by the live market feed
+        'live-flash': {
+          '0%': { backgroundColor: 'rgba(251, 191, 36, 0.35)' },
+          '100%': { backgroundColor: 'transparent' },
+        },
+      },
+      animation: {
+        'live-flash': 'live-flash 2.5s ease-out',
+      },
     },
   },
   plugins: [],
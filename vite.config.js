@@ -1,10 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Build files larger than this are not precached; the service worker caches them on first use instead
+const PRECACHE_MAX_FILE_SIZE = 1.5 * 1024 * 1024
+
+/**
+ * Emit the offline service worker (src/sw.js) as /sw.js with the list of build files to precache
+ */
+function offlineServiceWorker() {
+  return {
+    name: 'offline-service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const files = Object.values(bundle)
+        .filter(file => {
+          const size = file.type === 'chunk' ? file.code.length : file.source.length
+          return !file.fileName.endsWith('.map') && size <= PRECACHE_MAX_FILE_SIZE
+        })
+        .map(file => file.fileName)
+        .sort()
+      const precacheUrls = files.includes('index.html') ? files : ['index.html', ...files]
+      const version = createHash('sha256').update(precacheUrls.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+        .replace("= '__CACHE_VERSION__';", `= '${version}';`)
+        .replace('= __PRECACHE_MANIFEST__;', `= ${JSON.stringify(precacheUrls)};`)
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
   base: process.env.GITHUB_PAGES === 'true' ? '/market_tester/' : '/',
-  plugins: [react()],
+  plugins: [react(), offlineServiceWorker()],
   build: {
     rollupOptions: {
       output: {